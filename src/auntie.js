@@ -4,41 +4,64 @@
     // Import classes
     const Path = require('path');
     const Fs = require('fs');
-    const CommonMark = require('commonmark');
-    const MetaTextEngine = require('./modules/MetaTextEngine');
-    const HtmlTemplateProcessor = require('./modules/HtmlTemplateProcessor');
+    const Os = require('os');
+    const Builder = require('./modules/Builder');
+    const PreviewServer = require('./modules/PreviewServer');
 
     // Import stand-alone functions
-    const {validateArgs} = require('./modules/args-validator');
-    const {getFileName, ensureAbsUri} = require('./modules/path-utils');
-    const sanitize = require('sanitize-filename');
-    const {visitFilesInFolder, getDocumentHeader, ensureParentDirs} = require('./modules/file-utils');
+    const {ensureAbsUri} = require('./modules/path-utils');
+    const {parseArgs} = require('./modules/args-parser');
+    const {loadOptions} = require('./modules/args-validator');
+    const {getEffectiveOptions} = require('./modules/options-validator');
     const wrapText = require("wrap-text");
 
     // Import constants
     const {
+        SERVE_COMMAND,
+        PORT_FLAG,
+        DEFAULT_PREVIEW_PORT,
+        TEMP_TARGET_PLACEHOLDER,
+        MANIFEST_FILE_NAME,
+        DEFAULT_OPTIONS_FILE_NAME,
+        PROGRAM_SHORT_NAME,
+        PROGRAM_NAME,
+        PROGRAM_VERSION,
+        MESSAGE_EVENT,
+        PROGRESS_EVENT,
+        MESSAGE_ERROR,
+        MESSAGE_WARNING,
+        MESSAGE_NOTICE,
         HTML,
         PDF,
-        DEFAULT_OUTPUT_EXTENSION,
-        DEFAULT_SRC_FILE_TYPES,
-        LOG_FILE_NAME,
-        NO_COMPILE_TAG,
-        DIR,
-        ROOT,
-        DEFAULT_FILE_CONTENT_PLACEHOLDER,
-        DEFAULT_HTML_TEMPLATE
+        EPUB,
+        HELP_FLAG,
+        LONG_HELP_FLAG,
+        VERSION_FLAG,
+        OPTIONS_FLAG,
+        TEMPLATE_FLAG,
+        OUTPUT_TYPE_FLAG,
+        QUIET_FLAG,
+        VERBOSE_FLAG,
+        FORCE_FLAG,
+        BATCH_LOG_FLAG,
+        SET_FLAG,
+        WATCH_FLAG,
+        INCREMENTAL_FLAG,
+        PRINT_CONFIG_FLAG
     } = require('./modules/constants');
 
     // Define own constants
     const OUTPUT_NUM_COLUMNS = 80;
-    const PROGRAM_SHORT_NAME = 'AUNTIE';
-    const PROGRAM_NAME = PROGRAM_SHORT_NAME + ' - AUtomatic documeNtaTIon gEnerator';
-    const PROGRAM_VERSION = '1.0';
     const PROGRAM_AUTHOR = 'Claudius Tiberiu Iacob <claudius.iacob@gmail.com>';
     const PROGRAM_BANNER = wrapText([
         PROGRAM_NAME, PROGRAM_VERSION, 'by', PROGRAM_AUTHOR
     ].join(' '), OUTPUT_NUM_COLUMNS);
-    const PROGRAM_USAGE = '> ' + PROGRAM_SHORT_NAME.toLowerCase() + ' <source> <target> [<options file>]';
+    const PROGRAM_USAGE = '> ' + PROGRAM_SHORT_NAME.toLowerCase() +
+        ' <source> <target> [<options file>] [<flags>]' +
+        '\n> ' + PROGRAM_SHORT_NAME.toLowerCase() + ' ' + SERVE_COMMAND +
+        ' <source> [<target>] [<options file>] [' + PORT_FLAG + ' <number>] [<flags>]' +
+        '\n> ' + PROGRAM_SHORT_NAME.toLowerCase() + ' ' + HELP_FLAG + ' | ' + VERSION_FLAG;
+    const WATCH_DEBOUNCE_DELAY = 200;
     const HELP = [
         '\nThis application is a simple static website generator, best suited for producing technical documentation. You provide content as *.txt files and presentation via a custom HTML template. The text files need to be authored using the CommonMark syntax (a standardized version of Markdown, see "https://commonmark.org/"). Upon export, the program converts MarkDown to HTML and builds a navigation tree out of the original files\' location and numbering scheme (e.g., "1.1. My File.txt" is a child of "1. My Other File.txt"; numbering can also be applied to first header in each file). The final result is a fully navigable and standalone HTML compilation that you can upload to your web server.',
         '\nUsage:',
@@ -46,13 +69,26 @@
         '\nWhere:',
         '- <source>: Path to a local file or folder to supply the text for converting. For the path, use a working directory relative path, or an absolute file path. By default, all *.txt files found are converted and included in the resulting compilation, but this behavior can be changed using the <options> file (see the "sourceFileTypes" setting). As for marking a file for exclusion, you can type "$$nocompile" (without quotes) as the first thing in the respective file;',
         '\n- <target>: Path to a local file or folder to deposit the formatted document(s) in. The two paths cannot be identical; moreover, if the <source> is a folder, the <target> must be a folder as well. Other than that, the same path rules apply as for <source>;',
-        '\n- <options file>: Optional. Path to a local file in JSON format to load additional configuration from. Same path rules apply as for <source> as well. See file: "samples/sample-options.json" for more details (the file has its own documentation, because ' + PROGRAM_SHORT_NAME + ' happily accepts C-style comments in the <options file>. See also file: "samples/sample-template.html", which you can use as a starting point for your own HTML templates.'
+        '\n- <options file>: Optional. Path to a local file in JSON format to load additional configuration from. Same path rules apply as for <source> as well. If not given, the "' + DEFAULT_OPTIONS_FILE_NAME + '" file found in the <source> folder (if any) is used. Relative paths inside the <options file> are resolved against its folder, and its "extends" setting can point to a base <options file> to inherit (and deep-merge over) the settings of. See file: "samples/sample-options.json" for more details (the file has its own documentation, because ' + PROGRAM_SHORT_NAME + ' happily accepts C-style comments in the <options file>. See also file: "samples/sample-template.html", which you can use as a starting point for your own HTML templates.',
+        '\nFlags (all optional; flags that take a value also accept it after an equal sign, e.g., "' + OUTPUT_TYPE_FLAG + '=pdf"):',
+        '- ' + OPTIONS_FLAG + ' <path>: The <options file>, as an alternative to giving it as the third argument;',
+        '\n- ' + TEMPLATE_FLAG + ' <path>: The custom HTML template to use, overriding the "templateFile" setting;',
+        '\n- ' + OUTPUT_TYPE_FLAG + ' <' + HTML + '|' + PDF + '|' + EPUB + '>: The output format, overriding the "outputType" setting (' + EPUB + ' output packages a <source> folder as one e-book);',
+        '\n- ' + BATCH_LOG_FLAG + ': Writes a batch log in the <target> folder, same as enabling the "outputBatchLog" setting;',
+        '\n- ' + SET_FLAG + ' <key path>=<value>: Overrides any setting of the <options file> (or provides it, if there is no <options file>), e.g., "' + SET_FLAG + ' htmlSettings.hideNavigationNumbering=true". Nested settings are separated by dots, and the value is read as JSON if possible (e.g., "true", "12" or \'["md","txt"]\'), or as text otherwise. Can be given several times; the dedicated flags above work the same way, and when a setting is given more than once, the last one wins;',
+        '\n- ' + QUIET_FLAG + ': Only prints warnings and errors;',
+        '\n- ' + VERBOSE_FLAG + ': Also prints the outcome of processing each source document;',
+        '\n- ' + FORCE_FLAG + ': Allows writing into a <target> folder that is not empty (or over an existing <target> file);',
+        '\n- ' + PRINT_CONFIG_FLAG + ': Prints the effective configuration (i.e., the <options file> with all overrides applied, and defaults filled in for missing settings) as JSON, and exits without compiling. Every setting of the <options file> is checked upon loading, and unknown settings, wrong types and invalid values are reported with their line numbers;',
+        '\n- ' + VERSION_FLAG + ': Prints the program version and exits;',
+        '\n- ' + HELP_FLAG + ', ' + LONG_HELP_FLAG + ': Prints this help and exits;',
+        '\n- ' + WATCH_FLAG + ': Keeps the program running after the first compilation, watching the <source>, the custom HTML template and the <options file> for changes, and only rebuilding what is affected: an edited document only rebuilds its own page (and the pages including it), whereas new, removed or renamed files, as well as changed headers or numbering, rebuild all pages (because every page embeds the navigation). When watching, the <target> may already hold the output of a previous run. Press Ctrl+C to stop.',
+        '\n- ' + INCREMENTAL_FLAG + ': Allows compiling into a <target> that already holds the output of a previous run, only rebuilding what changed since. A build manifest (file "' + MANIFEST_FILE_NAME + '") is kept in the <target> folder, recording the state of every source document, of the files it includes, and of the HTML template and <options file>. Documents whose inputs (and navigation) are unchanged are skipped, and the output of documents that were removed or marked for exclusion is deleted. Changing the template, the options or the navigation (e.g., adding, removing or renaming a document) rebuilds all documents.',
+        '\nThe "' + SERVE_COMMAND + '" command compiles the <source> and serves the result at "http://localhost:<port>/" (default port: ' + DEFAULT_PREVIEW_PORT + '), watching for changes just like ' + WATCH_FLAG + ' does. Open pages reload automatically after each rebuild. If <target> is omitted (or given as "' + TEMP_TARGET_PLACEHOLDER + '"), a temporary folder is used, and removed on exit; otherwise, the <target> folder is created if needed, and may already hold the output of a previous run.'
     ].map(section => wrapText(section, OUTPUT_NUM_COLUMNS)).join('\n');
 
     // Define own global variables
-    let mtEngine = null;
-    let htmlTemplatePath = null;
-    let htmlTemplate = null;
+    let mustBeQuiet = false;
 
 
     // =======
@@ -68,329 +104,282 @@
     }
 
     /**
-     * Compiles the full path to a target file, based on a source file, a target folder and a file extension.
-     *
-     * @param   srcFilePath {string}
-     *          The source file based on which the target file name is inferred.
-     *
-     * @param   targetFolder {string}
-     *          The home directory of the expected target file.
-     *
-     * @param   newExtension {string|null}
-     *          A new extension to use for the target file. If not provided, the existing extension is preserved.
-     *
-     * @param   srcHomeDir {string|null}
-     *          Optional, default `null`. A folder to produce a sub-path relative to. Useful if the produced target file
-     *          path is supposed to live under nested folders. For example, let's say `srcFilePath` is:
-     *          "C:\my-docs\topic-1\my-doc.txt", `targetFolder` is "C:\export" and `newExtension` is "html".
-     *          If `srcHomeDir` is set to "C:\my-docs", then the produced target file path will be
-     *          "C:\export\topic-1\my-doc.html". By contrast, if `srcHomeDir` is `null` or not set, the produced target
-     *          file path will be "C:\export\my-doc.txt".
+     * @private
+     * Prints a message dispatched by the `Builder` class (see its "message" event).
      *
-     * @returns {string}
+     * @param   message {object}
+     *          Object with the fields `level`, `text` and `isUsageError`.
+     */
+    function _printMessage(message) {
+        switch (message.level) {
+            case MESSAGE_ERROR:
+                if (message.isUsageError) {
+                    _printUsage(message.text);
+                } else {
+                    console.log('Error: ' + message.text);
+                }
+                break;
+            case MESSAGE_WARNING:
+                console.log('Warning: ' + message.text);
+                break;
+            case MESSAGE_NOTICE:
+                _printInfo('Notice: ' + message.text);
+                break;
+            default:
+                _printInfo(message.text);
+                break;
+        }
+    }
+
+    /**
      * @private
+     * Prints given informative `text`, unless the --quiet flag was given.
      */
-    function _inferTargetFilePath(srcFilePath, targetFolder, newExtension, srcHomeDir = null) {
-        let targetFile = getFileName(srcFilePath, !!newExtension) + (newExtension ? '.' + newExtension : '');
-        if (srcHomeDir) {
-            const LEFT_SEP = /^[\\\/]+/;
-            const RIGHT_SEP = /[\\\/]+$/;
-            const relativePath = Path.relative(srcHomeDir, Path.dirname(srcFilePath))
-                .trim()
-                .replace(LEFT_SEP, '')
-                .replace(RIGHT_SEP, '');
-            const segments = [
-                targetFile.trim()
-                    .replace(LEFT_SEP, '')
-                    .replace(RIGHT_SEP, '')
-            ];
-            if (relativePath) {
-                segments.unshift(relativePath);
-            }
-            targetFile = segments.join(Path.sep);
+    function _printInfo(text) {
+        if (!mustBeQuiet) {
+            console.log(text);
         }
-        return Path.resolve(targetFolder, targetFile)
     }
 
     /**
      * @private
-     * Reads given `srcFilePath`, converts it into the target format (based on given `optionsData`) and saves it to
-     * given `targetFilePath`.
+     * Prints the outcome of processing one source document (see the "progress" event of the `Builder` class).
      *
-     * @param   srcFilePath {string}
-     *          The path to read the source file from.
+     * @param   file {object}
+     *          Object with the fields `srcFilePath`, `targetFilePath` and `status`.
+     */
+    function _printProgress(file) {
+        console.log(file.status + ': ' + file.srcFilePath + ' -> ' + file.targetFilePath);
+    }
+
+    /**
+     * @private
+     * Creates the `Builder` instance to compile with, as per the parsed command line arguments, and subscribes to its
+     * events.
      *
-     * @param   targetFilePath {string}
-     *          The path to store the converted file to.
+     * @param   parsedArgs {object}
+     *          The parsed arguments (see `parseArgs()` in the `args-parser` module).
      *
-     * @param   optionsData {object}
-     *          A configuration Object that alters various functionality in the application.
+     * @param   target {string}
+     *          The <target> to compile to.
      *
-     * @return  {boolean}
-     *          Returns `true` if reading, converting and saving the file succeeded.
+     * @param   allowExistingOutput {boolean}
+     *          Whether the <target> may already hold output.
      *
+     * @return  {Builder}
      */
-    function _processFile(srcFilePath, targetFilePath, optionsData) {
-
-        // Find out whether this is part of a larger, batch operation. We will not report
-        // individual progress for batch operations, as this will needlessly clutter the output
-        // (for batch operations, the user can enable the batch log generation from the options
-        // file anyway).
-        const {
-            srcIsDirectory,
-            targetIsDirectory
-        } = require('./modules/args-validator');
-        const isBatchOperation = (srcIsDirectory && targetIsDirectory);
-
-        // Read the file.
-        if (!isBatchOperation) {
-            console.log('processing file "' + srcFilePath + '"...');
-        }
-        let fileContent = Fs.readFileSync(srcFilePath, 'utf8').trim();
-
-        // Make a note of empty files.
-        if (!fileContent) {
-            if (!isBatchOperation) {
-                console.log('Notice: no content in file: ' + srcFilePath);
-            }
-            fileContent = DEFAULT_FILE_CONTENT_PLACEHOLDER;
-            if (optionsData && optionsData.fileContentPlaceholder) {
-                fileContent = optionsData.fileContentPlaceholder;
-            }
+    function _createBuilder(parsedArgs, target, allowExistingOutput) {
+        const builder = new Builder({
+            source: parsedArgs.source,
+            target: target,
+            options: parsedArgs.options,
+            overrides: parsedArgs.overrides,
+            incremental: parsedArgs.incremental,
+            allowExistingOutput: allowExistingOutput || parsedArgs.force
+        }).on(MESSAGE_EVENT, _printMessage);
+        if (parsedArgs.verbose) {
+            builder.on(PROGRESS_EVENT, _printProgress);
         }
+        return builder;
+    }
 
-        // Do not include files that are marked for exclusion via the $$nocompile tag.
-        if (fileContent.indexOf(NO_COMPILE_TAG) == 0) {
-            if (!isBatchOperation) {
-                console.log('Notice: file is marked for exclusion: ' + srcFilePath);
+    /**
+     * @private
+     * Keeps the program running, watching the <source>, the custom HTML template(s) and the <options file> for changes.
+     * Templates that documents only start pointing to later on are not watched.
+     * Changes are collected for a short while, then the affected documents are rebuilt (see `Builder.rebuild()`).
+     *
+     * @param   builder {Builder}
+     *          The `Builder` instance that carried out the first compilation.
+     *
+     * @param   onRebuilt {function|null}
+     *          Optional. Function to call (with no arguments) after each rebuild.
+     */
+    function _watch(builder, onRebuilt = null) {
+        const {srcPath} = builder.getSettings();
+        const changedPaths = [];
+        let debounceTimer = null;
+        const onChange = function (changedPath) {
+            if (!changedPaths.includes(changedPath)) {
+                changedPaths.push(changedPath);
             }
-            return false;
-        }
-
-        // Resolve any includes the current file might carry.
-        try {
-            fileContent = mtEngine.resolveIncludes(srcFilePath, fileContent);
-        } catch (e) {
-            console.log('Error: bad include(s) in file ' + srcFilePath + '. Details: ' + e);
-            return false;
-        }
+            clearTimeout(debounceTimer);
+            debounceTimer = setTimeout(function () {
+                try {
+                    builder.rebuild(changedPaths.splice(0));
+                } catch (e) {
+                    console.log('Error: rebuild failed. Details: ' + e);
+                }
+                if (onRebuilt) {
+                    onRebuilt();
+                }
+            }, WATCH_DEBOUNCE_DELAY);
+        };
+        const watchPath = function (pathToWatch) {
+            const isFolder = Fs.lstatSync(pathToWatch).isDirectory();
+            const watchedDir = isFolder ? pathToWatch : Path.dirname(pathToWatch);
+
+            // Files are watched via their folder, so that we survive editors that save by replacing the file.
+            Fs.watch(watchedDir, {recursive: isFolder}, function (eventType, fileName) {
+                const changedPath = fileName ? Path.resolve(watchedDir, fileName.toString()) : watchedDir;
+                if (isFolder || changedPath == pathToWatch) {
+                    onChange(changedPath);
+                }
+            });
+        };
+        builder.getWatchedPaths().forEach(watchPath);
+        _printInfo('Watching for changes in "' + srcPath + '" (press Ctrl+C to stop)...');
+    }
 
-        // Resolve MTF syntax to CommonMark syntax.
-        fileContent = mtEngine.resolveMTF(fileContent);
 
-        // Parse it as 'CommonMark' syntax and convert it to target format.
-        const reader = new CommonMark.Parser({smart: true})
-        let writer = null;
-        let postProcessor = null;
-        let outputType = DEFAULT_OUTPUT_EXTENSION;
-        if (optionsData && optionsData.outputType) {
-            outputType = optionsData.outputType;
-        }
-        switch (outputType) {
-            case HTML:
-                if (!isBatchOperation) {
-                    console.log('converting file to HTML...');
-                }
-                writer = new CommonMark.HtmlRenderer({softbreak: "<br />"});
-                postProcessor = new HtmlTemplateProcessor(mtEngine);
-                break;
-            case PDF:
-                writer = new CommonMark.XmlRenderer();
-                // postProcessor = new PdfProcessor();
-                break;
+    /**
+     * @private
+     * Works out the <target> of the "serve" command: supplies a temporary folder if none was given (or creates the
+     * given one, if it does not exist yet).
+     *
+     * @param   target {string|undefined}
+     *          The <target> argument, if given.
+     *
+     * @return  {object|null}
+     *          Object with the fields `target` (the <target> to compile to) and `tempTargetPath` (the temporary folder
+     *          created, if any), or `null` if the <target> is invalid.
+     */
+    function _prepareServeTarget(target) {
+        if (!target || target == TEMP_TARGET_PLACEHOLDER) {
+            const tempTargetPath = Fs.mkdtempSync(Path.join(Os.tmpdir(), PROGRAM_SHORT_NAME.toLowerCase() + '-'));
+            return {target: tempTargetPath, tempTargetPath: tempTargetPath};
         }
-        if (writer) {
-            const syntaxTree = reader.parse(fileContent);
-            fileContent = writer.render(syntaxTree);
-            if (postProcessor) {
-                fileContent = postProcessor.process(srcFilePath, syntaxTree, fileContent, htmlTemplate, optionsData);
-            }
-            if (!isBatchOperation) {
-                console.log('conversion done.');
-            }
+        const targetPath = ensureAbsUri(target, _printUsage, 'Invalid <target> URI: ');
+        if (!targetPath) {
+            return null;
         }
-
-        // Save the file.
-        ensureParentDirs(targetFilePath);
-        Fs.writeFileSync(targetFilePath, fileContent);
-        if (!isBatchOperation) {
-            console.log('file saved as "' + targetFilePath + '"');
+        if (!Fs.existsSync(targetPath)) {
+            Fs.mkdirSync(targetPath, {recursive: true});
         }
-        return true;
+        return {target: targetPath, tempTargetPath: null};
     }
 
     /**
      * @private
-     * Handles all preliminary I/O and batch logic,e.g., resolves source and target (final) file names, filters and visits
-     * source files in succession, etc. Does not actually parse, generate or store any file (except for the batch log)
-     * but delegates all actual work to `_processFile()`, which is going to take care of each source file individually.
+     * Implements the "serve" command: compiles the <source>, serves the <target> folder over HTTP, then watches for
+     * changes, rebuilding and reloading the open pages as needed.
+     *
+     * @param   parsedArgs {object}
+     *          The parsed arguments (see `parseArgs()` in the `args-parser` module).
      *
-     * @returns {boolean}
-     *          Returns `true` if,(overall, the process is to be deemed a success; returns `false` otherwise.
+     * @return  {boolean}
+     *          Returns `false` if the program could not start serving; `true` otherwise.
      */
-    function _process() {
-
-        // These side-effect artifacts only become available AFTER validating the arguments.
-        const {
-            srcPath,
-            targetPath,
-            optionsData,
-            srcIsDirectory,
-            targetIsDirectory
-        } = require('./modules/args-validator');
-        mtEngine = new MetaTextEngine(srcPath, targetPath, optionsData);
-
-        // If we are exporting in HTML format, we are going to need an HTML template, either the built-in one, or a
-        // custom one, provided by the user via the options files' "templateFile" field. If the later is the case,
-        // we need to make sure that the user-supplied template exists and is not empty.
-        let outputType = DEFAULT_OUTPUT_EXTENSION;
-        if (optionsData && optionsData.outputType) {
-            outputType = optionsData.outputType;
-        }
-        if (outputType == HTML) {
-            if (!htmlTemplate) {
-                htmlTemplate = DEFAULT_HTML_TEMPLATE;
-            }
-            if (optionsData && optionsData.htmlSettings && optionsData.htmlSettings.templateFile) {
-                htmlTemplatePath = ensureAbsUri(optionsData.htmlSettings.templateFile, _printUsage);
-            }
-            if (htmlTemplatePath) {
-                if (!Fs.existsSync(htmlTemplatePath)) {
-                    _printUsage('custom HTML template not found: ' + htmlTemplatePath);
-                    return false;
-                }
-                htmlTemplate = Fs.readFileSync(htmlTemplatePath, 'utf8').trim();
-            }
-            if (!htmlTemplate) {
-                console.log('Error: custom HTML template is empty: ' + htmlTemplatePath + '.');
-                return false;
-            }
+    function _serve(parsedArgs) {
+        if (!parsedArgs.source) {
+            _printUsage('Missing arguments');
+            return false;
         }
-
-        // CASES:
-        // 1. <source> is a file and <target> is a (non-existing) file: parse <source> and store it as <target>.
-        if (!srcIsDirectory && !targetIsDirectory) {
-            return _processFile(srcPath, targetPath, optionsData);
+        const serveTarget = _prepareServeTarget(parsedArgs.target);
+        if (!serveTarget) {
+            return false;
         }
-
-        // 2. <source> is a file and <target> is a folder: parse <source> and store it inside <target> with same name
-        //    and changed extension.
-        let targetFileExtension = DEFAULT_OUTPUT_EXTENSION;
-        if (optionsData && optionsData.outputType) {
-            targetFileExtension = optionsData.outputType;
+        const removeTempTarget = function () {
+            if (serveTarget.tempTargetPath && Fs.existsSync(serveTarget.tempTargetPath)) {
+                Fs.rmSync(serveTarget.tempTargetPath, {recursive: true, force: true});
+            }
+        };
+        const builder = _createBuilder(parsedArgs, serveTarget.target, true);
+        const result = builder.build();
+        const settings = builder.getSettings();
+        if (!settings) {
+            removeTempTarget();
+            return false;
         }
-        if (!srcIsDirectory && targetIsDirectory) {
-            const resolvedTargetPath = _inferTargetFilePath(srcPath, targetPath, targetFileExtension);
-            return _processFile(srcPath, resolvedTargetPath, optionsData);
+        if (!result.success) {
+            console.log('Initial compilation failed; serving anyway, fix the errors and save to rebuild.');
         }
 
-        // 3. <source> is a folder (and target is also a folder, because the arguments validator will not accept other
-        //    variant): iterate through <source> files having applicable types, parse each one, and respectively store
-        //    them inside <target> with same name and changed extension.
-        if (srcIsDirectory && targetIsDirectory) {
-
-            // Setup reports.
-            const batchLog = {'operations': [], 'summary': ''};
-            const $ = {numSuccess: 0, numSkipped: 0, numTotal: 0};
-
-            // Define file types to include
-            let fileTypesToParse = DEFAULT_SRC_FILE_TYPES;
-            if (optionsData && optionsData.sourceFileTypes && optionsData.sourceFileTypes.length) {
-                fileTypesToParse = optionsData.sourceFileTypes;
+        // The website root redirects to the first page, in reading order.
+        const server = new PreviewServer(settings.targetPath, parsedArgs.port, builder.getFirstDocumentUrl);
+        server.start(function (error) {
+            if (error) {
+                console.log('Error: cannot serve on port ' + parsedArgs.port + '. Details: ' + error.message);
+                removeTempTarget();
+                process.exit(1);
             }
+            _printInfo('Serving "' + settings.targetPath + '" at ' + server.getUrl());
+            _watch(builder, server.notifyReload);
+        });
+        ['SIGINT', 'SIGTERM'].forEach(function (signal) {
+            process.on(signal, function () {
+                removeTempTarget();
+                process.exit(0);
+            });
+        });
+        return true;
+    }
 
-            // Do a preflight to gather intel about all documents before actually processing them. This enables
-            // generating various dynamic content, such as a navigation tree.
-            const fullFileSet = fileTypesToParse.concat();
-            fullFileSet.push(DIR, ROOT);
-            const skippedFilePaths = visitFilesInFolder(srcPath, fullFileSet,
-                function (currSrcPath, currName, currExtension, createdOn, modifiedOn) {
-                    if (currSrcPath == htmlTemplatePath) {
-                        return;
-                    }
-                    switch (currExtension) {
-                        case ROOT:
-                            mtEngine.addRootToIndex(currSrcPath, currName, createdOn, modifiedOn);
-                            break;
-                        case DIR:
-                            mtEngine.addDirectoryToIndex(currSrcPath, currName, createdOn, modifiedOn);
-                            break;
-                        default:
-                            const docHeader = getDocumentHeader(currSrcPath, [NO_COMPILE_TAG]);
-                            mtEngine.addFileToIndex(currSrcPath, currName, currExtension, createdOn, modifiedOn, docHeader);
-                            break;
-                    }
-                });
-
-            // When building the index we need to account for any skipped files and  explicitly exclude their parent
-            // folders, or else these will show in the generated navigation (because we allow for empty folders to be
-            // used as separators).
-            mtEngine.buildIndex(skippedFilePaths);
-
-            // If requested (via the options file), we will copy all unprocessable files (assumed to be assets) from the
-            // <source> to the <target> directory.
-            if (optionsData && optionsData.htmlSettings && optionsData.htmlSettings.passThroughAssets &&
-                skippedFilePaths && skippedFilePaths.length) {
-                skippedFilePaths.forEach(function (assetFilePath) {
-                    var targetAssetPath = _inferTargetFilePath(assetFilePath, targetPath, null, srcPath);
-                    ensureParentDirs(targetAssetPath);
-                    Fs.copyFileSync(assetFilePath, targetAssetPath);
-                });
-            }
 
-            // Actually iterate through all the files in the source path and process each one of them in turn.
-            visitFilesInFolder(srcPath, fileTypesToParse,
-                function (currSrcPath) {
-                    if (currSrcPath == htmlTemplatePath) {
-                        return;
-                    }
-                    let currTargetPath = _inferTargetFilePath(currSrcPath, targetPath, targetFileExtension, srcPath);
-                    let currOperationResult = _processFile(currSrcPath, currTargetPath, optionsData);
-                    batchLog.operations.push({
-                        'source file': currSrcPath,
-                        'destination file': currTargetPath,
-                        'file was included': currOperationResult
-                    });
-                    if (currOperationResult) {
-                        $.numSuccess++;
-                    } else {
-                        $.numSkipped--;
-                    }
-                    $.numTotal++;
-                });
+    // MAIN LOGIC
+    // ----------
+    // Parse the arguments.
+    let argsProblem = null;
+    const parsedArgs = parseArgs(process.argv.slice(2), reason => argsProblem = reason);
+    mustBeQuiet = !!parsedArgs && parsedArgs.quiet;
+
+    // Print version if requested.
+    if (parsedArgs && parsedArgs.version) {
+        console.log(PROGRAM_VERSION);
+        return;
+    }
 
-            // Produce the report and batch log.
-            const timestamp = (new Date()).toUTCString();
-            const summary = ('Finished batch processing ' + $.numTotal + ' file(s) on ' + timestamp +
-                '. Successfully converted: ' + $.numSuccess + ', skipped: ' + $.numSkipped + '.');
-            batchLog.summary = summary;
-            console.log(summary);
-            if (optionsData && optionsData.outputBatchLog) {
-                const logFileName = sanitize(LOG_FILE_NAME.replace('%s', timestamp), {replacement: '-'});
-                const logFilePath = Path.resolve(targetPath, logFileName);
-                Fs.writeFileSync(logFilePath, JSON.stringify(batchLog, null, '\t'));
-            }
-            return ($.numSuccess > 0);
+    // Print the effective configuration if requested.
+    if (parsedArgs && parsedArgs.printConfig) {
+        const srcPath = parsedArgs.source ? ensureAbsUri(parsedArgs.source, _printUsage) : null;
+        const options = loadOptions(parsedArgs, _printUsage, srcPath);
+        if (!options) {
+            process.exitCode = 1;
+            return;
         }
-        return false;
+        console.log(JSON.stringify(getEffectiveOptions(options.optionsData), null, '\t'));
+        return;
     }
 
-
-    // MAIN LOGIC
-    // ----------
     // Print banner.
-    console.log('\n\n' + PROGRAM_BANNER);
+    _printInfo('\n\n' + PROGRAM_BANNER);
 
     // Print help if requested.
-    const args = process.argv;
-    if (args.length == 3 && args[2] == '-h') {
+    if (parsedArgs && parsedArgs.help) {
         console.log(HELP);
         return;
     }
+    const footer = 'Process failed. For help, run: ' + PROGRAM_SHORT_NAME.toLowerCase() + ' ' + HELP_FLAG;
+    if (!parsedArgs) {
+        _printUsage(argsProblem);
+        console.log(footer);
+        process.exitCode = 1;
+        return;
+    }
+
+    // Serve, if requested.
+    if (parsedArgs.command == SERVE_COMMAND) {
+        if (!_serve(parsedArgs)) {
+            console.log(footer);
+            process.exitCode = 1;
+        }
+        return;
+    }
 
     // Execute.
-    let success = validateArgs(args, _printUsage) && _process();
+    const builder = _createBuilder(parsedArgs, parsedArgs.target, parsedArgs.watch);
+    const success = builder.build().success;
 
     // Print footer.
-    console.log(success ? 'Process completed normally.' : 'Process failed. For help, run: ' + PROGRAM_SHORT_NAME.toLowerCase() + ' -h');
-})();
\ No newline at end of file
+    if (success) {
+        _printInfo('Process completed normally.');
+    } else {
+        console.log(footer);
+        process.exitCode = 1;
+    }
+
+    // Keep running and rebuild on changes, if requested.
+    if (builder.getSettings() && parsedArgs.watch) {
+        _watch(builder);
+    }
+})();
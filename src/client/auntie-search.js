@@ -0,0 +1,185 @@
+/*
+ * AUNTIE client side search. Copied verbatim to the root of every compilation that has a search index, and loaded by
+ * the markup the $$search template placeholder resolves to. It has no dependencies, and it sticks to ES5 so that it
+ * runs in any browser.
+ *
+ * NOTE: the index file name and global variable name below must match the SEARCH_INDEX_FILE_NAME and
+ * SEARCH_INDEX_GLOBAL_NAME constants in "modules/constants.js".
+ */
+(function () {
+    'use strict';
+
+    // The $$search placeholder might be used more than once in a template.
+    if (window.AUNTIE_SEARCH_LOADED) {
+        return;
+    }
+    window.AUNTIE_SEARCH_LOADED = true;
+
+    var INDEX_FILE_NAME = 'auntie-search-index.js';
+    var INDEX_GLOBAL_NAME = 'AUNTIE_SEARCH_INDEX';
+    var MAX_RESULTS = 20;
+    var SNIPPET_RADIUS = 60;
+    var indexLoading = false;
+    var pendingCallbacks = [];
+
+    /**
+     * Loads the search index (once), then calls `callback` with it.
+     */
+    function withIndex(rootDir, callback) {
+        if (window[INDEX_GLOBAL_NAME]) {
+            callback(window[INDEX_GLOBAL_NAME]);
+            return;
+        }
+        pendingCallbacks.push(callback);
+        if (indexLoading) {
+            return;
+        }
+        indexLoading = true;
+        var script = document.createElement('script');
+        script.src = rootDir + INDEX_FILE_NAME;
+        script.onload = function () {
+            var index = window[INDEX_GLOBAL_NAME] || [];
+            while (pendingCallbacks.length) {
+                pendingCallbacks.shift()(index);
+            }
+        };
+        document.head.appendChild(script);
+    }
+
+    function countOccurrences(haystack, needle) {
+        var count = 0;
+        var position = haystack.indexOf(needle);
+        while (position != -1) {
+            count++;
+            position = haystack.indexOf(needle, position + needle.length);
+        }
+        return count;
+    }
+
+    function makeSnippet(body, term) {
+        var position = body.toLowerCase().indexOf(term);
+        if (position == -1) {
+            return body.slice(0, SNIPPET_RADIUS * 2);
+        }
+        var start = Math.max(0, position - SNIPPET_RADIUS);
+        var end = Math.min(body.length, position + term.length + SNIPPET_RADIUS);
+        return (start > 0 ? '…' : '') + body.slice(start, end) + (end < body.length ? '…' : '');
+    }
+
+    /**
+     * Scores every document against the query terms; a document must contain all terms (in its title, headings or
+     * body) to be listed. Matches in titles weigh the most, and matches in headings link straight to the heading.
+     */
+    function search(index, query) {
+        var terms = query.toLowerCase().split(/\s+/).filter(function (term) {
+            return term.length > 0;
+        });
+        if (!terms.length) {
+            return [];
+        }
+        var results = [];
+        index.forEach(function (entry) {
+            var title = (entry.t || '').toLowerCase();
+            var body = (entry.b || '').toLowerCase();
+            var score = 0;
+            var anchor = '';
+            var matchesAll = terms.every(function (term) {
+                var termScore = 0;
+                if (title.indexOf(term) != -1) {
+                    termScore += 10;
+                }
+                (entry.h || []).forEach(function (heading) {
+                    if (heading[0].toLowerCase().indexOf(term) != -1) {
+                        termScore += 5;
+                        if (!anchor) {
+                            anchor = heading[1];
+                        }
+                    }
+                });
+                termScore += Math.min(5, countOccurrences(body, term));
+                score += termScore;
+                return termScore > 0;
+            });
+            if (matchesAll) {
+                results.push({
+                    entry: entry,
+                    score: score,
+                    anchor: anchor,
+                    snippet: makeSnippet(entry.b || '', terms[0])
+                });
+            }
+        });
+        results.sort(function (a, b) {
+            return b.score - a.score;
+        });
+        return results.slice(0, MAX_RESULTS);
+    }
+
+    function renderResults(list, rootDir, results, query) {
+        list.innerHTML = '';
+        if (query && !results.length) {
+            var emptyItem = document.createElement('li');
+            emptyItem.className = 'search-no-results';
+            emptyItem.textContent = 'No results.';
+            list.appendChild(emptyItem);
+            return;
+        }
+        results.forEach(function (result) {
+            var item = document.createElement('li');
+            item.className = 'search-result';
+            var link = document.createElement('a');
+            link.href = rootDir + result.entry.u + (result.anchor ? '#' + result.anchor : '');
+            link.textContent = result.entry.t;
+            var snippet = document.createElement('p');
+            snippet.className = 'search-snippet';
+            snippet.textContent = result.snippet;
+            item.appendChild(link);
+            item.appendChild(snippet);
+            list.appendChild(item);
+        });
+    }
+
+    function setUp(widget) {
+        var rootDir = widget.getAttribute('data-root-dir') || '';
+        var input = widget.querySelector('.search-input');
+        var list = widget.querySelector('.search-results');
+        if (!input || !list) {
+            return;
+        }
+        var update = function () {
+            var query = input.value.trim();
+            withIndex(rootDir, function (index) {
+                renderResults(list, rootDir, search(index, query), query);
+            });
+        };
+        input.addEventListener('focus', function () {
+            withIndex(rootDir, function () {
+            });
+        });
+        input.addEventListener('input', update);
+        input.addEventListener('keydown', function (event) {
+            if (event.key == 'Enter') {
+                var firstLink = list.querySelector('a');
+                if (firstLink) {
+                    window.location.href = firstLink.href;
+                }
+            } else if (event.key == 'Escape') {
+                input.value = '';
+                update();
+            }
+        });
+    }
+
+    function init() {
+        var widgets = document.querySelectorAll('.search');
+        for (var i = 0; i < widgets.length; i++) {
+            setUp(widgets[i]);
+        }
+    }
+
+    if (document.readyState == 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
@@ -0,0 +1,38 @@
+'use strict';
+const Builder = require('./modules/Builder');
+
+// Import constants
+const {
+    MESSAGE_EVENT,
+    PROGRESS_EVENT
+} = require('./modules/constants');
+
+/**
+ * Programmatic entry point: compiles a <source> file or folder into a <target> file or folder, just like the command
+ * line does, but without printing anything. Can be called any number of times in the same process.
+ *
+ * @param   params {object}
+ *          The build parameters (see the `Builder` class for the full list): `source`, `target` and, optionally,
+ *          `options` (path or Object), `template` (HTML string), `incremental` and `allowExistingOutput`. Additionally:
+ *          - onMessage {function}: optional; receives every message (error, warning, notice or info) as it is
+ *            reported, as an Object with the fields `level`, `text` and `isUsageError`;
+ *          - onProgress {function}: optional; receives an Object with the fields `srcFilePath`, `targetFilePath`
+ *            and `status` after each source document is processed.
+ *
+ * @return  {object}
+ *          The build result (see `Builder.build()`): `success`, `files`, `outputPaths`, `removedPaths`, `brokenLinks`,
+ *          `warnings`, `errors` and `summary`.
+ */
+const build = function (params) {
+    const builder = new Builder(params);
+    if (params.onMessage) {
+        builder.on(MESSAGE_EVENT, params.onMessage);
+    }
+    if (params.onProgress) {
+        builder.on(PROGRESS_EVENT, params.onProgress);
+    }
+    return builder.build();
+}
+
+exports.build = build;
+exports.Builder = Builder;
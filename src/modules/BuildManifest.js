@@ -0,0 +1,274 @@
+'use strict';
+const Fs = require('fs');
+const Path = require('path');
+const Crypto = require('crypto');
+const {ensureParentDirs} = require('./file-utils');
+
+// Import constants
+const {
+    MANIFEST_FILE_NAME,
+    MANIFEST_FORMAT_VERSION
+} = require('./constants');
+
+/**
+ * Class that keeps track of what a compilation was built from, so that later compilations into the same <target> can
+ * skip the documents whose output is still up to date. The manifest is stored as a JSON file in the root of the
+ * <target> folder, and records:
+ * - the hashes of the inputs that affect all documents (e.g., the HTML template, the options and the navigation);
+ * - the modification time and hash of every source document and of every file it includes;
+ * - the output file of every document, and all the other files the compilation produced.
+ *
+ * All paths are stored relative to the <source> (for inputs) or to the <target> (for outputs), so that both folders
+ * can be moved around without invalidating the manifest.
+ *
+ * @param   srcPath {string}
+ *          The parsed value of the <source> argument, i.e., the root folder of the compilation's sources.
+ *
+ * @param   targetPath {string}
+ *          The parsed value of the <target> argument, i.e., the root folder of the compiled output.
+ *
+ * @param   noticeCallback {function|null}
+ *          Optional, default `null`. Function to pass notices to. It should take one string argument. Notices are
+ *          printed to the console if not given.
+ *
+ * @constructor
+ */
+module.exports = function BuildManifest(srcPath, targetPath, noticeCallback = null) {
+
+    /**
+     * Absolute path of the manifest file.
+     * @type {string}
+     * @private
+     */
+    const _manifestPath = Path.resolve(targetPath, MANIFEST_FILE_NAME);
+
+    /**
+     * The manifest of the previous compilation, as read from disk; `null` if there was none (or it was unusable).
+     * @type {object|null}
+     * @private
+     */
+    let _previous = null;
+
+    /**
+     * The manifest of the current compilation, being built.
+     * @type {object}
+     * @private
+     */
+    const _current = {'version': MANIFEST_FORMAT_VERSION, 'inputs': {}, 'files': {}, 'documents': {}, 'outputs': []};
+
+    /**
+     * Produces a hash of given `content` (a String or a Buffer).
+     * @private
+     */
+    const _hash = function (content) {
+        return Crypto.createHash('sha1').update(content).digest('hex');
+    };
+
+    /**
+     * Converts given absolute `filePath` to a path relative to given `homeDir`, using forward slashes.
+     * @private
+     */
+    const _toRelPath = function (filePath, homeDir) {
+        return Path.relative(homeDir, filePath).replace(/\\+/g, '/');
+    };
+
+    /**
+     * Converts given `relPath` back to an absolute path, under given `homeDir`.
+     * @private
+     */
+    const _toAbsPath = function (relPath, homeDir) {
+        return Path.resolve(homeDir, relPath);
+    };
+
+    /**
+     * Returns the "fingerprint" of the file found at given `filePath`, i.e., its modification time and content hash,
+     * or `null` if the file does not exist. The hash is reused from the previous manifest if the file was not modified
+     * since, so that unchanged files need not be read.
+     *
+     * @param   filePath {string}
+     *          Absolute path of a source file.
+     *
+     * @return  {object|null}
+     * @private
+     */
+    const _getFingerprint = function (filePath) {
+        const relPath = _toRelPath(filePath, srcPath);
+        if (relPath in _current.files) {
+            return _current.files[relPath];
+        }
+        if (!Fs.existsSync(filePath)) {
+            return null;
+        }
+        const mTime = Fs.lstatSync(filePath).mtimeMs;
+        const previousFingerprint = _previous && _previous.files[relPath];
+        const fingerprint = {
+            'mTime': mTime,
+            'hash': (previousFingerprint && previousFingerprint.mTime == mTime) ?
+                previousFingerprint.hash : _hash(Fs.readFileSync(filePath))
+        };
+        _current.files[relPath] = fingerprint;
+        return fingerprint;
+    };
+
+    /**
+     * Tells whether the file found at given `filePath` has the same content it had when the previous manifest was
+     * written. A file that was merely "touched" is deemed unchanged.
+     * @private
+     */
+    const _isUnchanged = function (filePath) {
+        const previousFingerprint = _previous.files[_toRelPath(filePath, srcPath)];
+        const fingerprint = _getFingerprint(filePath);
+        return !!(previousFingerprint && fingerprint && previousFingerprint.hash == fingerprint.hash);
+    };
+
+    /**
+     * Reads the manifest of the previous compilation, if any. A manifest that cannot be read, or was written by an
+     * incompatible version of the program, is ignored (which causes all documents to be rebuilt).
+     *
+     * @return  {boolean}
+     *          Returns `true` if a usable manifest was found.
+     */
+    this.load = function () {
+        _previous = null;
+        if (!Fs.existsSync(_manifestPath)) {
+            return false;
+        }
+        try {
+            const manifest = JSON.parse(Fs.readFileSync(_manifestPath, 'utf8'));
+            if (manifest && manifest.version == MANIFEST_FORMAT_VERSION) {
+                _previous = manifest;
+            }
+        } catch (e) {
+            const notice = 'ignoring unreadable build manifest: ' + _manifestPath;
+            if (noticeCallback) {
+                noticeCallback(notice);
+            } else {
+                console.log('Notice: ' + notice);
+            }
+        }
+        return !!_previous;
+    };
+
+    /**
+     * Records the inputs that affect all documents of the compilation. When any of them differs from the previous
+     * compilation, no document is deemed up to date.
+     *
+     * @param   inputs {object}
+     *          Object whose keys are input names (e.g., "template") and whose values are Strings describing the input
+     *          (e.g., the content of the template); only their hashes are stored.
+     */
+    this.setInputs = function (inputs) {
+        Object.keys(inputs).forEach(name => {
+            _current.inputs[name] = _hash(String(inputs[name]));
+        });
+    };
+
+    /**
+     * Tells whether the output of the document found at given `srcFilePath` can be reused as it is, i.e., whether
+     * the document, the files it includes, and the inputs shared by all documents are all unchanged since the
+     * previous compilation, and its output file still exists where expected.
+     *
+     * @param   srcFilePath {string}
+     *          Absolute path of the source document.
+     *
+     * @param   targetFilePath {string}
+     *          Absolute path the document is to be compiled to.
+     *
+     * @return  {boolean}
+     */
+    this.isUpToDate = function (srcFilePath, targetFilePath) {
+        if (!_previous) {
+            return false;
+        }
+        const inputNames = Object.keys(_current.inputs);
+        if (inputNames.length != Object.keys(_previous.inputs).length ||
+            inputNames.some(name => _current.inputs[name] != _previous.inputs[name])) {
+            return false;
+        }
+        const previousRecord = _previous.documents[_toRelPath(srcFilePath, srcPath)];
+        if (!previousRecord || previousRecord.output != _toRelPath(targetFilePath, targetPath) ||
+            !Fs.existsSync(targetFilePath)) {
+            return false;
+        }
+        return _isUnchanged(srcFilePath) &&
+            previousRecord.includes.every(relPath => _isUnchanged(_toAbsPath(relPath, srcPath)));
+    };
+
+    /**
+     * Returns the paths of the files that the document found at given `srcFilePath` included, as of the previous
+     * compilation.
+     *
+     * @param   srcFilePath {string}
+     *          Absolute path of the source document.
+     *
+     * @return  {string[]}
+     *          Absolute paths; empty if the document was not part of the previous compilation.
+     */
+    this.getPreviousInclusionsOf = function (srcFilePath) {
+        const previousRecord = _previous && _previous.documents[_toRelPath(srcFilePath, srcPath)];
+        return previousRecord ? previousRecord.includes.map(relPath => _toAbsPath(relPath, srcPath)) : [];
+    };
+
+    /**
+     * Records a document of the current compilation, along with its output file (which is also recorded as an output
+     * of the compilation).
+     *
+     * @param   srcFilePath {string}
+     *          Absolute path of the source document.
+     *
+     * @param   targetFilePath {string}
+     *          Absolute path of the document's output file.
+     *
+     * @param   includedFilePaths {string[]}
+     *          Absolute paths of all the files the document includes, directly or indirectly.
+     */
+    this.addDocument = function (srcFilePath, targetFilePath, includedFilePaths) {
+        _getFingerprint(srcFilePath);
+        includedFilePaths.forEach(_getFingerprint);
+        _current.documents[_toRelPath(srcFilePath, srcPath)] = {
+            'output': _toRelPath(targetFilePath, targetPath),
+            'includes': includedFilePaths.map(filePath => _toRelPath(filePath, srcPath))
+        };
+        this.addOutput(targetFilePath);
+    };
+
+    /**
+     * Records a file produced by the current compilation, other than a document's output (e.g., a copied asset).
+     *
+     * @param   targetFilePath {string}
+     *          Absolute path of the produced file.
+     */
+    this.addOutput = function (targetFilePath) {
+        const relPath = _toRelPath(targetFilePath, targetPath);
+        if (!_current.outputs.includes(relPath)) {
+            _current.outputs.push(relPath);
+        }
+    };
+
+    /**
+     * Returns the files that the previous compilation produced but the current one did not (e.g., the output of
+     * documents that were removed, renamed or marked for exclusion since). Only files that still exist and live
+     * inside the <target> folder are returned.
+     *
+     * @return  {string[]}
+     *          Absolute paths of the stale files.
+     */
+    this.getStaleOutputs = function () {
+        if (!_previous) {
+            return [];
+        }
+        return _previous.outputs
+            .filter(relPath => !_current.outputs.includes(relPath))
+            .map(relPath => _toAbsPath(relPath, targetPath))
+            .filter(filePath => filePath.indexOf(targetPath + Path.sep) == 0 && filePath != _manifestPath &&
+                Fs.existsSync(filePath) && Fs.lstatSync(filePath).isFile());
+    };
+
+    /**
+     * Writes the manifest of the current compilation to the root of the <target> folder.
+     */
+    this.write = function () {
+        ensureParentDirs(_manifestPath);
+        Fs.writeFileSync(_manifestPath, JSON.stringify(_current, null, '\t'));
+    };
+}
@@ -0,0 +1,1357 @@
+'use strict';
+const Path = require('path');
+const Fs = require('fs');
+const EventEmitter = require('events');
+const CommonMark = require('commonmark');
+const sanitize = require('sanitize-filename');
+const MetaTextEngine = require('./MetaTextEngine');
+const HtmlTemplateProcessor = require('./HtmlTemplateProcessor');
+const PdfProcessor = require('./PdfProcessor');
+const EpubProcessor = require('./EpubProcessor');
+const SearchIndexBuilder = require('./SearchIndexBuilder');
+const SitemapBuilder = require('./SitemapBuilder');
+const BuildManifest = require('./BuildManifest');
+const TemplateSelector = require('./TemplateSelector');
+const {validateBuildParams, reloadOptions} = require('./args-validator');
+const {getFileName, ensureAbsUri} = require('./path-utils');
+const {visitFilesInFolder, getDocumentHeader, ensureParentDirs} = require('./file-utils');
+const {collectHeadings, addHeadingIds, addHeadingPermalinks} = require('./heading-utils');
+const {addCodeHighlighting} = require('./syntax-highlighter');
+const {checkLinks, findReferencedAssets} = require('./link-checker');
+const {parseFrontMatter, readFrontMatter} = require('./front-matter');
+
+// Import constants
+const {
+    HTML,
+    PDF,
+    EPUB,
+    DEFAULT_OUTPUT_EXTENSION,
+    DEFAULT_SRC_FILE_TYPES,
+    LOG_FILE_NAME,
+    NAVIGATION_FILE_NAME,
+    NO_COMPILE_TAG,
+    DIR,
+    ROOT,
+    DEFAULT_FILE_CONTENT_PLACEHOLDER,
+    DEFAULT_HTML_TEMPLATE,
+    DEFAULT_PDF_DOCUMENTS_COMBINING,
+    DEFAULT_HTML_DOCUMENTS_COMBINING,
+    DEFAULT_SEARCH_INDEX_GENERATION,
+    DEFAULT_NAVIGATION_JSON_GENERATION,
+    DEFAULT_CODE_HIGHLIGHTING,
+    DEFAULT_CODE_LINE_NUMBERING,
+    DEFAULT_SLUG_STYLE,
+    DEFAULT_PERMALINK_MIN_LEVEL,
+    DEFAULT_PERMALINK_MAX_LEVEL,
+    DEFAULT_PERMALINK_TEMPLATE,
+    DEFAULT_LINK_CHECKING,
+    REFERENCED_ASSETS,
+    DEFAULT_BROKEN_LINKS_FAILING,
+    PROGRAM_NAME,
+    PROGRAM_VERSION,
+    MESSAGE_EVENT,
+    PROGRESS_EVENT,
+    MESSAGE_ERROR,
+    MESSAGE_WARNING,
+    MESSAGE_NOTICE,
+    MESSAGE_INFO,
+    FILE_CONVERTED,
+    FILE_UP_TO_DATE,
+    FILE_SKIPPED,
+    FILE_FAILED
+} = require('./constants');
+
+/**
+ * Class that compiles a <source> file or folder into a <target> file or folder, and keeps the result up to date as
+ * the sources change (see `rebuild()`). Each instance holds all the state of its compilation, so any number of builds
+ * can run in the same process. Progress is reported via events (see `on()`):
+ * - "message": receives an Object with the fields `level` (one of "error", "warning", "notice" or "info"), `text` and
+ *   `isUsageError` (whether the error concerns the build parameters, rather than the content);
+ * - "progress": receives an Object with the fields `srcFilePath`, `targetFilePath` and `status` (see `build()`), once
+ *   for every source document processed.
+ *
+ * @param   params {object}
+ *          The build parameters, an Object with the fields:
+ *          - source {string}: path to a file or folder to compile (absolute, or relative to the current working
+ *            directory);
+ *          - target {string}: path to a file or (existing) folder to deposit the compiled document(s) in;
+ *          - options {string|object}: optional; either the path to an options file, or the options Object itself (see
+ *            "samples/sample-options.json"); if not given, the "auntie.json" file in the <source> folder, if any, is
+ *            used;
+ *          - overrides {object}: optional; option values that take precedence over the `options`, mapped by their key
+ *            paths, e.g., `{"htmlSettings.hideNavigationNumbering": true}`;
+ *          - template {string}: optional; an HTML template to use instead of the one the options point to (partials
+ *            are then resolved relative to the current working directory);
+ *          - incremental {boolean}: optional, default `false`; whether to only rebuild what changed since the previous
+ *            compilation into the same <target> folder (see the `BuildManifest` class);
+ *          - allowExistingOutput {boolean}: optional, default `false`; whether the <target> may already hold output
+ *            (implied by `incremental`).
+ *
+ * @constructor
+ */
+module.exports = function Builder(params) {
+
+    /**
+     * Dispatches the "message" and "progress" events.
+     * @type {EventEmitter}
+     * @private
+     */
+    const _emitter = new EventEmitter();
+
+    /**
+     * The validated build parameters (see `validateBuildParams()` in the `args-validator` module), or `null` before the
+     * first build.
+     * @type {object|null}
+     * @private
+     */
+    let _settings = null;
+
+    /**
+     * The result of the build (or rebuild) in progress (see `build()`).
+     * @type {object|null}
+     * @private
+     */
+    let _result = null;
+
+    // State of the current compilation.
+    let _mtEngine = null;
+    let _htmlTemplatePath = null;
+    let _htmlTemplate = null;
+    let _templateSelector = null;
+    let _searchIndexBuilder = null;
+    let _sitemapBuilder = null;
+    let _navigationFilePath = null;
+
+    // Bookkeeping of the last compilation, used for incremental rebuilds when watching.
+    let _indexSignatures = {};
+    let _indexedAssetPaths = [];
+    let _producedFilePaths = [];
+    let _generatedFilePaths = [];
+    let _referencedAssetPaths = null;
+
+    /**
+     * Creates an empty build result.
+     * @private
+     */
+    const _createResult = function () {
+        return {
+            success: false,
+            files: [],
+            outputPaths: [],
+            removedPaths: [],
+            brokenLinks: [],
+            missingAssets: [],
+            unreferencedAssets: [],
+            warnings: [],
+            errors: [],
+            summary: ''
+        };
+    };
+
+    /**
+     * Records given message in the current build result (errors and warnings only), and dispatches it.
+     *
+     * @param   level {string}
+     *          One of MESSAGE_ERROR, MESSAGE_WARNING, MESSAGE_NOTICE or MESSAGE_INFO.
+     *
+     * @param   text {string}
+     *          The message.
+     *
+     * @param   isUsageError {boolean}
+     *          Optional, default `false`. Whether this error concerns the build parameters.
+     * @private
+     */
+    const _report = function (level, text, isUsageError = false) {
+        if (_result && level == MESSAGE_ERROR) {
+            _result.errors.push(text);
+        }
+        if (_result && level == MESSAGE_WARNING) {
+            _result.warnings.push(text);
+        }
+        _emitter.emit(MESSAGE_EVENT, {level: level, text: text, isUsageError: isUsageError});
+    };
+
+    /**
+     * Records the outcome of processing one source document in the current build result, and dispatches it.
+     * @private
+     */
+    const _recordFile = function (srcFilePath, targetFilePath, status) {
+        const file = {srcFilePath: srcFilePath, targetFilePath: targetFilePath, status: status};
+        _result.files.push(file);
+        if (status == FILE_CONVERTED && !_result.outputPaths.includes(targetFilePath)) {
+            _result.outputPaths.push(targetFilePath);
+        }
+        _emitter.emit(PROGRESS_EVENT, file);
+    };
+
+    /**
+     * Compiles the full path to a target file, based on a source file, a target folder and a file extension.
+     *
+     * @param   srcFilePath {string}
+     *          The source file based on which the target file name is inferred.
+     *
+     * @param   targetFolder {string}
+     *          The home directory of the expected target file.
+     *
+     * @param   newExtension {string|null}
+     *          A new extension to use for the target file. If not provided, the existing extension is preserved.
+     *
+     * @param   srcHomeDir {string|null}
+     *          Optional, default `null`. A folder to produce a sub-path relative to. Useful if the produced target file
+     *          path is supposed to live under nested folders. For example, let's say `srcFilePath` is:
+     *          "C:\my-docs\topic-1\my-doc.txt", `targetFolder` is "C:\export" and `newExtension` is "html".
+     *          If `srcHomeDir` is set to "C:\my-docs", then the produced target file path will be
+     *          "C:\export\topic-1\my-doc.html". By contrast, if `srcHomeDir` is `null` or not set, the produced target
+     *          file path will be "C:\export\my-doc.txt".
+     *
+     * @returns {string}
+     * @private
+     */
+    const _inferTargetFilePath = function (srcFilePath, targetFolder, newExtension, srcHomeDir = null) {
+        let targetFile = getFileName(srcFilePath, !!newExtension) + (newExtension ? '.' + newExtension : '');
+        if (srcHomeDir) {
+            const LEFT_SEP = /^[\\\/]+/;
+            const RIGHT_SEP = /[\\\/]+$/;
+            const relativePath = Path.relative(srcHomeDir, Path.dirname(srcFilePath))
+                .trim()
+                .replace(LEFT_SEP, '')
+                .replace(RIGHT_SEP, '');
+            const segments = [
+                targetFile.trim()
+                    .replace(LEFT_SEP, '')
+                    .replace(RIGHT_SEP, '')
+            ];
+            if (relativePath) {
+                segments.unshift(relativePath);
+            }
+            targetFile = segments.join(Path.sep);
+        }
+        return Path.resolve(targetFolder, targetFile)
+    };
+
+    /**
+     * Tells whether all the documents of a (folder) compilation are to be output as one single file, i.e., whether the
+     * output type is EPUB, or the "combineDocuments" setting of the output type is enabled.
+     *
+     * @param   optionsData {object}
+     *          A configuration Object that alters various functionality in the application.
+     *
+     * @returns {boolean}
+     * @private
+     */
+    const _isCombinedOutput = function (optionsData) {
+        const outputType = (optionsData && optionsData.outputType) || DEFAULT_OUTPUT_EXTENSION;
+        if (outputType == EPUB) {
+            return true;
+        }
+        const settings = (optionsData && optionsData[(outputType == PDF) ? 'pdfSettings' : 'htmlSettings']) || {};
+        if ('combineDocuments' in settings) {
+            return !!settings.combineDocuments;
+        }
+        return (outputType == PDF) ? DEFAULT_PDF_DOCUMENTS_COMBINING : DEFAULT_HTML_DOCUMENTS_COMBINING;
+    };
+
+    /**
+     * Returns the name of the single file all the documents of a (folder) compilation are output to (see
+     * `_isCombinedOutput()`), i.e., the header of the compilation, with the extension of the output type.
+     * @private
+     */
+    const _getCombinedFileName = function (outputType) {
+        return sanitize(_mtEngine.getCompilationHeader() + '.' + outputType, {replacement: '-'});
+    };
+
+    /**
+     * Reads given `srcFilePath` and prepares its content for parsing, i.e., records and strips off its front matter,
+     * substitutes the placeholder text for empty files, resolves inclusions and converts MTF syntax to CommonMark
+     * syntax.
+     *
+     * @param   srcFilePath {string}
+     *          The path to read the source file from.
+     *
+     * @param   optionsData {object}
+     *          A configuration Object that alters various functionality in the application.
+     *
+     * @param   isBatchOperation {boolean}
+     *          Whether the file is read as part of a larger, batch operation, in which case individual progress is
+     *          not reported.
+     *
+     * @return  {string|null}
+     *          The prepared content, in CommonMark syntax, or `null` if the file is marked for exclusion or has bad
+     *          inclusions.
+     * @private
+     */
+    const _readSourceFile = function (srcFilePath, optionsData, isBatchOperation) {
+
+        // Read the file.
+        if (!isBatchOperation) {
+            _report(MESSAGE_INFO, 'processing file "' + srcFilePath + '"...');
+        }
+        const frontMatter = parseFrontMatter(Fs.readFileSync(srcFilePath, 'utf8'));
+        _mtEngine.setMetadataFor(srcFilePath, frontMatter.data);
+        let fileContent = frontMatter.body.trim();
+
+        // Make a note of empty files.
+        if (!fileContent) {
+            if (!isBatchOperation) {
+                _report(MESSAGE_NOTICE, 'no content in file: ' + srcFilePath);
+            }
+            fileContent = DEFAULT_FILE_CONTENT_PLACEHOLDER;
+            if (optionsData && optionsData.fileContentPlaceholder) {
+                fileContent = optionsData.fileContentPlaceholder;
+            }
+        }
+
+        // Do not include files that are marked for exclusion via the $$nocompile tag.
+        if (fileContent.indexOf(NO_COMPILE_TAG) == 0) {
+            if (!isBatchOperation) {
+                _report(MESSAGE_NOTICE, 'file is marked for exclusion: ' + srcFilePath);
+            }
+            return null;
+        }
+
+        // Resolve any includes the current file might carry.
+        try {
+            fileContent = _mtEngine.resolveIncludes(srcFilePath, fileContent);
+        } catch (e) {
+            _report(MESSAGE_ERROR, 'bad include(s) in file ' + srcFilePath + '. Details: ' + e);
+            return null;
+        }
+
+        // Resolve MTF syntax to CommonMark syntax.
+        return _mtEngine.resolveMTF(fileContent, srcFilePath);
+    };
+
+    /**
+     * Returns the HTML template to use for the document originating in given `srcFilePath` (see the
+     * `TemplateSelector` class). Documents depend on their template (unless it is the compilation's one) the same way
+     * they depend on the files they include (e.g., they are rebuilt when it changes).
+     *
+     * @param   srcFilePath {string}
+     *          The path of the source document; its front matter must have already been read.
+     *
+     * @return  {object|null}
+     *          The compiled template, or `null` if the selected template is missing, empty or invalid.
+     * @private
+     */
+    const _getDocumentTemplate = function (srcFilePath) {
+        const metadata = _mtEngine.getMetadataFor(srcFilePath);
+        let template;
+        try {
+            template = _templateSelector.getTemplateFor(srcFilePath, metadata);
+        } catch (e) {
+            _report(MESSAGE_ERROR, 'cannot convert file ' + srcFilePath + '. Details: ' + e.message + '.');
+            return null;
+        }
+        const templatePath = _templateSelector.getTemplatePathFor(srcFilePath, metadata);
+        (templatePath ? [templatePath] : []).concat(template.partialPaths)
+            .forEach(dependencyPath => _mtEngine.registerInclusion(dependencyPath, srcFilePath));
+        return template;
+    };
+
+    /**
+     * Reads given `srcFilePath`, converts it into the target format (based on given `optionsData`) and saves it to
+     * given `targetFilePath`.
+     *
+     * @param   srcFilePath {string}
+     *          The path to read the source file from.
+     *
+     * @param   targetFilePath {string}
+     *          The path to store the converted file to.
+     *
+     * @param   optionsData {object}
+     *          A configuration Object that alters various functionality in the application.
+     *
+     * @return  {boolean}
+     *          Returns `true` if reading, converting and saving the file succeeded.
+     * @private
+     */
+    const _processFile = function (srcFilePath, targetFilePath, optionsData) {
+
+        // Find out whether this is part of a larger, batch operation. We will not report
+        // individual progress for batch operations, as this will needlessly clutter the output
+        // (for batch operations, the user can enable the batch log generation from the options
+        // file anyway).
+        const isBatchOperation = (_settings.srcIsDirectory && _settings.targetIsDirectory);
+
+        // Read the file.
+        let fileContent = _readSourceFile(srcFilePath, optionsData, isBatchOperation);
+        if (fileContent === null) {
+            return false;
+        }
+
+        // Parse it as 'CommonMark' syntax and convert it to target format.
+        const reader = new CommonMark.Parser({smart: true})
+        let writer = null;
+        let postProcessor = null;
+        let documentTemplate = null;
+        let outputType = DEFAULT_OUTPUT_EXTENSION;
+        if (optionsData && optionsData.outputType) {
+            outputType = optionsData.outputType;
+        }
+        switch (outputType) {
+            case HTML:
+                if (!isBatchOperation) {
+                    _report(MESSAGE_INFO, 'converting file to HTML...');
+                }
+                documentTemplate = _getDocumentTemplate(srcFilePath);
+                if (documentTemplate === null) {
+                    return false;
+                }
+                writer = new CommonMark.HtmlRenderer({softbreak: "<br />"});
+                postProcessor = new HtmlTemplateProcessor(_mtEngine);
+                break;
+            case PDF:
+                if (!isBatchOperation) {
+                    _report(MESSAGE_INFO, 'converting file to PDF...');
+                }
+                postProcessor = new PdfProcessor(_mtEngine, optionsData);
+                break;
+        }
+        if (writer || postProcessor) {
+            const syntaxTree = reader.parse(fileContent);
+            if (writer) {
+                if (outputType == HTML) {
+                    const htmlSettings = (optionsData && optionsData.htmlSettings) || {};
+                    const headings = collectHeadings(syntaxTree, htmlSettings.slugStyle || DEFAULT_SLUG_STYLE);
+                    addHeadingIds(writer, headings);
+                    if (htmlSettings.headingPermalinks) {
+                        const minLevel = htmlSettings.permalinkMinLevel || DEFAULT_PERMALINK_MIN_LEVEL;
+                        const maxLevel = htmlSettings.permalinkMaxLevel || DEFAULT_PERMALINK_MAX_LEVEL;
+                        addHeadingPermalinks(writer, headings.filter(heading => heading.level >= minLevel &&
+                            heading.level <= maxLevel), htmlSettings.permalinkTemplate || DEFAULT_PERMALINK_TEMPLATE);
+                    }
+                    const mustHighlightCode = ('highlightCode' in htmlSettings) ? !!htmlSettings.highlightCode :
+                        DEFAULT_CODE_HIGHLIGHTING;
+                    if (mustHighlightCode) {
+                        addCodeHighlighting(writer, ('codeLineNumbers' in htmlSettings) ?
+                            !!htmlSettings.codeLineNumbers : DEFAULT_CODE_LINE_NUMBERING);
+                    }
+                }
+                fileContent = writer.render(syntaxTree);
+                if (_searchIndexBuilder) {
+                    _searchIndexBuilder.addDocument(srcFilePath, targetFilePath, syntaxTree);
+                }
+            }
+            if (postProcessor) {
+                fileContent = postProcessor.process(srcFilePath, syntaxTree, fileContent, documentTemplate,
+                    optionsData);
+            }
+            if (!isBatchOperation) {
+                _report(MESSAGE_INFO, 'conversion done.');
+            }
+        }
+
+        // Save the file.
+        ensureParentDirs(targetFilePath);
+        Fs.writeFileSync(targetFilePath, fileContent);
+        if (!isBatchOperation) {
+            _report(MESSAGE_INFO, 'file saved as "' + targetFilePath + '"');
+        }
+        return true;
+    };
+
+    /**
+     * Processes one source document via `_processFile()`, and records the outcome in the current build result.
+     *
+     * @return  {boolean}
+     *          Returns `true` if the document was converted.
+     * @private
+     */
+    const _convertFile = function (srcFilePath, targetFilePath, optionsData) {
+        const numErrors = _result.errors.length;
+        const success = _processFile(srcFilePath, targetFilePath, optionsData);
+        _recordFile(srcFilePath, targetFilePath, success ? FILE_CONVERTED :
+            (_result.errors.length > numErrors) ? FILE_FAILED : FILE_SKIPPED);
+        return success;
+    };
+
+    /**
+     * Reads the information a document contributes to the compilation index, i.e., its header, whether it is marked
+     * for exclusion and its front matter.
+     *
+     * @param   srcFilePath {string}
+     *          The path of the source document.
+     *
+     * @return  {object}
+     *          Object with the fields `docHeader` (as returned by `getDocumentHeader()`), `isExcluded` and `metadata`.
+     * @private
+     */
+    const _readIndexInfo = function (srcFilePath) {
+        const docHeader = getDocumentHeader(srcFilePath, [NO_COMPILE_TAG]);
+        const firstLine = getDocumentHeader(srcFilePath, []);
+        return {
+            docHeader: docHeader,
+            isExcluded: !!firstLine && (firstLine.trim().indexOf(NO_COMPILE_TAG) == 0),
+            metadata: readFrontMatter(srcFilePath)
+        };
+    };
+
+    /**
+     * Produces a "signature" of the information a document contributes to the compilation index (and thus to the
+     * generated navigation). When a document's signature changes, all pages need to be rebuilt.
+     *
+     * @param   docHeader {string|null}
+     *          The header of the document, as returned by `getDocumentHeader()`.
+     *
+     * @param   isExcluded {boolean}
+     *          Whether the document is marked for exclusion.
+     *
+     * @param   metadata {object}
+     *          The front matter of the document.
+     *
+     * @return  {string}
+     * @private
+     */
+    const _getIndexSignature = function (docHeader, isExcluded, metadata) {
+        return JSON.stringify([docHeader, isExcluded, metadata]);
+    };
+
+    /**
+     * Tells whether given `filePath` configures the compilation (i.e., is an HTML template, a partial, or an options
+     * file), rather than being content or an asset.
+     *
+     * @param   filePath {string}
+     *          Absolute path of a file in the <source> folder.
+     *
+     * @return  {boolean}
+     * @private
+     */
+    const _isConfigurationFile = function (filePath) {
+        return _settings.optionsPaths.includes(filePath) ||
+            !!(_templateSelector && _templateSelector.isTemplateFile(filePath));
+    };
+
+    /**
+     * Produces a "signature" of the navigation tree of the current compilation. Since every page embeds (parts of)
+     * the navigation, when this signature changes, no previously compiled page can be reused.
+     *
+     * @return  {string}
+     * @private
+     */
+    const _getNavigationSignature = function () {
+        return JSON.stringify(_mtEngine.getNavigationTree(), (key, value) => (key == 'mTime') ? undefined : value);
+    };
+
+    /**
+     * Writes the navigation tree of the current compilation, as JSON, to the "navigation.json" file (see
+     * `getNavigationData()` in the MetaTextEngine class). Its URLs are relative to the root of the <target> folder.
+     *
+     * @return  {string[]}
+     *          The paths of the written files.
+     * @private
+     */
+    const _writeNavigationFile = function () {
+        Fs.writeFileSync(_navigationFilePath, JSON.stringify(_mtEngine.getNavigationData(), null, '\t'));
+        return [_navigationFilePath];
+    };
+
+    /**
+     * Copies the assets that given compiled pages reference (see `findReferencedAssets()` in the `link-checker` module)
+     * and that were not copied yet to the <target> folder, preserving their paths relative to the <source> folder.
+     * Used instead of copying all the assets, if the "passThroughAssets" setting is "referenced".
+     *
+     * @param   pages {object[]}
+     *          The compiled pages to search for references, as Objects with the fields: `srcFilePath`,
+     *          `targetFilePath` and `includedFilePaths`.
+     *
+     * @return  {object}
+     *          Object with the fields: `assetPaths` (the assets copied), `copiedPaths` (the paths they were copied to)
+     *          and `missingAssets` (the references to files that are neither assets nor produced by the compilation;
+     *          their `filePath` is where the file was expected in the <source> folder).
+     * @private
+     */
+    const _copyReferencedAssets = function (pages) {
+        const {srcPath, targetPath} = _settings;
+        const assets = new Map(_indexedAssetPaths.map(assetPath =>
+            [_inferTargetFilePath(assetPath, targetPath, null, srcPath), assetPath]));
+        const {assetPaths, missingAssets} = findReferencedAssets(pages, assets,
+            _producedFilePaths.concat(_generatedFilePaths));
+        const newAssetPaths = assetPaths.filter(assetPath => !_referencedAssetPaths.includes(assetPath));
+        const copiedPaths = newAssetPaths.map(assetPath => {
+            const targetAssetPath = _inferTargetFilePath(assetPath, targetPath, null, srcPath);
+            ensureParentDirs(targetAssetPath);
+            Fs.copyFileSync(assetPath, targetAssetPath);
+            _referencedAssetPaths.push(assetPath);
+            return targetAssetPath;
+        });
+        return {
+            assetPaths: newAssetPaths,
+            copiedPaths: copiedPaths,
+            missingAssets: missingAssets.map(asset => Object.assign({}, asset, {
+                filePath: Path.resolve(srcPath, Path.relative(targetPath, asset.filePath))
+            }))
+        };
+    };
+
+    /**
+     * Reports each of given references to missing assets (see `_copyReferencedAssets()`) as a warning.
+     * @private
+     */
+    const _reportMissingAssets = function (missingAssets) {
+        missingAssets.forEach(asset => _report(MESSAGE_WARNING, 'referenced asset not found: "' + asset.filePath +
+            '" (linked as "' + asset.url + '"), ' + _describeLinkLocation(asset)));
+    };
+
+    /**
+     * Describes where given broken link (or reference to a missing asset) was authored, for reporting.
+     *
+     * @param   link {object}
+     *          Object with the fields `srcFilePath` and `location` (see `checkLinks()` in the `link-checker` module).
+     *
+     * @return  {string}
+     * @private
+     */
+    const _describeLinkLocation = function (link) {
+        return link.location ? 'in "' + link.location.filePath + '", line ' + link.location.lineNumber + ':\n    ' +
+            link.location.line : 'in the page compiled from "' + link.srcFilePath +
+            '" (not found in its source; the link might come from the HTML template)';
+    };
+
+    /**
+     * Handles all preliminary I/O and batch logic, e.g., resolves source and target (final) file names, filters and
+     * visits source files in succession, etc. Does not actually parse, generate or store any file (except for the
+     * batch log) but delegates all actual work to `_processFile()`, which is going to take care of each source file
+     * individually.
+     *
+     * @returns {boolean}
+     *          Returns `true` if, overall, the process is to be deemed a success; returns `false` otherwise.
+     * @private
+     */
+    const _compile = function () {
+        const {srcPath, targetPath, optionsData, srcIsDirectory, targetIsDirectory} = _settings;
+        _mtEngine = new MetaTextEngine(srcPath, targetPath, optionsData, text => _report(MESSAGE_WARNING, text));
+        _indexSignatures = {};
+        _indexedAssetPaths = [];
+        _producedFilePaths = [];
+        _generatedFilePaths = [];
+        _referencedAssetPaths = null;
+        _searchIndexBuilder = null;
+        _sitemapBuilder = null;
+        _navigationFilePath = null;
+        _templateSelector = null;
+
+        // If we are exporting in HTML format, we are going to need an HTML template, either the built-in one, or a
+        // custom one, provided by the user via the options files' "templateFile" field (or directly, via the build
+        // parameters). If the later is the case, we need to make sure that the user-supplied template exists and is
+        // not empty.
+        let outputType = DEFAULT_OUTPUT_EXTENSION;
+        if (optionsData && optionsData.outputType) {
+            outputType = optionsData.outputType;
+        }
+        if (outputType == HTML) {
+            _htmlTemplate = DEFAULT_HTML_TEMPLATE;
+            _htmlTemplatePath = null;
+            const usageErrorCallback = text => _report(MESSAGE_ERROR, text, true);
+            if (typeof params.template == 'string') {
+                _htmlTemplate = params.template.trim();
+            } else if (optionsData && optionsData.htmlSettings && optionsData.htmlSettings.templateFile) {
+                _htmlTemplatePath = ensureAbsUri(optionsData.htmlSettings.templateFile, usageErrorCallback);
+            }
+            if (_htmlTemplatePath) {
+                if (!Fs.existsSync(_htmlTemplatePath)) {
+                    usageErrorCallback('custom HTML template not found: ' + _htmlTemplatePath);
+                    return false;
+                }
+                _htmlTemplate = Fs.readFileSync(_htmlTemplatePath, 'utf8').trim();
+            }
+            if (!_htmlTemplate) {
+                _report(MESSAGE_ERROR, 'custom HTML template is empty' +
+                    (_htmlTemplatePath ? ': ' + _htmlTemplatePath : '') + '.');
+                return false;
+            }
+            _templateSelector = new TemplateSelector(srcIsDirectory ? srcPath : null, _htmlTemplate,
+                _htmlTemplatePath, optionsData);
+            const templateRulesProblem = _templateSelector.validate();
+            if (templateRulesProblem) {
+                usageErrorCallback(templateRulesProblem);
+                return false;
+            }
+            try {
+                _templateSelector.getDefaultTemplate();
+            } catch (e) {
+                _report(MESSAGE_ERROR, 'invalid HTML template. Details: ' + e.message + '.');
+                return false;
+            }
+        }
+
+        // EPUB publications are compilations of their own, so a single document cannot make one.
+        if (outputType == EPUB && !srcIsDirectory) {
+            _report(MESSAGE_ERROR, 'EPUB output requires a <source> folder, not a file', true);
+            return false;
+        }
+
+        // CASES:
+        // 1. <source> is a file and <target> is a (non-existing) file: parse <source> and store it as <target>.
+        if (!srcIsDirectory && !targetIsDirectory) {
+            return _convertFile(srcPath, targetPath, optionsData);
+        }
+
+        // 2. <source> is a file and <target> is a folder: parse <source> and store it inside <target> with same name
+        //    and changed extension.
+        let targetFileExtension = DEFAULT_OUTPUT_EXTENSION;
+        if (optionsData && optionsData.outputType) {
+            targetFileExtension = optionsData.outputType;
+        }
+        if (!srcIsDirectory && targetIsDirectory) {
+            const resolvedTargetPath = _inferTargetFilePath(srcPath, targetPath, targetFileExtension);
+            return _convertFile(srcPath, resolvedTargetPath, optionsData);
+        }
+
+        // 3. <source> is a folder (and target is also a folder, because the arguments validator will not accept other
+        //    variant): iterate through <source> files having applicable types, parse each one, and respectively store
+        //    them inside <target> with same name and changed extension.
+        if (srcIsDirectory && targetIsDirectory) {
+
+            // Setup reports.
+            const batchLog = {'operations': [], 'summary': ''};
+            const $ = {numSuccess: 0, numUpToDate: 0, numSkipped: 0, numRemoved: 0, numTotal: 0};
+            const htmlSettings = (optionsData && optionsData.htmlSettings) || {};
+            let brokenLinks = [];
+            let missingAssets = [];
+
+            // Define file types to include
+            let fileTypesToParse = DEFAULT_SRC_FILE_TYPES;
+            if (optionsData && optionsData.sourceFileTypes && optionsData.sourceFileTypes.length) {
+                fileTypesToParse = optionsData.sourceFileTypes;
+            }
+
+            // Do a preflight to gather intel about all documents before actually processing them. This enables
+            // generating various dynamic content, such as a navigation tree.
+            const fullFileSet = fileTypesToParse.concat();
+            fullFileSet.push(DIR, ROOT);
+            const visitedSkippedPaths = visitFilesInFolder(srcPath, fullFileSet,
+                function (currSrcPath, currName, currExtension, createdOn, modifiedOn) {
+                    if (_isConfigurationFile(currSrcPath)) {
+                        return;
+                    }
+                    switch (currExtension) {
+                        case ROOT:
+                            _mtEngine.addRootToIndex(currSrcPath, currName, createdOn, modifiedOn);
+                            break;
+                        case DIR:
+                            _mtEngine.addDirectoryToIndex(currSrcPath, currName, createdOn, modifiedOn);
+                            break;
+                        default:
+                            const {docHeader, isExcluded, metadata} = _readIndexInfo(currSrcPath);
+                            _mtEngine.addFileToIndex(currSrcPath, currName, currExtension, createdOn, modifiedOn,
+                                docHeader, isExcluded, metadata);
+                            _indexSignatures[currSrcPath] = _getIndexSignature(docHeader, isExcluded, metadata);
+                            if (_templateSelector) {
+                                _templateSelector.getTemplatePathFor(currSrcPath, metadata);
+                            }
+                            break;
+                    }
+                });
+
+            // Templates (and their partials) and options files are neither content, nor assets.
+            if (_templateSelector) {
+                _templateSelector.preload();
+            }
+            const skippedFilePaths = (visitedSkippedPaths || []).filter(skippedPath =>
+                !_isConfigurationFile(skippedPath));
+
+            // When building the index we need to account for any skipped files and  explicitly exclude their parent
+            // folders, or else these will show in the generated navigation (because we allow for empty folders to be
+            // used as separators).
+            _mtEngine.buildIndex(skippedFilePaths);
+            _indexedAssetPaths = (skippedFilePaths || []).concat();
+
+            // If requested, we will only rebuild the documents that changed since the previous compilation (as
+            // recorded in the build manifest), and delete the output that is no longer produced.
+            let buildManifest = null;
+            if (params.incremental) {
+                buildManifest = new BuildManifest(srcPath, targetPath, text => _report(MESSAGE_NOTICE, text));
+                buildManifest.load();
+                buildManifest.setInputs({
+                    'generator': PROGRAM_NAME + ' ' + PROGRAM_VERSION,
+                    'options': JSON.stringify(optionsData || {}),
+                    'template': (outputType == HTML) ? _htmlTemplate : '',
+                    'navigation': _getNavigationSignature()
+                });
+            }
+
+            // If requested (via the options file), we will copy all unprocessable files (assumed to be assets) from the
+            // <source> to the <target> directory (or, for EPUB output, package them along with the documents). For
+            // HTML output, we can also copy only the assets the compiled pages reference, once these are known.
+            const copiedAssetPaths = [];
+            const mustPassThroughAssets = !!(optionsData && optionsData.htmlSettings &&
+                optionsData.htmlSettings.passThroughAssets);
+            if (outputType == HTML && htmlSettings.passThroughAssets == REFERENCED_ASSETS) {
+                _referencedAssetPaths = [];
+            }
+            const copyReferencedAssets = function (pages) {
+                const {copiedPaths, missingAssets: currMissingAssets} = _copyReferencedAssets(pages);
+                copiedAssetPaths.push(...copiedPaths);
+                _result.outputPaths.push(...copiedPaths);
+                if (buildManifest) {
+                    copiedPaths.forEach(buildManifest.addOutput);
+                }
+                missingAssets = currMissingAssets;
+            };
+            if (mustPassThroughAssets && outputType != EPUB && !_referencedAssetPaths && skippedFilePaths &&
+                skippedFilePaths.length) {
+                skippedFilePaths.forEach(function (assetFilePath) {
+                    var targetAssetPath = _inferTargetFilePath(assetFilePath, targetPath, null, srcPath);
+                    ensureParentDirs(targetAssetPath);
+                    Fs.copyFileSync(assetFilePath, targetAssetPath);
+                    copiedAssetPaths.push(targetAssetPath);
+                    if (buildManifest) {
+                        buildManifest.addOutput(targetAssetPath);
+                    }
+                });
+            }
+            _result.outputPaths.push(...copiedAssetPaths);
+
+            // If requested (via the options file), we will lay out all the documents as one single PDF file (or HTML
+            // page), in the order of the navigation tree. EPUB publications always hold all the documents.
+            const mustCheckLinks = ('checkLinks' in htmlSettings) ? !!htmlSettings.checkLinks : DEFAULT_LINK_CHECKING;
+            if (_isCombinedOutput(optionsData)) {
+                const reader = new CommonMark.Parser({smart: true});
+                const combinedFileName = _getCombinedFileName(outputType);
+                const combinedFilePath = Path.resolve(targetPath, combinedFileName);
+                const combinedSrcPaths = [];
+                const syntaxTreeProvider = function (currSrcPath) {
+                    const numErrors = _result.errors.length;
+                    const currContent = _readSourceFile(currSrcPath, optionsData, true);
+                    const currOperationResult = (currContent !== null);
+                    batchLog.operations.push({
+                        'source file': currSrcPath,
+                        'destination file': combinedFilePath,
+                        'file was included': currOperationResult
+                    });
+                    _recordFile(currSrcPath, combinedFilePath, currOperationResult ? FILE_CONVERTED :
+                        (_result.errors.length > numErrors) ? FILE_FAILED : FILE_SKIPPED);
+                    if (currOperationResult) {
+                        combinedSrcPaths.push(currSrcPath);
+                        $.numSuccess++;
+                    } else {
+                        $.numSkipped++;
+                    }
+                    $.numTotal++;
+                    return currOperationResult ? reader.parse(currContent) : null;
+                };
+                let combinedContent;
+                switch (outputType) {
+                    case PDF:
+                        combinedContent = new PdfProcessor(_mtEngine, optionsData).processCompilation(
+                            _mtEngine.getNavigationTree(), syntaxTreeProvider);
+                        break;
+                    case EPUB:
+                        combinedContent = new EpubProcessor(_mtEngine, optionsData).processCompilation(
+                            _mtEngine.getNavigationTree(), syntaxTreeProvider,
+                            mustPassThroughAssets ? skippedFilePaths : []);
+                        break;
+                    default:
+                        combinedContent = new HtmlTemplateProcessor(_mtEngine).processCompilation(
+                            _mtEngine.getNavigationTree(), syntaxTreeProvider, _templateSelector.getDefaultTemplate(),
+                            combinedFileName, optionsData);
+                        break;
+                }
+                Fs.writeFileSync(combinedFilePath, combinedContent);
+                _producedFilePaths.push(combinedFilePath);
+                if (!_result.outputPaths.includes(combinedFilePath)) {
+                    _result.outputPaths.push(combinedFilePath);
+                }
+                if (buildManifest) {
+                    buildManifest.addOutput(combinedFilePath);
+                }
+
+                // Links are checked (and referenced assets copied) as for any other page; the page is deemed compiled
+                // from all its documents.
+                const combinedPages = (outputType == HTML && combinedSrcPaths.length) ? [{
+                    srcFilePath: combinedSrcPaths[0],
+                    targetFilePath: combinedFilePath,
+                    includedFilePaths: combinedSrcPaths.slice(1).concat(...combinedSrcPaths.map(
+                        combinedSrcPath => _mtEngine.getFilesIncludedBy(combinedSrcPath)))
+                }] : [];
+                if (_referencedAssetPaths) {
+                    copyReferencedAssets(combinedPages);
+                }
+                if (mustCheckLinks && combinedPages.length) {
+                    brokenLinks = checkLinks(combinedPages, _producedFilePaths.concat(copiedAssetPaths));
+                }
+            }
+
+            // Actually iterate through all the files in the source path and process each one of them in turn. Unless
+            // disabled via the options file, we also gather a search index of all the HTML documents we produce and,
+            // if the site URL is known, a sitemap.
+            else {
+                const producedPages = [];
+                const mustBuildSearchIndex = ('generateSearchIndex' in htmlSettings) ?
+                    !!htmlSettings.generateSearchIndex : DEFAULT_SEARCH_INDEX_GENERATION;
+                if (outputType == HTML && mustBuildSearchIndex) {
+                    _searchIndexBuilder = new SearchIndexBuilder(_mtEngine, targetPath,
+                        htmlSettings.slugStyle || DEFAULT_SLUG_STYLE);
+                }
+                if (outputType == HTML && htmlSettings.siteUrl) {
+                    _sitemapBuilder = new SitemapBuilder(_mtEngine, targetPath, htmlSettings.siteUrl,
+                        copiedAssetPaths);
+                }
+
+                // Unless disabled via the options file (or provided by the <source> folder), we also write the
+                // navigation tree as JSON, for custom navigation to be built from.
+                const mustWriteNavigation = ('generateNavigationJson' in htmlSettings) ?
+                    !!htmlSettings.generateNavigationJson : DEFAULT_NAVIGATION_JSON_GENERATION;
+                const navigationFilePath = Path.join(targetPath, NAVIGATION_FILE_NAME);
+                if (outputType == HTML && mustWriteNavigation && !copiedAssetPaths.includes(navigationFilePath)) {
+                    _navigationFilePath = navigationFilePath;
+                }
+                visitFilesInFolder(srcPath, fileTypesToParse,
+                    function (currSrcPath) {
+                        if (_isConfigurationFile(currSrcPath)) {
+                            return;
+                        }
+                        let currTargetPath = _inferTargetFilePath(currSrcPath, targetPath, targetFileExtension, srcPath);
+                        const currIsUpToDate = !!buildManifest && buildManifest.isUpToDate(currSrcPath, currTargetPath);
+                        let currOperationResult = true;
+                        if (currIsUpToDate) {
+
+                            // The output is reused, but the document still needs to be known to the search index,
+                            // and its inclusions must still be tracked (in case we are watching).
+                            buildManifest.getPreviousInclusionsOf(currSrcPath).forEach(includedPath =>
+                                _mtEngine.registerInclusion(includedPath, currSrcPath));
+                            if (_searchIndexBuilder) {
+                                const currContent = _readSourceFile(currSrcPath, optionsData, true);
+                                if (currContent !== null) {
+                                    _searchIndexBuilder.addDocument(currSrcPath, currTargetPath,
+                                        new CommonMark.Parser({smart: true}).parse(currContent));
+                                }
+                            }
+                            _recordFile(currSrcPath, currTargetPath, FILE_UP_TO_DATE);
+                        } else {
+                            currOperationResult = _convertFile(currSrcPath, currTargetPath, optionsData);
+                        }
+                        const currOperation = {
+                            'source file': currSrcPath,
+                            'destination file': currTargetPath,
+                            'file was included': currOperationResult
+                        };
+                        if (buildManifest) {
+                            currOperation['file was up to date'] = currIsUpToDate;
+                        }
+                        batchLog.operations.push(currOperation);
+                        if (currOperationResult) {
+                            _producedFilePaths.push(currTargetPath);
+                            if (_sitemapBuilder) {
+                                _sitemapBuilder.addDocument(currSrcPath);
+                            }
+                            producedPages.push({
+                                srcFilePath: currSrcPath,
+                                targetFilePath: currTargetPath,
+                                includedFilePaths: _mtEngine.getFilesIncludedBy(currSrcPath)
+                            });
+                            if (buildManifest) {
+                                buildManifest.addDocument(currSrcPath, currTargetPath,
+                                    _mtEngine.getFilesIncludedBy(currSrcPath));
+                            }
+                            if (currIsUpToDate) {
+                                $.numUpToDate++;
+                            } else {
+                                $.numSuccess++;
+                            }
+                        } else {
+                            $.numSkipped++;
+                        }
+                        $.numTotal++;
+                    });
+                if (_searchIndexBuilder) {
+                    const indexFilePaths = _searchIndexBuilder.write();
+                    _generatedFilePaths.push(...indexFilePaths);
+                    _result.outputPaths.push(...indexFilePaths);
+                    if (buildManifest) {
+                        indexFilePaths.forEach(buildManifest.addOutput);
+                    }
+                }
+                if (_sitemapBuilder) {
+                    const sitemapFilePaths = _sitemapBuilder.write();
+                    _generatedFilePaths.push(...sitemapFilePaths);
+                    _result.outputPaths.push(...sitemapFilePaths);
+                    if (buildManifest) {
+                        sitemapFilePaths.forEach(buildManifest.addOutput);
+                    }
+                }
+                if (_navigationFilePath) {
+                    const navigationFilePaths = _writeNavigationFile();
+                    _generatedFilePaths.push(...navigationFilePaths);
+                    _result.outputPaths.push(...navigationFilePaths);
+                    if (buildManifest) {
+                        navigationFilePaths.forEach(buildManifest.addOutput);
+                    }
+                }
+
+                // If requested, we copy the assets the HTML documents we produced reference. Unless disabled via the
+                // options file, we also validate their links, against everything we produced.
+                if (_referencedAssetPaths) {
+                    copyReferencedAssets(producedPages);
+                }
+                if (outputType == HTML && mustCheckLinks) {
+                    brokenLinks = checkLinks(producedPages,
+                        _producedFilePaths.concat(copiedAssetPaths, _generatedFilePaths));
+                }
+            }
+
+            // Remove the output of the previous compilation that is no longer produced, and record the current one.
+            if (buildManifest) {
+                buildManifest.getStaleOutputs().forEach(staleFilePath => {
+                    Fs.unlinkSync(staleFilePath);
+                    _result.removedPaths.push(staleFilePath);
+                    $.numRemoved++;
+                });
+                buildManifest.write();
+            }
+
+            // Produce the report and batch log.
+            const timestamp = (new Date()).toUTCString();
+            const summary = ('Finished batch processing ' + $.numTotal + ' file(s) on ' + timestamp +
+                '. Successfully converted: ' + $.numSuccess + ', skipped: ' + $.numSkipped +
+                (buildManifest ? ', up to date: ' + $.numUpToDate + ', removed: ' + $.numRemoved : '') + '.');
+            batchLog.summary = summary;
+            _result.summary = summary;
+            _result.brokenLinks = brokenLinks;
+            _report(MESSAGE_INFO, summary);
+            if (brokenLinks.length) {
+                _report(MESSAGE_INFO, 'Found ' + brokenLinks.length + ' broken link(s):');
+                brokenLinks.forEach(link => {
+                    _report(MESSAGE_INFO, '- "' + link.url + '" (' + link.problem + '), ' +
+                        _describeLinkLocation(link));
+                });
+                batchLog.brokenLinks = brokenLinks.map(link => ({
+                    'source file': link.srcFilePath,
+                    'destination file': link.targetFilePath,
+                    'link': link.url,
+                    'problem': link.problem,
+                    'authored in': link.location ? link.location.filePath : null,
+                    'line number': link.location ? link.location.lineNumber : null,
+                    'line': link.location ? link.location.line : null
+                }));
+            }
+            if (_referencedAssetPaths) {
+                const unreferencedAssetPaths = _indexedAssetPaths.filter(assetPath =>
+                    !_referencedAssetPaths.includes(assetPath));
+                _result.missingAssets = missingAssets;
+                _result.unreferencedAssets = unreferencedAssetPaths;
+                _reportMissingAssets(missingAssets);
+                if (missingAssets.length) {
+                    batchLog.missingAssets = missingAssets.map(asset => ({
+                        'source file': asset.srcFilePath,
+                        'destination file': asset.targetFilePath,
+                        'link': asset.url,
+                        'missing file': asset.filePath,
+                        'authored in': asset.location ? asset.location.filePath : null,
+                        'line number': asset.location ? asset.location.lineNumber : null,
+                        'line': asset.location ? asset.location.line : null
+                    }));
+                }
+                if (unreferencedAssetPaths.length) {
+                    _report(MESSAGE_WARNING, unreferencedAssetPaths.length + ' asset(s) in the <source> folder are ' +
+                        'not referenced by any document, and were not copied' + ((optionsData &&
+                        optionsData.outputBatchLog) ? ' (see the batch log)' : ''));
+                    batchLog.unreferencedAssets = unreferencedAssetPaths;
+                }
+            }
+            if (optionsData && optionsData.outputBatchLog) {
+                const logFileName = sanitize(LOG_FILE_NAME.replace('%s', timestamp), {replacement: '-'});
+                const logFilePath = Path.resolve(targetPath, logFileName);
+                Fs.writeFileSync(logFilePath, JSON.stringify(batchLog, null, '\t'));
+                _result.outputPaths.push(logFilePath);
+            }
+            const mustFailOnBrokenLinks = ('failOnBrokenLinks' in htmlSettings) ?
+                !!htmlSettings.failOnBrokenLinks : DEFAULT_BROKEN_LINKS_FAILING;
+            if (brokenLinks.length && mustFailOnBrokenLinks) {
+                _report(MESSAGE_ERROR, 'broken links found (see the "failOnBrokenLinks" setting).');
+                return false;
+            }
+            return ($.numSuccess + $.numUpToDate > 0);
+        }
+        return false;
+    };
+
+    /**
+     * Works out what needs to be rebuilt after the given files changed on disk.
+     *
+     * @param   changedPaths {string[]}
+     *          Absolute paths of the files (or folders) that were reported as changed, added or removed.
+     *
+     * @return  {object}
+     *          Object with the fields `mustRebuildAll` (boolean), `mustReloadOptions` (boolean), `documents` (paths of
+     *          the source documents to rebuild individually) and `assets` (paths of the assets to copy over again).
+     * @private
+     */
+    const _classifyChanges = function (changedPaths) {
+        const {srcPath, targetPath, optionsPaths, optionsData, srcIsDirectory} = _settings;
+        const plan = {mustRebuildAll: false, mustReloadOptions: false, documents: [], assets: []};
+        let fileTypesToParse = DEFAULT_SRC_FILE_TYPES;
+        if (optionsData && optionsData.sourceFileTypes && optionsData.sourceFileTypes.length) {
+            fileTypesToParse = optionsData.sourceFileTypes;
+        }
+        changedPaths.forEach(changedPath => {
+            const exists = Fs.existsSync(changedPath);
+            if (optionsPaths.includes(changedPath)) {
+                plan.mustReloadOptions = true;
+                plan.mustRebuildAll = true;
+                return;
+            }
+            if (changedPath == _htmlTemplatePath || !srcIsDirectory) {
+                plan.mustRebuildAll = true;
+                return;
+            }
+
+            // Ignore our own output, in case the <target> lives inside the <source>.
+            if (changedPath == targetPath || changedPath.indexOf(targetPath + Path.sep) == 0) {
+                return;
+            }
+            if (changedPath == srcPath || (exists && Fs.lstatSync(changedPath).isDirectory())) {
+                plan.mustRebuildAll = true;
+                return;
+            }
+            const extension = Path.extname(changedPath).replace(/^\./, '');
+            if (fileTypesToParse.includes(extension)) {
+                if (!exists || !(changedPath in _indexSignatures)) {
+                    plan.mustRebuildAll = true;
+                    return;
+                }
+                const {docHeader, isExcluded, metadata} = _readIndexInfo(changedPath);
+                if (_getIndexSignature(docHeader, isExcluded, metadata) != _indexSignatures[changedPath]) {
+                    plan.mustRebuildAll = true;
+                    return;
+                }
+                [changedPath].concat(_mtEngine.getDocumentsIncluding(changedPath)).forEach(docPath => {
+                    if (!plan.documents.includes(docPath)) {
+                        plan.documents.push(docPath);
+                    }
+                });
+                return;
+            }
+
+            // Files the documents depend on, other than documents (e.g., templates they point to) rebuild them.
+            const includingDocuments = _mtEngine.getDocumentsIncluding(changedPath);
+            if (exists && includingDocuments.length) {
+                includingDocuments.forEach(docPath => {
+                    if (!plan.documents.includes(docPath)) {
+                        plan.documents.push(docPath);
+                    }
+                });
+                if (!_indexedAssetPaths.includes(changedPath)) {
+                    return;
+                }
+            }
+
+            // Assets influence the navigation (their folders are hidden), so only edits can be handled incrementally.
+            if (!exists || !_indexedAssetPaths.includes(changedPath)) {
+                plan.mustRebuildAll = true;
+                return;
+            }
+            plan.assets.push(changedPath);
+        });
+
+        // In "combined" mode all documents share one output file, so they are always processed together.
+        if (_isCombinedOutput(optionsData) && (plan.documents.length || plan.assets.length)) {
+            plan.mustRebuildAll = true;
+        }
+        return plan;
+    };
+
+    /**
+     * Carries out a rebuild, as planned by `_classifyChanges()`.
+     *
+     * @param   plan {object}
+     *          The rebuild plan.
+     *
+     * @return  {boolean}
+     *          Returns `true` if the rebuild succeeded.
+     * @private
+     */
+    const _rebuild = function (plan) {
+        if (plan.mustReloadOptions) {
+            const options = reloadOptions(_settings.optionsPath, params.overrides,
+                text => _report(MESSAGE_ERROR, text, true));
+            if (!options) {
+                _report(MESSAGE_INFO, 'Rebuild skipped; fix the <options file> and save it again.');
+                return false;
+            }
+            _settings.optionsPaths = options.optionsPaths;
+            _settings.optionsData = options.optionsData;
+        }
+        const {srcPath, targetPath, optionsData, srcIsDirectory, targetIsDirectory} = _settings;
+
+        // Rebuild everything, then remove the output of documents that are gone (or renamed, or now excluded).
+        if (plan.mustRebuildAll) {
+            _report(MESSAGE_INFO, 'Rebuilding all documents...');
+            const previousFilePaths = _producedFilePaths;
+            const success = _compile();
+            if (srcIsDirectory && targetIsDirectory) {
+                previousFilePaths
+                    .filter(filePath => !_producedFilePaths.includes(filePath) && Fs.existsSync(filePath))
+                    .forEach(filePath => {
+                        Fs.unlinkSync(filePath);
+                        _result.removedPaths.push(filePath);
+                    });
+            }
+            _report(MESSAGE_INFO, success ? 'Rebuild done.' : 'Rebuild failed.');
+            return success;
+        }
+
+        // Rebuild individual documents (reading their templates anew, in case these changed).
+        if (_templateSelector) {
+            _templateSelector.clearCache();
+        }
+        let outputType = DEFAULT_OUTPUT_EXTENSION;
+        if (optionsData && optionsData.outputType) {
+            outputType = optionsData.outputType;
+        }
+        plan.documents.forEach(docPath => {
+            const targetFilePath = _inferTargetFilePath(docPath, targetPath, outputType, srcPath);
+            _mtEngine.updateFileMTime(docPath, Fs.lstatSync(docPath).mtimeMs);
+            const success = _convertFile(docPath, targetFilePath, optionsData);
+            _report(MESSAGE_INFO, (success ? 'Rebuilt: ' : 'Skipped: ') + docPath);
+        });
+        if (plan.documents.length && _searchIndexBuilder) {
+            _result.outputPaths.push(..._searchIndexBuilder.write());
+        }
+        if (plan.documents.length && _sitemapBuilder) {
+            _result.outputPaths.push(..._sitemapBuilder.write());
+        }
+        if (plan.documents.length && _navigationFilePath) {
+            _result.outputPaths.push(..._writeNavigationFile());
+        }
+        if (_referencedAssetPaths && plan.documents.length) {
+            const {assetPaths, copiedPaths, missingAssets} = _copyReferencedAssets(plan.documents.map(docPath => ({
+                srcFilePath: docPath,
+                targetFilePath: _inferTargetFilePath(docPath, targetPath, outputType, srcPath),
+                includedFilePaths: _mtEngine.getFilesIncludedBy(docPath)
+            })));
+            _result.outputPaths.push(...copiedPaths);
+            assetPaths.forEach(assetPath => _report(MESSAGE_INFO, 'Copied: ' + assetPath));
+            _reportMissingAssets(missingAssets);
+        }
+        if (optionsData && optionsData.htmlSettings && optionsData.htmlSettings.passThroughAssets) {
+            plan.assets.filter(assetPath => !_referencedAssetPaths || _referencedAssetPaths.includes(assetPath))
+                .forEach(assetPath => {
+                    const targetAssetPath = _inferTargetFilePath(assetPath, targetPath, null, srcPath);
+                    ensureParentDirs(targetAssetPath);
+                    Fs.copyFileSync(assetPath, targetAssetPath);
+                    _result.outputPaths.push(targetAssetPath);
+                    _report(MESSAGE_INFO, 'Copied: ' + assetPath);
+                });
+        }
+        return (_result.errors.length == 0);
+    };
+
+    /**
+     * Registers a listener for one of the events this class dispatches (see above).
+     *
+     * @param   eventName {string}
+     *          "message" or "progress".
+     *
+     * @param   listener {function}
+     *          Function to call with the event details.
+     *
+     * @return  {Builder}
+     *          This instance, for chaining.
+     */
+    this.on = function (eventName, listener) {
+        _emitter.on(eventName, listener);
+        return this;
+    };
+
+    /**
+     * Compiles the <source> into the <target>. The build parameters are validated upon the first call; later calls
+     * compile again (into the same, now non-empty <target>).
+     *
+     * @return  {object}
+     *          The build result, an Object with the fields:
+     *          - success {boolean}: whether, overall, the build is to be deemed a success;
+     *          - files {object[]}: one Object for every source document, with the fields `srcFilePath`,
+     *            `targetFilePath` and `status` (one of "converted", "upToDate", "skipped" or "failed");
+     *          - outputPaths {string[]}: the absolute paths of all the files written (documents, assets, search index,
+     *            batch log, etc.);
+     *          - removedPaths {string[]}: the absolute paths of the stale output files deleted;
+     *          - brokenLinks {object[]}: the broken links found (see the `link-checker` module);
+     *          - warnings {string[]}, errors {string[]}: the warnings and errors reported;
+     *          - summary {string}: the summary of a folder compilation (empty otherwise).
+     */
+    this.build = function () {
+        _result = _createResult();
+        if (!_settings) {
+            _settings = validateBuildParams(params, text => _report(MESSAGE_ERROR, text, true),
+                !!(params.incremental || params.allowExistingOutput));
+            if (_settings && _settings.isOptionsFileDiscovered) {
+                _report(MESSAGE_NOTICE, 'using the <options file> found in the <source> folder: ' +
+                    _settings.optionsPath);
+            }
+        }
+        _result.success = !!_settings && _compile();
+        return _result;
+    };
+
+    /**
+     * Rebuilds what is affected by the given changes to the files on disk: an edited document only rebuilds its own
+     * output (and the output of the documents including it), whereas new, removed or renamed files, as well as changed
+     * headers or numbering, rebuild everything (because every page embeds the navigation). Must be called after
+     * `build()`.
+     *
+     * @param   changedPaths {string[]}
+     *          Absolute paths of the files (or folders) that were reported as changed, added or removed.
+     *
+     * @return  {object}
+     *          The build result (see `build()`), only covering what was rebuilt.
+     */
+    this.rebuild = function (changedPaths) {
+        if (!_settings || !_mtEngine) {
+            return this.build();
+        }
+        _result = _createResult();
+        _result.success = _rebuild(_classifyChanges(changedPaths));
+        return _result;
+    };
+
+    /**
+     * Returns the validated build parameters (see `validateBuildParams()` in the `args-validator` module), or `null`
+     * if they were not validated yet, or are invalid.
+     * @return {object|null}
+     */
+    this.getSettings = function () {
+        return _settings ? Object.assign({}, _settings) : null;
+    };
+
+    /**
+     * Returns the paths that, when changed, call for a rebuild: the <source>, the <options file> (and the files it
+     * extends) and the HTML templates (and partials) known so far that live outside the <source>.
+     * @return {string[]}
+     */
+    this.getWatchedPaths = function () {
+        if (!_settings) {
+            return [];
+        }
+        const {srcPath, optionsPaths} = _settings;
+        return [srcPath, _htmlTemplatePath].concat(optionsPaths)
+            .concat(_templateSelector ? _templateSelector.getSelectedPaths()
+                .concat(_templateSelector.getPartialPaths()).filter(Fs.existsSync) : [])
+            .filter(pathToWatch => !!pathToWatch)
+            .filter(pathToWatch => pathToWatch == srcPath || pathToWatch.indexOf(srcPath + Path.sep) != 0);
+    };
+
+    /**
+     * Returns the URL of the first compiled document (in reading order), relative to the <target> folder.
+     * @return {string|null}
+     */
+    this.getFirstDocumentUrl = function () {
+        if (!_settings || !_mtEngine) {
+            return null;
+        }
+        const {srcPath, targetPath, optionsData, srcIsDirectory} = _settings;
+        let outputType = DEFAULT_OUTPUT_EXTENSION;
+        if (optionsData && optionsData.outputType) {
+            outputType = optionsData.outputType;
+        }
+        const firstDocPath = srcIsDirectory ? _mtEngine.getReadingOrder()[0] : srcPath;
+        if (!firstDocPath) {
+            return null;
+        }
+        if (srcIsDirectory && _isCombinedOutput(optionsData)) {
+            return _getCombinedFileName(outputType);
+        }
+        return Path.relative(targetPath, _inferTargetFilePath(firstDocPath, targetPath, outputType,
+            srcIsDirectory ? srcPath : null)).replace(/\\+/g, '/');
+    };
+}
@@ -0,0 +1,347 @@
+'use strict';
+const Fs = require('fs');
+const Path = require('path');
+const Crypto = require('crypto');
+const CommonMark = require('commonmark');
+const {sprintf, vsprintf} = require('sprintf-js');
+const {getFileName} = require('./path-utils');
+const {escapeHtml} = require('./html-utils');
+const {collectHeadings, addHeadingIds} = require('./heading-utils');
+const {createZip} = require('./zip-utils');
+
+// Import constants
+const {
+    ROOT_DIR_TAG,
+    NAV_KIND_DOCUMENT,
+    DEFAULT_EPUB_LANGUAGE,
+    EPUB_MIME_TYPE,
+    EPUB_CONTENT_FOLDER,
+    EPUB_PACKAGE_FILE_NAME,
+    EPUB_NAV_FILE_NAME,
+    EPUB_NCX_FILE_NAME,
+    EPUB_DOCUMENTS_FOLDER,
+    EPUB_DOCUMENT_EXTENSION,
+    EPUB_IMAGE_MEDIA_TYPES,
+    EPUB_CONTAINER_TEMPLATE,
+    EPUB_PACKAGE_TEMPLATE,
+    EPUB_METADATA_TEMPLATE,
+    EPUB_MANIFEST_ITEM_TEMPLATE,
+    EPUB_SPINE_ITEM_TEMPLATE,
+    EPUB_DOCUMENT_TEMPLATE,
+    EPUB_NAV_TEMPLATE,
+    EPUB_NAV_GROUP_TEMPLATE,
+    EPUB_NAV_ITEM_TEMPLATE,
+    EPUB_NAV_LABEL_TEMPLATE,
+    EPUB_NCX_TEMPLATE,
+    EPUB_NAV_POINT_TEMPLATE,
+    LINK_TEMPLATE,
+    DEFAULT_SLUG_STYLE
+} = require('./constants');
+
+/**
+ * Class that packages all the documents in a compilation as an EPUB 3 publication, i.e., a ZIP container holding one
+ * XHTML content document per document (in navigation order), a navigation document and an NCX (for older reading
+ * systems) mirroring the navigation tree, and the package document listing them, along with any images.
+ *
+ * @param   mtEngine {MetaTextEngine}
+ *          Instance of the MetaTextEngine class. It holds an index of all files and folders in the
+ *          compilation as well as other useful data, and allows us to obtain document-specific
+ *          information easily.
+ *
+ * @param   optionsData {object}
+ *          The configuration the program has been started with, if applicable.
+ *
+ * @constructor
+ */
+module.exports = function EpubProcessor(mtEngine, optionsData) {
+
+    // Local constants
+    const EXTERNAL_URL_PATTERN = /^(?:[a-z][a-z\d+.\-]*:|\/)/i;
+    const MIME_TYPE_FILE_NAME = 'mimetype';
+    const CONTAINER_FILE_PATH = 'META-INF/container.xml';
+    const XHTML_MEDIA_TYPE = 'application/xhtml+xml';
+    const NCX_MEDIA_TYPE = 'application/x-dtbncx+xml';
+
+    /**
+     * The EPUB related settings, with defaults applied.
+     * @type {object}
+     * @private
+     */
+    const _settings = {
+        language: DEFAULT_EPUB_LANGUAGE,
+        author: null,
+        publisher: null,
+        identifier: null
+    };
+    if (optionsData && optionsData.epubSettings) {
+        Object.keys(_settings).forEach(key => {
+            if (optionsData.epubSettings[key]) {
+                _settings[key] = optionsData.epubSettings[key];
+            }
+        });
+    }
+
+    /**
+     * Produces a key that identifies the document originating in given `filePath` regardless of its extension, so
+     * that links to its output (whatever format they were written for) can be matched to it.
+     * @private
+     */
+    const _makeDocumentKey = function (filePath) {
+        return Path.join(Path.dirname(filePath), getFileName(filePath, true));
+    };
+
+    /**
+     * Converts given (relative) file path to a URL, e.g., "2. Guides/1. Setup.xhtml" to "2.%20Guides/1.%20Setup.xhtml".
+     * @private
+     */
+    const _toUrl = function (relPath) {
+        return relPath.split(Path.sep).map(encodeURIComponent).join('/');
+    };
+
+    /**
+     * Produces a stable, UUID based identifier for the publication, for when none is given via the options file. The
+     * UUID is derived from the title of the publication, so that rebuilds do not turn it into a different book.
+     * @private
+     */
+    const _makeIdentifier = function (title) {
+        const hex = Crypto.createHash('sha1').update(title).digest('hex');
+        return 'urn:uuid:' + [hex.slice(0, 8), hex.slice(8, 12), '5' + hex.slice(13, 16),
+            ((parseInt(hex[16], 16) & 3) | 8).toString(16) + hex.slice(17, 20), hex.slice(20, 32)].join('-');
+    };
+
+    /**
+     * Adapts a URL found in a document to the publication: links to other documents (written for any output format,
+     * e.g., "setup.html#install") are pointed to their XHTML content documents, and the "$$rootDir$$" placeholder is
+     * resolved. Other URLs are left unchanged, since the content documents mirror the structure of the <source>
+     * folder.
+     *
+     * @param   url {string}
+     *          The URL, as found in the document.
+     *
+     * @param   srcFilePath {string}
+     *          Path to the source file of the document.
+     *
+     * @param   docKeys {string[]}
+     *          The keys of the documents in the publication (see `_makeDocumentKey()`).
+     *
+     * @return  {string}
+     * @private
+     */
+    const _resolveUrl = function (url, srcFilePath, docKeys) {
+        url = url.split(ROOT_DIR_TAG).join(mtEngine.getRootDirPathFor(srcFilePath));
+        if (EXTERNAL_URL_PATTERN.test(url)) {
+            return url;
+        }
+        const hashIndex = url.indexOf('#');
+        const urlPath = ((hashIndex == -1) ? url : url.slice(0, hashIndex)).split('?')[0];
+        if (!urlPath) {
+            return url;
+        }
+        let linkedPath;
+        try {
+            linkedPath = Path.resolve(Path.dirname(srcFilePath), decodeURIComponent(urlPath));
+        } catch (e) {
+            return url;
+        }
+        const linkedKey = _makeDocumentKey(linkedPath);
+        if (!docKeys.includes(linkedKey)) {
+            return url;
+        }
+        return _toUrl(Path.relative(Path.dirname(srcFilePath), linkedKey) + '.' + EPUB_DOCUMENT_EXTENSION) +
+            ((hashIndex == -1) ? '' : url.slice(hashIndex));
+    };
+
+    /**
+     * Renders given CommonMark syntax tree as the body of an XHTML content document.
+     *
+     * @param   srcFilePath {string}
+     *          Path to the source file of the document.
+     *
+     * @param   syntaxTree {object}
+     *          The CommonMark syntax tree of the document.
+     *
+     * @param   docKeys {string[]}
+     *          The keys of the documents in the publication (see `_makeDocumentKey()`).
+     *
+     * @return  {string}
+     * @private
+     */
+    const _renderDocument = function (srcFilePath, syntaxTree, docKeys) {
+        const walker = syntaxTree.walker();
+        let event;
+        while ((event = walker.next())) {
+            const node = event.node;
+            if (event.entering && (node.type == 'link' || node.type == 'image') && node.destination) {
+                node.destination = _resolveUrl(node.destination, srcFilePath, docKeys);
+            }
+        }
+        const writer = new CommonMark.HtmlRenderer({softbreak: '<br />'});
+        const slugStyle = (optionsData && optionsData.htmlSettings && optionsData.htmlSettings.slugStyle) ||
+            DEFAULT_SLUG_STYLE;
+        addHeadingIds(writer, collectHeadings(syntaxTree, slugStyle));
+
+        // NOTE: `$$rootDir$$` can also appear in raw HTML, which the syntax tree does not break down into links.
+        return writer.render(syntaxTree).split(ROOT_DIR_TAG).join(mtEngine.getRootDirPathFor(srcFilePath));
+    };
+
+    /**
+     * Wraps given body markup in an XHTML content document.
+     * @private
+     */
+    const _makeXhtmlDocument = function (title, body) {
+        return sprintf(EPUB_DOCUMENT_TEMPLATE, {
+            language: escapeHtml(_settings.language),
+            title: escapeHtml(title),
+            body: body
+        });
+    };
+
+    /**
+     * Packages all the documents in given `navigationTree` as an EPUB 3 publication, in reading order. Folders appear
+     * in the navigation document and NCX only if they contain any (included) document.
+     *
+     * @param   navigationTree {object[]}
+     *          The navigation tree, as returned by `MetaTextEngine.getNavigationTree()`.
+     *
+     * @param   syntaxTreeProvider {function}
+     *          Function that receives the path of a document and returns its CommonMark syntax tree, or `null` if the
+     *          document is not to be included. It has the signature:
+     *
+     *          getSyntaxTree (srcFilePath);
+     *
+     * @param   assetPaths {string[]}
+     *          Optional. Absolute paths of the assets found in the <source> folder. The images among them are packaged
+     *          along with the documents (in the same relative locations); any other files are ignored.
+     *
+     * @return  {Buffer}
+     *          The content of the EPUB file.
+     */
+    this.processCompilation = function (navigationTree, syntaxTreeProvider, assetPaths = []) {
+        const root = navigationTree[0];
+        const title = mtEngine.getCompilationHeader();
+        const identifier = _settings.identifier || _makeIdentifier(title);
+        const documentsPath = root ? root.filePath : '';
+        const getHref = filePath => EPUB_DOCUMENTS_FOLDER + '/' + _toUrl(Path.relative(documentsPath,
+            _makeDocumentKey(filePath)) + '.' + EPUB_DOCUMENT_EXTENSION);
+
+        // Pre-parse all documents, so that we know in advance which links can be resolved inside the publication.
+        const documents = [];
+        const collectDocuments = function (units) {
+            units.forEach(unit => {
+                if (unit.kind == NAV_KIND_DOCUMENT) {
+                    const syntaxTree = syntaxTreeProvider(unit.filePath);
+                    if (syntaxTree) {
+                        documents.push({unit: unit, syntaxTree: syntaxTree});
+                    }
+                }
+                collectDocuments(unit.children);
+            });
+        };
+        collectDocuments(root ? root.children : []);
+        const docKeys = documents.map(doc => _makeDocumentKey(doc.unit.filePath));
+        const getPlayOrder = unit => docKeys.indexOf(_makeDocumentKey(unit.filePath)) + 1;
+
+        // Build the navigation document and the NCX from the same tree; folders link to their first document in the
+        // NCX, which requires every entry to point somewhere.
+        let maxDepth = 1;
+        let numNavPoints = 0;
+        const buildNavigation = function (units, depth) {
+            const navItems = [];
+            const navPoints = [];
+            let firstUnit = null;
+            units.forEach(unit => {
+                const children = buildNavigation(unit.children, depth + 1);
+                const isIncluded = (unit.kind == NAV_KIND_DOCUMENT) && getPlayOrder(unit) > 0;
+                const targetUnit = isIncluded ? unit : children.firstUnit;
+                if (!targetUnit) {
+                    return;
+                }
+                firstUnit = firstUnit || targetUnit;
+                maxDepth = Math.max(maxDepth, depth);
+                const label = escapeHtml(unit.navHeader || unit.header);
+                const link = isIncluded ? vsprintf(LINK_TEMPLATE, [getHref(unit.filePath), label]) :
+                    vsprintf(EPUB_NAV_LABEL_TEMPLATE, [label]);
+                navItems.push(vsprintf(EPUB_NAV_ITEM_TEMPLATE, [link, children.navItems ?
+                    vsprintf(EPUB_NAV_GROUP_TEMPLATE, [children.navItems]) : '']));
+                navPoints.push(vsprintf(EPUB_NAV_POINT_TEMPLATE, ['nav-point-' + (++numNavPoints),
+                    getPlayOrder(targetUnit), label, getHref(targetUnit.filePath), children.navPoints]));
+            });
+            return {navItems: navItems.join(''), navPoints: navPoints.join(''), firstUnit: firstUnit};
+        };
+        const navigation = buildNavigation(root ? root.children : [], 1);
+
+        // Gather the content of the publication.
+        const entries = [];
+        const manifestItems = [];
+        const spineItems = [];
+        let lastModified = 0;
+        documents.forEach(({unit, syntaxTree}, index) => {
+            const id = 'doc-' + (index + 1);
+            const href = getHref(unit.filePath);
+            entries.push({
+                name: EPUB_CONTENT_FOLDER + '/' + decodeURIComponent(href),
+                data: _makeXhtmlDocument(unit.header, _renderDocument(unit.filePath, syntaxTree, docKeys)),
+                date: new Date(unit.mTime)
+            });
+            manifestItems.push(vsprintf(EPUB_MANIFEST_ITEM_TEMPLATE, [id, href, XHTML_MEDIA_TYPE, '']));
+            spineItems.push(vsprintf(EPUB_SPINE_ITEM_TEMPLATE, [id]));
+            lastModified = Math.max(lastModified, unit.mTime || 0);
+        });
+        assetPaths.filter(assetPath => (documentsPath && assetPath.indexOf(documentsPath + Path.sep) == 0 &&
+            Path.extname(assetPath).slice(1).toLowerCase() in EPUB_IMAGE_MEDIA_TYPES))
+            .forEach((assetPath, index) => {
+                const relPath = Path.relative(documentsPath, assetPath);
+                entries.push({
+                    name: EPUB_CONTENT_FOLDER + '/' + EPUB_DOCUMENTS_FOLDER + '/' + relPath.split(Path.sep).join('/'),
+                    data: Fs.readFileSync(assetPath),
+                    isStored: true,
+                    date: Fs.statSync(assetPath).mtime
+                });
+                manifestItems.push(vsprintf(EPUB_MANIFEST_ITEM_TEMPLATE, ['img-' + (index + 1),
+                    EPUB_DOCUMENTS_FOLDER + '/' + _toUrl(relPath),
+                    EPUB_IMAGE_MEDIA_TYPES[Path.extname(assetPath).slice(1).toLowerCase()], '']));
+            });
+        manifestItems.push(vsprintf(EPUB_MANIFEST_ITEM_TEMPLATE, ['nav', EPUB_NAV_FILE_NAME, XHTML_MEDIA_TYPE,
+            ' properties="nav"']));
+        manifestItems.push(vsprintf(EPUB_MANIFEST_ITEM_TEMPLATE, ['ncx', EPUB_NCX_FILE_NAME, NCX_MEDIA_TYPE, '']));
+        entries.push({
+            name: EPUB_CONTENT_FOLDER + '/' + EPUB_NAV_FILE_NAME,
+            data: _makeXhtmlDocument(title, vsprintf(EPUB_NAV_TEMPLATE, [escapeHtml(title),
+                vsprintf(EPUB_NAV_GROUP_TEMPLATE, [navigation.navItems])]))
+        }, {
+            name: EPUB_CONTENT_FOLDER + '/' + EPUB_NCX_FILE_NAME,
+            data: sprintf(EPUB_NCX_TEMPLATE, {
+                identifier: escapeHtml(identifier),
+                depth: maxDepth,
+                title: escapeHtml(title),
+                navPoints: navigation.navPoints
+            })
+        });
+
+        // Describe the publication. The modification time is that of the most recently edited document.
+        const metadata = [['creator', _settings.author], ['publisher', _settings.publisher]]
+            .filter(([, value]) => !!value)
+            .map(([name, value]) => vsprintf(EPUB_METADATA_TEMPLATE, [name, escapeHtml(value)]));
+        entries.push({
+            name: EPUB_CONTENT_FOLDER + '/' + EPUB_PACKAGE_FILE_NAME,
+            data: sprintf(EPUB_PACKAGE_TEMPLATE, {
+                language: escapeHtml(_settings.language),
+                identifier: escapeHtml(identifier),
+                title: escapeHtml(title),
+                metadata: metadata.join(''),
+                modified: new Date(lastModified).toISOString().replace(/\.\d+Z$/, 'Z'),
+                manifest: manifestItems.join(''),
+                spine: spineItems.join('')
+            })
+        });
+
+        // The "mimetype" file must come first, uncompressed, so that the publication can be identified by its leading
+        // bytes.
+        const modifiedOn = new Date(lastModified);
+        return createZip([{name: MIME_TYPE_FILE_NAME, data: EPUB_MIME_TYPE, isStored: true, date: modifiedOn}, {
+            name: CONTAINER_FILE_PATH,
+            data: vsprintf(EPUB_CONTAINER_TEMPLATE, [EPUB_CONTENT_FOLDER + '/' + EPUB_PACKAGE_FILE_NAME]),
+            date: modifiedOn
+        }].concat(entries.map(entry => Object.assign({date: modifiedOn}, entry))));
+    };
+}
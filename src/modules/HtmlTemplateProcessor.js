@@ -1,3 +1,12 @@
+'use strict';
+const Path = require('path');
+const CommonMark = require('commonmark');
+const vsprintf = require('sprintf-js').vsprintf;
+const {escapeHtml, toScriptJson} = require('./html-utils');
+const {collectHeadings, addHeadingIds, addHeadingPermalinks, slugify} = require('./heading-utils');
+const {addCodeHighlighting} = require('./syntax-highlighter');
+const {getFileName, toSiteUrl} = require('./path-utils');
+
 /**
  *
  * @param   mtEngine {MetaTextEngine}
@@ -9,14 +18,35 @@ module.exports = function HtmlTemplateProcessor(mtEngine) {
 
     // Import constants
     const {
-        ROOT_NAME_TAG,
-        DOC_NAME_TAG,
         ROOT_DIR_TAG,
-        NAVIGATION_TAG,
         DOCUMENT_TAG,
-        LAST_UPDATED_TAG
+        SEARCH_WIDGET_TEMPLATE,
+        SEARCH_SCRIPT_FILE_NAME,
+        DEFAULT_SEARCH_INDEX_GENERATION,
+        TOC_ROOT_TEMPLATE,
+        TOC_GROUP_TEMPLATE,
+        TOC_ITEM_TEMPLATE,
+        LINK_TEMPLATE,
+        DEFAULT_TOC_MIN_LEVEL,
+        DEFAULT_TOC_MAX_LEVEL,
+        NAV_KIND_DOCUMENT,
+        SINGLE_PAGE_DOCUMENT_TEMPLATE,
+        SINGLE_PAGE_FOLDER_TEMPLATE,
+        DEFAULT_CODE_HIGHLIGHTING,
+        DEFAULT_CODE_LINE_NUMBERING,
+        DEFAULT_SLUG_STYLE,
+        DEFAULT_PERMALINK_MIN_LEVEL,
+        DEFAULT_PERMALINK_MAX_LEVEL,
+        DEFAULT_PERMALINK_TEMPLATE
     } = require('./constants');
 
+    /**
+     * Matches URLs that do not point inside the compilation, i.e., that have a scheme (e.g., "https:"), are protocol
+     * relative or server-absolute.
+     * @type {RegExp}
+     */
+    const EXTERNAL_URL_PATTERN = /^(?:[a-z][a-z\d+.\-]*:|\/)/i;
+
     /**
      * Escapes given `p_pattern` so that it can be used as source for creating a RegExp Object.
      * @param   p_pattern
@@ -31,55 +61,338 @@ module.exports = function HtmlTemplateProcessor(mtEngine) {
     }
 
     /**
-     * Populates given template with given data, resolving placeholder to context-sensitive information,
-     * e.g., adjusting the links in the generated navigation tree to the location of the current document.
-     *
-     * @param srcFilePath
-     * @param syntaxTree
-     * @param fileContent
-     * @param htmlTemplate
-     * @param optionsData
-     * @return {string}
+     * Builds a nested, linkable table of contents out of the headings in given `syntaxTree`. The links point to the
+     * `id` attributes that `addHeadingIds()` (see the `heading-utils` module) adds to the rendered headings.
+     *
+     * @param   syntaxTree {object}
+     *          The CommonMark syntax tree of the current document.
+     *
+     * @param   optionsData {object}
+     *          The configuration the program has been started with, if applicable. The `tocMinLevel` and
+     *          `tocMaxLevel` fields of its `htmlSettings` restrict the heading levels to include.
+     *
+     * @return  {string}
+     *          The table of contents markup, or an empty string if the document has no matching headings.
+     * @private
      */
-    this.process = function (srcFilePath, syntaxTree, fileContent, htmlTemplate, optionsData) {
-        let output = htmlTemplate;
-        const tagsToResolve = [ROOT_NAME_TAG, DOC_NAME_TAG, LAST_UPDATED_TAG, NAVIGATION_TAG,
-            DOCUMENT_TAG, ROOT_DIR_TAG, LAST_UPDATED_TAG];
-        tagsToResolve.forEach (function (tag) {
-            const tagPattern = new RegExp (_escapePattern (tag), 'g');
-            switch (tag) {
-
-                case ROOT_NAME_TAG:
-                    output = output.replace (tagPattern, mtEngine.getCompilationHeader());
-                    break;
-
-                case DOC_NAME_TAG:
-                    output = output.replace (tagPattern, mtEngine.getHeaderFor (srcFilePath));
-                    break;
-
-                case NAVIGATION_TAG:
-                    output = output.replace (tagPattern, mtEngine.getHtmlNavigationFor (srcFilePath));
-                    break;
-
-                case LAST_UPDATED_TAG:
-                    output = output.replace (tagPattern, mtEngine.getTimeStampFor (srcFilePath));
-                    break;
-
-                case DOCUMENT_TAG:
-                    // NOTE: because `$` is treated as a special character by String.replace, we cannot use
-                    // `replace()` here, or we would destroy any placeholders that the document might carry.
-                    output = output.split (tagPattern).join (fileContent);
-                    break;
-
-                // Only the $$rootDir$$ can be placed in the document body as well.
-                case ROOT_DIR_TAG:
-                    const rootRelativePrefix = mtEngine.getRootDirPathFor (srcFilePath);
-                    output = output.replace (tagPattern, rootRelativePrefix);
-                    break;
+    function _buildHtmlToc(syntaxTree, optionsData) {
+        const htmlSettings = (optionsData && optionsData.htmlSettings) || {};
+        const minLevel = htmlSettings.tocMinLevel || DEFAULT_TOC_MIN_LEVEL;
+        const maxLevel = htmlSettings.tocMaxLevel || DEFAULT_TOC_MAX_LEVEL;
+        const headings = syntaxTree ? collectHeadings(syntaxTree, htmlSettings.slugStyle || DEFAULT_SLUG_STYLE)
+            .filter(heading => heading.level >= minLevel && heading.level <= maxLevel) : [];
+        if (!headings.length) {
+            return '';
+        }
+
+        // Nest each heading under the closest preceding heading of a higher level (skipped levels are tolerated).
+        const root = {level: minLevel - 1, children: []};
+        const stack = [root];
+        headings.forEach(heading => {
+            while (stack[stack.length - 1].level >= heading.level) {
+                stack.pop();
             }
+            const entry = {level: heading.level, heading: heading, children: []};
+            stack[stack.length - 1].children.push(entry);
+            stack.push(entry);
         });
+        const renderGroup = entries => vsprintf(TOC_GROUP_TEMPLATE, [entries.map(entry =>
+            vsprintf(TOC_ITEM_TEMPLATE, [
+                vsprintf(LINK_TEMPLATE, ['#' + entry.heading.id, escapeHtml(entry.heading.text)]) +
+                (entry.children.length ? renderGroup(entry.children) : '')
+            ])).join('')]);
+        return vsprintf(TOC_ROOT_TEMPLATE, [renderGroup(root.children)]);
+    }
+
+    /**
+     * Builds the search box markup, which also loads the search script from the root of the compilation. The search
+     * script and index are only generated for folder compilations, and only if not disabled via the options file.
+     *
+     * @param   srcFilePath {string}
+     *          Path to the source file of the current document.
+     *
+     * @param   optionsData {object}
+     *          The configuration the program has been started with, if applicable.
+     *
+     * @return  {string}
+     *          The search box markup, or an empty string if there is no search index.
+     * @private
+     */
+    function _buildHtmlSearch(srcFilePath, optionsData) {
+        const htmlSettings = (optionsData && optionsData.htmlSettings) || {};
+        const isSearchEnabled = ('generateSearchIndex' in htmlSettings) ? !!htmlSettings.generateSearchIndex :
+            DEFAULT_SEARCH_INDEX_GENERATION;
+        if (!isSearchEnabled || !mtEngine.isFolderCompilation()) {
+            return '';
+        }
+        const rootDir = mtEngine.getRootDirPathFor(srcFilePath);
+        return vsprintf(SEARCH_WIDGET_TEMPLATE, [escapeHtml(rootDir), escapeHtml(rootDir), SEARCH_SCRIPT_FILE_NAME]);
+    }
+
+    /**
+     * Returns the values of the `$$meta.<key>` names for the current document, i.e., the (HTML escaped) values of the
+     * keys in its front matter. Lists are kept as lists (of escaped values), so that they can be looped over; when
+     * output as they are, they are joined with commas.
+     *
+     * @param   srcFilePath {string}
+     *          Path to the source file of the current document.
+     *
+     * @return  {object}
+     * @private
+     */
+    function _getMetaValues(srcFilePath) {
+        const metadata = mtEngine.getMetadataFor(srcFilePath);
+        const metaValues = {};
+        Object.keys(metadata).forEach(key => {
+            const value = metadata[key];
+            if (value !== undefined && value !== null) {
+                metaValues[key] = Array.isArray(value) ? value.map(item => escapeHtml(item)) : escapeHtml(value);
+            }
+        });
+        return metaValues;
+    }
+
+    /**
+     * Produces a key that identifies the document originating in given `filePath` regardless of its extension, so
+     * that links to its HTML output can be matched to it.
+     * @private
+     */
+    function _makeDocumentKey(filePath) {
+        return Path.join(Path.dirname(filePath), getFileName(filePath, true));
+    }
+
+    /**
+     * Adapts a URL found in a document of a single page compilation (see `processCompilation()`): links to documents
+     * in the page (optionally to their headings) become in-page links, and any other relative URL is made relative to
+     * the root folder of the compilation, where the single page lives.
+     *
+     * @param   url {string}
+     *          The URL, as found in the document (it can contain the "$$rootDir$$" placeholder).
+     *
+     * @param   srcFilePath {string}
+     *          Path to the source file of the document.
+     *
+     * @param   rootPath {string}
+     *          Path to the root folder of the compilation.
+     *
+     * @param   anchors {object}
+     *          Maps the keys of the documents in the page (see `_makeDocumentKey()`) to the ids they start at.
+     *
+     * @return  {string}
+     * @private
+     */
+    function _resolveInPageUrl(url, srcFilePath, rootPath, anchors) {
+        if (EXTERNAL_URL_PATTERN.test(url)) {
+            return url;
+        }
+        url = url.split(ROOT_DIR_TAG).join(mtEngine.getRootDirPathFor(srcFilePath));
+        const hashIndex = url.indexOf('#');
+        const urlPath = ((hashIndex == -1) ? url : url.slice(0, hashIndex)).split('?')[0];
+        let fragment = (hashIndex == -1) ? '' : url.slice(hashIndex + 1);
+        let linkedPath = srcFilePath;
+        try {
+            fragment = decodeURIComponent(fragment);
+            if (urlPath) {
+                linkedPath = Path.resolve(Path.dirname(srcFilePath), decodeURIComponent(urlPath));
+            }
+        } catch (e) {
+            return url;
+        }
+        const anchor = (!urlPath || /\.html?$/i.test(urlPath)) ? anchors[_makeDocumentKey(linkedPath)] : null;
+        if (anchor) {
+            return '#' + anchor + (fragment ? '--' + fragment : '');
+        }
+        const relPath = Path.relative(rootPath, linkedPath).split(Path.sep).join('/');
+        return encodeURI(relPath) + url.slice(url.indexOf(urlPath) + urlPath.length);
+    }
 
+    /**
+     * Populates given template with given data, resolving names to context-sensitive information, e.g., adjusting
+     * the links in the generated navigation tree to the location of the current document (see `TEMPLATE_NAMES` in the
+     * `constants` module for the available names).
+     *
+     * @param   srcFilePath {string}
+     *          Path to the source file of the current document.
+     *
+     * @param   syntaxTree {object}
+     *          The CommonMark syntax tree of the current document.
+     *
+     * @param   fileContent {string}
+     *          The rendered HTML of the current document.
+     *
+     * @param   htmlTemplate {object}
+     *          The compiled template to populate, as returned by `compileTemplate()` (see the `template-language`
+     *          module).
+     *
+     * @param   optionsData {object}
+     *          The configuration the program has been started with, if applicable.
+     *
+     * @return  {string}
+     */
+    this.process = function (srcFilePath, syntaxTree, fileContent, htmlTemplate, optionsData) {
 
-        return output;
+        // NOTE: the document and the `$$rootDir$$` placeholder are only resolved once the template is populated, so that
+        // any placeholders the document might carry are left alone (except for `$$rootDir$$`, which can be placed in
+        // the document body as well).
+        let output = htmlTemplate.render({
+            'rootName': () => mtEngine.getCompilationHeader(),
+            'docName': () => mtEngine.getHeaderFor(srcFilePath),
+            'rootDir': ROOT_DIR_TAG,
+            'navigation': () => mtEngine.getHtmlNavigationFor(srcFilePath),
+            'navigationJson': () => toScriptJson(mtEngine.getNavigationData(srcFilePath)),
+            'document': DOCUMENT_TAG,
+            'lastUpdated': () => mtEngine.getTimeStampFor(srcFilePath),
+            'prevLink': () => mtEngine.getHtmlPrevLinkFor(srcFilePath),
+            'nextLink': () => mtEngine.getHtmlNextLinkFor(srcFilePath),
+            'breadcrumbs': () => mtEngine.getHtmlBreadcrumbsFor(srcFilePath),
+            'toc': () => _buildHtmlToc(syntaxTree, optionsData),
+            'search': () => _buildHtmlSearch(srcFilePath, optionsData),
+            'pageUrl': () => escapeHtml(mtEngine.getPageUrlFor(srcFilePath)),
+            'canonicalUrl': () => escapeHtml(mtEngine.getCanonicalUrlFor(srcFilePath)),
+            'folderMode': () => mtEngine.isFolderCompilation(),
+            'meta': () => _getMetaValues(srcFilePath),
+            'prevPage': () => mtEngine.getAdjacentPageFor(srcFilePath, -1),
+            'nextPage': () => mtEngine.getAdjacentPageFor(srcFilePath, 1),
+            'breadcrumbItems': () => mtEngine.getBreadcrumbItemsFor(srcFilePath),
+            'childPages': () => mtEngine.getChildPagesFor(srcFilePath)
+        });
+
+        // NOTE: because `$` is treated as a special character by String.replace, we cannot use `replace()` here, or we
+        // would destroy any placeholders that the document might carry.
+        output = output.split(DOCUMENT_TAG).join(fileContent);
+        const rootDirPattern = new RegExp(_escapePattern(ROOT_DIR_TAG), 'g');
+        return output.replace(rootDirPattern, mtEngine.getRootDirPathFor(srcFilePath));
     }
-}
\ No newline at end of file
+
+    /**
+     * Compiles all the documents in given `navigationTree` into one single HTML page, in reading order, and wraps it
+     * in given (compilation) template. The heading levels of each document are shifted by its depth in the tree,
+     * and folders get headings of their own; heading ids are prefixed with the id of their document, to keep them
+     * unique. The navigation, as well as the links between documents, point to anchors inside the page; other
+     * relative URLs are adapted to the page, which is to be placed in the root folder of the compilation.
+     *
+     * @param   navigationTree {object[]}
+     *          The navigation tree, as returned by `MetaTextEngine.getNavigationTree()`.
+     *
+     * @param   syntaxTreeProvider {function}
+     *          Function that receives the path of a document and returns its CommonMark syntax tree, or `null` if the
+     *          document is not to be included. It has the signature:
+     *
+     *          getSyntaxTree (srcFilePath);
+     *
+     * @param   htmlTemplate {object}
+     *          The compiled template to populate (see `process()`).
+     *
+     * @param   pageFileName {string}
+     *          The file name of the page, used for `$$pageUrl` and `$$canonicalUrl`.
+     *
+     * @param   optionsData {object}
+     *          The configuration the program has been started with, if applicable.
+     *
+     * @return  {string}
+     */
+    this.processCompilation = function (navigationTree, syntaxTreeProvider, htmlTemplate, pageFileName, optionsData) {
+        const root = navigationTree[0];
+        const anchors = {};
+        const usedAnchors = {};
+        const getAnchor = filePath => anchors[_makeDocumentKey(filePath)];
+
+        // Give every unit an id (unique within the page), and pre-parse all documents, so that we know in advance
+        // which links can be resolved inside the page.
+        const units = [];
+        const collectUnits = function (children, depth) {
+            children.forEach(unit => {
+                const key = (unit.kind == NAV_KIND_DOCUMENT) ? _makeDocumentKey(unit.filePath) : unit.filePath;
+                const baseAnchor = 'doc-' + slugify(Path.relative(root.filePath, key));
+                let anchor = baseAnchor;
+                for (let suffix = 1; anchor in usedAnchors; suffix++) {
+                    anchor = baseAnchor + '-' + suffix;
+                }
+                usedAnchors[anchor] = true;
+                anchors[key] = anchor;
+                const syntaxTree = (unit.kind == NAV_KIND_DOCUMENT) ? syntaxTreeProvider(unit.filePath) : null;
+                units.push({unit: unit, depth: depth, syntaxTree: syntaxTree});
+                collectUnits(unit.children, depth + 1);
+            });
+        };
+        collectUnits(root ? root.children : [], 0);
+
+        const htmlSettings = (optionsData && optionsData.htmlSettings) || {};
+        const mustHighlightCode = ('highlightCode' in htmlSettings) ? !!htmlSettings.highlightCode :
+            DEFAULT_CODE_HIGHLIGHTING;
+        const mustNumberCodeLines = ('codeLineNumbers' in htmlSettings) ? !!htmlSettings.codeLineNumbers :
+            DEFAULT_CODE_LINE_NUMBERING;
+        const permalinkMinLevel = htmlSettings.permalinkMinLevel || DEFAULT_PERMALINK_MIN_LEVEL;
+        const permalinkMaxLevel = htmlSettings.permalinkMaxLevel || DEFAULT_PERMALINK_MAX_LEVEL;
+
+        // Render the documents, giving folders a heading only if they contain any (included) document.
+        const hasDocuments = unit => unit.children.some(child => units.some(entry => entry.unit == child &&
+            entry.syntaxTree) || hasDocuments(child));
+        const chunks = [];
+        let lastUpdatedPath = null;
+        units.forEach(({unit, depth, syntaxTree}) => {
+            if (!syntaxTree) {
+                if (unit.kind != NAV_KIND_DOCUMENT && hasDocuments(unit)) {
+                    chunks.push(vsprintf(SINGLE_PAGE_FOLDER_TEMPLATE, [Math.min(depth + 1, 6), anchors[unit.filePath],
+                        escapeHtml(unit.header)]));
+                }
+                return;
+            }
+            const anchor = getAnchor(unit.filePath);
+            const walker = syntaxTree.walker();
+            let event;
+            while ((event = walker.next())) {
+                const node = event.node;
+                if (event.entering && (node.type == 'link' || node.type == 'image') && node.destination) {
+                    node.destination = _resolveInPageUrl(node.destination, unit.filePath, root.filePath, anchors);
+                }
+            }
+            const headings = collectHeadings(syntaxTree, htmlSettings.slugStyle || DEFAULT_SLUG_STYLE)
+                .map(heading => Object.assign({}, heading, {id: anchor + '--' + heading.id}));
+            headings.forEach(heading => heading.node.level = Math.min(heading.level + depth, 6));
+            const writer = new CommonMark.HtmlRenderer({softbreak: "<br />"});
+            addHeadingIds(writer, headings);
+            if (htmlSettings.headingPermalinks) {
+                addHeadingPermalinks(writer, headings.filter(heading => heading.node.level >= permalinkMinLevel &&
+                    heading.node.level <= permalinkMaxLevel), htmlSettings.permalinkTemplate ||
+                    DEFAULT_PERMALINK_TEMPLATE);
+            }
+            if (mustHighlightCode) {
+                addCodeHighlighting(writer, mustNumberCodeLines);
+            }
+            chunks.push(vsprintf(SINGLE_PAGE_DOCUMENT_TEMPLATE, [anchor, writer.render(syntaxTree)]));
+            if (!lastUpdatedPath ||
+                mtEngine.getModificationTimeFor(unit.filePath) > mtEngine.getModificationTimeFor(lastUpdatedPath)) {
+                lastUpdatedPath = unit.filePath;
+            }
+        });
+
+        const pageUrl = htmlSettings.siteUrl ? toSiteUrl(htmlSettings.siteUrl, pageFileName) : '';
+        const output = htmlTemplate.render({
+            'rootName': () => mtEngine.getCompilationHeader(),
+            'docName': '',
+            'rootDir': '',
+            'navigation': () => mtEngine.getHtmlInPageNavigation(getAnchor),
+            'navigationJson': () => toScriptJson(mtEngine.getNavigationData(null,
+                filePath => '#' + getAnchor(filePath))),
+            'document': DOCUMENT_TAG,
+            'lastUpdated': () => lastUpdatedPath ? mtEngine.getTimeStampFor(lastUpdatedPath) : '',
+            'prevLink': '',
+            'nextLink': '',
+            'breadcrumbs': '',
+            'toc': '',
+            'search': '',
+            'pageUrl': escapeHtml(pageUrl),
+            'canonicalUrl': escapeHtml(pageUrl),
+            'folderMode': true,
+            'meta': {},
+            'prevPage': null,
+            'nextPage': null,
+            'breadcrumbItems': [],
+            'childPages': []
+        });
+
+        // NOTE: see `process()` on why we do not use `replace()` here.
+        return output.split(DOCUMENT_TAG).join(chunks.join('')).split(ROOT_DIR_TAG).join('');
+    };
+}
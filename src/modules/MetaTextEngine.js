@@ -1,12 +1,18 @@
 'use strict';
+const Fs = require('fs');
 const Path = require('path');
 const vsprintf = require('sprintf-js').vsprintf;
 const prettify = require('html-prettify');
-const {changeFileExtension, getFileName} = require('./path-utils');
+const {changeFileExtension, getFileName, toSiteUrl} = require('./path-utils');
+const {escapeHtml} = require('./html-utils');
+const {getHeadingSlug} = require('./heading-utils');
+const {parseFrontMatter} = require('./front-matter');
 
 // Import constants
 const {
     DEFAULT_NAVIGATION_NUMBERING_HIDING,
+    DEFAULT_SLUG_STYLE,
+    DEFAULT_OUTPUT_EXTENSION,
 
     DIR,
     ROOT,
@@ -16,6 +22,28 @@ const {
     NAV_ITEM_TEMPLATE,
     NAV_ITEM_CONTENT_TEMPLATE,
     LINK_TEMPLATE,
+    PREV_LINK_TEMPLATE,
+    NEXT_LINK_TEMPLATE,
+    BREADCRUMBS_TEMPLATE,
+    BREADCRUMB_ITEM_TEMPLATE,
+    CURRENT_BREADCRUMB_ITEM_TEMPLATE,
+    ADMONITION_OPEN_TEMPLATE,
+    ADMONITION_CLOSE_TEMPLATE,
+    DETAILS_OPEN_TEMPLATE,
+    DETAILS_CLOSE_TEMPLATE,
+    KBD_TEMPLATE,
+    UI_LABEL_TEMPLATE,
+
+    MTF_BLOCK_FENCE,
+    MTF_DETAILS_TYPE,
+    NO_COMPILE_TAG,
+    INCLUDE_TAG,
+    ROOT_DIR_TAG,
+
+    NAV_KIND_ROOT,
+    NAV_KIND_DIR,
+    NAV_KIND_DOCUMENT,
+    NAVIGATION_FILE_NAME,
 
     NUMBERING_PATTERN
 } = require('./constants');
@@ -33,9 +61,25 @@ const {
  * @param   optionsData {object}
  *          The configuration the program has been started with, if applicable.
  *
+ * @param   warningCallback {function|null}
+ *          Optional, default `null`. Function to pass warnings to (e.g., about unresolved wiki links). It should take
+ *          one string argument. Warnings are printed to the console if not given.
+ *
  * @constructor
  */
-module.exports = function MetaTextEngine(srcPath, targetPath, optionsData) {
+module.exports = function MetaTextEngine(srcPath, targetPath, optionsData, warningCallback = null) {
+
+    /**
+     * Reports given warning `message`.
+     * @private
+     */
+    const _warn = function (message) {
+        if (warningCallback) {
+            warningCallback(message);
+        } else {
+            console.log('Warning: ' + message);
+        }
+    };
 
     /**
      * Flag we raise when te buildIndex() method has been called, to prevent further additions to the index.
@@ -73,6 +117,21 @@ module.exports = function MetaTextEngine(srcPath, targetPath, optionsData) {
      */
     const _foldersToExclude = [];
 
+    /**
+     * Registry of all resolved inclusions: maps the path of each included file to the paths of the (top-level)
+     * documents that include it, directly or indirectly.
+     * @type {object}
+     * @private
+     */
+    const _inclusions = {};
+
+    /**
+     * Registry of the front matter (metadata) of all documents: maps the path of each document to its metadata Object.
+     * @type {object}
+     * @private
+     */
+    const _metadata = {};
+
     /**
      * Whether we should strip off existing numbering from generated HTML navigation tree items.
      * @type {boolean}
@@ -83,6 +142,14 @@ module.exports = function MetaTextEngine(srcPath, targetPath, optionsData) {
         _mustHideNavNumbering = !!optionsData.htmlSettings.hideNavigationNumbering;
     }
 
+    /**
+     * The style of the heading ids, which links to headings (e.g., "[[Concepts#Some Heading]]") must match.
+     * @type {string}
+     * @private
+     */
+    const _slugStyle = (optionsData && optionsData.htmlSettings && optionsData.htmlSettings.slugStyle) ||
+        DEFAULT_SLUG_STYLE;
+
     /**
      * Builds a relative URL that would cause the browser to navigate between two given locations
      *
@@ -123,6 +190,15 @@ module.exports = function MetaTextEngine(srcPath, targetPath, optionsData) {
         return segments.join(Path.sep).replace (BACKSLASH, '/');
     }
 
+    /**
+     * Returns the label to show for given compilation `unit` in the generated navigation (including breadcrumbs and
+     * previous/next links). Documents can set it via the `navTitle` front matter key; it defaults to the unit header.
+     * @private
+     */
+    const _getNavLabel = function (unit) {
+        return unit.navHeader || unit.fileHeader;
+    };
+
     /**
      * Inner class that abstracts away creation and rendition of HTML mark-up blocks.
      *
@@ -353,7 +429,8 @@ module.exports = function MetaTextEngine(srcPath, targetPath, optionsData) {
 
     /**
      * Compares the "numberings" of two given compilation units. A numbering is an Array of integers, e.g [1,5,47] or
-     * [1,0,16,0]. This function is meant to be used as an argument to the Array.sort() method.
+     * [1,0,16,0]. Units whose front matter sets an `order` are compared by that instead (as if numbered `[order]`).
+     * This function is meant to be used as an argument to the Array.sort() method.
      *
      * @param   unitA {object}
      *          First unit to compare by its numbering.
@@ -367,8 +444,8 @@ module.exports = function MetaTextEngine(srcPath, targetPath, optionsData) {
      * @private
      */
     const _multiPartComparison = function (unitA, unitB) {
-        const aSegments = unitA.numbering;
-        const bSegments = unitB.numbering;
+        const aSegments = unitA.sortingKey || unitA.numbering;
+        const bSegments = unitB.sortingKey || unitB.numbering;
 
         // Prepare A
         if (aSegments == null) {
@@ -437,6 +514,112 @@ module.exports = function MetaTextEngine(srcPath, targetPath, optionsData) {
         }
     };
 
+    /**
+     * Lists all the documents in the compilation in reading order, i.e., in the order a reader would encounter them
+     * when going through the navigation tree top to bottom: folders and numbered children are descended into right
+     * after their parent. Folders and units marked for exclusion (and their descendants) are not listed.
+     *
+     * @return  {object[]}
+     *          The units of all the documents in the compilation, in reading order.
+     * @private
+     */
+    const _getReadingOrder = function () {
+        const documents = [];
+        const collect = function (units) {
+            units.forEach(unit => {
+                if (unit.mustExclude) {
+                    return;
+                }
+                if (unit.fileExtension != ROOT && unit.fileExtension != DIR) {
+                    documents.push(unit);
+                }
+                if (unit.children) {
+                    collect(unit.children);
+                }
+            });
+        };
+        collect(_abstractNavigationTree);
+        return documents;
+    };
+
+    /**
+     * Returns the chain of units that leads from the root of the navigation tree to the unit having the given
+     * `filePath` (both ends included).
+     *
+     * @param   filePath {string}
+     *          The path of the unit to look up.
+     *
+     * @return  {object[]}
+     *          The units in the chain, root first, or an empty Array if the unit is not part of the (visible)
+     *          navigation tree.
+     * @private
+     */
+    const _getAncestryOf = function (filePath) {
+        const search = function (units, chain) {
+            for (let i = 0; i < units.length; i++) {
+                const unit = units[i];
+                if (unit.mustExclude && !(unit.isHidden && unit.filePath == filePath)) {
+                    continue;
+                }
+                const currChain = chain.concat(unit);
+                if (unit.filePath == filePath) {
+                    return currChain;
+                }
+                const found = unit.children ? search(unit.children, currChain) : null;
+                if (found) {
+                    return found;
+                }
+            }
+            return null;
+        };
+        return search(_abstractNavigationTree, []) || [];
+    };
+
+    /**
+     * Returns the unit of the document that precedes or follows (in reading order) the one pointed to by `docId`.
+     *
+     * @param   docId {string}
+     *          A string uniquely identifying a document in the compilation, usually the fully qualified path to its
+     *          originating file.
+     *
+     * @param   offset {number}
+     *          `-1` for the previous document, `1` for the next one.
+     *
+     * @return  {object|null}
+     *          The unit, or `null` if there is no such document.
+     * @private
+     */
+    const _getAdjacentDocument = function (docId, offset) {
+        const documents = _getReadingOrder();
+        const docIndex = documents.findIndex(unit => unit.filePath == docId);
+        return ((docIndex == -1) ? null : documents[docIndex + offset]) || null;
+    };
+
+    /**
+     * Creates a link to the document that precedes or follows (in reading order) the one pointed to by `docId`.
+     *
+     * @param   docId {string}
+     *          A string uniquely identifying a document in the compilation, usually the fully qualified path to its
+     *          originating file.
+     *
+     * @param   offset {number}
+     *          `-1` to link the previous document, `1` to link the next one.
+     *
+     * @param   template {string}
+     *          The template to use for the link. It receives the URL and the header of the linked document.
+     *
+     * @return  {string}
+     *          The HTML link, or an empty string if there is no such document.
+     * @private
+     */
+    const _buildHtmlAdjacentLink = function (docId, offset, template) {
+        const adjacentDoc = _getAdjacentDocument(docId, offset);
+        if (!adjacentDoc) {
+            return '';
+        }
+        return vsprintf(template, [_makeRelUrl(docId, adjacentDoc.filePath), _getNavLabel(adjacentDoc)]);
+    };
+
     /**
      * Actually creates the replacement for the "$$navigation" template placeholder. The resulting links' URLs are
      * adapted to the actual location of the document pointed to by `docId`.
@@ -444,9 +627,14 @@ module.exports = function MetaTextEngine(srcPath, targetPath, optionsData) {
      * @param   docId {string}
      *          A string uniquely identifying a document in the compilation, usually the fully qualified path to its
      *          originating file.
+     *
+     * @param   makeUrl {function|null}
+     *          Optional, default `null`. Function that receives the path of a linked document and returns the URL to
+     *          link it by (instead of the URL relative to `docId`).
      */
-    const _buildHtmlNavigation = function (docId) {
+    const _buildHtmlNavigation = function (docId, makeUrl = null) {
         const htmlFactory = new HtmlElementProxyFactory();
+        const getUrl = filePath => makeUrl ? makeUrl(filePath) : _makeRelUrl(docId, filePath);
         const $ = {rootHtmlEl: null};
         _walkTree(_abstractNavigationTree,
             (unit, parentUnit) => {
@@ -480,7 +668,7 @@ module.exports = function MetaTextEngine(srcPath, targetPath, optionsData) {
                         nodeItemContentEl = htmlFactory.getHtmlElementProxy(id + '#node_item_content',
                             NAV_ITEM_CONTENT_TEMPLATE);
                         const nodeContentLinkEl = htmlFactory.getHtmlElementProxy(id + '#node_content_link',
-                            LINK_TEMPLATE, [_makeRelUrl(docId, unit.filePath), unit.fileHeader]);
+                            LINK_TEMPLATE, [getUrl(unit.filePath), _getNavLabel(unit)]);
                         nodeItemContentEl.addChild(nodeContentLinkEl);
                     }
                     nodeHtmlItem.addChild(nodeItemContentEl);
@@ -506,7 +694,7 @@ module.exports = function MetaTextEngine(srcPath, targetPath, optionsData) {
                     const leafItemContentEl = htmlFactory.getHtmlElementProxy(id + '#leaf_item_content',
                         NAV_ITEM_CONTENT_TEMPLATE);
                     const leafContentLinkEl = htmlFactory.getHtmlElementProxy(id + '#leaf_content_link',
-                        LINK_TEMPLATE, [_makeRelUrl(docId, unit.filePath), unit.fileHeader]);
+                        LINK_TEMPLATE, [getUrl(unit.filePath), _getNavLabel(unit)]);
                     leafItemContentEl.addChild(leafContentLinkEl);
                     leafHtmlItem.addChild(leafItemContentEl);
                     parentEl.addChild(leafHtmlItem);
@@ -523,26 +711,516 @@ module.exports = function MetaTextEngine(srcPath, targetPath, optionsData) {
     };
 
     /**
-     * TODO: document
-     * @param filePath {string}
-     * @param fileContent {string}
-     * @return {string}
-     * @throws {error}
+     * Tells whether given `line` opens or closes a fenced code block, given the `openFence` currently in effect (if
+     * any). Used to avoid resolving directives that are merely quoted inside code samples.
+     *
+     * @param   line {string}
+     *          The line of text to test.
+     *
+     * @param   openFence {string|null}
+     *          The fence string (e.g., "```" or "~~~~") that opened the code block we are currently in, or `null`
+     *          if we are not inside a fenced code block.
+     *
+     * @return  {string|null}
+     *          The fence string in effect after `line` has been read.
+     * @private
+     */
+    const _updateFence = function (line, openFence) {
+        const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+        const match = line.match(FENCE_PATTERN);
+        if (!match) {
+            return openFence;
+        }
+        const fence = match[1];
+        if (!openFence) {
+            return fence;
+        }
+        if (fence.charAt(0) == openFence.charAt(0) && fence.length >= openFence.length &&
+            !line.trim().replace(fence, '').trim()) {
+            return null;
+        }
+        return openFence;
+    };
+
+    /**
+     * Tells whether given `line` belongs to an indented code block, given the `state` left behind by the previous
+     * lines (which is updated in the process). The content of list items is indented too, so list items are tracked
+     * as well. Lines inside fenced code blocks are expected to be handled separately (see `_updateFence()`).
+     *
+     * @param   line {string}
+     *          The line of text to test.
+     *
+     * @param   state {object}
+     *          Object with the fields: `isAfterBlank` (whether the previous line was blank, or did not belong to a
+     *          paragraph), `isInCode` (whether the previous line belonged to an indented code block) and
+     *          `listIndent` (the column the content of the current list item starts at, or `0`).
+     *
+     * @return  {boolean}
+     * @private
+     */
+    const _isIndentedCodeLine = function (line, state) {
+        if (!line.trim()) {
+            state.isAfterBlank = true;
+            return false;
+        }
+        const indent = line.match(/^[ \t]*/)[0].replace(/\t/g, '    ').length;
+        state.isInCode = (indent >= state.listIndent + 4) && (state.isInCode || state.isAfterBlank);
+        if (!state.isInCode) {
+            if (state.isAfterBlank && indent < state.listIndent) {
+                state.listIndent = 0;
+            }
+            const listMatch = line.match(/^ *(?:[-+*]|\d{1,9}[.)])(?: +|$)/);
+            if (listMatch) {
+                state.listIndent = listMatch[0].length;
+            }
+        }
+        state.isAfterBlank = false;
+        return state.isInCode;
+    };
+
+    /**
+     * Extracts from given `content` the section that starts with the (ATX) heading matching given `heading`, and
+     * ends right before the next heading of same or higher importance. Headings are compared case-insensitively,
+     * ignoring any leading numbering (so that renumbering a section does not break the inclusions pointing to it).
+     *
+     * @param   content {string}
+     *          The full content of the included document.
+     *
+     * @param   heading {string}
+     *          The text of the heading to look for.
+     *
+     * @return  {string|null}
+     *          The section (heading included), or `null` if no heading matched.
+     * @private
+     */
+    const _extractSection = function (content, heading) {
+        const HEADING_PATTERN = /^ {0,3}(#{1,6})[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/;
+        const normalize = text => text.replace(NUMBERING_PATTERN, '').replace(/\s+/g, ' ').trim().toLowerCase();
+        const wantedHeading = normalize(heading);
+        const lines = content.split(/\r?\n/);
+        const sectionLines = [];
+        let sectionLevel = 0;
+        let openFence = null;
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const wasInFence = !!openFence;
+            openFence = _updateFence(line, openFence);
+            const match = (!wasInFence && !openFence) ? line.match(HEADING_PATTERN) : null;
+            if (match) {
+                const level = match[1].length;
+                if (sectionLevel && level <= sectionLevel) {
+                    break;
+                }
+                if (!sectionLevel && normalize(match[2]) == wantedHeading) {
+                    sectionLevel = level;
+                }
+            }
+            if (sectionLevel) {
+                sectionLines.push(line);
+            }
+        }
+        return sectionLevel ? sectionLines.join('\n').trim() : null;
+    };
+
+    /**
+     * Rewrites all relative URLs found in the links, images and link reference definitions of an included
+     * fragment, so that they still point to the same resources once the fragment is transcluded in another
+     * document. In folder mode URLs are made relative to the compilation root and prefixed with the "$$rootDir$$"
+     * placeholder; otherwise they are made relative to the folder of the top-level document.
+     *
+     * @param   content {string}
+     *          The content of the included fragment.
+     *
+     * @param   fragmentPath {string}
+     *          Absolute path to the file the fragment was read from.
+     *
+     * @param   topFilePath {string}
+     *          Absolute path to the document that started the inclusions chain.
+     *
+     * @return  {string}
+     *          The fragment, with its relative URLs rewritten.
+     * @private
+     */
+    const _rebaseFragmentUrls = function (content, fragmentPath, topFilePath) {
+        const INLINE_LINK_PATTERN = /(!?\[[^\]]*\]\(\s*)(<[^>]*>|[^\s)]+)/g;
+        const REFERENCE_PATTERN = /^( {0,3}\[[^\]]+\]:\s*)(<[^>]*>|\S+)/;
+        const HTML_ATTRIBUTE_PATTERN = /(\s(?:src|href)\s*=\s*")([^"]*)(?=")/gi;
+        const NON_RELATIVE_PATTERN = /^([a-z][a-z0-9+.\-]*:|\/|#|\$\$)/i;
+        const fragmentDir = Path.dirname(fragmentPath);
+        const isFolderMode = !!_flatCompilationsList.length;
+        const baseDir = isFolderMode ? _flatCompilationsList[0].filePath : Path.dirname(topFilePath);
+        const rebase = function (prefix, url) {
+            const isBracketed = (url.charAt(0) == '<');
+            let bareUrl = isBracketed ? url.slice(1, -1) : url;
+            if (!bareUrl || NON_RELATIVE_PATTERN.test(bareUrl)) {
+                return prefix + url;
+            }
+            const suffixIndex = bareUrl.search(/[?#]/);
+            const suffix = (suffixIndex == -1) ? '' : bareUrl.slice(suffixIndex);
+            bareUrl = (suffixIndex == -1) ? bareUrl : bareUrl.slice(0, suffixIndex);
+            try {
+                bareUrl = decodeURI(bareUrl);
+            } catch (e) {
+                // Leave malformed URLs as they are.
+            }
+            const absTarget = Path.resolve(fragmentDir, bareUrl);
+            let rebasedUrl = Path.relative(baseDir, absTarget).replace(/\\+/g, '/') + suffix;
+            if (!isBracketed) {
+                rebasedUrl = rebasedUrl.replace(/ /g, '%20');
+            }
+            if (isFolderMode) {
+                rebasedUrl = ROOT_DIR_TAG + rebasedUrl;
+            }
+            return prefix + (isBracketed ? '<' + rebasedUrl + '>' : rebasedUrl);
+        };
+        let openFence = null;
+        return content.split(/\r?\n/).map(line => {
+            const wasInFence = !!openFence;
+            openFence = _updateFence(line, openFence);
+            if (wasInFence || openFence) {
+                return line;
+            }
+            return line
+                .replace(REFERENCE_PATTERN, (match, prefix, url) => rebase(prefix, url))
+                .replace(INLINE_LINK_PATTERN, (match, prefix, url) => rebase(prefix, url))
+                .replace(HTML_ATTRIBUTE_PATTERN, (match, prefix, url) => rebase(prefix, url));
+        }).join('\n');
+    };
+
+    /**
+     * Records, in the registry of inclusions, that the file found at `includedPath` is included by the document found
+     * at `documentPath`.
+     * @private
+     */
+    const _registerInclusion = function (includedPath, documentPath) {
+        if (!_inclusions[includedPath]) {
+            _inclusions[includedPath] = [];
+        }
+        if (!_inclusions[includedPath].includes(documentPath)) {
+            _inclusions[includedPath].push(documentPath);
+        }
+    };
+
+    /**
+     * Recursive worker for `resolveIncludes()`.
+     *
+     * @param   filePath {string}
+     *          Absolute path to the file whose content is being resolved.
+     *
+     * @param   fileContent {string}
+     *          The content to resolve inclusions in.
+     *
+     * @param   chain {string[]}
+     *          Absolute paths of all the files in the current inclusions chain, top-level document first.
+     *
+     * @return  {string}
+     * @private
+     */
+    const _resolveIncludes = function (filePath, fileContent, chain) {
+        const INCLUDE_PATTERN = new RegExp('^\\s*' + INCLUDE_TAG.replace(/\$/g, '\\$') + '\\((.+)\\)\\s*$');
+        const describeChain = paths => paths.join(' < ');
+        let openFence = null;
+        return fileContent.split(/\r?\n/).map(line => {
+            const wasInFence = !!openFence;
+            openFence = _updateFence(line, openFence);
+            const match = (wasInFence || openFence) ? null : line.match(INCLUDE_PATTERN);
+            if (!match) {
+                return line;
+            }
+
+            // Parse the directive, e.g.: $$include(../shared/warnings.txt#Before You Start)
+            const directive = match[1].trim();
+            const hashIndex = directive.indexOf('#');
+            const relPath = (hashIndex == -1 ? directive : directive.slice(0, hashIndex)).trim();
+            const heading = (hashIndex == -1 ? '' : directive.slice(hashIndex + 1)).trim();
+            const includedPath = Path.resolve(Path.dirname(filePath), relPath);
+            if (chain.includes(includedPath)) {
+                throw (new Error('circular inclusion detected: ' + describeChain(chain.concat(includedPath))));
+            }
+            if (!relPath || !Fs.existsSync(includedPath) || !Fs.lstatSync(includedPath).isFile()) {
+                throw (new Error('included file not found: "' + includedPath + '", inclusion chain: ' +
+                    describeChain(chain.concat(includedPath))));
+            }
+
+            // Included files are typically excluded from compilation on their own, so we drop the exclusion tag (and
+            // their front matter, if any).
+            let includedContent = parseFrontMatter(Fs.readFileSync(includedPath, 'utf8')).body.trim();
+            if (includedContent.indexOf(NO_COMPILE_TAG) == 0) {
+                includedContent = includedContent.slice(NO_COMPILE_TAG.length).trim();
+            }
+            if (heading) {
+                includedContent = _extractSection(includedContent, heading);
+                if (includedContent === null) {
+                    throw (new Error('section "' + heading + '" not found in included file "' + includedPath +
+                        '", inclusion chain: ' + describeChain(chain.concat(includedPath))));
+                }
+            }
+            includedContent = _rebaseFragmentUrls(includedContent, includedPath, chain[0]);
+            _registerInclusion(includedPath, chain[0]);
+            return _resolveIncludes(includedPath, includedContent, chain.concat(includedPath));
+        }).join('\n');
+    };
+
+    /**
+     * Transcludes other source files (or parts of them) into given `fileContent`. An inclusion directive must sit
+     * on its own line, and has the form:
+     *
+     * $$include(relative/path/to/file.txt)
+     * $$include(relative/path/to/file.txt#Some Heading)
+     *
+     * The path is resolved relative to the file that contains the directive. The second form only includes the
+     * section introduced by the given heading (up to the next heading of the same or higher level). Included files
+     * can include other files in turn. Directives inside fenced code blocks are left untouched. Relative links in
+     * included fragments are rewritten (using the "$$rootDir$$" placeholder, in folder mode) so that they keep
+     * working. Included files may be marked with the "$$nocompile" tag, so that they are only used as fragments.
+     *
+     * @param   filePath {string}
+     *          Absolute path to the document being compiled.
+     *
+     * @param   fileContent {string}
+     *          The (raw) content of that document.
+     *
+     * @return  {string}
+     *          The content, with all inclusions resolved.
+     *
+     * @throws  {Error}
      *          If a path in the inclusions chain is broken or circular inclusion is detected (A < B < C < A).
      */
     this.resolveIncludes = function (filePath, fileContent) {
-        // TODO: implement
-        return fileContent;
+        return _resolveIncludes(filePath, fileContent, [filePath]);
+    };
+
+    /**
+     * Reduces given wiki link target (or document header, or file name) to a form that can be compared loosely, i.e.,
+     * with no numbering, and with case and white space differences ignored.
+     * @private
+     */
+    const _makeWikiKey = function (text) {
+        return (text || '').trim().replace(NUMBERING_PATTERN, '').replace(/\s+/g, ' ').trim().toLowerCase();
+    };
+
+    /**
+     * Finds the documents a wiki link target could refer to, by matching it against the (tidied) headers and the
+     * file names of all the documents in the compilation. Numbering is ignored on both sides.
+     *
+     * @param   target {string}
+     *          The target of the wiki link, e.g., "Concepts" or "1.2. Concepts".
+     *
+     * @return  {object[]}
+     *          The units of the matching documents, in reading order (documents hidden from navigation come last).
+     * @private
+     */
+    const _findWikiLinkTargets = function (target) {
+        const key = _makeWikiKey(target);
+        const hiddenDocuments = _flatCompilationsList.filter(unit => unit.isHidden);
+        return _getReadingOrder().concat(hiddenDocuments).filter(unit => {
+            const bareFileName = changeFileExtension(unit.fileName, '');
+            return [unit.bareHeader, bareFileName, tidyUpLabel(bareFileName)]
+                .some(candidate => _makeWikiKey(candidate) == key);
+        });
+    };
+
+    /**
+     * Converts a wiki link (e.g., [[Concepts]], [[Concepts|see the concepts page]] or [[Concepts#Some Heading]])
+     * to a CommonMark link, whose URL is relative to the document found at `filePath`. Links that cannot be resolved
+     * are rendered as plain text; links that could refer to several documents resolve to the first one, in reading
+     * order. Both cases produce warnings.
+     *
+     * @param   filePath {string}
+     *          Absolute path to the document the link is found in.
+     *
+     * @param   target {string}
+     *          The link target, optionally followed by "#" and the text of a heading in the target document.
+     *
+     * @param   text {string|undefined}
+     *          The link text; defaults to the target (without the heading).
+     *
+     * @return  {string}
+     * @private
+     */
+    const _resolveWikiLink = function (filePath, target, text) {
+        const hashIndex = target.indexOf('#');
+        const docTarget = (hashIndex == -1 ? target : target.slice(0, hashIndex)).trim();
+        const heading = (hashIndex == -1 ? '' : target.slice(hashIndex + 1)).trim();
+        const linkText = (text || docTarget || heading).trim();
+        const description = '"[[' + target + (text ? '|' + text : '') + ']]" in "' + filePath + '"';
+        const matches = docTarget ? _findWikiLinkTargets(docTarget) : [{filePath: filePath}];
+        if (!matches.length) {
+            _warn('unresolved wiki link ' + description + '; no document has this header or file ' +
+                'name. Rendering it as plain text.');
+            return linkText;
+        }
+        if (matches.length > 1) {
+            _warn('ambiguous wiki link ' + description + '; it matches: ' +
+                matches.map(unit => '"' + unit.filePath + '"').join(', ') + '. Linking to the first one.');
+        }
+        let fileType = DEFAULT_OUTPUT_EXTENSION;
+        if (optionsData && optionsData.outputType) {
+            fileType = optionsData.outputType;
+        }
+        const url = (matches[0].filePath == filePath ? '' : _makeRelUrl(filePath, matches[0].filePath, fileType)) +
+            (heading ? '#' + getHeadingSlug(heading, _slugStyle) : '');
+        return '[' + linkText.replace(/([\\\[\]])/g, '\\$1') + '](<' + url + '>)';
+    };
+
+    /**
+     * Lowers the inline MTF markers found in given `line` to HTML. Code spans are left untouched. Supported markers:
+     * - {{kbd:Ctrl+Shift+P}}: keyboard shortcut; each "+" separated key is rendered as a <kbd> element;
+     * - {{ui:File > Save As}}: label of a user interface element (menu, button, etc.);
+     * - [[Target]] or [[Target|link text]]: wiki link to the document whose header or file name is "Target" (see
+     *   `_resolveWikiLink()`); lowered to a CommonMark link rather than to HTML. Only resolved if `filePath` is given.
+     *
+     * @param   line {string}
+     *          One line of MTF source text.
+     *
+     * @param   filePath {string|null}
+     *          Absolute path to the document the line belongs to, if known.
+     *
+     * @return  {string}
+     *          The line, with its inline markers converted to HTML.
+     * @private
+     */
+    const _resolveInlineMTF = function (line, filePath) {
+        const CODE_SPAN_PATTERN = /(`+)[^`]*?\1/g;
+        const INLINE_MARKER_PATTERN = /\{\{(kbd|ui):([^}]+)\}\}/g;
+        const WIKI_LINK_PATTERN = /\[\[([^\[\]|]+?)(?:\|([^\[\]]+?))?\]\]/g;
+        const resolveMarkers = text => text.replace(INLINE_MARKER_PATTERN, (match, type, value) => {
+            if (type == 'kbd') {
+                return value.split(/\s*\+\s*(?=\S)/)
+                    .map(key => vsprintf(KBD_TEMPLATE, [escapeHtml(key.trim())]))
+                    .join('+');
+            }
+            return vsprintf(UI_LABEL_TEMPLATE, [escapeHtml(value.trim())]);
+        }).replace(WIKI_LINK_PATTERN, (match, target, text) => filePath ?
+            _resolveWikiLink(filePath, target, text) : match);
+        let output = '';
+        let lastIndex = 0;
+        let match;
+        while ((match = CODE_SPAN_PATTERN.exec(line))) {
+            output += resolveMarkers(line.slice(lastIndex, match.index)) + match[0];
+            lastIndex = match.index + match[0].length;
+        }
+        return output + resolveMarkers(line.slice(lastIndex));
     };
 
     /**
-     * TODO: document
-     * @param content {string}
-     * @return {string}
+     * Returns the paths of all the documents that include (directly or indirectly) the file found at given `filePath`,
+     * as learned from the calls to `resolveIncludes()` made so far.
+     *
+     * @param   filePath {string}
+     *          Absolute path to a (possibly) included file.
+     *
+     * @return  {string[]}
+     *          The paths of the including documents; empty if the file is not included anywhere.
+     */
+    this.getDocumentsIncluding = function (filePath) {
+        return (_inclusions[filePath] || []).concat();
+    };
+
+    /**
+     * Returns the paths of all the files that the document found at given `documentPath` includes (directly or
+     * indirectly), as learned from the calls to `resolveIncludes()` and `registerInclusion()` made so far.
+     *
+     * @param   documentPath {string}
+     *          Absolute path to a (top-level) document.
+     *
+     * @return  {string[]}
+     *          The paths of the included files; empty if the document includes nothing.
      */
-    this.resolveMTF = function (content) {
-        // TODO: implement
-        return content;
+    this.getFilesIncludedBy = function (documentPath) {
+        return Object.keys(_inclusions).filter(includedPath => _inclusions[includedPath].includes(documentPath));
+    };
+
+    /**
+     * Records that the document found at `documentPath` includes the file found at `includedPath`, without actually
+     * resolving the inclusion. Useful when a document is not processed (e.g., because its output is up to date), but
+     * changes to the files it includes must still be tracked.
+     *
+     * @param   includedPath {string}
+     *          Absolute path to the included file.
+     *
+     * @param   documentPath {string}
+     *          Absolute path to the (top-level) including document.
+     */
+    this.registerInclusion = function (includedPath, documentPath) {
+        _registerInclusion(includedPath, documentPath);
+    };
+
+    /**
+     * Converts MetaText (MTF) syntax into CommonMark syntax (with embedded HTML blocks, which the CommonMark HTML
+     * renderer passes through). MTF blocks are delimited by ":::" fences, can be nested, and their content is regular
+     * CommonMark (or MTF) text:
+     *
+     * :::note Optional Title
+     * Text of the note.
+     * :::
+     *
+     * Any word can follow the opening fence: "note", "tip" and "warning" are the ones the default styles know about,
+     * and they produce "admonitions" (call-outs) having the CSS classes "admonition" and "admonition-<word>"; the
+     * title defaults to the capitalized word. The "details" word produces a collapsible section instead, whose
+     * (optional) title becomes the always visible summary. Unclosed blocks are closed at the end of the document.
+     * See `_resolveInlineMTF()` for the inline markers supported. Fenced and indented code blocks are left untouched.
+     *
+     * @param   content {string}
+     *          Document content, in MTF syntax.
+     *
+     * @param   filePath {string|null}
+     *          Optional, default `null`. Absolute path to the document the content belongs to; needed in order to
+     *          resolve wiki links (which are left untouched otherwise).
+     *
+     * @return  {string}
+     *          Document content, in CommonMark syntax.
+     */
+    this.resolveMTF = function (content, filePath = null) {
+        const BLOCK_OPEN_PATTERN = new RegExp('^ {0,3}' + MTF_BLOCK_FENCE + '\\s*([A-Za-z][\\w\\-]*)\\s*(.*)$');
+        const BLOCK_CLOSE_PATTERN = new RegExp('^ {0,3}' + MTF_BLOCK_FENCE + '\\s*$');
+        const openBlocks = [];
+        const output = [];
+        const codeState = {isAfterBlank: true, isInCode: false, listIndent: 0};
+        let openFence = null;
+        content.split(/\r?\n/).forEach(line => {
+            const wasInFence = !!openFence;
+            openFence = _updateFence(line, openFence);
+            if (wasInFence || openFence) {
+                Object.assign(codeState, {isAfterBlank: true, isInCode: false});
+                output.push(line);
+                return;
+            }
+            if (_isIndentedCodeLine(line, codeState)) {
+                output.push(line);
+                return;
+            }
+
+            // Opening a block. The blank lines around the generated HTML make CommonMark parse the block's content
+            // as regular Markdown.
+            const openMatch = line.match(BLOCK_OPEN_PATTERN);
+            if (openMatch) {
+                const type = openMatch[1].toLowerCase();
+                const title = openMatch[2].trim();
+                if (type == MTF_DETAILS_TYPE) {
+                    output.push('', vsprintf(DETAILS_OPEN_TEMPLATE, [escapeHtml(title || tidyUpLabel(type))]), '');
+                    openBlocks.push(DETAILS_CLOSE_TEMPLATE);
+                } else {
+                    output.push('', vsprintf(ADMONITION_OPEN_TEMPLATE, [type,
+                        escapeHtml(title || tidyUpLabel(type))]), '');
+                    openBlocks.push(ADMONITION_CLOSE_TEMPLATE);
+                }
+                codeState.isAfterBlank = true;
+                return;
+            }
+
+            // Closing the innermost open block. A stray closing fence is left as it is.
+            if (BLOCK_CLOSE_PATTERN.test(line) && openBlocks.length) {
+                output.push('', openBlocks.pop(), '');
+                codeState.isAfterBlank = true;
+                return;
+            }
+            output.push(_resolveInlineMTF(line, filePath));
+        });
+        while (openBlocks.length) {
+            output.push('', openBlocks.pop(), '');
+        }
+        return output.join('\n');
     }
 
     /**
@@ -659,9 +1337,20 @@ module.exports = function MetaTextEngine(srcPath, targetPath, optionsData) {
      * @param   fileHeader {string|null}
      *          Content of first line of the file, minus any tags that it might contain. Documents marked for exclusion
      *          (they have the exclusion tag in their header) return `null`, and so do empty documents.
+     *
+     * @param   isExcluded {boolean}
+     *          Optional, default `false`. Whether the document is marked for exclusion (via the "$$nocompile" tag).
+     *          Such documents are kept in the index (so that they do not disturb the numbering based ordering), but
+     *          they will not show in the generated navigation.
+     *
+     * @param   metadata {object|null}
+     *          Optional, default `null`. The front matter of the document (see the `front-matter` module). These keys
+     *          are honored: `title` (overrides the header), `navTitle` (overrides the header, in navigation only),
+     *          `order` (a Number that overrides the numbering when sorting) and `hidden` (if `true`, the document is
+     *          left out of the navigation, but still compiled).
      */
     this.addFileToIndex = function (filePath, fileName, fileExtension, fileCTime,
-                                    fileMTime, fileHeader) {
+                                    fileMTime, fileHeader, isExcluded = false, metadata = null) {
         if (_isIndexSealed) {
             throw (new Error('MetaTextEngine:: addFileToIndex() called after buildIndex() was called. The index is sealed and cannot be updated anymore.'));
         }
@@ -676,6 +1365,9 @@ module.exports = function MetaTextEngine(srcPath, targetPath, optionsData) {
             'fileHeader': fileHeader,
             'numberingSignature': ''
         };
+        if (isExcluded) {
+            unit.mustExclude = true;
+        }
         _flatCompilationsList.push(unit);
 
         // Extract document numbering, if available.
@@ -693,7 +1385,25 @@ module.exports = function MetaTextEngine(srcPath, targetPath, optionsData) {
             fileHeader = changeFileExtension(unit.fileName, '');
         }
         const headerPrefix = (_mustHideNavNumbering ? '' : unit.numberingSignature);
-        unit.fileHeader = headerPrefix + tidyUpLabel(fileHeader);
+        unit.bareHeader = tidyUpLabel(fileHeader);
+
+        // Apply the front matter.
+        metadata = metadata || {};
+        _metadata[filePath] = metadata;
+        if (metadata.title && String(metadata.title).trim()) {
+            unit.bareHeader = String(metadata.title).trim();
+        }
+        unit.fileHeader = headerPrefix + unit.bareHeader;
+        if (metadata.navTitle && String(metadata.navTitle).trim()) {
+            unit.navHeader = headerPrefix + String(metadata.navTitle).trim();
+        }
+        if (typeof metadata.order == 'number' && isFinite(metadata.order)) {
+            unit.sortingKey = [metadata.order];
+        }
+        if (metadata.hidden === true) {
+            unit.mustExclude = true;
+            unit.isHidden = true;
+        }
 
         // Determine the document's parent based on folders structure. We will try to refine it based on numbering upon
         // closing the index.
@@ -718,7 +1428,7 @@ module.exports = function MetaTextEngine(srcPath, targetPath, optionsData) {
      * @param   skippedFilePaths {string[]|null}
      *          Optional. An array of skipped file paths to account for. If provided, their parent folder(s) will be
      *          marked for omision, and will not be rendered in teh generated navigation tree (where empty folders are
-     *          otherwise used as separators).
+     *          otherwise used as separators), unless they also hold (included) documents.
      */
     this.buildIndex = function (skippedFilePaths = null) {
         _isIndexSealed = true;
@@ -726,13 +1436,22 @@ module.exports = function MetaTextEngine(srcPath, targetPath, optionsData) {
         // Mark for exclusion asset parent folders
         if (skippedFilePaths && skippedFilePaths.length) {
             const rootFolderPath = _flatCompilationsList[0].filePath;
+            const documentFolderPaths = new Set();
+            _flatCompilationsList
+                .filter(unit => unit.fileExtension != ROOT && unit.fileExtension != DIR && !unit.mustExclude)
+                .forEach(unit => {
+                    for (let folderPath = Path.dirname(unit.filePath); folderPath.indexOf(rootFolderPath) == 0 &&
+                        folderPath != rootFolderPath; folderPath = Path.dirname(folderPath)) {
+                        documentFolderPaths.add(folderPath);
+                    }
+                });
             skippedFilePaths.forEach (skippedPath => {
                 do {
                     skippedPath = Path.dirname(skippedPath);
                     if (skippedPath == rootFolderPath) {
                         break;
                     }
-                    if (!_foldersToExclude.includes(skippedPath)) {
+                    if (!_foldersToExclude.includes(skippedPath) && !documentFolderPaths.has(skippedPath)) {
                         _foldersToExclude.push (skippedPath);
                     }
                 } while (true);
@@ -783,6 +1502,206 @@ module.exports = function MetaTextEngine(srcPath, targetPath, optionsData) {
         return _buildHtmlNavigation (filePath);
     }
 
+    /**
+     * Builds and returns an HTML navigation tree whose links point to anchors inside one single page, for use in single
+     * page compilations (see the `combineDocuments` setting, under `htmlSettings`).
+     * @param getAnchor {function}
+     *        Function that receives the path of a document and returns the `id` of the element it starts at.
+     */
+    this.getHtmlInPageNavigation = function (getAnchor) {
+        return _buildHtmlNavigation (null, filePath => '#' + getAnchor(filePath));
+    }
+
+    /**
+     * Returns the paths of all the documents in the compilation, in reading order (i.e., the order of the generated
+     * navigation tree). Documents marked for exclusion are not listed. Returns an empty Array for individual runs.
+     * @return {string[]}
+     */
+    this.getReadingOrder = function () {
+        return _getReadingOrder().map(unit => unit.filePath);
+    }
+
+    /**
+     * Builds and returns a link to the document that precedes the one originating in given `filePath`, in reading
+     * order (see `$$prevLink`). Returns an empty string for the first document and for individual runs.
+     * @param filePath {string}
+     */
+    this.getHtmlPrevLinkFor = function (filePath) {
+        return _buildHtmlAdjacentLink(filePath, -1, PREV_LINK_TEMPLATE);
+    }
+
+    /**
+     * Builds and returns a link to the document that follows the one originating in given `filePath`, in reading
+     * order (see `$$nextLink`). Returns an empty string for the last document and for individual runs.
+     * @param filePath {string}
+     */
+    this.getHtmlNextLinkFor = function (filePath) {
+        return _buildHtmlAdjacentLink(filePath, 1, NEXT_LINK_TEMPLATE);
+    }
+
+    /**
+     * Builds and returns the breadcrumbs trail of the document originating in given `filePath`, i.e., the list of all
+     * its ancestors in the navigation tree, from the root of the compilation down to the document itself. Ancestor
+     * documents are rendered as links, while the root, folders and the current document are rendered as plain text.
+     * Returns an empty string for individual runs.
+     * @param filePath {string}
+     */
+    this.getHtmlBreadcrumbsFor = function (filePath) {
+        const ancestry = _getAncestryOf(filePath);
+        if (!ancestry.length) {
+            return '';
+        }
+        const items = ancestry.map((unit, i) => {
+            if (i == ancestry.length - 1) {
+                return vsprintf(CURRENT_BREADCRUMB_ITEM_TEMPLATE, [_getNavLabel(unit)]);
+            }
+            const isDocument = (unit.fileExtension != ROOT && unit.fileExtension != DIR);
+            return vsprintf(BREADCRUMB_ITEM_TEMPLATE, [isDocument ?
+                vsprintf(LINK_TEMPLATE, [_makeRelUrl(filePath, unit.filePath), _getNavLabel(unit)]) :
+                _getNavLabel(unit)]);
+        });
+        return vsprintf(BREADCRUMBS_TEMPLATE, [items.join('')]);
+    }
+
+    /**
+     * Returns the document that precedes or follows, in reading order, the one originating in given `filePath`, as
+     * data for use in templates (see `$$prevPage` and `$$nextPage`).
+     *
+     * @param   filePath {string}
+     *          The path of the current document.
+     *
+     * @param   offset {number}
+     *          `-1` for the previous document, `1` for the next one.
+     *
+     * @return  {object|null}
+     *          Object with the fields `label` and `url` (relative to the current document), or `null` if there is no
+     *          such document (or for individual runs).
+     */
+    this.getAdjacentPageFor = function (filePath, offset) {
+        const adjacentDoc = _getAdjacentDocument(filePath, offset);
+        return adjacentDoc ? {
+            'label': _getNavLabel(adjacentDoc),
+            'url': _makeRelUrl(filePath, adjacentDoc.filePath)
+        } : null;
+    }
+
+    /**
+     * Returns the breadcrumbs trail of the document originating in given `filePath` (see `getHtmlBreadcrumbsFor()`), as
+     * data for use in templates (see `$$breadcrumbItems`).
+     *
+     * @param   filePath {string}
+     *          The path of the current document.
+     *
+     * @return  {object[]}
+     *          Array of Objects with the fields `label`, `url` (relative to the current document; empty for the root,
+     *          for folders and for the current document) and `isCurrent`. Empty for individual runs.
+     */
+    this.getBreadcrumbItemsFor = function (filePath) {
+        const ancestry = _getAncestryOf(filePath);
+        return ancestry.map((unit, i) => {
+            const isCurrent = (i == ancestry.length - 1);
+            const isDocument = (unit.fileExtension != ROOT && unit.fileExtension != DIR);
+            return {
+                'label': _getNavLabel(unit),
+                'url': (isDocument && !isCurrent) ? _makeRelUrl(filePath, unit.filePath) : '',
+                'isCurrent': isCurrent
+            };
+        });
+    }
+
+    /**
+     * Returns the units nested directly under the document originating in given `filePath` in the navigation tree, as
+     * data for use in templates (see `$$childPages`).
+     *
+     * @param   filePath {string}
+     *          The path of the current document.
+     *
+     * @return  {object[]}
+     *          Array of Objects with the fields `label` and `url` (relative to the current document; empty for
+     *          folders). Empty if the document has no children, and for individual runs.
+     */
+    this.getChildPagesFor = function (filePath) {
+        const ancestry = _getAncestryOf(filePath);
+        const unit = ancestry[ancestry.length - 1];
+        return ((unit && unit.children) || []).filter(child => !child.mustExclude).map(child => ({
+            'label': _getNavLabel(child),
+            'url': (child.fileExtension == DIR) ? '' : _makeRelUrl(filePath, child.filePath)
+        }));
+    }
+
+    /**
+     * Returns a copy of the (sealed) navigation tree, in reading order and without the units marked for exclusion.
+     * Useful to output formats that need to traverse the compilation on their own (e.g., to build bookmarks).
+     * NOTE: when the <source> argument is not a folder, this will return an empty Array.
+     *
+     * @return  {object[]}
+     *          Array with (at most) one Object, describing the root of the compilation. Each Object has the fields:
+     *          `filePath`, `fileName`, `header`, `navHeader` (the label to use in navigation), `kind` (one of
+     *          NAV_KIND_ROOT, NAV_KIND_DIR or NAV_KIND_DOCUMENT),
+     *          `numbering` (an Array of integers, possibly empty), `mTime` and `children` (an Array of such Objects).
+     */
+    this.getNavigationTree = function () {
+        const copyUnit = unit => ({
+            'filePath': unit.filePath,
+            'fileName': unit.fileName,
+            'header': unit.fileHeader,
+            'navHeader': _getNavLabel(unit),
+            'kind': (unit.fileExtension == ROOT) ? NAV_KIND_ROOT :
+                (unit.fileExtension == DIR) ? NAV_KIND_DIR : NAV_KIND_DOCUMENT,
+            'numbering': (unit.numbering || []).concat(),
+            'mTime': unit.fileMTime,
+            'children': (unit.children || []).filter(child => !child.mustExclude).map(copyUnit)
+        });
+        return _abstractNavigationTree.filter(unit => !unit.mustExclude).map(copyUnit);
+    }
+
+    /**
+     * Returns the navigation tree as plain data, e.g., for rendering custom navigation on the client side (see the
+     * `$$navigationJson` placeholder and the "navigation.json" file).
+     * NOTE: when the <source> argument is not a folder, this will return an empty Array.
+     *
+     * @param   filePath {string|null}
+     *          Optional. Path to the document the URLs are to be relative to. If not given, they are relative to the
+     *          root folder of the compilation.
+     *
+     * @param   makeUrl {function|null}
+     *          Optional. Function that receives the path of a document and returns the URL to use for it, instead
+     *          (e.g., an in-page anchor, for single page compilations).
+     *
+     * @return  {object[]}
+     *          Array with (at most) one Object, describing the root of the compilation. Each Object has the fields:
+     *          `header`, `navHeader` (the label to use in navigation), `numbering`, `kind` (one of NAV_KIND_ROOT,
+     *          NAV_KIND_DIR or NAV_KIND_DOCUMENT), `url` (an empty string for the root and folders), `mTime` (the last
+     *          modification time, in milliseconds) and `children` (an Array of such Objects).
+     */
+    this.getNavigationData = function (filePath = null, makeUrl = null) {
+        const navigationTree = this.getNavigationTree();
+        if (!navigationTree.length) {
+            return [];
+        }
+        const basePath = filePath || Path.join(navigationTree[0].filePath, NAVIGATION_FILE_NAME);
+        const getUrl = docPath => makeUrl ? makeUrl(docPath) : _makeRelUrl(basePath, docPath);
+        const toData = unit => ({
+            'header': unit.header,
+            'navHeader': unit.navHeader,
+            'numbering': unit.numbering,
+            'kind': unit.kind,
+            'url': (unit.kind == NAV_KIND_DOCUMENT) ? getUrl(unit.filePath) : '',
+            'mTime': Math.floor(unit.mTime),
+            'children': unit.children.map(toData)
+        });
+        return navigationTree.map(toData);
+    }
+
+    /**
+     * Tells whether this is a folder compilation, i.e., whether the <source> argument is a folder (and an index of its
+     * files and folders was built). For individual runs, most of the generated content resolves to empty strings.
+     * @return {boolean}
+     */
+    this.isFolderCompilation = function () {
+        return (_flatCompilationsList.length > 0);
+    }
+
     /**
      * Returns the relative path that leads from the given `filePath` to the root directory of the HTML compilation.
      * Useful for easily pointing to assets that live in a root directory's subfolder, or as a more convenient way of
@@ -805,6 +1724,71 @@ module.exports = function MetaTextEngine(srcPath, targetPath, optionsData) {
         return (rootPathPrefix? rootPathPrefix + '/' : '');
     }
 
+    /**
+     * Returns the absolute URL the document originating in given `filePath` is published at, based on the `siteUrl`
+     * setting (under `htmlSettings`), e.g., "https://example.com/docs/2.%20Guides/2.1.%20Setup.html".
+     * NOTE: returns an empty string if `siteUrl` is not set, and for individual runs.
+     * @param filePath {string}
+     */
+    this.getPageUrlFor = function (filePath) {
+        const siteUrl = optionsData && optionsData.htmlSettings && optionsData.htmlSettings.siteUrl;
+        if (!siteUrl || !_flatCompilationsList.length) {
+            return '';
+        }
+
+        // The URL is relative to a (virtual) document placed in the root folder.
+        const rootAbsPath = _flatCompilationsList[0].filePath;
+        return toSiteUrl(siteUrl, _makeRelUrl(Path.join(rootAbsPath, getFileName(filePath)), filePath));
+    }
+
+    /**
+     * Returns the canonical URL of the document originating in given `filePath`, i.e., the one its front matter sets
+     * via the `canonical` key (either absolute, or relative to the `siteUrl` setting), or else its own URL (see
+     * `getPageUrlFor()`). Returns an empty string if neither is available.
+     * @param filePath {string}
+     */
+    this.getCanonicalUrlFor = function (filePath) {
+        const canonical = String(this.getMetadataFor(filePath).canonical || '').trim();
+        const siteUrl = optionsData && optionsData.htmlSettings && optionsData.htmlSettings.siteUrl;
+        if (canonical) {
+            try {
+                return (new URL(canonical, siteUrl ? siteUrl.replace(/\/*$/, '/') : undefined)).href;
+            } catch (e) {
+                _warn('invalid "canonical" URL in the front matter of "' + filePath + '": ' + canonical +
+                    (siteUrl ? '' : ' (relative URLs require the "siteUrl" setting)'));
+            }
+        }
+        return this.getPageUrlFor(filePath);
+    }
+
+    /**
+     * Returns the last modification time recorded for the file having given `filePath` (in milliseconds), or `null`
+     * if the file is not in the index (e.g., for individual runs).
+     * @param filePath {string}
+     */
+    this.getModificationTimeFor = function (filePath) {
+        const fileInfo = _flatCompilationsList.filter(unit => unit.filePath == filePath)[0];
+        return fileInfo ? fileInfo.fileMTime : null;
+    }
+
+    /**
+     * Updates the modification time recorded for the file having given `filePath`, e.g., because its content was
+     * edited after the index was built. Unlike the other changes, this one is permitted on a sealed index, because
+     * it does not affect the structure of the compilation.
+     *
+     * @param   filePath {string}
+     *          Absolute local path to the file.
+     *
+     * @param   fileMTime {number}
+     *          File modification time in milliseconds, as reported by the OS.
+     */
+    this.updateFileMTime = function (filePath, fileMTime) {
+        const fileInfo = _flatCompilationsList.filter (unit => unit.filePath == filePath)[0];
+        if (fileInfo) {
+            fileInfo.fileMTime = fileMTime;
+        }
+    }
+
     /**
      * Returns a timestamp of the given file's last modification time, as reported by the underlying OS.
      * NOTE: when the <source> argument is not a folder, this will return an empty string.
@@ -848,7 +1832,7 @@ module.exports = function MetaTextEngine(srcPath, targetPath, optionsData) {
     /**
      * Returns the header of the document having the given `srcFilePath`.
      * NOTE: when the <source> argument is not a folder, this will
-     * return an empty string.
+     * return the `title` set in the document's front matter, if any, or an empty string.
      * @param srcFilePath
      */
     this.getHeaderFor = function (srcFilePath) {
@@ -859,6 +1843,34 @@ module.exports = function MetaTextEngine(srcPath, targetPath, optionsData) {
                 return doc.fileHeader;
             }
         }
-        return '';
+        const metadata = _metadata[srcFilePath];
+        return (metadata && metadata.title) ? String(metadata.title) : '';
+    }
+
+    /**
+     * Records the front matter (metadata) of the document having the given `srcFilePath`. Documents added to the
+     * index via `addFileToIndex()` need not be recorded again.
+     *
+     * @param   srcFilePath {string}
+     *          Absolute path to the document.
+     *
+     * @param   metadata {object}
+     *          The parsed front matter (see the `front-matter` module).
+     */
+    this.setMetadataFor = function (srcFilePath, metadata) {
+        _metadata[srcFilePath] = metadata || {};
+    }
+
+    /**
+     * Returns the front matter (metadata) of the document having the given `srcFilePath`.
+     *
+     * @param   srcFilePath {string}
+     *          Absolute path to the document.
+     *
+     * @return  {object}
+     *          The metadata Object; empty if the document has no front matter (or is unknown).
+     */
+    this.getMetadataFor = function (srcFilePath) {
+        return _metadata[srcFilePath] || {};
     }
 };
\ No newline at end of file
@@ -0,0 +1,583 @@
+'use strict';
+const Fs = require('fs');
+const Path = require('path');
+const PDFDocument = require('pdfkit');
+const {getFileName} = require('./path-utils');
+
+// Import constants
+const {
+    ROOT_DIR_TAG,
+    NAV_KIND_DOCUMENT,
+    DEFAULT_PDF_PAGE_SIZE,
+    DEFAULT_PDF_MARGIN
+} = require('./constants');
+
+/**
+ * Class that lays out CommonMark syntax trees as PDF documents. It supports headings, paragraphs, (nested) lists,
+ * code blocks, block quotes, thematic breaks, links and (local PNG or JPEG) images. Output can be produced either
+ * one document at a time, or as a single PDF that combines all the documents in a compilation, in navigation order.
+ *
+ * @param   mtEngine {MetaTextEngine}
+ *          Instance of the MetaTextEngine class. It holds an index of all files and folders in the
+ *          compilation as well as other useful data, and allows us to obtain document-specific
+ *          information easily.
+ *
+ * @param   optionsData {object}
+ *          The configuration the program has been started with, if applicable.
+ *
+ * @constructor
+ */
+module.exports = function PdfProcessor(mtEngine, optionsData) {
+
+    // Local constants
+    const BODY_FONT_SIZE = 11;
+    const CODE_FONT_SIZE = 9;
+    const HEADING_FONT_SIZES = [0, 22, 18, 15, 13, 12, 11];
+    const LIST_INDENT = 18;
+    const QUOTE_INDENT = 14;
+    const TEXT_COLOR = '#222222';
+    const MUTED_COLOR = '#666666';
+    const LINK_COLOR = '#1a5fb4';
+    const CODE_BACKGROUND_COLOR = '#f2f2f2';
+    const RULE_COLOR = '#bbbbbb';
+    const EXTERNAL_URL_PATTERN = /^(https?|mailto|ftp):/i;
+    const FONTS = {
+        'regular': 'Helvetica',
+        'bold': 'Helvetica-Bold',
+        'italic': 'Helvetica-Oblique',
+        'boldItalic': 'Helvetica-BoldOblique',
+        'code': 'Courier'
+    };
+
+    /**
+     * The PDF related settings, with defaults applied.
+     * @type {object}
+     * @private
+     */
+    const _settings = {
+        pageSize: DEFAULT_PDF_PAGE_SIZE,
+        margin: DEFAULT_PDF_MARGIN
+    };
+    if (optionsData && optionsData.pdfSettings) {
+        _settings.pageSize = optionsData.pdfSettings.pageSize || _settings.pageSize;
+        if (typeof optionsData.pdfSettings.margin == 'number') {
+            _settings.margin = optionsData.pdfSettings.margin;
+        }
+    }
+
+    /**
+     * Creates an empty PDF document, ready to be written to.
+     *
+     * @param   title {string}
+     *          The title to store in the PDF metadata.
+     *
+     * @return  {PDFDocument}
+     * @private
+     */
+    const _createDocument = function (title) {
+        return new PDFDocument({
+            size: _settings.pageSize,
+            margin: _settings.margin,
+            info: {
+                Title: title || '',
+                Creator: 'AUNTIE'
+            }
+        });
+    };
+
+    /**
+     * Ends given PDF document and synchronously collects its binary content.
+     *
+     * @param   pdfDoc {PDFDocument}
+     *          The document to end.
+     *
+     * @return  {Buffer}
+     * @private
+     */
+    const _finalizeDocument = function (pdfDoc) {
+        pdfDoc.end();
+        const chunks = [];
+        let chunk;
+        while ((chunk = pdfDoc.read()) !== null) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    };
+
+    /**
+     * Produces a name for the PDF destination that marks the beginning of the document originating in given
+     * `filePath`. Used to resolve cross-document links in combined PDFs.
+     *
+     * @param   filePath {string}
+     *          Path to a file, with or without extension.
+     *
+     * @return  {string}
+     * @private
+     */
+    const _makeDestinationName = function (filePath) {
+        return 'doc:' + Path.join(Path.dirname(filePath), getFileName(filePath, true));
+    };
+
+    /**
+     * Resolves a document-relative URL (which can contain the "$$rootDir$$" placeholder) to an absolute path, in the
+     * same location as the document originating in `srcFilePath`.
+     *
+     * @param   url {string}
+     *          The URL to resolve.
+     *
+     * @param   srcFilePath {string}
+     *          Path to the document the URL was found in.
+     *
+     * @return  {string}
+     * @private
+     */
+    const _resolveLocalUrl = function (url, srcFilePath) {
+        let localPath = url.split(ROOT_DIR_TAG).join(mtEngine.getRootDirPathFor(srcFilePath)).replace(/[?#].*$/, '');
+        try {
+            localPath = decodeURI(localPath);
+        } catch (e) {
+            // Leave malformed URLs as they are.
+        }
+        return Path.resolve(Path.dirname(srcFilePath), localPath);
+    };
+
+    /**
+     * Flattens the inline content of given block `node` into a list of "runs", i.e., chunks of text that share the same
+     * styling.
+     *
+     * @param   node {object}
+     *          A CommonMark block node (e.g., a paragraph or a heading).
+     *
+     * @return  {object[]}
+     *          Array of Objects with the fields: `text`, `bold`, `italic`, `code` and `url`.
+     * @private
+     */
+    const _collectRuns = function (node) {
+        const runs = [];
+        const style = {bold: 0, italic: 0, url: null};
+        const walker = node.walker();
+        let event;
+        const pushText = function (text, isCode = false) {
+            if (text) {
+                runs.push({
+                    text: text,
+                    bold: style.bold > 0,
+                    italic: style.italic > 0,
+                    code: isCode,
+                    url: style.url
+                });
+            }
+        };
+        while ((event = walker.next())) {
+            const current = event.node;
+            if (current === node) {
+                continue;
+            }
+            switch (current.type) {
+                case 'text':
+                    pushText(current.literal);
+                    break;
+                case 'code':
+                    pushText(current.literal, true);
+                    break;
+                case 'softbreak':
+                    pushText(' ');
+                    break;
+                case 'linebreak':
+                    pushText('\n');
+                    break;
+                case 'strong':
+                    style.bold += (event.entering ? 1 : -1);
+                    break;
+                case 'emph':
+                    style.italic += (event.entering ? 1 : -1);
+                    break;
+                case 'link':
+                    style.url = (event.entering ? current.destination : null);
+                    break;
+                case 'image':
+                    style.italic += (event.entering ? 1 : -1);
+                    break;
+            }
+        }
+        return runs;
+    };
+
+    /**
+     * Returns the plain text of given block `node`, e.g., for use as a bookmark title.
+     * @param   node {object}
+     * @return  {string}
+     * @private
+     */
+    const _getPlainText = function (node) {
+        return _collectRuns(node).map(run => run.text).join('').replace(/\s+/g, ' ').trim();
+    };
+
+    /**
+     * Inner class that walks a CommonMark syntax tree and draws it into a PDF document.
+     *
+     * @param   pdfDoc {PDFDocument}
+     *          The PDF document to draw into.
+     *
+     * @param   srcFilePath {string}
+     *          Path to the document the syntax tree originates from. Used to resolve images and links.
+     *
+     * @param   knownDestinations {string[]|null}
+     *          In combined PDFs, the names of the destinations that mark the beginning of each document; links to
+     *          these documents will be turned into internal links. Pass `null` otherwise.
+     *
+     * @param   headingsOutline {object|null}
+     *          Optional. A PDF outline to add all headings to, as nested bookmarks.
+     *
+     * @constructor
+     * @private
+     */
+    const SyntaxTreeRenderer = function (pdfDoc, srcFilePath, knownDestinations, headingsOutline) {
+        const left = pdfDoc.page.margins.left;
+        const contentWidth = pdfDoc.page.width - pdfDoc.page.margins.left - pdfDoc.page.margins.right;
+        const headingsStack = [];
+
+        /**
+         * Adds a new page if less than `minSpace` points are left on the current one.
+         * @param minSpace {number}
+         */
+        const ensureSpace = function (minSpace) {
+            const bottom = pdfDoc.page.height - pdfDoc.page.margins.bottom;
+            if (pdfDoc.y + minSpace > bottom) {
+                pdfDoc.addPage();
+            }
+        };
+
+        /**
+         * Selects the font matching given inline `run`.
+         * @param run {object}
+         */
+        const selectFont = function (run) {
+            const fontName = run.code ? FONTS.code :
+                (run.bold && run.italic) ? FONTS.boldItalic :
+                    run.bold ? FONTS.bold :
+                        run.italic ? FONTS.italic : FONTS.regular;
+            pdfDoc.font(fontName);
+        };
+
+        /**
+         * Draws given inline `runs` as one flowing block of text.
+         *
+         * @param   runs {object[]}
+         *          As returned by `_collectRuns()`.
+         *
+         * @param   indent {number}
+         *          Horizontal offset from the left margin, in points.
+         *
+         * @param   fontSize {number}
+         *          The (base) font size to use.
+         *
+         * @param   color {string}
+         *          The (base) text color to use.
+         */
+        const drawRuns = function (runs, indent, fontSize, color) {
+            pdfDoc.x = left + indent;
+            runs.forEach((run, i) => {
+                const options = {
+                    width: contentWidth - indent,
+                    continued: (i < runs.length - 1),
+                    underline: !!run.url,
+                    link: null,
+                    goTo: null
+                };
+                if (run.url) {
+                    if (EXTERNAL_URL_PATTERN.test(run.url)) {
+                        options.link = run.url;
+                    } else if (knownDestinations) {
+                        const destination = _makeDestinationName(_resolveLocalUrl(run.url, srcFilePath));
+                        if (knownDestinations.includes(destination)) {
+                            options.goTo = destination;
+                        }
+                    }
+                }
+                selectFont(run);
+                pdfDoc.fontSize(run.code ? fontSize * 0.9 : fontSize)
+                    .fillColor(run.url ? LINK_COLOR : color)
+                    .text(run.text, options);
+            });
+            pdfDoc.x = left;
+        };
+
+        /**
+         * Draws a paragraph that only consists of an image, if that image is a local PNG or JPEG file.
+         *
+         * @param   node {object}
+         *          A CommonMark paragraph node.
+         *
+         * @param   indent {number}
+         *          Horizontal offset from the left margin, in points.
+         *
+         * @return  {boolean}
+         *          Whether the image could be drawn.
+         */
+        const drawImage = function (node, indent) {
+            const image = node.firstChild;
+            if (!image || image.type != 'image' || image.next || EXTERNAL_URL_PATTERN.test(image.destination)) {
+                return false;
+            }
+            const imagePath = _resolveLocalUrl(image.destination, srcFilePath);
+            if (!Fs.existsSync(imagePath)) {
+                return false;
+            }
+            try {
+                const maxHeight = (pdfDoc.page.height - pdfDoc.page.margins.top - pdfDoc.page.margins.bottom) / 2;
+                const openedImage = pdfDoc.openImage(imagePath);
+                const scale = Math.min(1, (contentWidth - indent) / openedImage.width, maxHeight / openedImage.height);
+                ensureSpace(openedImage.height * scale);
+                pdfDoc.image(openedImage, left + indent, pdfDoc.y, {scale: scale});
+                pdfDoc.x = left;
+                pdfDoc.y += openedImage.height * scale;
+                return true;
+            } catch (e) {
+                return false;
+            }
+        };
+
+        /**
+         * Registers given heading as a bookmark, nested under the closest preceding heading of a higher level.
+         *
+         * @param   title {string}
+         * @param   level {number}
+         */
+        const addHeadingBookmark = function (title, level) {
+            if (!headingsOutline || !title) {
+                return;
+            }
+            while (headingsStack.length && headingsStack[headingsStack.length - 1].level >= level) {
+                headingsStack.pop();
+            }
+            const parentOutline = headingsStack.length ? headingsStack[headingsStack.length - 1].outline :
+                headingsOutline;
+            headingsStack.push({level: level, outline: parentOutline.addItem(title)});
+        };
+
+        /**
+         * Recursively draws given block `node` and its children.
+         *
+         * @param   node {object}
+         *          A CommonMark block node.
+         *
+         * @param   context {object}
+         *          Object with the fields: `indent` (horizontal offset, in points), `color` and `tight` (whether
+         *          we are inside a tight list).
+         */
+        const drawBlock = function (node, context) {
+            const gap = context.tight ? 0.2 : 0.6;
+            switch (node.type) {
+                case 'document':
+                    drawChildren(node, context);
+                    break;
+
+                case 'heading':
+                    const level = Math.min(node.level, HEADING_FONT_SIZES.length - 1);
+                    const fontSize = HEADING_FONT_SIZES[level];
+                    ensureSpace(fontSize * 4);
+                    if (pdfDoc.y > pdfDoc.page.margins.top) {
+                        pdfDoc.moveDown(0.4);
+                    }
+                    addHeadingBookmark(_getPlainText(node), node.level);
+                    drawRuns(_collectRuns(node).map(run => Object.assign(run, {bold: true})),
+                        context.indent, fontSize, context.color);
+                    pdfDoc.moveDown(0.4);
+                    break;
+
+                case 'paragraph':
+                    if (!drawImage(node, context.indent)) {
+                        drawRuns(_collectRuns(node), context.indent, BODY_FONT_SIZE, context.color);
+                    }
+                    pdfDoc.moveDown(gap);
+                    break;
+
+                case 'block_quote':
+                    const quoteTop = pdfDoc.y;
+                    const quotePage = pdfDoc.page;
+                    drawChildren(node, Object.assign({}, context, {
+                        indent: context.indent + QUOTE_INDENT,
+                        color: MUTED_COLOR
+                    }));
+                    if (pdfDoc.page === quotePage) {
+                        const barX = left + context.indent + 3;
+                        pdfDoc.moveTo(barX, quoteTop).lineTo(barX, pdfDoc.y - BODY_FONT_SIZE * 0.6)
+                            .lineWidth(2).strokeColor(RULE_COLOR).stroke();
+                    }
+                    break;
+
+                case 'list':
+                    const listData = node.listData || {};
+                    const isOrdered = (listData.type == 'ordered');
+                    let itemNumber = (listData.start == null) ? 1 : listData.start;
+                    let item = node.firstChild;
+                    while (item) {
+                        const marker = isOrdered ? (itemNumber++) + (listData.delimiter == 'paren' ? ')' : '.') :
+                            '•';
+                        ensureSpace(BODY_FONT_SIZE * 2);
+                        const markerY = pdfDoc.y;
+                        pdfDoc.font(FONTS.regular).fontSize(BODY_FONT_SIZE).fillColor(context.color)
+                            .text(marker, left + context.indent, markerY, {
+                                width: LIST_INDENT - 4,
+                                lineBreak: false
+                            });
+                        pdfDoc.y = markerY;
+                        drawChildren(item, Object.assign({}, context, {
+                            indent: context.indent + LIST_INDENT,
+                            tight: node.listTight
+                        }));
+                        item = item.next;
+                    }
+                    if (node.listTight) {
+                        pdfDoc.moveDown(0.4);
+                    }
+                    break;
+
+                case 'code_block':
+                    const code = (node.literal || '').replace(/\n$/, '');
+                    const codeWidth = contentWidth - context.indent;
+                    const padding = 6;
+                    pdfDoc.font(FONTS.code).fontSize(CODE_FONT_SIZE);
+                    const codeHeight = pdfDoc.heightOfString(code, {width: codeWidth - padding * 2});
+                    const pageSpace = pdfDoc.page.height - pdfDoc.page.margins.bottom - pdfDoc.y;
+                    if (codeHeight + padding * 2 <= pageSpace) {
+                        pdfDoc.rect(left + context.indent, pdfDoc.y, codeWidth, codeHeight + padding * 2)
+                            .fill(CODE_BACKGROUND_COLOR);
+                    }
+                    pdfDoc.fillColor(TEXT_COLOR).text(code, left + context.indent + padding, pdfDoc.y + padding, {
+                        width: codeWidth - padding * 2
+                    });
+                    pdfDoc.x = left;
+                    pdfDoc.y += padding;
+                    pdfDoc.moveDown(gap);
+                    break;
+
+                case 'thematic_break':
+                    pdfDoc.moveDown(0.3);
+                    pdfDoc.moveTo(left + context.indent, pdfDoc.y).lineTo(left + contentWidth, pdfDoc.y)
+                        .lineWidth(1).strokeColor(RULE_COLOR).stroke();
+                    pdfDoc.moveDown(0.8);
+                    break;
+
+                // Raw HTML cannot be laid out; we keep its text, so that no content gets lost.
+                case 'html_block':
+                    const htmlText = (node.literal || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+                    if (htmlText) {
+                        drawRuns([{text: htmlText}], context.indent, BODY_FONT_SIZE, context.color);
+                        pdfDoc.moveDown(gap);
+                    }
+                    break;
+            }
+        };
+
+        /**
+         * Draws all the children of given `node`, in order.
+         * @param node {object}
+         * @param context {object}
+         */
+        const drawChildren = function (node, context) {
+            let child = node.firstChild;
+            while (child) {
+                drawBlock(child, context);
+                child = child.next;
+            }
+        };
+
+        /**
+         * Draws given CommonMark syntax tree.
+         * @param syntaxTree {object}
+         */
+        this.render = function (syntaxTree) {
+            pdfDoc.x = left;
+            drawBlock(syntaxTree, {indent: 0, color: TEXT_COLOR, tight: false});
+        };
+    };
+
+    /**
+     * Lays out given CommonMark `syntaxTree` as a standalone PDF document. The document headings are also added as
+     * (nested) bookmarks. The signature mirrors the one of `HtmlTemplateProcessor.process()`.
+     *
+     * @param   srcFilePath {string}
+     *          Path to the document the syntax tree originates from.
+     *
+     * @param   syntaxTree {object}
+     *          The CommonMark syntax tree of the document.
+     *
+     * @return  {Buffer}
+     *          The binary content of the produced PDF file.
+     */
+    this.process = function (srcFilePath, syntaxTree) {
+        const title = mtEngine.getHeaderFor(srcFilePath) || getFileName(srcFilePath, true);
+        const pdfDoc = _createDocument(title);
+        const renderer = new SyntaxTreeRenderer(pdfDoc, srcFilePath, null, pdfDoc.outline);
+        renderer.render(syntaxTree);
+        return _finalizeDocument(pdfDoc);
+    };
+
+    /**
+     * Lays out all the documents in given `navigationTree` as one single PDF file, in reading order. Each document
+     * starts on a new page, and the PDF bookmarks mirror the navigation tree. Links between documents become internal
+     * PDF links.
+     *
+     * @param   navigationTree {object[]}
+     *          The navigation tree, as returned by `MetaTextEngine.getNavigationTree()`.
+     *
+     * @param   syntaxTreeProvider {function}
+     *          Function that receives the path of a document and returns its CommonMark syntax tree, or `null` if the
+     *          document is not to be included. It has the signature:
+     *
+     *          getSyntaxTree (srcFilePath);
+     *
+     * @return  {Buffer}
+     *          The binary content of the produced PDF file.
+     */
+    this.processCompilation = function (navigationTree, syntaxTreeProvider) {
+        const pdfDoc = _createDocument(mtEngine.getCompilationHeader());
+        const syntaxTrees = {};
+        const knownDestinations = [];
+        const $ = {isFirstDocument: true};
+
+        // Pre-parse all documents, so that we know in advance which links can be resolved internally.
+        const collectDocuments = function (units) {
+            units.forEach(unit => {
+                if (unit.kind == NAV_KIND_DOCUMENT) {
+                    const syntaxTree = syntaxTreeProvider(unit.filePath);
+                    if (syntaxTree) {
+                        syntaxTrees[unit.filePath] = syntaxTree;
+                        knownDestinations.push(_makeDestinationName(unit.filePath));
+                    }
+                }
+                collectDocuments(unit.children);
+            });
+        };
+        collectDocuments(navigationTree);
+
+        // Folders only get a bookmark once their first document is drawn, so that the bookmark has a page to point
+        // to; folders without any (included) document get no bookmark at all.
+        const drawUnits = function (units, getParentOutline) {
+            units.forEach(unit => {
+                const syntaxTree = syntaxTrees[unit.filePath];
+                let unitOutline = null;
+                const getOutline = function () {
+                    if (!unitOutline) {
+                        unitOutline = getParentOutline().addItem(unit.header, {expanded: true});
+                    }
+                    return unitOutline;
+                };
+                if (syntaxTree) {
+                    if (!$.isFirstDocument) {
+                        pdfDoc.addPage();
+                    }
+                    $.isFirstDocument = false;
+                    pdfDoc.addNamedDestination(_makeDestinationName(unit.filePath));
+                    getOutline();
+                    new SyntaxTreeRenderer(pdfDoc, unit.filePath, knownDestinations, null).render(syntaxTree);
+                }
+                drawUnits(unit.children, getOutline);
+            });
+        };
+        navigationTree.forEach(root => drawUnits(root.children, () => pdfDoc.outline));
+        return _finalizeDocument(pdfDoc);
+    };
+}
@@ -0,0 +1,205 @@
+'use strict';
+const Fs = require('fs');
+const Path = require('path');
+const Http = require('http');
+
+// Import constants
+const {
+    LIVE_RELOAD_PATH,
+    LIVE_RELOAD_SCRIPT
+} = require('./constants');
+
+/**
+ * Class that serves a compiled website from a local folder over HTTP, for previewing purposes. HTML pages are served
+ * with an injected script that reloads them whenever `notifyReload()` is called (e.g., after a rebuild).
+ *
+ * @param   rootPath {string}
+ *          Absolute path to the folder to serve, i.e., the <target> of the compilation.
+ *
+ * @param   port {number}
+ *          The port to listen to. The server only listens on the loopback interface.
+ *
+ * @param   getDefaultUrl {function}
+ *          Function that returns the root-relative URL of the page to redirect to when the root of the website is
+ *          requested and there is no "index.html" file, or `null` if there is no such page.
+ *
+ * @constructor
+ */
+module.exports = function PreviewServer(rootPath, port, getDefaultUrl) {
+
+    // Local constants
+    const HOST = '127.0.0.1';
+    const MIME_TYPES = {
+        'html': 'text/html; charset=utf-8',
+        'htm': 'text/html; charset=utf-8',
+        'css': 'text/css; charset=utf-8',
+        'js': 'text/javascript; charset=utf-8',
+        'json': 'application/json; charset=utf-8',
+        'xml': 'application/xml; charset=utf-8',
+        'txt': 'text/plain; charset=utf-8',
+        'svg': 'image/svg+xml',
+        'png': 'image/png',
+        'jpg': 'image/jpeg',
+        'jpeg': 'image/jpeg',
+        'gif': 'image/gif',
+        'webp': 'image/webp',
+        'ico': 'image/x-icon',
+        'woff': 'font/woff',
+        'woff2': 'font/woff2',
+        'ttf': 'font/ttf',
+        'otf': 'font/otf',
+        'pdf': 'application/pdf',
+        'epub': 'application/epub+zip',
+        'mp4': 'video/mp4',
+        'webm': 'video/webm',
+        'mp3': 'audio/mpeg'
+    };
+    const DEFAULT_MIME_TYPE = 'application/octet-stream';
+
+    /**
+     * Open "server-sent events" connections, one per open page, used to trigger reloads.
+     * @type {http.ServerResponse[]}
+     * @private
+     */
+    const _liveReloadClients = [];
+
+    /**
+     * The underlying HTTP server.
+     * @type {http.Server}
+     * @private
+     */
+    let _server = null;
+
+    /**
+     * Maps the path part of a requested URL to a file inside the served folder. Requests for folders are mapped to
+     * their "index.html" file, and extension-less requests are mapped to ".html" files, if they exist.
+     *
+     * @param   urlPath {string}
+     *          The (still encoded) path part of the requested URL.
+     *
+     * @return  {string|null}
+     *          The absolute path of the file to serve, or `null` if there is none (or the URL tries to escape the
+     *          served folder).
+     * @private
+     */
+    const _resolveFilePath = function (urlPath) {
+        let decodedPath;
+        try {
+            decodedPath = decodeURIComponent(urlPath);
+        } catch (e) {
+            return null;
+        }
+        const filePath = Path.resolve(rootPath, '.' + Path.sep + decodedPath);
+        if (filePath != rootPath && filePath.indexOf(rootPath + Path.sep) != 0) {
+            return null;
+        }
+        const candidates = [filePath, Path.join(filePath, 'index.html'), filePath + '.html'];
+        for (let i = 0; i < candidates.length; i++) {
+            if (Fs.existsSync(candidates[i]) && Fs.lstatSync(candidates[i]).isFile()) {
+                return candidates[i];
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Sends a plain text response.
+     * @private
+     */
+    const _sendText = function (response, statusCode, text) {
+        response.writeHead(statusCode, {'Content-Type': MIME_TYPES.txt});
+        response.end(text);
+    };
+
+    /**
+     * Handles one HTTP request.
+     * @private
+     */
+    const _onRequest = function (request, response) {
+        const urlPath = request.url.split(/[?#]/)[0];
+
+        // Live reload subscriptions.
+        if (urlPath == LIVE_RELOAD_PATH) {
+            response.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive'
+            });
+            response.write(': connected\n\n');
+            _liveReloadClients.push(response);
+            request.on('close', function () {
+                const clientIndex = _liveReloadClients.indexOf(response);
+                if (clientIndex != -1) {
+                    _liveReloadClients.splice(clientIndex, 1);
+                }
+            });
+            return;
+        }
+        if (request.method != 'GET' && request.method != 'HEAD') {
+            _sendText(response, 405, 'Method not allowed.');
+            return;
+        }
+
+        // Requests for the website root go to the first page, unless there is an "index.html" file.
+        let filePath = _resolveFilePath(urlPath);
+        if (urlPath == '/' && !filePath) {
+            const defaultUrl = getDefaultUrl ? getDefaultUrl() : null;
+            if (defaultUrl) {
+                response.writeHead(302, {'Location': '/' + encodeURI(defaultUrl)});
+                response.end();
+                return;
+            }
+        }
+        if (!filePath) {
+            _sendText(response, 404, 'Not found: ' + urlPath);
+            return;
+        }
+
+        // HTML pages get the live reload script injected; anything else is served as it is.
+        const extension = Path.extname(filePath).replace(/^\./, '').toLowerCase();
+        const mimeType = MIME_TYPES[extension] || DEFAULT_MIME_TYPE;
+        let body = Fs.readFileSync(filePath);
+        if (extension == 'html' || extension == 'htm') {
+            const html = body.toString('utf8');
+            const closingBodyIndex = html.toLowerCase().lastIndexOf('</body>');
+            body = Buffer.from(closingBodyIndex == -1 ? html + LIVE_RELOAD_SCRIPT :
+                html.slice(0, closingBodyIndex) + LIVE_RELOAD_SCRIPT + html.slice(closingBodyIndex), 'utf8');
+        }
+        response.writeHead(200, {
+            'Content-Type': mimeType,
+            'Content-Length': body.length,
+            'Cache-Control': 'no-store'
+        });
+        response.end(request.method == 'HEAD' ? undefined : body);
+    };
+
+    /**
+     * Starts listening for requests.
+     *
+     * @param   callback {function}
+     *          Function to call once the server is listening (receives no arguments), or failed to start (receives
+     *          the error).
+     */
+    this.start = function (callback) {
+        _server = Http.createServer(_onRequest);
+        _server.on('error', callback);
+        _server.listen(port, HOST, function () {
+            callback();
+        });
+    };
+
+    /**
+     * Returns the URL the website is served at.
+     * @return {string}
+     */
+    this.getUrl = function () {
+        return 'http://localhost:' + port + '/';
+    };
+
+    /**
+     * Makes all open pages reload.
+     */
+    this.notifyReload = function () {
+        _liveReloadClients.forEach(client => client.write('data: reload\n\n'));
+    };
+}
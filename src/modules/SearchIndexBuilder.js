@@ -0,0 +1,91 @@
+'use strict';
+const Fs = require('fs');
+const Path = require('path');
+const {collectHeadings, getPlainText} = require('./heading-utils');
+const {ensureParentDirs} = require('./file-utils');
+
+// Import constants
+const {
+    SEARCH_INDEX_FILE_NAME,
+    SEARCH_SCRIPT_FILE_NAME,
+    SEARCH_INDEX_GLOBAL_NAME
+} = require('./constants');
+
+/**
+ * Path to the (dependency-free) client side script that queries the search index from within the compiled pages.
+ * @type {string}
+ */
+const SEARCH_SCRIPT_SOURCE_PATH = Path.join(__dirname, '../client/auntie-search.js');
+
+/**
+ * Class that gathers searchable information about all the documents in a compilation, and writes it to the target
+ * folder as a search index, together with the script that queries it on the client side. The index is written as a
+ * JavaScript file (assigning a global variable) rather than as plain JSON, so that it can also be loaded by pages
+ * opened straight from disk (via the "file://" protocol).
+ *
+ * @param   mtEngine {MetaTextEngine}
+ *          Instance of the MetaTextEngine class. It holds an index of all files and folders in the
+ *          compilation as well as other useful data, and allows us to obtain document-specific
+ *          information easily.
+ *
+ * @param   targetPath {string}
+ *          The parsed value of the <target> argument, i.e., the root folder of the compiled website.
+ *
+ * @param   slugStyle {string}
+ *          Optional, default "unicode". The style of the heading ids (see the `slugStyle` setting, under
+ *          `htmlSettings`).
+ *
+ * @constructor
+ */
+module.exports = function SearchIndexBuilder(mtEngine, targetPath, slugStyle = 'unicode') {
+
+    /**
+     * Storage for the index entries, one per compiled document.
+     * @type {object[]}
+     * @private
+     */
+    const _entries = [];
+
+    /**
+     * Adds a compiled document to the search index. Adding a document that is already indexed (e.g., because it was
+     * rebuilt while watching) replaces its existing entry.
+     *
+     * @param   srcFilePath {string}
+     *          Path to the source file of the document.
+     *
+     * @param   targetFilePath {string}
+     *          Path to the compiled document, used to produce its root-relative URL.
+     *
+     * @param   syntaxTree {object}
+     *          The CommonMark syntax tree of the document.
+     */
+    this.addDocument = function (srcFilePath, targetFilePath, syntaxTree) {
+        const entry = {
+            't': mtEngine.getHeaderFor(srcFilePath),
+            'u': Path.relative(targetPath, targetFilePath).replace(/\\+/g, '/'),
+            'h': collectHeadings(syntaxTree, slugStyle).map(heading => [heading.text, heading.id]),
+            'b': getPlainText(syntaxTree)
+        };
+        const existingIndex = _entries.findIndex(existingEntry => existingEntry.u == entry.u);
+        if (existingIndex == -1) {
+            _entries.push(entry);
+        } else {
+            _entries[existingIndex] = entry;
+        }
+    };
+
+    /**
+     * Writes the search index and the search script to the root of the target folder.
+     *
+     * @return  {string[]}
+     *          The absolute paths of the written files.
+     */
+    this.write = function () {
+        const indexFilePath = Path.resolve(targetPath, SEARCH_INDEX_FILE_NAME);
+        const scriptFilePath = Path.resolve(targetPath, SEARCH_SCRIPT_FILE_NAME);
+        ensureParentDirs(indexFilePath);
+        Fs.writeFileSync(indexFilePath, 'window.' + SEARCH_INDEX_GLOBAL_NAME + ' = ' + JSON.stringify(_entries) + ';');
+        Fs.writeFileSync(scriptFilePath, Fs.readFileSync(SEARCH_SCRIPT_SOURCE_PATH, 'utf8'));
+        return [indexFilePath, scriptFilePath];
+    };
+}
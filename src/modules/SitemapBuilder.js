@@ -0,0 +1,90 @@
+'use strict';
+const Fs = require('fs');
+const Path = require('path');
+const vsprintf = require('sprintf-js').vsprintf;
+const {escapeHtml} = require('./html-utils');
+const {toSiteUrl} = require('./path-utils');
+const {ensureParentDirs} = require('./file-utils');
+
+// Import constants
+const {
+    SITEMAP_FILE_NAME,
+    ROBOTS_FILE_NAME,
+    SITEMAP_TEMPLATE,
+    SITEMAP_ENTRY_TEMPLATE,
+    ROBOTS_TEMPLATE
+} = require('./constants');
+
+/**
+ * Class that gathers the compiled documents of a compilation, and writes a "sitemap.xml" file listing them (with
+ * their last modification times), together with a "robots.txt" file pointing to it, to the root of the target folder.
+ * Only documents that are part of the navigation are listed, and only if their canonical URL is their own (see
+ * `getCanonicalUrlFor()` in the `MetaTextEngine` class).
+ *
+ * @param   mtEngine {MetaTextEngine}
+ *          Instance of the MetaTextEngine class. It holds an index of all files and folders in the
+ *          compilation as well as other useful data, and allows us to obtain document-specific
+ *          information easily.
+ *
+ * @param   targetPath {string}
+ *          The parsed value of the <target> argument, i.e., the root folder of the compiled website.
+ *
+ * @param   siteUrl {string}
+ *          The URL the target folder is published at (see the `siteUrl` setting).
+ *
+ * @param   reservedPaths {string[]}
+ *          Optional. Absolute paths of files the <source> folder already provides (e.g., its own "robots.txt", copied
+ *          over as an asset), which are not to be overwritten.
+ *
+ * @constructor
+ */
+module.exports = function SitemapBuilder(mtEngine, targetPath, siteUrl, reservedPaths = []) {
+
+    /**
+     * Paths of the source files of the documents compiled so far.
+     * @type {string[]}
+     * @private
+     */
+    const _srcFilePaths = [];
+
+    /**
+     * Adds a compiled document to the sitemap. Adding a document that is already listed (e.g., because it was rebuilt
+     * while watching) has no effect.
+     *
+     * @param   srcFilePath {string}
+     *          Path to the source file of the document.
+     */
+    this.addDocument = function (srcFilePath) {
+        if (!_srcFilePaths.includes(srcFilePath)) {
+            _srcFilePaths.push(srcFilePath);
+        }
+    };
+
+    /**
+     * Writes the sitemap and the robots file to the root of the target folder (skipping the reserved ones).
+     *
+     * @return  {string[]}
+     *          The absolute paths of the written files.
+     */
+    this.write = function () {
+        const entries = mtEngine.getReadingOrder()
+            .filter(srcFilePath => _srcFilePaths.includes(srcFilePath))
+            .filter(srcFilePath => mtEngine.getCanonicalUrlFor(srcFilePath) == mtEngine.getPageUrlFor(srcFilePath))
+            .map(srcFilePath => vsprintf(SITEMAP_ENTRY_TEMPLATE, [
+                escapeHtml(mtEngine.getPageUrlFor(srcFilePath)),
+                (new Date(mtEngine.getModificationTimeFor(srcFilePath))).toISOString()
+            ]));
+        const files = [
+            [Path.resolve(targetPath, SITEMAP_FILE_NAME), vsprintf(SITEMAP_TEMPLATE, [entries.join('')])],
+            [Path.resolve(targetPath, ROBOTS_FILE_NAME), vsprintf(ROBOTS_TEMPLATE, [toSiteUrl(siteUrl,
+                SITEMAP_FILE_NAME)])]
+        ];
+        return files
+            .filter(([filePath]) => !reservedPaths.includes(filePath))
+            .map(([filePath, content]) => {
+                ensureParentDirs(filePath);
+                Fs.writeFileSync(filePath, content);
+                return filePath;
+            });
+    };
+}
@@ -0,0 +1,263 @@
+'use strict';
+const Fs = require('fs');
+const Path = require('path');
+const {globToRegExp} = require('./path-utils');
+const {compileTemplate} = require('./template-language');
+
+// Import constants
+const {
+    FOLDER_TEMPLATE_FILE_NAME,
+    TEMPLATE_NAMES
+} = require('./constants');
+
+/**
+ * Class that selects the HTML template of each document in the compilation. The first of these applies:
+ * 1. the template the document's front matter points to, via the `template` key (relative to the document);
+ * 2. the template of the first rule in the `templateRules` map of the options file (see below) whose glob pattern
+ *    matches the document's path, relative to the <source> folder;
+ * 3. the "_template.html" file found in the document's folder or in the nearest of its ancestors (up to the <source>
+ *    folder), which thus applies to a whole subtree;
+ * 4. the compilation's template, i.e., the one the `templateFile` setting points to, or the built-in one.
+ *
+ * The `templateRules` setting (under `htmlSettings`) maps glob patterns to template paths, e.g.:
+ * {"api/**": "templates/api.html", "tutorials/*.txt": "templates/tutorial.html"}
+ *
+ * Templates are read and compiled (see the `template-language` module) once, and then cached.
+ *
+ * @param   srcPath {string|null}
+ *          The parsed value of the <source> argument, if it is a folder; `null` for individual runs (where only the
+ *          front matter and the compilation's template apply).
+ *
+ * @param   defaultTemplate {string}
+ *          The compilation's template.
+ *
+ * @param   defaultTemplatePath {string|null}
+ *          The absolute path the compilation's template was read from; `null` for the built-in template (or for one
+ *          given in memory).
+ *
+ * @param   optionsData {object}
+ *          The configuration the program has been started with, if applicable.
+ *
+ * @constructor
+ */
+module.exports = function TemplateSelector(srcPath, defaultTemplate, defaultTemplatePath, optionsData) {
+
+    /**
+     * The template selection rules, in the order they were given, each as an Object with the fields: `pattern` (the
+     * glob pattern), `matcher` (the equivalent RegExp) and `templatePath` (absolute).
+     * @type {object[]}
+     * @private
+     */
+    const _rules = [];
+    const htmlSettings = (optionsData && optionsData.htmlSettings) || {};
+    Object.keys(htmlSettings.templateRules || {}).forEach(pattern => {
+        _rules.push({
+            pattern: pattern,
+            matcher: globToRegExp(pattern),
+            templatePath: Path.resolve(String(htmlSettings.templateRules[pattern]))
+        });
+    });
+
+    /**
+     * Templates compiled so far: maps absolute template paths (or an empty string, for the compilation's template) to
+     * Objects with the fields `template` (the compiled template, or `null`) and `error` (the reason why the template
+     * could not be compiled, or `null`).
+     * @type {object}
+     * @private
+     */
+    const _cache = {};
+
+    /**
+     * Folders looked up for a "_template.html" file so far: maps absolute folder paths to the path of the applicable
+     * folder template, or to `null` if none applies.
+     * @type {object}
+     * @private
+     */
+    const _folderTemplates = {};
+
+    /**
+     * Absolute paths of all the templates selected so far, other than the compilation's template.
+     * @type {string[]}
+     * @private
+     */
+    const _selectedPaths = [];
+
+    /**
+     * Returns the path of the "_template.html" file that applies to given `folderPath`, if any.
+     * @private
+     */
+    const _getFolderTemplatePath = function (folderPath) {
+        if (!(folderPath in _folderTemplates)) {
+            const candidatePath = Path.join(folderPath, FOLDER_TEMPLATE_FILE_NAME);
+            const isRoot = (folderPath == srcPath || Path.dirname(folderPath) == folderPath);
+            _folderTemplates[folderPath] = Fs.existsSync(candidatePath) ? candidatePath :
+                isRoot ? null : _getFolderTemplatePath(Path.dirname(folderPath));
+        }
+        return _folderTemplates[folderPath];
+    };
+
+    /**
+     * Reads and compiles the template found at given `templatePath` (or the compilation's template, if `null`), unless
+     * already cached.
+     *
+     * @return  {object}
+     *          The cache entry of the template.
+     * @private
+     */
+    const _load = function (templatePath) {
+        const key = templatePath || '';
+        if (!(key in _cache)) {
+            const entry = {template: null, error: null};
+            const source = templatePath ? (Fs.existsSync(templatePath) ?
+                Fs.readFileSync(templatePath, 'utf8').trim() : null) : defaultTemplate;
+            if (!source) {
+                entry.error = new Error('HTML template is missing or empty: ' + templatePath);
+            } else {
+                try {
+                    entry.template = compileTemplate(source, templatePath || defaultTemplatePath, TEMPLATE_NAMES);
+                } catch (e) {
+                    entry.error = e;
+                }
+            }
+            _cache[key] = entry;
+        }
+        return _cache[key];
+    };
+
+    /**
+     * Checks that all the templates the `templateRules` setting points to exist.
+     *
+     * @return  {string|null}
+     *          A description of the problem found, or `null` if there is none.
+     */
+    this.validate = function () {
+        const brokenRule = _rules.find(rule => !Fs.existsSync(rule.templatePath));
+        return brokenRule ? 'template of rule "' + brokenRule.pattern + '" not found: ' + brokenRule.templatePath :
+            null;
+    };
+
+    /**
+     * Returns the path of the template that applies to the document originating in given `srcFilePath`.
+     *
+     * @param   srcFilePath {string}
+     *          Absolute path to the source document.
+     *
+     * @param   metadata {object}
+     *          The front matter of the document.
+     *
+     * @return  {string|null}
+     *          The absolute path of the template, or `null` if the compilation's template applies.
+     */
+    this.getTemplatePathFor = function (srcFilePath, metadata) {
+        let templatePath = null;
+        if (metadata && metadata.template) {
+            templatePath = Path.resolve(Path.dirname(srcFilePath), String(metadata.template));
+        } else if (srcPath) {
+            const relPath = Path.relative(srcPath, srcFilePath).replace(/\\+/g, '/');
+            const rule = _rules.find(rule => rule.matcher.test(relPath));
+            templatePath = rule ? rule.templatePath : _getFolderTemplatePath(Path.dirname(srcFilePath));
+        }
+        if (templatePath == defaultTemplatePath) {
+            return null;
+        }
+        if (templatePath && !_selectedPaths.includes(templatePath)) {
+            _selectedPaths.push(templatePath);
+        }
+        return templatePath;
+    };
+
+    /**
+     * Returns the (compiled) template that applies to the document originating in given `srcFilePath`.
+     *
+     * @param   srcFilePath {string}
+     *          Absolute path to the source document.
+     *
+     * @param   metadata {object}
+     *          The front matter of the document.
+     *
+     * @return  {object}
+     *          The compiled template, as returned by `compileTemplate()` (see the `template-language` module).
+     *
+     * @throws  {Error}
+     *          If the selected template is missing, empty or invalid.
+     */
+    this.getTemplateFor = function (srcFilePath, metadata) {
+        const entry = _load(this.getTemplatePathFor(srcFilePath, metadata));
+        if (entry.error) {
+            throw entry.error;
+        }
+        return entry.template;
+    };
+
+    /**
+     * Returns the compiled template of the compilation.
+     *
+     * @return  {object}
+     *
+     * @throws  {Error}
+     *          If the template is invalid.
+     */
+    this.getDefaultTemplate = function () {
+        const entry = _load(null);
+        if (entry.error) {
+            throw entry.error;
+        }
+        return entry.template;
+    };
+
+    /**
+     * Compiles all the templates selected so far (any errors are only reported by `getTemplateFor()`), so that the
+     * partials they use are known to `isTemplateFile()`.
+     */
+    this.preload = function () {
+        _selectedPaths.forEach(_load);
+    };
+
+    /**
+     * Tells whether the file found at given `filePath` is a template or a partial (rather than content, or an asset),
+     * so that it can be kept out of the compiled content. Templates pointed to from front matter are only known after
+     * `getTemplatePathFor()` was called for the documents pointing to them, and partials only after the templates
+     * using them were compiled (see `preload()`).
+     *
+     * @param   filePath {string}
+     *          Absolute path to a file.
+     *
+     * @return  {boolean}
+     */
+    this.isTemplateFile = function (filePath) {
+        return (filePath == defaultTemplatePath || Path.basename(filePath) == FOLDER_TEMPLATE_FILE_NAME ||
+            _selectedPaths.includes(filePath) || _rules.some(rule => rule.templatePath == filePath) ||
+            this.getPartialPaths().includes(filePath));
+    };
+
+    /**
+     * Returns the paths of all the templates selected so far, other than the compilation's template.
+     * @return {string[]}
+     */
+    this.getSelectedPaths = function () {
+        return _selectedPaths.concat();
+    };
+
+    /**
+     * Returns the paths of all the partials used by the templates compiled so far (the compilation's one included).
+     * @return {string[]}
+     */
+    this.getPartialPaths = function () {
+        const partialPaths = [];
+        Object.keys(_cache).forEach(key => (_cache[key].template ? _cache[key].template.partialPaths : [])
+            .forEach(partialPath => {
+                if (!partialPaths.includes(partialPath)) {
+                    partialPaths.push(partialPath);
+                }
+            }));
+        return partialPaths;
+    };
+
+    /**
+     * Forgets the templates compiled so far, so that they are read anew when next needed (e.g., because they, or the
+     * partials they use, changed).
+     */
+    this.clearCache = function () {
+        Object.keys(_cache).forEach(templatePath => delete _cache[templatePath]);
+    };
+}
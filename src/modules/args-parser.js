@@ -0,0 +1,221 @@
+'use strict';
+const {getSuggestions} = require('./string-utils');
+
+// Import constants
+const {
+    HTML,
+    PDF,
+    EPUB,
+    SERVE_COMMAND,
+    PORT_FLAG,
+    DEFAULT_PREVIEW_PORT,
+    HELP_FLAG,
+    LONG_HELP_FLAG,
+    VERSION_FLAG,
+    OPTIONS_FLAG,
+    TEMPLATE_FLAG,
+    OUTPUT_TYPE_FLAG,
+    QUIET_FLAG,
+    VERBOSE_FLAG,
+    FORCE_FLAG,
+    BATCH_LOG_FLAG,
+    SET_FLAG,
+    WATCH_FLAG,
+    INCREMENTAL_FLAG,
+    PRINT_CONFIG_FLAG
+} = require('./constants');
+
+/**
+ * The flags the command line accepts, mapped to the field they set in the parsed flags Object. Flags that take a value
+ * accept it both as the next argument and after an equal sign (e.g., "--port 8081" or "--port=8081"). Flags with an
+ * `optionKey` are shorthands for overriding the respective option (see the "--set" flag).
+ */
+const FLAGS = {
+    [HELP_FLAG]: {field: 'help'},
+    [LONG_HELP_FLAG]: {field: 'help'},
+    [VERSION_FLAG]: {field: 'version'},
+    [OPTIONS_FLAG]: {field: 'options', takesValue: true},
+    [TEMPLATE_FLAG]: {field: 'template', takesValue: true, optionKey: 'htmlSettings.templateFile'},
+    [OUTPUT_TYPE_FLAG]: {field: 'outputType', takesValue: true, optionKey: 'outputType'},
+    [QUIET_FLAG]: {field: 'quiet'},
+    [VERBOSE_FLAG]: {field: 'verbose'},
+    [FORCE_FLAG]: {field: 'force'},
+    [BATCH_LOG_FLAG]: {field: 'batchLog', optionKey: 'outputBatchLog'},
+    [SET_FLAG]: {field: 'set', takesValue: true, isRepeatable: true},
+    [WATCH_FLAG]: {field: 'watch'},
+    [INCREMENTAL_FLAG]: {field: 'incremental'},
+    [PORT_FLAG]: {field: 'port', takesValue: true},
+    [PRINT_CONFIG_FLAG]: {field: 'printConfig'}
+};
+
+/**
+ * Maximum number of positional arguments, i.e., <source>, <target> and <options file>.
+ */
+const MAX_NUM_POSITIONALS = 3;
+
+/**
+ * Parses the value of a "--set" flag, i.e., "<key path>=<value>". The value is read as JSON if possible (so that
+ * `true`, `12` or `["md", "txt"]` have their proper types), and as a plain string otherwise.
+ *
+ * @return    {object|null}
+ *            Object with the fields `keyPath` and `value`, or `null` if given `setting` is malformed.
+ */
+const parseSetting = function (setting) {
+    const separatorIndex = setting.indexOf('=');
+    if (separatorIndex == -1) {
+        return null;
+    }
+    const keyPath = setting.slice(0, separatorIndex).trim();
+    if (!keyPath || keyPath.split('.').some(key => !key)) {
+        return null;
+    }
+    const rawValue = setting.slice(separatorIndex + 1);
+    let value = rawValue;
+    try {
+        value = JSON.parse(rawValue);
+    } catch (e) {
+        // Not JSON, so use it as a string.
+    }
+    return {keyPath: keyPath, value: value};
+}
+
+/**
+ * Parses the command line arguments (as given to the program, i.e., without the Node.js executable and script paths).
+ *
+ * @param    args {string[]}
+ *            The arguments to parse, typically `process.argv.slice(2)`.
+ *
+ * @param    errorCallback
+ *            Function to pass descriptive error messages. It should
+ *            take one string argument.
+ *
+ * @return    An Object with these fields, if the arguments are valid, or `null` otherwise:
+ *            - command: `SERVE_COMMAND` or `null` (for a regular compilation);
+ *            - source, target, options: the <source>, <target> and <options file> (the latter either given as the
+ *              third positional argument or via "--options"), or `undefined` if not given;
+ *            - template, outputType: the values of the respective flags, or `undefined` if not given;
+ *            - help, version, printConfig, quiet, verbose, force, batchLog, watch, incremental: `true` if the
+ *              respective flag was given;
+ *            - port: the port to serve on;
+ *            - overrides: Object mapping option key paths (e.g., "htmlSettings.templateFile") to the values set via
+ *              "--set", "--template", "--output-type" and "--batch-log", in the order they were given.
+ */
+exports.parseArgs = function (args, errorCallback) {
+    const flags = {};
+    const overrides = {};
+    const positionals = [];
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        // A single dash is a valid positional argument (see TEMP_TARGET_PLACEHOLDER).
+        if (arg.length < 2 || arg[0] != '-') {
+            positionals.push(arg);
+            continue;
+        }
+        const separatorIndex = arg.indexOf('=');
+        const name = (separatorIndex == -1) ? arg : arg.slice(0, separatorIndex);
+        const definition = FLAGS[name];
+        if (!definition) {
+            const knownFlags = Object.keys(FLAGS);
+            const knownNames = knownFlags.map(knownFlag => knownFlag.replace(/^-+/, ''));
+            const suggestions = getSuggestions(name.replace(/^-+/, ''), knownNames)
+                .map(knownName => knownFlags[knownNames.indexOf(knownName)]);
+            errorCallback('unknown flag: ' + name + (suggestions.length ? ' (did you mean ' +
+                suggestions.join(' or ') + '?)' : ''));
+            return null;
+        }
+        if (flags[definition.field] !== undefined && !definition.isRepeatable) {
+            errorCallback('flag given more than once: ' + name);
+            return null;
+        }
+        if (!definition.takesValue) {
+            if (separatorIndex != -1) {
+                errorCallback('flag ' + name + ' takes no value');
+                return null;
+            }
+            flags[definition.field] = true;
+            if (definition.optionKey) {
+                overrides[definition.optionKey] = true;
+            }
+            continue;
+        }
+        const value = (separatorIndex == -1) ? args[++i] : arg.slice(separatorIndex + 1);
+        if (value === undefined || value === '') {
+            errorCallback('missing value for flag: ' + name);
+            return null;
+        }
+        if (definition.field == 'set') {
+            const setting = parseSetting(value);
+            if (!setting) {
+                errorCallback('invalid ' + SET_FLAG + ' value: "' + value + '" (expected: <key path>=<value>, e.g., ' +
+                    'htmlSettings.hideNavigationNumbering=true)');
+                return null;
+            }
+            overrides[setting.keyPath] = setting.value;
+            continue;
+        }
+        flags[definition.field] = value;
+        if (definition.optionKey) {
+            overrides[definition.optionKey] = value;
+        }
+    }
+
+    // Help and version requests override everything else.
+    if (flags.help || flags.version) {
+        return {help: !!flags.help, version: !!flags.version};
+    }
+
+    // Check positional arguments.
+    const command = (positionals[0] == SERVE_COMMAND) ? positionals.shift() : null;
+    if (positionals.length > MAX_NUM_POSITIONALS) {
+        errorCallback('too many arguments: ' + positionals.slice(MAX_NUM_POSITIONALS).join(' '));
+        return null;
+    }
+    if (positionals[2] !== undefined && flags.options !== undefined) {
+        errorCallback('<options file> given twice (both as an argument and via ' + OPTIONS_FLAG + ')');
+        return null;
+    }
+
+    // Check flag values and combinations.
+    if (flags.quiet && flags.verbose) {
+        errorCallback(QUIET_FLAG + ' and ' + VERBOSE_FLAG + ' cannot be used together');
+        return null;
+    }
+    if (flags.outputType !== undefined && ![HTML, PDF, EPUB].includes(flags.outputType)) {
+        errorCallback('invalid ' + OUTPUT_TYPE_FLAG + ': ' + flags.outputType + ' (expected: ' + HTML + ', ' + PDF +
+            ' or ' + EPUB + ')');
+        return null;
+    }
+    let port = DEFAULT_PREVIEW_PORT;
+    if (flags.port !== undefined) {
+        if (command != SERVE_COMMAND) {
+            errorCallback(PORT_FLAG + ' can only be used with the "' + SERVE_COMMAND + '" command');
+            return null;
+        }
+        port = parseInt(flags.port);
+        if (!/^\d+$/.test(flags.port) || port < 1 || port > 65535) {
+            errorCallback('invalid port: ' + flags.port);
+            return null;
+        }
+    }
+
+    return {
+        command: command,
+        source: positionals[0],
+        target: positionals[1],
+        options: (flags.options !== undefined) ? flags.options : positionals[2],
+        template: flags.template,
+        outputType: flags.outputType,
+        help: false,
+        version: false,
+        printConfig: !!flags.printConfig,
+        quiet: !!flags.quiet,
+        verbose: !!flags.verbose,
+        force: !!flags.force,
+        batchLog: !!flags.batchLog,
+        watch: !!flags.watch,
+        incremental: !!flags.incremental,
+        port: port,
+        overrides: overrides
+    };
+}
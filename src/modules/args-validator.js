@@ -1,58 +1,314 @@
 'use strict';
 
-const MIN_NUM_ARGUMENTS = 4;
-const SRC_ARG_INDEX = 2;
-const TARGET_ARG_INDEX = 3;
-const OPTIONS_ARG_INDEX = 4;
-
 const Fs = require('fs');
-const {ensureAbsUri, getParentPath} = require('./path-utils');
+const Path = require('path');
+const {ensureAbsUri, getParentPath, getScriptHome} = require('./path-utils');
+const {validateOptions, resolveOptionPaths} = require('./options-validator');
 const stripJsonComments = require('strip-json-comments');
 
+// Import constants
+const {
+    DEFAULT_OPTIONS_FILE_NAME
+} = require('./constants');
+
 /**
- * Validates that the program was invoked with the proper arguments. SIDE EFFECT: upon successfully validation, adds
- * these values to the module's "exports" object:
- * - srcPath: contains the resolved, absolute path on disk to the <source>;
- * - targetPath: contains the resolved, absolute path on disk to the <target>;
- * - optionsData: if <options file> was given, contains the (already parsed) Object containing additional configuration.
- *   (we had to read and parse the file anyway in order to validate that it is proper JSON).
- * - srcIsDirectory: `true` if <source> path points to a folder; `undefined` when it points to a file;
- * - targetIsDirectory: `true` if <target> path points to a folder; `undefined` when it points to a non-existing file.
- *
- * @param    args
- *            Array of Strings obtained via `process.argv`.
+ * Reports given options `problems` (see `validateOptions()` in the `options-validator` module) at once, one per line.
+ *
+ * @param    problems {object[]}
+ *            The problems to report.
+ *
+ * @param    optionsPath {string|null}
+ *            Absolute path to the options file the problems were found in, if any.
+ *
+ * @param    overriddenPaths {string[]}
+ *            The key paths of the option overrides applied, if any (problems caused by these are marked as such).
  *
  * @param    errorCallback
  *            Function to pass descriptive error messages. It should
  *            take one string argument.
+ */
+const reportProblems = function (problems, optionsPath, overriddenPaths, errorCallback) {
+    const isOverridden = path => overriddenPaths.some(overriddenPath => path == overriddenPath ||
+        [overriddenPath + '.', overriddenPath + '['].some(prefix => path.indexOf(prefix) == 0) ||
+        overriddenPath.indexOf(path + '.') == 0);
+    errorCallback((optionsPath ? '<options file> is invalid (' + optionsPath + ')' : 'options are invalid') + ':' +
+        problems.map(problem => '\n- "' + (problem.path || '<root>') + '"' + (isOverridden(problem.path) ?
+            ' (overridden)' : problem.lineNumber ? ' (line ' + problem.lineNumber + ')' : '') + ': ' +
+            problem.message).join(''));
+}
+
+/**
+ * Applies given `overrides` on top of given (already checked) `optionsData`, then checks the result again.
+ *
+ * @param    optionsData {object|null}
+ *            The options, or `null` if there are none.
+ *
+ * @param    overrides {object|null}
+ *            The option overrides (see `applyOptionOverrides()`), if any.
+ *
+ * @param    errorCallback
+ *            Function to pass descriptive error messages. It should
+ *            take one string argument.
+ *
+ * @return    The resulting options Object (`null` if there are neither options, nor overrides), or `false` if the
+ *            overrides make them invalid.
+ */
+const prepareOptions = function (optionsData, overrides, errorCallback) {
+    const overriddenPaths = Object.keys(overrides || {});
+    if (!overriddenPaths.length) {
+        return optionsData;
+    }
+    optionsData = applyOptionOverrides(optionsData, overrides, errorCallback);
+    if (!optionsData) {
+        return false;
+    }
+    const problems = validateOptions(optionsData);
+    if (problems.length) {
+        reportProblems(problems, null, overriddenPaths, errorCallback);
+        return false;
+    }
+    return optionsData;
+}
+
+/**
+ * Deep-merges given `optionsData` over given `baseData` (neither is changed): nested objects are merged key by key,
+ * whereas any other value (arrays included) replaces the base one. Keys of `optionsData` come first, so that its
+ * `templateRules` take precedence over the base ones.
  *
- * @return    Boolean `true` if arguments passed validation, false otherwise.
+ * @return    {object}
+ *            The merged options.
  */
-exports.validateArgs = function (args, errorCallback) {
+const mergeOptions = function (baseData, optionsData) {
+    const isObject = value => !!value && typeof value == 'object' && !Array.isArray(value);
+    const result = {};
+    Object.keys(optionsData).forEach(key => {
+        result[key] = (isObject(optionsData[key]) && isObject(baseData[key])) ?
+            mergeOptions(baseData[key], optionsData[key]) : optionsData[key];
+    });
+    Object.keys(baseData).forEach(key => {
+        if (!(key in result)) {
+            result[key] = baseData[key];
+        }
+    });
+    return result;
+}
+
+/**
+ * Checks given (parsed) options against the options schema, resolves the file paths they hold and, if they have an
+ * `extends` setting, merges them over the options file it points to (which can, in turn, extend another one).
+ *
+ * @param    optionsData {object}
+ *            The parsed options (left untouched).
+ *
+ * @param    optionsPath {string|null}
+ *            Absolute path to the options file the options were read from, if any. Relative paths are resolved against
+ *            its folder, or against the current working directory if there is no options file.
+ *
+ * @param    sourceText {string|null}
+ *            The JSON text the options were parsed from, if any, used for reporting line numbers.
+ *
+ * @param    errorCallback
+ *            Function to pass descriptive error messages. It should
+ *            take one string argument.
+ *
+ * @param    extendingPaths {string[]}
+ *            Optional. Absolute paths of the options files extending these options (used for detecting cycles).
+ *
+ * @return    An Object with the fields `optionsData` (the resulting options) and `optionsPaths` (absolute paths of all
+ *            the options files involved, the given one first), or `null` if the options are invalid.
+ */
+const extendOptions = function (optionsData, optionsPath, sourceText, errorCallback, extendingPaths = []) {
+    const problems = validateOptions(optionsData, sourceText);
+    if (problems.length) {
+        reportProblems(problems, optionsPath, [], errorCallback);
+        return null;
+    }
+    const result = JSON.parse(JSON.stringify(optionsData));
+    resolveOptionPaths(result, optionsPath ? getParentPath(optionsPath) : getScriptHome());
+    const optionsPaths = optionsPath ? [optionsPath] : [];
+    if (!('extends' in result)) {
+        return {optionsData: result, optionsPaths: optionsPaths};
+    }
+    const basePath = result.extends;
+    delete result.extends;
+    const chain = extendingPaths.concat(optionsPaths);
+    if (chain.includes(basePath)) {
+        errorCallback('<options file> extends itself: ' + chain.concat(basePath).join(' -> '));
+        return null;
+    }
+    if (!Fs.existsSync(basePath) || Fs.lstatSync(basePath).isDirectory()) {
+        errorCallback('base <options file> not found on disk: ' + basePath +
+            (optionsPath ? ' (extended by ' + optionsPath + ')' : ''));
+        return null;
+    }
+    const base = readOptionsFile(basePath, errorCallback, chain);
+    if (!base) {
+        return null;
+    }
+    return {
+        optionsData: mergeOptions(base.optionsData, result),
+        optionsPaths: optionsPaths.concat(base.optionsPaths)
+    };
+}
+
+/**
+ * Reads and parses the (existing) options file found at given `optionsPath`, then checks and extends the result (see
+ * `extendOptions()`). C-style comments are accepted.
+ *
+ * @param    optionsPath {string}
+ *            Absolute path to the options file.
+ *
+ * @param    errorCallback
+ *            Function to pass descriptive error messages. It should
+ *            take one string argument.
+ *
+ * @param    extendingPaths {string[]}
+ *            Optional. Absolute paths of the options files extending this one.
+ *
+ * @return    See `extendOptions()`; `null` if the file is empty, not valid JSON, or has invalid settings.
+ */
+const readOptionsFile = function (optionsPath, errorCallback, extendingPaths = []) {
+    // The content is not trimmed (save for a byte order mark), as reported line numbers are computed from it.
+    const optionsFileContent = Fs.readFileSync(optionsPath, 'utf8').replace(/^\uFEFF/, '');
+    if (!optionsFileContent.trim()) {
+        errorCallback('<options file> has no content: ' + optionsPath);
+        return null;
+    }
+    const sourceText = stripJsonComments(optionsFileContent);
+    let optionsData = null;
+    try {
+        optionsData = JSON.parse(sourceText);
+    } catch (optionsParseError) {
+        errorCallback('<options file> is not valid JSON. Path: ' + optionsPath + '\nError: ' + optionsParseError);
+        return null;
+    }
+    return extendOptions(optionsData, optionsPath, sourceText, errorCallback, extendingPaths);
+}
+
+/**
+ * Re-reads the options file found at given `optionsPath` (e.g., because it, or a file it extends, changed on disk
+ * while watching).
+ *
+ * @param    optionsPath {string}
+ *            Absolute path to the options file.
+ *
+ * @param    overrides {object|null}
+ *            The option overrides (see `applyOptionOverrides()`), if any.
+ *
+ * @param    errorCallback
+ *            Function to pass descriptive error messages. It should
+ *            take one string argument.
+ *
+ * @return    See `loadOptions()`; `null` if the file is gone, empty, not valid JSON or has invalid settings (in which
+ *            case the previous options should remain in effect).
+ */
+exports.reloadOptions = function (optionsPath, overrides, errorCallback) {
+    if (!Fs.existsSync(optionsPath)) {
+        errorCallback('<options file> not found on disk: ' + optionsPath);
+        return null;
+    }
+    return loadOptions({options: optionsPath, overrides: overrides}, errorCallback);
+}
+
+/**
+ * Applies option overrides (e.g., given via the "--set" command line flag) on top of given `optionsData`, which is left
+ * untouched.
+ *
+ * @param    optionsData {object|null}
+ *            The options to start from, or `null` if there are none.
+ *
+ * @param    overrides {object|null}
+ *            Object mapping option key paths to values, e.g., `{"htmlSettings.hideNavigationNumbering": true}`. Objects
+ *            are created along the way as needed, and overrides are applied in order, so later ones win.
+ *
+ * @param    errorCallback
+ *            Function to pass descriptive error messages. It should
+ *            take one string argument.
+ *
+ * @return    The resulting options Object (or given `optionsData` itself if there is nothing to override), or `null`
+ *            if a key path is malformed.
+ */
+const applyOptionOverrides = function (optionsData, overrides, errorCallback) {
+    const keyPaths = Object.keys(overrides || {});
+    if (!keyPaths.length) {
+        return optionsData;
+    }
+    const result = JSON.parse(JSON.stringify(optionsData || {}));
+    for (let i = 0; i < keyPaths.length; i++) {
+        const keys = keyPaths[i].split('.');
+        if (keys.some(key => !key.trim())) {
+            errorCallback('invalid option key path: "' + keyPaths[i] + '"');
+            return null;
+        }
+        const lastKey = keys.pop();
+        let container = result;
+        keys.forEach(key => {
+            if (!container[key] || typeof container[key] != 'object' || Array.isArray(container[key])) {
+                container[key] = {};
+            }
+            container = container[key];
+        });
+        container[lastKey] = overrides[keyPaths[i]];
+    }
+    return result;
+}
+exports.applyOptionOverrides = applyOptionOverrides;
+
+/**
+ * Validates the parameters of a build, i.e., the <source>, the <target> and the (optional) <options file>.
+ *
+ * @param    params {object}
+ *            Object with the fields: `source` and `target` (file or folder paths, absolute or relative to the current
+ *            working directory) and, optionally, `options` (either the path to an options file, or an already parsed
+ *            options Object) and `overrides` (see `applyOptionOverrides()`). Without `options`, the options file
+ *            named DEFAULT_OPTIONS_FILE_NAME in the <source> folder, if any, is used.
+ *
+ * @param    errorCallback
+ *            Function to pass descriptive error messages. It should
+ *            take one string argument.
+ *
+ * @param    allowExistingOutput
+ *            Optional, default `false`. Whether the <target> may already hold output, i.e., be a non-empty folder or,
+ *            if <source> is a file, an existing file (e.g., when watching, where it typically holds the output of a
+ *            previous run).
+ *
+ * @return    An Object with these fields, if the parameters passed validation, or `null` otherwise:
+ *            - srcPath: the resolved, absolute path on disk to the <source>;
+ *            - targetPath: the resolved, absolute path on disk to the <target>;
+ *            - optionsPath: if an <options file> was given (or found in the <source> folder), the resolved, absolute
+ *              path on disk to it, `null` otherwise;
+ *            - optionsPaths: the absolute paths of the <options file> and of all the files it extends, if any;
+ *            - isOptionsFileDiscovered: `true` if the <options file> was found in the <source> folder;
+ *            - optionsData: the (already parsed and checked) Object containing additional configuration, with any
+ *              `overrides` applied, or `null` if none was given (we had to read and parse the file anyway in order to
+ *              validate it);
+ *            - srcIsDirectory: `true` if <source> path points to a folder;
+ *            - targetIsDirectory: `true` if <target> path points to an existing folder.
+ */
+exports.validateBuildParams = function (params, errorCallback, allowExistingOutput = false) {
 
     // Check that we have all required arguments
-    if (args.length < MIN_NUM_ARGUMENTS) {
+    if (!params.source || !params.target) {
         errorCallback('Missing arguments');
-        return false;
+        return null;
     }
 
     // PROOF THE SOURCE ARGUMENT
     // -------------------------
     // See if the <source> argument points to an existing, readable file or folder.
-    const srcArg = args[SRC_ARG_INDEX];
-    const srcPath = ensureAbsUri(srcArg, errorCallback, 'Invalid <source> URI: ');
+    const srcPath = ensureAbsUri(params.source, errorCallback, 'Invalid <source> URI: ');
     if (!srcPath) {
-        return false;
+        return null;
     }
     if (!Fs.existsSync(srcPath)) {
         errorCallback('<source> path not found: ' + srcPath);
-        return false;
+        return null;
     }
     try {
         Fs.accessSync(srcPath, Fs.constants.R_OK);
     } catch (e) {
         errorCallback('<source> path unreadable: ' + srcPath);
-        return false;
+        return null;
     }
     const srcIsDirectory = Fs.lstatSync(srcPath).isDirectory();
     if (srcIsDirectory) {
@@ -62,118 +318,170 @@ exports.validateArgs = function (args, errorCallback) {
         srcDir.closeSync();
         if (isSrcDirEmpty) {
             errorCallback('<source> folder is empty: ' + srcPath);
-            return false;
+            return null;
         }
     }
 
-    // <source> path was validated; export is as a side-effects artifact, for the outer world to use.
-    exports.srcPath = srcPath;
-    exports.srcIsDirectory = srcIsDirectory;
-
     // PROOF THE TARGET ARGUMENT
     // -------------------------
     // If the <target> argument is an existing path, then it must be a folder, and must be writeable, and must be
     // empty (the last clause can be overridden via <options>).
-    const targetArg = args[TARGET_ARG_INDEX];
-    const targetPath = ensureAbsUri(targetArg, errorCallback, 'Invalid <target> URI: ');
+    const targetPath = ensureAbsUri(params.target, errorCallback, 'Invalid <target> URI: ');
     if (!targetPath) {
-        return false;
+        return null;
     }
 
     // <source> and <target> paths cannot be identical
     if (targetPath == srcPath) {
         errorCallback('<source> and <target> paths cannot be identical: ' + srcPath);
-        return false;
+        return null;
     }
 
-    if (Fs.existsSync(targetPath)) {
-        if (!Fs.lstatSync(targetPath).isDirectory()) {
+    let targetIsDirectory = false;
+    const targetIsExistingFile = Fs.existsSync(targetPath) && !Fs.lstatSync(targetPath).isDirectory();
+    if (targetIsExistingFile && !srcIsDirectory && allowExistingOutput) {
+        try {
+            Fs.accessSync(targetPath, Fs.constants.W_OK);
+        } catch (e) {
+            errorCallback('<target> file unwriteable: ' + targetPath);
+            return null;
+        }
+    } else if (Fs.existsSync(targetPath)) {
+        if (targetIsExistingFile) {
             if (srcIsDirectory) {
                 errorCallback('<target> must also be a folder, when <source> is a folder: ' + targetPath);
-                return false;
+                return null;
             }
             errorCallback('<target> file must not exist: ' + targetPath);
-            return false;
+            return null;
         }
         try {
             Fs.accessSync(targetPath, Fs.constants.W_OK);
         } catch (e) {
             errorCallback('<target> folder unwriteable: ' + targetPath);
-            return false;
+            return null;
         }
         const dir = Fs.opendirSync(targetPath);
         const dirFirstEntity = dir.readSync();
         const isDirEmpty = !dirFirstEntity;
         dir.closeSync();
-        if (!isDirEmpty) {
-            errorCallback('<target> folder not empty: ' + targetPath);
-            return false;
+        if (!isDirEmpty && !allowExistingOutput) {
+            errorCallback('<target> folder not empty (use --force to write over its content, or --incremental to ' +
+                'build on top of it): ' + targetPath);
+            return null;
         }
-        exports.targetIsDirectory = true;
+        targetIsDirectory = true;
     }
 
     // If the <target> argument is a non existing path, then its parent folder must exist and be writeable.
     else {
         if (srcIsDirectory) {
             errorCallback ('<target> must be an existing folder, when <source> is a folder: ' + targetPath);
-            return false;
+            return null;
         }
         const parentTargetPath = getParentPath(targetPath);
         if (!Fs.existsSync(parentTargetPath)) {
             errorCallback('parent folder of <target> file must exist: ' + parentTargetPath);
-            return false;
+            return null;
         }
         try {
             Fs.accessSync(parentTargetPath, Fs.constants.W_OK);
         } catch (e) {
             errorCallback('parent folder of <target> file unwriteable: ' + targetPath);
-            return false;
+            return null;
         }
     }
 
-    // <target> path was validated. Export it as a side-effects artifact, for the outer world to use.
-    exports.targetPath = targetPath;
-
     // PROOF THE OPTIONS ARGUMENT (THIS ARGUMENT IS OPTIONAL)
     // ------------------------------------------------------
-    const optionsArg = args[OPTIONS_ARG_INDEX];
-    if (optionsArg) {
+    const options = loadOptions(params, errorCallback, srcIsDirectory ? srcPath : null);
+    if (!options) {
+        return null;
+    }
+    return {
+        srcPath: srcPath,
+        targetPath: targetPath,
+        optionsPath: options.optionsPath,
+        optionsPaths: options.optionsPaths,
+        isOptionsFileDiscovered: options.isOptionsFileDiscovered,
+        optionsData: options.optionsData,
+        srcIsDirectory: srcIsDirectory,
+        targetIsDirectory: targetIsDirectory
+    };
+}
 
-        // If the <options file> argument was given, it must be the path to an existing and readable file in JSON format.
-        const optionsPath = ensureAbsUri(optionsArg, errorCallback, 'Invalid <options file> URI: ');
+/**
+ * Loads the options of a build, i.e., reads the <options file> (if given, or found in given `srcPath` folder), along
+ * with the files it extends, applies the option overrides (if any), and checks the result.
+ *
+ * @param    params {object}
+ *            Object with the (optional) fields `options` (either the path to an options file, or an already parsed
+ *            options Object) and `overrides` (see `applyOptionOverrides()`).
+ *
+ * @param    errorCallback
+ *            Function to pass descriptive error messages. It should
+ *            take one string argument.
+ *
+ * @param    srcPath {string|null}
+ *            Optional, default `null`. Absolute path to the <source> folder, to look for an options file named
+ *            DEFAULT_OPTIONS_FILE_NAME in when `params` give no `options`.
+ *
+ * @return    An Object with the fields `optionsPath` (the resolved, absolute path on disk to the <options file>, or
+ *            `null`), `optionsPaths` (the absolute paths of the <options file> and of all the files it extends),
+ *            `isOptionsFileDiscovered` (`true` if the <options file> was found in the `srcPath` folder) and
+ *            `optionsData` (the resulting options Object, or `null` if there are none), or `null` if the options are
+ *            invalid.
+ */
+const loadOptions = function (params, errorCallback, srcPath = null) {
+    let optionsArg = params.options;
+    let isOptionsFileDiscovered = false;
+    if (!optionsArg && srcPath) {
+        const discoveredPath = Path.join(srcPath, DEFAULT_OPTIONS_FILE_NAME);
+        if (Fs.existsSync(discoveredPath) && !Fs.lstatSync(discoveredPath).isDirectory()) {
+            optionsArg = discoveredPath;
+            isOptionsFileDiscovered = true;
+        }
+    }
+
+    // Options can also be given as an Object (when building programmatically), in which case there is nothing to read.
+    let optionsPath = null;
+    let options = {optionsData: null, optionsPaths: []};
+    if (optionsArg && typeof optionsArg == 'object') {
+        options = extendOptions(optionsArg, null, null, errorCallback);
+    }
+
+    // If the <options file> argument was given, it must be the path to an existing and readable file in JSON format.
+    else if (optionsArg) {
+        optionsPath = ensureAbsUri(optionsArg, errorCallback, 'Invalid <options file> URI: ');
         if (!optionsPath) {
-            return false;
+            return null;
         }
         if (!Fs.existsSync(optionsPath)) {
             errorCallback('<options file> given but not found on disk: ' + optionsPath);
-            return false;
+            return null;
         }
         try {
             Fs.accessSync(optionsPath, Fs.constants.R_OK);
         } catch (e) {
             errorCallback('<options file> path unreadable: ' + optionsPath);
-            return false;
-        }
-        const optionsFileContent = Fs.readFileSync(optionsPath, 'utf8').trim();
-        if (!optionsFileContent) {
-            errorCallback('<options file> has no content: ' + optionsPath);
-            return false;
+            return null;
         }
-        let optionsData = null;
-        try {
-            optionsData = JSON.parse(stripJsonComments (optionsFileContent));
-        } catch (optionsParseError) {
-            errorCallback('<options file> is not valid JSON. Path: ' + optionsPath + '\nError: ' + optionsParseError);
-        }
-        if (!optionsData) {
-            return false;
-        }
-
-        // Options were successfully validated and read. Export them as side-effects artifact for the outer world to use.
-        exports.optionsData = optionsData;
+        options = readOptionsFile(optionsPath, errorCallback);
+    }
+    if (!options) {
+        return null;
+    }
+    const optionsData = prepareOptions(options.optionsData, params.overrides, errorCallback);
+    if (optionsData === false) {
+        return null;
     }
 
-
-    return true;
+    // Options were successfully validated and read.
+    return {
+        optionsPath: optionsPath,
+        optionsPaths: options.optionsPaths,
+        isOptionsFileDiscovered: isOptionsFileDiscovered,
+        optionsData: optionsData
+    };
 }
-
+exports.loadOptions = loadOptions;
@@ -1,31 +1,224 @@
 /* Application-wide constants */
 const _ = exports;
 
+// Program related
+_.PROGRAM_SHORT_NAME = 'AUNTIE';
+_.PROGRAM_NAME = _.PROGRAM_SHORT_NAME + ' - AUtomatic documeNtaTIon gEnerator';
+_.PROGRAM_VERSION = '1.0';
+
+// Programmatic API related
+_.MESSAGE_EVENT = 'message';
+_.PROGRESS_EVENT = 'progress';
+_.MESSAGE_ERROR = 'error';
+_.MESSAGE_WARNING = 'warning';
+_.MESSAGE_NOTICE = 'notice';
+_.MESSAGE_INFO = 'info';
+_.FILE_CONVERTED = 'converted';
+_.FILE_UP_TO_DATE = 'upToDate';
+_.FILE_SKIPPED = 'skipped';
+_.FILE_FAILED = 'failed';
+
+// Command line related
+_.HELP_FLAG = '-h';
+_.LONG_HELP_FLAG = '--help';
+_.VERSION_FLAG = '--version';
+_.OPTIONS_FLAG = '--options';
+_.TEMPLATE_FLAG = '--template';
+_.OUTPUT_TYPE_FLAG = '--output-type';
+_.QUIET_FLAG = '--quiet';
+_.VERBOSE_FLAG = '--verbose';
+_.FORCE_FLAG = '--force';
+_.BATCH_LOG_FLAG = '--batch-log';
+_.SET_FLAG = '--set';
+_.WATCH_FLAG = '--watch';
+_.INCREMENTAL_FLAG = '--incremental';
+_.PRINT_CONFIG_FLAG = '--print-config';
+_.MAX_SUGGESTION_DISTANCE = 2;
+_.MIN_SUGGESTION_PREFIX_LENGTH = 3;
+
 // Parser related
 _.HTML = 'html';
 _.PDF = 'pdf';
+_.EPUB = 'epub';
 _.DEFAULT_OUTPUT_EXTENSION = _.HTML;
 _.DEFAULT_SRC_FILE_TYPES = ['txt'];
 _.LOG_FILE_NAME = 'MTF Exporter Log - %s.log';
 
+// Navigation tree related
+_.NAV_KIND_ROOT = 'root';
+_.NAV_KIND_DIR = 'dir';
+_.NAV_KIND_DOCUMENT = 'document';
+
+// Preview server related
+_.SERVE_COMMAND = 'serve';
+_.PORT_FLAG = '--port';
+_.DEFAULT_PREVIEW_PORT = 8080;
+_.TEMP_TARGET_PLACEHOLDER = '-';
+_.LIVE_RELOAD_PATH = '/__auntie/live-reload';
+_.LIVE_RELOAD_SCRIPT = '<script>new EventSource("' + _.LIVE_RELOAD_PATH + '")' +
+    '.onmessage = function () { location.reload(); };</script>';
+
+// Incremental builds related
+_.MANIFEST_FILE_NAME = '.auntie-manifest.json';
+_.MANIFEST_FORMAT_VERSION = 1;
+
+// PDF generation related
+_.DEFAULT_PDF_PAGE_SIZE = 'A4';
+_.DEFAULT_PDF_MARGIN = 56;
+_.DEFAULT_PDF_DOCUMENTS_COMBINING = false;
+
+// EPUB generation related
+_.DEFAULT_EPUB_LANGUAGE = 'en';
+_.EPUB_MIME_TYPE = 'application/epub+zip';
+_.EPUB_CONTENT_FOLDER = 'OEBPS';
+_.EPUB_PACKAGE_FILE_NAME = 'package.opf';
+_.EPUB_NAV_FILE_NAME = 'nav.xhtml';
+_.EPUB_NCX_FILE_NAME = 'toc.ncx';
+_.EPUB_DOCUMENTS_FOLDER = 'content';
+_.EPUB_DOCUMENT_EXTENSION = 'xhtml';
+_.EPUB_IMAGE_MEDIA_TYPES = {
+    'gif': 'image/gif',
+    'jpg': 'image/jpeg',
+    'jpeg': 'image/jpeg',
+    'png': 'image/png',
+    'svg': 'image/svg+xml',
+    'webp': 'image/webp'
+};
+_.EPUB_CONTAINER_TEMPLATE = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">\n' +
+    '<rootfiles><rootfile full-path="%s" media-type="application/oebps-package+xml"/></rootfiles>\n' +
+    '</container>\n';
+_.EPUB_PACKAGE_TEMPLATE = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="pub-id" ' +
+    'xml:lang="%(language)s">\n' +
+    '<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">\n' +
+    '<dc:identifier id="pub-id">%(identifier)s</dc:identifier>\n' +
+    '<dc:title>%(title)s</dc:title>\n' +
+    '<dc:language>%(language)s</dc:language>\n' +
+    '%(metadata)s<meta property="dcterms:modified">%(modified)s</meta>\n' +
+    '</metadata>\n<manifest>\n%(manifest)s</manifest>\n<spine toc="ncx">\n%(spine)s</spine>\n</package>\n';
+_.EPUB_METADATA_TEMPLATE = '<dc:%1$s>%2$s</dc:%1$s>\n';
+_.EPUB_MANIFEST_ITEM_TEMPLATE = '<item id="%s" href="%s" media-type="%s"%s/>\n';
+_.EPUB_SPINE_ITEM_TEMPLATE = '<itemref idref="%s"/>\n';
+_.EPUB_DOCUMENT_TEMPLATE = '<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE html>\n' +
+    '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="%(language)s" ' +
+    'lang="%(language)s">\n<head>\n<meta charset="UTF-8"/>\n<title>%(title)s</title>\n</head>\n' +
+    '<body>\n%(body)s</body>\n</html>\n';
+_.EPUB_NAV_TEMPLATE = '<nav epub:type="toc" id="toc">\n<h1>%s</h1>\n%s</nav>\n';
+_.EPUB_NAV_GROUP_TEMPLATE = '<ol>\n%s</ol>\n';
+_.EPUB_NAV_ITEM_TEMPLATE = '<li>%s\n%s</li>\n';
+_.EPUB_NAV_LABEL_TEMPLATE = '<span>%s</span>';
+_.EPUB_NCX_TEMPLATE = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">\n' +
+    '<head>\n<meta name="dtb:uid" content="%(identifier)s"/>\n<meta name="dtb:depth" content="%(depth)d"/>\n' +
+    '<meta name="dtb:totalPageCount" content="0"/>\n<meta name="dtb:maxPageNumber" content="0"/>\n</head>\n' +
+    '<docTitle><text>%(title)s</text></docTitle>\n<navMap>\n%(navPoints)s</navMap>\n</ncx>\n';
+_.EPUB_NAV_POINT_TEMPLATE = '<navPoint id="%s" playOrder="%d">\n<navLabel><text>%s</text></navLabel>\n' +
+    '<content src="%s"/>\n%s</navPoint>\n';
+
+// MetaText (MTF) syntax related
+_.MTF_BLOCK_FENCE = ':::';
+_.MTF_DETAILS_TYPE = 'details';
+
 // HTML generation related
 _.DEFAULT_NAVIGATION_NUMBERING_HIDING = false;
+_.DEFAULT_TOC_MIN_LEVEL = 2;
+_.DEFAULT_TOC_MAX_LEVEL = 3;
+_.DEFAULT_SEARCH_INDEX_GENERATION = true;
+_.SEARCH_INDEX_FILE_NAME = 'auntie-search-index.js';
+_.SEARCH_SCRIPT_FILE_NAME = 'auntie-search.js';
+_.SEARCH_INDEX_GLOBAL_NAME = 'AUNTIE_SEARCH_INDEX';
+_.FOLDER_TEMPLATE_FILE_NAME = '_template.html';
+_.SITEMAP_FILE_NAME = 'sitemap.xml';
+_.ROBOTS_FILE_NAME = 'robots.txt';
+_.NAVIGATION_FILE_NAME = 'navigation.json';
+_.DEFAULT_NAVIGATION_JSON_GENERATION = true;
+_.DEFAULT_LINK_CHECKING = true;
+_.DEFAULT_BROKEN_LINKS_FAILING = false;
+_.DEFAULT_HTML_DOCUMENTS_COMBINING = false;
+_.REFERENCED_ASSETS = 'referenced';
+_.DEFAULT_CODE_HIGHLIGHTING = true;
+_.DEFAULT_CODE_LINE_NUMBERING = false;
+_.SLUG_STYLE_UNICODE = 'unicode';
+_.SLUG_STYLE_ASCII = 'ascii';
+_.DEFAULT_SLUG_STYLE = _.SLUG_STYLE_UNICODE;
+_.DEFAULT_HEADING_PERMALINKS = false;
+_.DEFAULT_PERMALINK_MIN_LEVEL = 2;
+_.DEFAULT_PERMALINK_MAX_LEVEL = 6;
+_.DEFAULT_PERMALINK_TEMPLATE = ' <a class="heading-permalink" href="#$$id" aria-label="Link to this section">#</a>';
 _.NUMBERING_PATTERN = /^[\d\W_]+/;
 _.DIR = '907d1e2a-6bc2-49d5-b036-57dcea0d9cf1';
 _.ROOT = '8af35ebb-6e35-49b6-988d-42787ab7110d';
 _.NO_COMPILE_TAG = '$$nocompile';
+_.FRONT_MATTER_FENCE = '---';
+_.INCLUDE_TAG = '$$include';
 _.ROOT_NAME_TAG = '$$rootName';
 _.DOC_NAME_TAG = '$$docName';
 _.ROOT_DIR_TAG = '$$rootDir$$';
 _.NAVIGATION_TAG = '$$navigation';
+_.NAVIGATION_JSON_TAG = '$$navigationJson';
 _.DOCUMENT_TAG = '$$document';
 _.LAST_UPDATED_TAG = '$$lastUpdated';
+_.PREV_LINK_TAG = '$$prevLink';
+_.NEXT_LINK_TAG = '$$nextLink';
+_.BREADCRUMBS_TAG = '$$breadcrumbs';
+_.TOC_TAG = '$$toc';
+_.SEARCH_TAG = '$$search';
+_.PAGE_URL_TAG = '$$pageUrl';
+_.CANONICAL_URL_TAG = '$$canonicalUrl';
+// Names available in HTML templates (see "template-language.js"): `null` marks plain values; objects (and lists of
+// objects) list their fields.
+_.TEMPLATE_NAMES = {
+    'rootName': null,
+    'docName': null,
+    'rootDir': null,
+    'navigation': null,
+    'navigationJson': null,
+    'document': null,
+    'lastUpdated': null,
+    'prevLink': null,
+    'nextLink': null,
+    'breadcrumbs': null,
+    'toc': null,
+    'search': null,
+    'pageUrl': null,
+    'canonicalUrl': null,
+    'folderMode': null,
+    'meta': {fields: '*'},
+    'prevPage': {fields: ['label', 'url']},
+    'nextPage': {fields: ['label', 'url']},
+    'breadcrumbItems': {fields: ['label', 'url', 'isCurrent'], isList: true},
+    'childPages': {fields: ['label', 'url'], isList: true}
+};
 _.NAV_ROOT_TEMPLATE = '<div class="navigation">%s</div>';
 _.NAV_GROUP_TEMPLATE = '<ul class="nav-group">%s</ul>';
 _.NAV_ITEM_TEMPLATE = '<li class="nav-item">%s</li>';
 _.NAV_ITEM_CONTENT_TEMPLATE = '<label class="item-content">%s</label>';
 _.LINK_TEMPLATE = '<a href="%s">%s</a>';
+_.PREV_LINK_TEMPLATE = '<a class="prev-link" rel="prev" href="%s">%s</a>';
+_.NEXT_LINK_TEMPLATE = '<a class="next-link" rel="next" href="%s">%s</a>';
+_.BREADCRUMBS_TEMPLATE = '<ol class="breadcrumbs">%s</ol>';
+_.BREADCRUMB_ITEM_TEMPLATE = '<li class="breadcrumb-item">%s</li>';
+_.CURRENT_BREADCRUMB_ITEM_TEMPLATE = '<li class="breadcrumb-item current" aria-current="page">%s</li>';
+_.TOC_ROOT_TEMPLATE = '<nav class="toc">%s</nav>';
+_.TOC_GROUP_TEMPLATE = '<ul class="toc-group">%s</ul>';
+_.TOC_ITEM_TEMPLATE = '<li class="toc-item">%s</li>';
+_.SEARCH_WIDGET_TEMPLATE = '<div class="search" data-root-dir="%s">' +
+    '<input type="search" class="search-input" placeholder="Search..." aria-label="Search" autocomplete="off">' +
+    '<ol class="search-results"></ol></div><script src="%s%s" defer></script>';
 _.NEW_TAB_LINK_TEMPLATE = '<a target="_blank" rel="noopener noreferrer" href="%s">%s</a>';
+_.ADMONITION_OPEN_TEMPLATE = '<div class="admonition admonition-%s">\n<p class="admonition-title">%s</p>';
+_.ADMONITION_CLOSE_TEMPLATE = '</div>';
+_.DETAILS_OPEN_TEMPLATE = '<details class="details">\n<summary>%s</summary>';
+_.DETAILS_CLOSE_TEMPLATE = '</details>';
+_.SITEMAP_TEMPLATE = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n%s</urlset>\n';
+_.SITEMAP_ENTRY_TEMPLATE = '<url><loc>%s</loc><lastmod>%s</lastmod></url>\n';
+_.ROBOTS_TEMPLATE = 'User-agent: *\nAllow: /\n\nSitemap: %s\n';
+_.KBD_TEMPLATE = '<kbd>%s</kbd>';
+_.UI_LABEL_TEMPLATE = '<span class="ui-label">%s</span>';
+_.SINGLE_PAGE_DOCUMENT_TEMPLATE = '<section class="document" id="%s">\n%s</section>\n';
+_.SINGLE_PAGE_FOLDER_TEMPLATE = '<h%1$d class="folder-title" id="%2$s">%3$s</h%1$d>\n';
 _.DEFAULT_FILE_CONTENT_PLACEHOLDER = '# Coming Soon!\nThis section is still being worked on.';
 _.DEFAULT_HTML_TEMPLATE = '<!DOCTYPE html><html lang="en">' +
     '<head><title>' + _.ROOT_NAME_TAG + ' ' + _.DOC_NAME_TAG + '</title>' +
@@ -34,3 +227,82 @@ _.DEFAULT_HTML_TEMPLATE = '<!DOCTYPE html><html lang="en">' +
     '<div class="nav-container"><nav>' + _.NAVIGATION_TAG + '</nav></div>' +
     '<div class="doc-container"><main>' + _.DOCUMENT_TAG + '</main><aside>' + _.LAST_UPDATED_TAG + '</aside>' +
     '</div></div></div></body></html>';
+
+// Options related
+// Describes every setting the <options file> accepts (see "samples/sample-options.json" and "options-validator.js").
+// Each entry gives the accepted `type` (or types), and optionally: the `default` value, the accepted `enum` values,
+// the `min` and `max` numbers, the `pattern` strings must match (described by `patternDescription`), the schema of
+// array `items`, the `properties` of objects with known keys, or the schema of the `values` of objects with arbitrary
+// keys. Entries marked with `isPath` hold file paths, which are
+// resolved relative to the <options file> they are given in.
+_.DEFAULT_OPTIONS_FILE_NAME = 'auntie.json';
+_.OPTIONS_SCHEMA = {
+    type: 'object',
+    properties: {
+        'extends': {type: 'string', isPath: true},
+        'outputType': {type: 'string', enum: [_.HTML, _.PDF, _.EPUB], default: _.DEFAULT_OUTPUT_EXTENSION},
+        'sourceFileTypes': {type: 'array', items: {type: 'string'}, default: _.DEFAULT_SRC_FILE_TYPES},
+        'fileContentPlaceholder': {type: 'string', default: _.DEFAULT_FILE_CONTENT_PLACEHOLDER},
+        'customAcronyms': {type: 'array', items: {type: 'string'}, default: []},
+        'outputBatchLog': {type: 'boolean', default: false},
+        'htmlSettings': {
+            type: 'object',
+            properties: {
+                'templateFile': {type: ['string', 'null'], isPath: true, default: null},
+                'templateRules': {type: 'object', values: {type: 'string', isPath: true}, default: {}},
+                'hideNavigationNumbering': {type: 'boolean', default: _.DEFAULT_NAVIGATION_NUMBERING_HIDING},
+                'tocMinLevel': {type: 'integer', min: 1, max: 6, default: _.DEFAULT_TOC_MIN_LEVEL},
+                'tocMaxLevel': {type: 'integer', min: 1, max: 6, default: _.DEFAULT_TOC_MAX_LEVEL},
+                'generateSearchIndex': {type: 'boolean', default: _.DEFAULT_SEARCH_INDEX_GENERATION},
+                'generateNavigationJson': {type: 'boolean', default: _.DEFAULT_NAVIGATION_JSON_GENERATION},
+                'checkLinks': {type: 'boolean', default: _.DEFAULT_LINK_CHECKING},
+                'failOnBrokenLinks': {type: 'boolean', default: _.DEFAULT_BROKEN_LINKS_FAILING},
+                'passThroughAssets': {
+                    type: ['boolean', 'string'],
+                    enum: [true, false, _.REFERENCED_ASSETS],
+                    default: false
+                },
+                'combineDocuments': {type: 'boolean', default: _.DEFAULT_HTML_DOCUMENTS_COMBINING},
+                'highlightCode': {type: 'boolean', default: _.DEFAULT_CODE_HIGHLIGHTING},
+                'codeLineNumbers': {type: 'boolean', default: _.DEFAULT_CODE_LINE_NUMBERING},
+                'slugStyle': {
+                    type: 'string',
+                    enum: [_.SLUG_STYLE_UNICODE, _.SLUG_STYLE_ASCII],
+                    default: _.DEFAULT_SLUG_STYLE
+                },
+                'headingPermalinks': {type: 'boolean', default: _.DEFAULT_HEADING_PERMALINKS},
+                'permalinkMinLevel': {type: 'integer', min: 1, max: 6, default: _.DEFAULT_PERMALINK_MIN_LEVEL},
+                'permalinkMaxLevel': {type: 'integer', min: 1, max: 6, default: _.DEFAULT_PERMALINK_MAX_LEVEL},
+                'permalinkTemplate': {type: 'string', default: _.DEFAULT_PERMALINK_TEMPLATE},
+                'siteUrl': {
+                    type: ['string', 'null'],
+                    pattern: /^https?:\/\/[^\/\s]+/i,
+                    patternDescription: 'an absolute "http://" or "https://" URL',
+                    default: null
+                }
+            }
+        },
+        'pdfSettings': {
+            type: 'object',
+            properties: {
+                'combineDocuments': {type: 'boolean', default: _.DEFAULT_PDF_DOCUMENTS_COMBINING},
+                'pageSize': {type: 'string', default: _.DEFAULT_PDF_PAGE_SIZE},
+                'margin': {type: 'number', min: 0, default: _.DEFAULT_PDF_MARGIN}
+            }
+        },
+        'epubSettings': {
+            type: 'object',
+            properties: {
+                'language': {
+                    type: 'string',
+                    pattern: /^[a-z]{2,3}(-[a-z\d]+)*$/i,
+                    patternDescription: 'a language tag, e.g., "en" or "en-US"',
+                    default: _.DEFAULT_EPUB_LANGUAGE
+                },
+                'author': {type: ['string', 'null'], default: null},
+                'publisher': {type: ['string', 'null'], default: null},
+                'identifier': {type: ['string', 'null'], default: null}
+            }
+        }
+    }
+};
@@ -7,7 +7,8 @@ const {getFileName} = require('./path-utils')
 // Import constants
 const {
     DIR,
-    ROOT
+    ROOT,
+    FRONT_MATTER_FENCE
 } = require('./constants');
 
 /**
@@ -56,10 +57,13 @@ exports.ensureParentDirs = ensureParentDirs;
  *          If this function returns `false`, then the folder will be immediately closed,
  *          and iterating through his files will stop.
  *
+ * @param   isNested {boolean}
+ *          Optional, default `false`. Used internally, when recursing into subdirectories.
+ *
  * @return  An Array with Strings containing the paths of the files that were skipped because
  *          they did not match any of the file types in the `fileTypes` argument.
  */
-const visitFilesInFolder = function (folderPath, fileTypes, callback) {
+const visitFilesInFolder = function (folderPath, fileTypes, callback, isNested = false) {
     let currDirEntity;
     let currName;
     let currExtension;
@@ -68,6 +72,9 @@ const visitFilesInFolder = function (folderPath, fileTypes, callback) {
     let currCreationTime;
     let currModificationTime;
     visitFilesInFolder.mustExitNow = false;
+    if (!isNested) {
+        visitFilesInFolder.skippedEntries = null;
+    }
     if (fileTypes.includes(ROOT)) {
         currName = getFileName(folderPath);
         currStats = Fs.lstatSync(folderPath);
@@ -103,7 +110,7 @@ const visitFilesInFolder = function (folderPath, fileTypes, callback) {
                 visitFilesInFolder.mustExitNow = callback(currSrcPath, currName, DIR,
                     currCreationTime, currModificationTime);
             }
-            visitFilesInFolder(currSrcPath, fileTypes, callback);
+            visitFilesInFolder(currSrcPath, fileTypes, callback, true);
         }
     }
     srcDir.closeSync();
@@ -114,7 +121,8 @@ exports.visitFilesInFolder = visitFilesInFolder;
 /**
  * Reads and returns the trimmed first non-empty line in a given text file, given that the line does not start with any
  * of the strings in `skipSignatures`. Also, the value returned will not contain any of the strings in `removals`. If
- * after stripping off all removals and trimming the line is left blank, the next line is tried, and so forth.
+ * after stripping off all removals and trimming the line is left blank, the next line is tried, and so forth. A
+ * front matter (metadata) block at the top of the file (see the `front-matter` module) is skipped.
  *
  * @param filePath {string}
  * @param skipSignatures {string[]}
@@ -157,12 +165,37 @@ const getDocumentHeader = function (filePath, skipSignatures, removals = []) {
     const reader = new LineByLine(filePath);
     let lineBuffer = null;
     let line = null;
+
+    // Set aside the lines of a front matter block, in case it turns out not to be closed (and thus not to be a
+    // front matter block at all).
+    let pendingLines = null;
+    let isFirstLine = true;
     while ((lineBuffer = reader.next())) {
-        line = purgeLine(lineBuffer.toString('utf-8'));
+        const rawLine = lineBuffer.toString('utf-8');
+        if (isFirstLine && rawLine.replace(/^\uFEFF/, '').trim() == FRONT_MATTER_FENCE) {
+            isFirstLine = false;
+            pendingLines = [rawLine];
+            continue;
+        }
+        isFirstLine = false;
+        if (pendingLines) {
+            pendingLines.push(rawLine);
+            if (rawLine.trim() == FRONT_MATTER_FENCE) {
+                pendingLines = null;
+            }
+            continue;
+        }
+        line = purgeLine(rawLine);
         if (line) {
             break;
         }
     }
+    if (pendingLines) {
+        line = null;
+        for (let i = 0; i < pendingLines.length && !line; i++) {
+            line = purgeLine(pendingLines[i]);
+        }
+    }
     return line;
 }
 exports.getDocumentHeader = getDocumentHeader;
\ No newline at end of file
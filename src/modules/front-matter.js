@@ -0,0 +1,98 @@
+'use strict';
+const Fs = require('fs');
+
+// Import constants
+const {
+    FRONT_MATTER_FENCE
+} = require('./constants');
+
+/**
+ * Converts the raw text of a front matter value to a typed value: "true" and "false" become Booleans, numbers become
+ * Numbers, "[a, b]" lists become Arrays (of converted values), and quoted text loses its quotes. Anything else is
+ * kept as a (trimmed) String.
+ *
+ * @param   rawValue {string}
+ *          The text following the colon on a front matter line.
+ *
+ * @return  {*}
+ */
+const parseValue = function (rawValue) {
+    const value = rawValue.trim();
+    const quoteMatch = value.match(/^(["'])(.*)\1$/);
+    if (quoteMatch) {
+        return quoteMatch[2];
+    }
+    if (value == 'true' || value == 'false') {
+        return (value == 'true');
+    }
+    if (/^-?\d+(\.\d+)?$/.test(value)) {
+        return parseFloat(value);
+    }
+    const listMatch = value.match(/^\[(.*)\]$/);
+    if (listMatch) {
+        return listMatch[1].trim() ? listMatch[1].split(',').map(parseValue) : [];
+    }
+    return value;
+}
+
+/**
+ * Separates the front matter (metadata) block from the rest of given document `content`. The block must start on
+ * the very first line, and is delimited by "---" lines; in between, each line holds a `key: value` pair. Blank lines
+ * and lines starting with "#" are ignored. If the block is not closed, or holds any other line (e.g., the document
+ * merely starts with a "---" thematic break), the content is deemed to have no front matter. Example:
+ *
+ * ---
+ * title: Getting Started
+ * order: 2
+ * keywords: [setup, install]
+ * ---
+ *
+ * @param   content {string}
+ *          The raw document content.
+ *
+ * @return  {object}
+ *          Object with the fields: `data` (Object with the parsed values, empty if there is no front matter) and
+ *          `body` (the content that follows the block, or all the content if there is no block).
+ */
+const parseFrontMatter = function (content) {
+    const result = {data: {}, body: content};
+    const lines = (content || '').split(/\r?\n/);
+    if (lines[0].replace(/^\uFEFF/, '').trim() != FRONT_MATTER_FENCE) {
+        return result;
+    }
+    const closingIndex = lines.findIndex((line, i) => i > 0 && line.trim() == FRONT_MATTER_FENCE);
+    if (closingIndex == -1) {
+        return result;
+    }
+    const data = {};
+    const isFrontMatter = lines.slice(1, closingIndex).every(line => {
+        if (!line.trim() || line.trim().charAt(0) == '#') {
+            return true;
+        }
+        const match = line.match(/^\s*([A-Za-z][\w\-]*)\s*:(.*)$/);
+        if (match) {
+            data[match[1]] = parseValue(match[2]);
+        }
+        return !!match;
+    });
+    if (isFrontMatter) {
+        result.data = data;
+        result.body = lines.slice(closingIndex + 1).join('\n');
+    }
+    return result;
+}
+exports.parseFrontMatter = parseFrontMatter;
+
+/**
+ * Reads the front matter (metadata) block of the file found at given `filePath`. See `parseFrontMatter()`.
+ *
+ * @param   filePath {string}
+ *          Absolute path to a source document.
+ *
+ * @return  {object}
+ *          The parsed values; empty if the file has no front matter.
+ */
+const readFrontMatter = function (filePath) {
+    return parseFrontMatter(Fs.readFileSync(filePath, 'utf8')).data;
+}
+exports.readFrontMatter = readFrontMatter;
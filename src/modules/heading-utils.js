@@ -0,0 +1,197 @@
+'use strict';
+const {escapeHtml} = require('./html-utils');
+
+/**
+ * Letters that do not decompose into an ASCII letter and diacritics, mapped to their usual ASCII transliteration.
+ */
+const ASCII_TRANSLITERATIONS = {
+    'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'đ': 'd', 'ð': 'd', 'þ': 'th', 'ł': 'l', 'ı': 'i', 'ħ': 'h',
+    'ŧ': 't'
+};
+
+/**
+ * Matches the numbering a heading may start with, e.g., "1. ", "2.3 " or "4) ", so that it can be left out of the
+ * heading's slug.
+ */
+const HEADING_NUMBERING_PATTERN = /^(?:(?:\d+\.)+\d*\)?|\d+\))\s+/;
+
+/**
+ * Produces a URL fragment friendly "slug" out of given `text`, e.g., "Getting Started!" becomes "getting-started".
+ *
+ * @param   text {string}
+ *          The text to produce a slug for.
+ *
+ * @param   slugStyle {string}
+ *          Optional, default "unicode". With "unicode", letters (diacritics included) and digits of any script are
+ *          kept, in their composed (NFC) form, so that the slug matches the fragment an author would type (e.g., "Día
+ *          Überblick" becomes "día-überblick"). With "ascii", diacritics are stripped off and letters are
+ *          transliterated to ASCII (e.g., "Straße" becomes "strasse"), and any other characters are dropped.
+ *
+ * @return  {string}
+ *          The slug; if `text` has no (usable) letters or digits at all, "section" is returned.
+ */
+const slugify = function (text, slugStyle = 'unicode') {
+    let slug = String(text || '');
+    if (slugStyle == 'ascii') {
+        slug = slug.normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^\x00-\x7f]/g, char => ASCII_TRANSLITERATIONS[char] || '')
+            .replace(/[^a-z\d]+/g, '-');
+    } else {
+        slug = slug.normalize('NFC')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-');
+    }
+    slug = slug.replace(/^[\p{M}-]+|-+$/gu, '');
+    return slug || 'section';
+}
+exports.slugify = slugify;
+
+/**
+ * Produces the slug of a heading (see `slugify()`), leaving its numbering (e.g., "2.1. ") out, so that links to the
+ * heading keep working when the headings are renumbered.
+ *
+ * @param   text {string}
+ *          The (plain) text of the heading.
+ *
+ * @param   slugStyle {string}
+ *          Optional, default "unicode". See `slugify()`.
+ *
+ * @return  {string}
+ */
+const getHeadingSlug = function (text, slugStyle = 'unicode') {
+    return slugify(String(text || '').trim().replace(HEADING_NUMBERING_PATTERN, ''), slugStyle);
+}
+exports.getHeadingSlug = getHeadingSlug;
+
+/**
+ * Returns the plain text content of given CommonMark `node`, i.e., the text of all its (nested) text, code spans and
+ * code blocks, with any formatting dropped. Works both for inline containers (e.g., headings) and for whole documents.
+ *
+ * @param   node {object}
+ *          A CommonMark node.
+ *
+ * @return  {string}
+ */
+const getPlainText = function (node) {
+    const walker = node.walker();
+    const chunks = [];
+    let event;
+    while ((event = walker.next())) {
+        if (!event.entering) {
+            if (event.node.type == 'paragraph' || event.node.type == 'heading') {
+                chunks.push(' ');
+            }
+            continue;
+        }
+        switch (event.node.type) {
+            case 'text':
+            case 'code':
+                chunks.push(event.node.literal);
+                break;
+            case 'code_block':
+                chunks.push(' ', event.node.literal, ' ');
+                break;
+            case 'softbreak':
+            case 'linebreak':
+                chunks.push(' ');
+                break;
+        }
+    }
+    return chunks.join('').replace(/\s+/g, ' ').trim();
+}
+exports.getPlainText = getPlainText;
+
+/**
+ * Lists all the headings in given CommonMark `syntaxTree`, in document order, each with a slug `id` that is unique
+ * within the document (duplicates receive a numeric suffix, e.g., "usage", "usage-1", "usage-2"). The function is
+ * deterministic, so it can be called several times on the same tree (e.g., once to render the headings, and once to
+ * build a table of contents) with identical results. Ids leave the numbering of the headings out (see
+ * `getHeadingSlug()`).
+ *
+ * @param   syntaxTree {object}
+ *          The CommonMark syntax tree of a document.
+ *
+ * @param   slugStyle {string}
+ *          Optional, default "unicode". See `slugify()`.
+ *
+ * @return  {object[]}
+ *          Array of Objects with the fields: `node` (the CommonMark heading node), `level`, `text` and `id`.
+ */
+const collectHeadings = function (syntaxTree, slugStyle = 'unicode') {
+    const headings = [];
+    const usedIds = {};
+    const walker = syntaxTree.walker();
+    let event;
+    while ((event = walker.next())) {
+        if (!event.entering || event.node.type != 'heading') {
+            continue;
+        }
+        const text = getPlainText(event.node);
+        const baseId = getHeadingSlug(text, slugStyle);
+        let id = baseId;
+        let suffix = 0;
+        while (id in usedIds) {
+            suffix++;
+            id = baseId + '-' + suffix;
+        }
+        usedIds[id] = true;
+        headings.push({
+            node: event.node,
+            level: event.node.level,
+            text: text,
+            id: id
+        });
+    }
+    return headings;
+}
+exports.collectHeadings = collectHeadings;
+
+/**
+ * Makes given CommonMark HTML renderer output an `id` attribute for each of the given `headings`.
+ *
+ * @param   htmlRenderer {object}
+ *          An instance of `CommonMark.HtmlRenderer`.
+ *
+ * @param   headings {object[]}
+ *          The headings of the document about to be rendered, as returned by `collectHeadings()`.
+ */
+const addHeadingIds = function (htmlRenderer, headings) {
+    const idsByNode = new Map(headings.map(heading => [heading.node, heading.id]));
+    const originalAttrs = htmlRenderer.attrs;
+    htmlRenderer.attrs = function (node) {
+        const attributes = originalAttrs.call(this, node);
+        if (idsByNode.has(node)) {
+            attributes.push(['id', idsByNode.get(node)]);
+        }
+        return attributes;
+    };
+}
+exports.addHeadingIds = addHeadingIds;
+
+/**
+ * Makes given CommonMark HTML renderer append a permalink (i.e., a link to the heading itself, typically only shown
+ * while hovering the heading) to each of the given `headings`.
+ *
+ * @param   htmlRenderer {object}
+ *          An instance of `CommonMark.HtmlRenderer`.
+ *
+ * @param   headings {object[]}
+ *          The headings to add permalinks to, as returned by `collectHeadings()`; they must also have been given to
+ *          `addHeadingIds()`.
+ *
+ * @param   permalinkTemplate {string}
+ *          The markup of the permalink; each "$$id" in it is replaced with the `id` of the heading.
+ */
+const addHeadingPermalinks = function (htmlRenderer, headings, permalinkTemplate) {
+    const idsByNode = new Map(headings.map(heading => [heading.node, heading.id]));
+    const originalHeading = htmlRenderer.heading;
+    htmlRenderer.heading = function (node, entering) {
+        if (!entering && idsByNode.has(node)) {
+            this.lit(permalinkTemplate.replace(/\$\$id/g, () => escapeHtml(idsByNode.get(node))));
+        }
+        originalHeading.call(this, node, entering);
+    };
+}
+exports.addHeadingPermalinks = addHeadingPermalinks;
@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+ * Escapes the characters that have special meaning in HTML (and XML) markup, so that given `text` can be safely
+ * placed inside element content or (double quoted) attribute values.
+ *
+ * @param   text {string}
+ *          The text to escape. `Null` and `undefined` are converted to an empty string.
+ *
+ * @return  {string}
+ *          The escaped text.
+ */
+const escapeHtml = function (text) {
+    return String(text == null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+exports.escapeHtml = escapeHtml;
+
+/**
+ * Reverses `escapeHtml()`, i.e., resolves the character references that may appear in (attribute) values of the
+ * generated markup: the named ones for the characters `escapeHtml()` escapes, and all numeric ones.
+ *
+ * @param   text {string}
+ *          The text to unescape.
+ *
+ * @return  {string}
+ *          The unescaped text.
+ */
+const unescapeHtml = function (text) {
+    const NAMED_REFERENCES = {'amp': '&', 'lt': '<', 'gt': '>', 'quot': '"', 'apos': "'"};
+    return String(text == null ? '' : text).replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, function (match, reference) {
+        if (reference[0] == '#') {
+            const isHex = (reference[1] == 'x' || reference[1] == 'X');
+            const codePoint = parseInt(reference.slice(isHex ? 2 : 1), isHex ? 16 : 10);
+
+            // Out of range code points and (lone) surrogates cannot be converted; leave these references unchanged.
+            if (codePoint > 0x10FFFF || (codePoint >= 0xD800 && codePoint <= 0xDFFF)) {
+                return match;
+            }
+            return String.fromCodePoint(codePoint);
+        }
+        const name = reference.toLowerCase();
+        return (name in NAMED_REFERENCES) ? NAMED_REFERENCES[name] : match;
+    });
+}
+exports.unescapeHtml = unescapeHtml;
+
+/**
+ * Serializes given `value` as JSON that can be safely placed inside an HTML `<script>` element, i.e., with the
+ * characters that could end the element (or a JavaScript string) early escaped. The result is still valid JSON.
+ *
+ * @param   value {*}
+ *          The value to serialize.
+ *
+ * @return  {string}
+ */
+const toScriptJson = function (value) {
+    return JSON.stringify(value)
+        .replace(/</g, '\\u003c')
+        .replace(/>/g, '\\u003e')
+        .replace(/&/g, '\\u0026')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+}
+exports.toScriptJson = toScriptJson;
@@ -0,0 +1,267 @@
+'use strict';
+const Fs = require('fs');
+const Path = require('path');
+const {unescapeHtml} = require('./html-utils');
+
+/**
+ * Matches `href` and `src` attributes in HTML markup; the (quoted) value is captured.
+ * @type {RegExp}
+ */
+const URL_ATTRIBUTE_PATTERN = /\s(?:href|src)\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+
+/**
+ * Matches `id` and `name` attributes in HTML markup, i.e., possible fragment targets; the (quoted) value is captured.
+ * @type {RegExp}
+ */
+const ID_ATTRIBUTE_PATTERN = /\s(?:id|name)\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+
+/**
+ * Matches URLs that do not point inside the compilation, i.e., that have a scheme (e.g., "https:", "mailto:" or
+ * "data:"), are protocol-relative (e.g., "//example.com"), or are server-absolute (e.g., "/about"), since we cannot
+ * know where the compilation is going to be deployed.
+ * @type {RegExp}
+ */
+const EXTERNAL_URL_PATTERN = /^(?:[a-z][a-z\d+.\-]*:|\/)/i;
+
+/**
+ * Matches `url()` references and `@import` rules in CSS markup; the URL is captured in one of the groups.
+ * @type {RegExp}
+ */
+const CSS_URL_PATTERN = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^"'()\s]+))\s*\)|@import\s+(?:"([^"]*)"|'([^']*)')/gi;
+
+/**
+ * Returns the (unescaped) values of all the attributes matched by given `pattern` in given `html`.
+ *
+ * @param   html {string}
+ *          The markup to search.
+ *
+ * @param   pattern {RegExp}
+ *          A global RegExp that captures the attribute value either in its first or second group.
+ *
+ * @return  {string[]}
+ */
+const collectAttributeValues = function (html, pattern) {
+    const values = [];
+    let match;
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(html))) {
+        values.push(unescapeHtml(match[1] !== undefined ? match[1] : match[2]));
+    }
+    return values;
+}
+
+/**
+ * Finds where (i.e., in which file and on which line) a link was authored, by searching the given files for the
+ * most specific form of the link we can think of: the URL as it is, then the linked path without any leading "./"
+ * or "../" segments, then the linked file name, and finally the bare fragment.
+ *
+ * @param   url {string}
+ *          The URL, as found in the generated markup.
+ *
+ * @param   filePaths {string[]}
+ *          The files to search, in order, e.g., the source document, followed by all the files it includes.
+ *
+ * @return  {object|null}
+ *          Object with the fields: `filePath`, `lineNumber` (1-based) and `line` (trimmed), or `null` if not found
+ *          (e.g., because the link comes from the HTML template).
+ */
+const findAuthoredLine = function (url, filePaths) {
+    let decodedUrl = url;
+    try {
+        decodedUrl = decodeURI(url);
+    } catch (e) {
+        // Malformed URL; search for it as it is.
+    }
+    const hashIndex = decodedUrl.indexOf('#');
+    const urlPath = (hashIndex == -1) ? decodedUrl : decodedUrl.slice(0, hashIndex);
+    const fragment = (hashIndex == -1) ? '' : decodedUrl.slice(hashIndex);
+    const trimmedPath = urlPath.replace(/^(?:\.\.?\/)+/, '');
+    const needles = [url, decodedUrl, trimmedPath + fragment, trimmedPath, Path.posix.basename(urlPath), fragment]
+        .filter((needle, index, all) => needle && needle != '#' && all.indexOf(needle) == index);
+    const filesLines = filePaths
+        .filter(filePath => Fs.existsSync(filePath))
+        .map(filePath => ({filePath: filePath, lines: Fs.readFileSync(filePath, 'utf8').split(/\r?\n/)}));
+    for (let i = 0; i < needles.length; i++) {
+        for (let j = 0; j < filesLines.length; j++) {
+            const lineIndex = filesLines[j].lines.findIndex(line => line.indexOf(needles[i]) != -1);
+            if (lineIndex != -1) {
+                return {
+                    filePath: filesLines[j].filePath,
+                    lineNumber: lineIndex + 1,
+                    line: filesLines[j].lines[lineIndex].trim()
+                };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Validates all the links (i.e., `href` and `src` attributes) in the given compiled pages: relative URLs must point
+ * to one of the given output files (or to a folder holding an "index.html" output file), and fragments pointing to
+ * compiled pages must match an `id` (or `name`) attribute in that page. External and server-absolute URLs are not
+ * checked. Each broken link is reported once per page, together with the place it was authored in, if found.
+ *
+ * @param   pages {object[]}
+ *          The compiled HTML pages to check, as Objects with the fields: `srcFilePath` (the source document),
+ *          `targetFilePath` (the compiled page) and `includedFilePaths` (the files the source document includes).
+ *
+ * @param   outputFilePaths {string[]}
+ *          Absolute paths of all the files the compilation produced (pages, copied assets, etc.).
+ *
+ * @return  {object[]}
+ *          The broken links, as Objects with the fields: `srcFilePath`, `targetFilePath`, `url`, `problem` (a human
+ *          readable description) and `location` (as returned by `findAuthoredLine()`, possibly `null`).
+ */
+const checkLinks = function (pages, outputFilePaths) {
+    const outputs = new Set(outputFilePaths);
+    const idsByPage = new Map();
+    const getIdsOf = function (filePath) {
+        if (!idsByPage.has(filePath)) {
+            idsByPage.set(filePath, new Set(collectAttributeValues(Fs.readFileSync(filePath, 'utf8'),
+                ID_ATTRIBUTE_PATTERN)));
+        }
+        return idsByPage.get(filePath);
+    };
+    const brokenLinks = [];
+    pages.forEach(page => {
+        if (!Fs.existsSync(page.targetFilePath)) {
+            return;
+        }
+        const urls = collectAttributeValues(Fs.readFileSync(page.targetFilePath, 'utf8'), URL_ATTRIBUTE_PATTERN);
+        const checkedUrls = [];
+        urls.forEach(url => {
+            url = url.trim();
+            if (!url || EXTERNAL_URL_PATTERN.test(url) || checkedUrls.includes(url)) {
+                return;
+            }
+            checkedUrls.push(url);
+            const hashIndex = url.indexOf('#');
+            const urlPath = ((hashIndex == -1) ? url : url.slice(0, hashIndex)).split('?')[0];
+            const fragment = (hashIndex == -1) ? '' : url.slice(hashIndex + 1);
+            let problem = null;
+            try {
+                let linkedFilePath = urlPath ?
+                    Path.resolve(Path.dirname(page.targetFilePath), decodeURIComponent(urlPath)) :
+                    page.targetFilePath;
+                if (!outputs.has(linkedFilePath) && outputs.has(Path.join(linkedFilePath, 'index.html'))) {
+                    linkedFilePath = Path.join(linkedFilePath, 'index.html');
+                }
+                if (!outputs.has(linkedFilePath)) {
+                    problem = 'target not found: "' + linkedFilePath + '"';
+                } else if (fragment && /\.html?$/i.test(linkedFilePath) &&
+                    !getIdsOf(linkedFilePath).has(decodeURIComponent(fragment))) {
+                    problem = 'anchor "#' + decodeURIComponent(fragment) + '" not found in "' + linkedFilePath + '"';
+                }
+            } catch (e) {
+                problem = 'malformed URL';
+            }
+            if (problem) {
+                brokenLinks.push({
+                    srcFilePath: page.srcFilePath,
+                    targetFilePath: page.targetFilePath,
+                    url: url,
+                    problem: problem,
+                    location: findAuthoredLine(url, [page.srcFilePath].concat(page.includedFilePaths || []))
+                });
+            }
+        });
+    });
+    return brokenLinks;
+}
+exports.checkLinks = checkLinks;
+
+/**
+ * Works out which assets (i.e., files in the <source> folder that are not documents) the given compiled pages
+ * reference, via their `href` and `src` attributes. Referenced stylesheets are searched in turn, for the files they
+ * point to via `url()` and `@import`. References to files that are neither produced by the compilation nor available
+ * as assets are reported as missing, together with the place they were authored in, if found; missing HTML pages are
+ * left to `checkLinks()`, as these are links to documents.
+ *
+ * @param   pages {object[]}
+ *          The compiled HTML pages to search, as Objects with the fields: `srcFilePath`, `targetFilePath` and
+ *          `includedFilePaths` (see `checkLinks()`).
+ *
+ * @param   assets {Map}
+ *          The available assets, as the paths they would be copied to (keys), mapped to their paths in the <source>
+ *          folder (values).
+ *
+ * @param   outputFilePaths {string[]}
+ *          Absolute paths of all the other files the compilation produced (pages, search index, etc.).
+ *
+ * @return  {object}
+ *          Object with the fields: `assetPaths` (the <source> paths of the referenced assets, in the order they were
+ *          first referenced) and `missingAssets` (Objects with the fields: `srcFilePath` and `targetFilePath` of the
+ *          referencing page or stylesheet, `url`, `filePath`, i.e., the missing file, and `location`, as returned by
+ *          `findAuthoredLine()`).
+ */
+const findReferencedAssets = function (pages, assets, outputFilePaths) {
+    const outputs = new Set(outputFilePaths);
+    const referencedPaths = [];
+    const missingAssets = [];
+    const visit = function (urls, referrer, authoredFilePaths) {
+        const checkedPaths = [];
+        urls.forEach(url => {
+            url = url.trim();
+            if (!url || url[0] == '#' || EXTERNAL_URL_PATTERN.test(url)) {
+                return;
+            }
+            const hashIndex = url.indexOf('#');
+            const urlPath = ((hashIndex == -1) ? url : url.slice(0, hashIndex)).split('?')[0];
+            let filePath;
+            try {
+                filePath = Path.resolve(Path.dirname(referrer.targetFilePath), decodeURIComponent(urlPath));
+            } catch (e) {
+
+                // Malformed URLs are reported by `checkLinks()`.
+                return;
+            }
+            if (!assets.has(filePath) && assets.has(Path.join(filePath, 'index.html'))) {
+                filePath = Path.join(filePath, 'index.html');
+            }
+            if (checkedPaths.includes(filePath) || outputs.has(filePath) ||
+                outputs.has(Path.join(filePath, 'index.html'))) {
+                return;
+            }
+            checkedPaths.push(filePath);
+
+            // Missing (compiled) pages are links to documents, not assets; `checkLinks()` reports these.
+            if (!assets.has(filePath) && /\.html?$/i.test(filePath)) {
+                return;
+            }
+            if (!assets.has(filePath)) {
+                missingAssets.push({
+                    srcFilePath: referrer.srcFilePath,
+                    targetFilePath: referrer.targetFilePath,
+                    url: url,
+                    filePath: filePath,
+                    location: findAuthoredLine(url, authoredFilePaths)
+                });
+                return;
+            }
+            const assetPath = assets.get(filePath);
+            if (referencedPaths.includes(assetPath)) {
+                return;
+            }
+            referencedPaths.push(assetPath);
+            if (/\.css$/i.test(assetPath)) {
+                const css = Fs.readFileSync(assetPath, 'utf8');
+                const cssUrls = [];
+                let match;
+                CSS_URL_PATTERN.lastIndex = 0;
+                while ((match = CSS_URL_PATTERN.exec(css))) {
+                    cssUrls.push(match.slice(1).find(group => group !== undefined));
+                }
+                visit(cssUrls, {srcFilePath: assetPath, targetFilePath: filePath}, [assetPath]);
+            }
+        });
+    };
+    pages.forEach(page => {
+        if (Fs.existsSync(page.targetFilePath)) {
+            visit(collectAttributeValues(Fs.readFileSync(page.targetFilePath, 'utf8'), URL_ATTRIBUTE_PATTERN), page,
+                [page.srcFilePath].concat(page.includedFilePaths || []));
+        }
+    });
+    return {assetPaths: referencedPaths, missingAssets: missingAssets};
+}
+exports.findReferencedAssets = findReferencedAssets;
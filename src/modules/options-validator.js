@@ -0,0 +1,285 @@
+'use strict';
+const Path = require('path');
+const {getSuggestions} = require('./string-utils');
+
+// Import constants
+const {
+    OPTIONS_SCHEMA
+} = require('./constants');
+
+/**
+ * Appends given `key` to given (dotted) `path`.
+ */
+const joinPath = function (path, key) {
+    return path ? path + '.' + key : key;
+}
+
+/**
+ * Returns the type of given `value`, in the terms of the options schema (see OPTIONS_SCHEMA).
+ */
+const getValueType = function (value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value == 'number' && Number.isInteger(value)) {
+        return 'integer';
+    }
+    return typeof value;
+}
+
+/**
+ * Returns a human readable form of given schema `type`, e.g., "an array".
+ */
+const describeType = function (type) {
+    return (type == 'null') ? 'null' : (/^[aeiou]/.test(type) ? 'an ' : 'a ') + type;
+}
+
+/**
+ * Returns the paths of all the settings named `key` in given `schema` (at any depth), e.g., to point out a setting
+ * placed at the wrong level.
+ */
+const findSettingPaths = function (key, schema = OPTIONS_SCHEMA, path = '') {
+    let paths = [];
+    Object.keys(schema.properties || {}).forEach(name => {
+        if (name.toLowerCase() == key.toLowerCase()) {
+            paths.push(joinPath(path, name));
+        }
+        paths = paths.concat(findSettingPaths(key, schema.properties[name], joinPath(path, name)));
+    });
+    return paths;
+}
+
+/**
+ * Finds the line each setting (and array item) starts on, in given JSON `text`. Comments are expected to have been
+ * replaced by whitespace, so that line numbers are preserved.
+ *
+ * @param   text {string}
+ *          Valid JSON text.
+ *
+ * @return  {object}
+ *          Object mapping setting paths (e.g., "htmlSettings.tocMinLevel" or "sourceFileTypes[1]") to line numbers
+ *          (one based).
+ */
+const getLineNumbers = function (text) {
+    const lineNumbers = {};
+    let position = 0;
+    let lineNumber = 1;
+    const skipWhitespace = function () {
+        while (position < text.length && /\s/.test(text[position])) {
+            if (text[position] == '\n') {
+                lineNumber++;
+            }
+            position++;
+        }
+    };
+    const readString = function () {
+        let end = position + 1;
+        while (text[end] != '"') {
+            end += (text[end] == '\\') ? 2 : 1;
+        }
+        const value = JSON.parse(text.slice(position, end + 1));
+        position = end + 1;
+        return value;
+    };
+    const readValue = function (path) {
+        skipWhitespace();
+        if (!(path in lineNumbers)) {
+            lineNumbers[path] = lineNumber;
+        }
+        const char = text[position];
+        if (char == '{' || char == '[') {
+            const closingChar = (char == '{') ? '}' : ']';
+            position++;
+            skipWhitespace();
+            if (text[position] == closingChar) {
+                position++;
+                return;
+            }
+            for (let i = 0; ; i++) {
+                skipWhitespace();
+                if (char == '{') {
+                    const keyLineNumber = lineNumber;
+                    const key = readString();
+                    lineNumbers[joinPath(path, key)] = keyLineNumber;
+                    skipWhitespace();
+                    position++;
+                    readValue(joinPath(path, key));
+                } else {
+                    readValue(path + '[' + i + ']');
+                }
+                skipWhitespace();
+                if (text[position++] == closingChar) {
+                    return;
+                }
+            }
+        }
+        if (char == '"') {
+            readString();
+            return;
+        }
+        while (position < text.length && !/[\s,\]}]/.test(text[position])) {
+            position++;
+        }
+    };
+    readValue('');
+    return lineNumbers;
+}
+exports.getLineNumbers = getLineNumbers;
+
+/**
+ * Checks given `value` against given `schema`, recursively, and records any problems found.
+ *
+ * @param   value {*}
+ *          The value to check.
+ *
+ * @param   schema {object}
+ *          The schema to check against (see OPTIONS_SCHEMA).
+ *
+ * @param   path {string}
+ *          The path of the value, e.g., "htmlSettings.tocMinLevel".
+ *
+ * @param   problems {object[]}
+ *          Storage for the problems found, each an Object with the fields `path` and `message`.
+ */
+const checkValue = function (value, schema, path, problems) {
+    const types = [].concat(schema.type);
+    const valueType = getValueType(value);
+    if (!types.includes(valueType) && !(valueType == 'integer' && types.includes('number'))) {
+        problems.push({
+            path: path,
+            message: 'expected ' + types.map(describeType).join(' or ') + ', found ' + describeType(valueType) +
+                (valueType == 'string' ? ' (' + JSON.stringify(value) + ')' : '')
+        });
+        return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        problems.push({
+            path: path,
+            message: 'invalid value ' + JSON.stringify(value) + ' (expected ' +
+                schema.enum.map(enumValue => JSON.stringify(enumValue)).join(' or ') + ')'
+        });
+        return;
+    }
+    if (schema.pattern && valueType == 'string' && !schema.pattern.test(value)) {
+        problems.push({
+            path: path,
+            message: 'invalid value ' + JSON.stringify(value) + ' (expected ' + schema.patternDescription + ')'
+        });
+        return;
+    }
+    const isTooSmall = ('min' in schema) && value < schema.min;
+    const isTooLarge = ('max' in schema) && value > schema.max;
+    if (typeof value == 'number' && (isTooSmall || isTooLarge)) {
+        problems.push({
+            path: path,
+            message: 'value ' + value + ' out of range (expected ' + (!('max' in schema) ? 'at least ' + schema.min :
+                !('min' in schema) ? 'at most ' + schema.max : 'between ' + schema.min + ' and ' + schema.max) + ')'
+        });
+        return;
+    }
+    if (valueType == 'array' && schema.items) {
+        value.forEach((item, i) => checkValue(item, schema.items, path + '[' + i + ']', problems));
+    }
+    if (valueType == 'object' && schema.values) {
+        Object.keys(value).forEach(key => checkValue(value[key], schema.values, joinPath(path, key), problems));
+    }
+    if (valueType == 'object' && schema.properties) {
+        const knownKeys = Object.keys(schema.properties);
+        Object.keys(value).forEach(key => {
+            if (knownKeys.includes(key)) {
+                checkValue(value[key], schema.properties[key], joinPath(path, key), problems);
+                return;
+            }
+            let suggestions = getSuggestions(key, knownKeys);
+            if (!suggestions.length) {
+                suggestions = findSettingPaths(key);
+            }
+            problems.push({
+                path: joinPath(path, key),
+                message: 'unknown setting' + (suggestions.length ? ' (did you mean ' +
+                    suggestions.map(suggestion => '"' + suggestion + '"').join(' or ') + '?)' : '')
+            });
+        });
+    }
+}
+
+/**
+ * Checks parsed options against the options schema (see OPTIONS_SCHEMA), reporting unknown settings (with
+ * suggestions), values of the wrong type, invalid choices, malformed text and out of range numbers.
+ *
+ * @param   optionsData {object}
+ *          The parsed options.
+ *
+ * @param   sourceText {string|null}
+ *          Optional, default `null`. The JSON text the options were parsed from (with comments replaced by whitespace),
+ *          used for locating the problems.
+ *
+ * @return  {object[]}
+ *          The problems found (an empty Array if there are none), each an Object with the fields `path` (e.g.,
+ *          "htmlSettings.tocMinLevel"), `message` and `lineNumber` (`null` if unknown).
+ */
+const validateOptions = function (optionsData, sourceText = null) {
+    const problems = [];
+    checkValue(optionsData, OPTIONS_SCHEMA, '', problems);
+    const lineNumbers = sourceText ? getLineNumbers(sourceText) : {};
+    problems.forEach(problem => problem.lineNumber = lineNumbers[problem.path] || null);
+    return problems;
+}
+exports.validateOptions = validateOptions;
+
+/**
+ * Resolves the (relative) file paths given `optionsData` holds (i.e., the values of the settings marked with `isPath`
+ * in OPTIONS_SCHEMA) against given `baseDir`, in place.
+ *
+ * @param   optionsData {object}
+ *          The (validated) options.
+ *
+ * @param   baseDir {string}
+ *          Absolute path to the folder to resolve against, typically the one holding the options file.
+ *
+ * @param   schema {object}
+ *          Optional. The schema to follow (used when recursing).
+ */
+const resolveOptionPaths = function (optionsData, baseDir, schema = OPTIONS_SCHEMA) {
+    Object.keys(schema.properties).forEach(key => {
+        const keySchema = schema.properties[key];
+        const value = optionsData[key];
+        if (typeof value == 'string' && keySchema.isPath) {
+            optionsData[key] = Path.resolve(baseDir, value);
+        } else if (getValueType(value) == 'object' && keySchema.properties) {
+            resolveOptionPaths(value, baseDir, keySchema);
+        } else if (getValueType(value) == 'object' && keySchema.values && keySchema.values.isPath) {
+            Object.keys(value).forEach(valueKey => value[valueKey] = Path.resolve(baseDir, String(value[valueKey])));
+        }
+    });
+}
+exports.resolveOptionPaths = resolveOptionPaths;
+
+/**
+ * Returns the configuration the program effectively runs with, i.e., given options with the default value filled in
+ * for every setting they do not provide (see OPTIONS_SCHEMA).
+ *
+ * @param   optionsData {object|null}
+ *          The (validated) options, or `null` if there are none.
+ *
+ * @param   schema {object}
+ *          Optional. The schema to follow (used when recursing).
+ *
+ * @return  {object}
+ */
+const getEffectiveOptions = function (optionsData, schema = OPTIONS_SCHEMA) {
+    const effectiveOptions = Object.assign({}, optionsData || {});
+    Object.keys(schema.properties).forEach(key => {
+        const keySchema = schema.properties[key];
+        if (keySchema.properties) {
+            effectiveOptions[key] = getEffectiveOptions(effectiveOptions[key], keySchema);
+        } else if (!(key in effectiveOptions) && ('default' in keySchema)) {
+            effectiveOptions[key] = JSON.parse(JSON.stringify(keySchema.default));
+        }
+    });
+    return effectiveOptions;
+}
+exports.getEffectiveOptions = getEffectiveOptions;
@@ -95,4 +95,55 @@ exports.ensureAbsUri = function (filePath, errorCallback, customErrMessage) {
         }
     }
     return absolutePath;
-}
\ No newline at end of file
+}
+/**
+ * Builds the absolute URL a file is published at, out of given `siteUrl` (the URL the <target> folder is published
+ * at) and the file's `relPath` (relative to the <target> folder). Path segments are URL-encoded, e.g., "2. Guides/
+ * Setup.html" becomes "2.%20Guides/Setup.html".
+ *
+ * @param   siteUrl {string}
+ *          Absolute URL, e.g., "https://example.com/docs" (a trailing slash is optional).
+ *
+ * @param   relPath {string}
+ *          Forward slash separated, relative path.
+ *
+ * @return  {string}
+ */
+const toSiteUrl = function (siteUrl, relPath) {
+    return siteUrl.replace(/\/*$/, '/') + relPath.split('/').map(encodeURIComponent).join('/');
+}
+exports.toSiteUrl = toSiteUrl;
+
+/**
+ * Converts given glob `pattern` to a RegExp that matches forward slash separated relative paths. Supported wildcards:
+ * "**" (any number of path segments, including none), "*" (any characters except "/") and "?" (one character except
+ * "/"). A pattern without any slash matches file names in any folder (e.g., "*.txt" matches "a/b/c.txt").
+ *
+ * @param   pattern {string}
+ *          The glob pattern, e.g., "api/**" or "tutorials/*.txt".
+ *
+ * @return  {RegExp}
+ */
+const globToRegExp = function (pattern) {
+    let glob = pattern.trim().replace(/\\+/g, '/').replace(/^\.?\//, '');
+    if (glob.indexOf('/') == -1) {
+        glob = '**/' + glob;
+    }
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob.charAt(i);
+        if (char == '*' && glob.charAt(i + 1) == '*') {
+            const isWholeSegment = (i == 0 || glob.charAt(i - 1) == '/') && (glob.charAt(i + 2) == '/');
+            source += isWholeSegment ? '(?:.*/)?' : '.*';
+            i += isWholeSegment ? 2 : 1;
+        } else if (char == '*') {
+            source += '[^/]*';
+        } else if (char == '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp('^' + source + '$');
+}
+exports.globToRegExp = globToRegExp;
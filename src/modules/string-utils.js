@@ -0,0 +1,61 @@
+'use strict';
+
+// Import constants
+const {
+    MAX_SUGGESTION_DISTANCE,
+    MIN_SUGGESTION_PREFIX_LENGTH
+} = require('./constants');
+
+/**
+ * Computes the Levenshtein (edit) distance between two strings, i.e., the minimum number of single character
+ * insertions, deletions or substitutions needed to turn one into the other.
+ *
+ * @param   a {string}
+ *          The first string.
+ *
+ * @param   b {string}
+ *          The second string.
+ *
+ * @return  {number}
+ */
+const getEditDistance = function (a, b) {
+    let previousRow = Array.from({length: b.length + 1}, (value, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const currentRow = [i];
+        for (let j = 1; j <= b.length; j++) {
+            currentRow[j] = Math.min(previousRow[j] + 1, currentRow[j - 1] + 1,
+                previousRow[j - 1] + (a[i - 1] == b[j - 1] ? 0 : 1));
+        }
+        previousRow = currentRow;
+    }
+    return previousRow[b.length];
+}
+exports.getEditDistance = getEditDistance;
+
+/**
+ * Returns the `candidates` that closely resemble given (mistyped) `text`, best match first, e.g., for producing
+ * "did you mean...?" hints. Comparison is case insensitive, the number of typos tolerated grows with the length of
+ * `text`, and candidates that start with `text` also qualify.
+ *
+ * @param   text {string}
+ *          The text, as typed.
+ *
+ * @param   candidates {string[]}
+ *          The valid values.
+ *
+ * @return  {string[]}
+ */
+const getSuggestions = function (text, candidates) {
+    const typed = text.toLowerCase();
+    const maxDistance = Math.max(MAX_SUGGESTION_DISTANCE, Math.floor(typed.length / 4));
+    return candidates
+        .map(candidate => {
+            const isPrefix = typed.length >= MIN_SUGGESTION_PREFIX_LENGTH &&
+                candidate.toLowerCase().indexOf(typed) == 0;
+            return {candidate: candidate, distance: isPrefix ? 0 : getEditDistance(typed, candidate.toLowerCase())};
+        })
+        .filter(match => match.distance <= maxDistance && match.distance < typed.length / 2)
+        .sort((a, b) => a.distance - b.distance)
+        .map(match => match.candidate);
+}
+exports.getSuggestions = getSuggestions;
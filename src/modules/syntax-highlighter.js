@@ -0,0 +1,297 @@
+'use strict';
+const {escapeHtml} = require('./html-utils');
+
+/**
+ * Builds a pattern that matches any of the given (space separated) words, as a whole word.
+ */
+const words = function (list) {
+    return new RegExp('\\b(?:' + list.split(' ').join('|') + ')\\b');
+}
+
+// Rules shared by several languages.
+const C_COMMENT = {type: 'comment', pattern: /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/};
+const QUOTED_STRING = {type: 'string', pattern: /"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?/};
+const DECIMAL_NUMBER =
+    /(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*(?:\.[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d+)?)/;
+
+/**
+ * The tokenizers of the supported languages. Each is a list of rules, tried in order at every position of the code;
+ * the first one to match produces a token of its `type` (or plain text, if the type is `null`, which is useful for
+ * consuming whole identifiers, so that keywords are not found inside them). The text a rule matches can be further
+ * broken down by the rules listed as its `inside`. Token types follow the names most highlighting themes use (e.g.,
+ * "keyword", "string", "comment"), so that existing stylesheets can be reused.
+ */
+const LANGUAGES = {
+    'javascript': [
+        C_COMMENT,
+        {type: 'string', pattern: /`(?:\\[\s\S]|[^\\`])*`?|"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?/},
+        {type: 'keyword', pattern: words('as async await break case catch class const continue debugger default ' +
+            'delete do else enum export extends finally for from function get if implements import in instanceof ' +
+            'interface let new null of private protected public readonly return set static super switch this throw ' +
+            'try type typeof undefined var void while with yield')},
+        {type: 'boolean', pattern: words('true false')},
+        {type: 'number', pattern: new RegExp(DECIMAL_NUMBER.source + 'n?(?![\\w$])')},
+        {type: 'function', pattern: /[A-Za-z_$][\w$]*(?=\s*\()/},
+        {type: null, pattern: /[A-Za-z_$][\w$]*/}
+    ],
+    'json': [
+        C_COMMENT,
+        {type: 'property', pattern: /"(?:\\.|[^\\"\n])*"(?=\s*:)/},
+        {type: 'string', pattern: /"(?:\\.|[^\\"\n])*"?/},
+        {type: 'number', pattern: /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/},
+        {type: 'boolean', pattern: words('true false')},
+        {type: 'keyword', pattern: words('null')}
+    ],
+    'shell': [
+        {type: 'comment', pattern: /(?<![^\s;|&(])#[^\n]*/},
+        {type: 'string', pattern: /"(?:\\[\s\S]|[^\\"])*"?|'[^']*'?/, inside: 'shellString'},
+        {type: 'variable', pattern: /\$(?:\{[^}\n]*\}|\(\([^)\n]*\)\)|[A-Za-z_]\w*|[\d@#?$!*-])/},
+        {type: 'keyword', pattern: words('alias break case continue declare do done elif else esac exit export fi ' +
+            'for function if in local readonly return select shift source then unset until while')},
+        {type: 'builtin', pattern: words('cd echo eval exec printf pwd read set test trap')},
+        {type: 'number', pattern: /(?<![\w.-])\d+(?![\w.])/},
+        {type: null, pattern: /[A-Za-z_][\w.-]*/}
+    ],
+    'shellString': [
+        {type: 'variable', pattern: /\$(?:\{[^}\n]*\}|[A-Za-z_]\w*|[\d@#?$!*-])/}
+    ],
+    'markup': [
+        {type: 'comment', pattern: /<!--[\s\S]*?(?:-->|$)/},
+        {type: 'prolog', pattern: /<\?[\s\S]*?(?:\?>|$)/},
+        {type: 'doctype', pattern: /<!DOCTYPE[^>]*>?/i},
+        {type: 'cdata', pattern: /<!\[CDATA\[[\s\S]*?(?:\]\]>|$)/},
+        {
+            type: 'tag',
+            pattern: /<\/?[A-Za-z][\w:.-]*(?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>/,
+            inside: 'markupTag'
+        },
+        {type: 'entity', pattern: /&(?:#x[\da-fA-F]+|#\d+|[A-Za-z]\w*);/}
+    ],
+    'markupTag': [
+        {type: 'punctuation', pattern: /^<\/?|\/?>$/},
+        {type: 'attr-value', pattern: /=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+)/, inside: 'markupAttrValue'},
+        {type: 'attr-name', pattern: /(?<=\s)[^\s"'>\/=]+/}
+    ],
+    'markupAttrValue': [
+        {type: 'punctuation', pattern: /^=/}
+    ],
+    'css': [
+        {type: 'comment', pattern: /\/\*[\s\S]*?(?:\*\/|$)/},
+        QUOTED_STRING,
+        {type: 'atrule', pattern: /@[\w-]+/},
+        {type: 'selector', pattern: /[^{}\s;@][^{};@]*?(?=\s*\{)/},
+        {type: 'property', pattern: /(?<=^|[{;\s])-{0,2}[A-Za-z][\w-]*(?=\s*:)/},
+        {type: 'keyword', pattern: /!important\b/i},
+        {type: 'function', pattern: /[A-Za-z_-][\w-]*(?=\()/},
+        {type: null, pattern: /[A-Za-z_-][\w-]*/},
+        {type: 'number', pattern: /#[\da-fA-F]{3,8}\b|(?:\d+\.?\d*|\.\d+)(?:%|[A-Za-z]+)?/}
+    ],
+    'python': [
+        {type: 'comment', pattern: /#[^\n]*/},
+        {
+            type: 'string',
+            pattern: new RegExp('[rRbBuUfF]{0,2}(?:"""[\\s\\S]*?(?:"""|$)|\'\'\'[\\s\\S]*?(?:\'\'\'|$)|' +
+                QUOTED_STRING.pattern.source + ')')
+        },
+        {type: 'decorator', pattern: /(?<=(?:^|\n)[ \t]*)@[\w.]+/},
+        {type: 'keyword', pattern: words('and as assert async await break case class continue def del elif else ' +
+            'except finally for from global if import in is lambda match None nonlocal not or pass raise return try ' +
+            'while with yield')},
+        {type: 'boolean', pattern: words('True False')},
+        {type: 'builtin', pattern: words('abs all any bool dict enumerate filter float input int isinstance len ' +
+            'list map max min open print range repr set sorted str sum super tuple type zip')},
+        {type: 'function', pattern: /[A-Za-z_]\w*(?=\s*\()/},
+        {type: null, pattern: /[A-Za-z_]\w*/},
+        {type: 'number', pattern: new RegExp(DECIMAL_NUMBER.source + 'j?(?!\\w)')}
+    ]
+};
+
+/**
+ * Maps the language names accepted in the info string of fenced code blocks to the supported languages.
+ */
+const LANGUAGE_ALIASES = {
+    'javascript': 'javascript', 'js': 'javascript', 'mjs': 'javascript', 'cjs': 'javascript', 'jsx': 'javascript',
+    'typescript': 'javascript', 'ts': 'javascript', 'tsx': 'javascript', 'node': 'javascript',
+    'json': 'json', 'jsonc': 'json', 'json5': 'json',
+    'shell': 'shell', 'sh': 'shell', 'bash': 'shell', 'zsh': 'shell', 'console': 'shell', 'shellsession': 'shell',
+    'html': 'markup', 'htm': 'markup', 'xhtml': 'markup', 'xml': 'markup', 'svg': 'markup', 'markup': 'markup',
+    'css': 'css',
+    'python': 'python', 'py': 'python', 'py3': 'python'
+};
+
+// Make all patterns "sticky", so that they only match at the position they are tried at.
+Object.keys(LANGUAGES).forEach(language => LANGUAGES[language].forEach(rule => {
+    rule.regExp = new RegExp(rule.pattern.source, rule.pattern.flags + 'y');
+}));
+
+/**
+ * Breaks given `code` down into tokens, using the rules of given `language` (see LANGUAGES).
+ *
+ * @return  {Array}
+ *          Array of strings (plain text) and Objects with the fields `type` and `content` (an Array like this one).
+ */
+const tokenize = function (code, language) {
+    const rules = LANGUAGES[language];
+    const tokens = [];
+    let plainText = '';
+    let position = 0;
+    while (position < code.length) {
+        let match = null;
+        let rule;
+        for (rule of rules) {
+            rule.regExp.lastIndex = position;
+            match = rule.regExp.exec(code);
+            if (match && match[0].length) {
+                break;
+            }
+            match = null;
+        }
+        if (!match) {
+            plainText += code[position++];
+            continue;
+        }
+        position += match[0].length;
+        if (!rule.type) {
+            plainText += match[0];
+            continue;
+        }
+        if (plainText) {
+            tokens.push(plainText);
+            plainText = '';
+        }
+        tokens.push({type: rule.type, content: rule.inside ? tokenize(match[0], rule.inside) : [match[0]]});
+    }
+    if (plainText) {
+        tokens.push(plainText);
+    }
+    return tokens;
+}
+
+/**
+ * Renders given tokens (see `tokenize()`) as HTML, each token becoming a `<span>` with the CSS classes "token" and
+ * the token type.
+ */
+const renderTokens = function (tokens) {
+    return tokens.map(token => (typeof token == 'string') ? escapeHtml(token) :
+        '<span class="token ' + token.type + '">' + renderTokens(token.content) + '</span>').join('');
+}
+
+/**
+ * Parses the info string of a fenced code block, e.g., "js {3-5,8} lineNumbers".
+ *
+ * @param   info {string|null}
+ *          The info string, i.e., the text following the opening code fence.
+ *
+ * @return  {object}
+ *          Object with the fields: `language` (the first word, or an empty string), `highlightedRanges` (the line
+ *          ranges listed between braces, each as a `[first, last]` pair of one based line numbers; a single line
+ *          `n` gives `[n, n]`) and `mustNumberLines` (`true` if the "lineNumbers" word is given, `false` if
+ *          "noLineNumbers" is given, and `null` otherwise).
+ */
+const parseCodeInfo = function (info) {
+    const [, language, rest] = /^([^\s{]*)\s*([\s\S]*)$/.exec((info || '').trim());
+    const highlightedRanges = [];
+    let mustNumberLines = null;
+    rest.replace(/\{([^}]*)\}/g, function (match, ranges) {
+        ranges.split(',').forEach(range => {
+            const bounds = /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/.exec(range);
+            if (bounds) {
+                const first = parseInt(bounds[1]);
+                const last = bounds[2] ? parseInt(bounds[2]) : first;
+                if (first <= last) {
+                    highlightedRanges.push([first, last]);
+                }
+            }
+        });
+        return '';
+    }).split(/\s+/).forEach(word => {
+        if (word == 'lineNumbers' || word == 'noLineNumbers') {
+            mustNumberLines = (word == 'lineNumbers');
+        }
+    });
+    return {language: language, highlightedRanges: highlightedRanges, mustNumberLines: mustNumberLines};
+}
+exports.parseCodeInfo = parseCodeInfo;
+
+/**
+ * Highlights given source `code`, i.e., wraps its tokens (keywords, strings, comments, etc.) in `<span>` elements
+ * with the CSS classes "token" and the token type (e.g., "token keyword"). Code in an unsupported language is only
+ * escaped. Optionally, each line is wrapped in a `<span class="code-line">` element as well, so that lines can be
+ * numbered (via their `data-line-number` attribute) and emphasized (via the "highlighted" CSS class).
+ *
+ * @param   code {string}
+ *          The code to highlight.
+ *
+ * @param   language {string}
+ *          The language of the code, e.g., "js" or "python" (see LANGUAGE_ALIASES).
+ *
+ * @param   highlightedRanges {number[][]}
+ *          Optional. The ranges of lines to emphasize, as `[first, last]` pairs of one based line numbers (see
+ *          `parseCodeInfo()`).
+ *
+ * @param   mustNumberLines {boolean}
+ *          Optional, default `false`. Whether to give each line its number.
+ *
+ * @return  {string}
+ *          The HTML to place inside the `<code>` element.
+ */
+const highlightCode = function (code, language, highlightedRanges = [], mustNumberLines = false) {
+    const languageName = LANGUAGE_ALIASES[String(language || '').toLowerCase()];
+    const html = languageName ? renderTokens(tokenize(code, languageName)) : escapeHtml(code);
+    if (!highlightedRanges.length && !mustNumberLines) {
+        return html;
+    }
+
+    // Tokens can span several lines (e.g., block comments), so their elements are closed at the end of each line, and
+    // opened anew at the beginning of the next one.
+    const openTags = [];
+    const lines = html.replace(/\n$/, '').split('\n');
+    return lines.map((line, index) => {
+        const prefix = openTags.join('');
+        line.replace(/<span class="[^"]*">|<\/span>/g, function (tag) {
+            if (tag == '</span>') {
+                openTags.pop();
+            } else {
+                openTags.push(tag);
+            }
+            return tag;
+        });
+        const lineNumber = index + 1;
+        const isHighlighted = highlightedRanges.some(([first, last]) => lineNumber >= first && lineNumber <= last);
+        return '<span class="code-line' + (isHighlighted ? ' highlighted' : '') + '"' +
+            (mustNumberLines ? ' data-line-number="' + lineNumber + '"' : '') + '>' + prefix + line +
+            '</span>'.repeat(openTags.length) + '</span>';
+    }).join('\n') + '\n';
+}
+exports.highlightCode = highlightCode;
+
+/**
+ * Makes given CommonMark HTML renderer highlight the code blocks it renders (see `highlightCode()`). The info string
+ * of fenced code blocks can list lines to emphasize, and turn line numbers on or off (see `parseCodeInfo()`), e.g.:
+ *
+ * ```js {3-5} lineNumbers
+ *
+ * @param   htmlRenderer {object}
+ *          An instance of `CommonMark.HtmlRenderer`.
+ *
+ * @param   mustNumberLines {boolean}
+ *          Optional, default `false`. Whether to number the lines of all code blocks, by default.
+ */
+const addCodeHighlighting = function (htmlRenderer, mustNumberLines = false) {
+    htmlRenderer.code_block = function (node) {
+        const info = parseCodeInfo(node.info);
+        const isNumbered = (info.mustNumberLines === null) ? mustNumberLines : info.mustNumberLines;
+        const attributes = this.attrs(node);
+        if (info.language) {
+            attributes.push(['class', 'language-' + this.esc(info.language)]);
+        }
+        this.cr();
+        this.tag('pre', isNumbered ? [['class', 'line-numbers']] : []);
+        this.tag('code', attributes);
+        this.lit(highlightCode(node.literal, info.language, info.highlightedRanges, isNumbered));
+        this.tag('/code');
+        this.tag('/pre');
+        this.cr();
+    };
+}
+exports.addCodeHighlighting = addCodeHighlighting;
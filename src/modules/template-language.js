@@ -0,0 +1,327 @@
+'use strict';
+const Fs = require('fs');
+const Path = require('path');
+
+/**
+ * Matches the tags of the HTML template language, i.e.: block tags with an argument (`$$if(...)`, `$$each(...)` and
+ * `$$partial(...)`), block tags without one (`$$else`, `$$endif` and `$$endeach`), the `$$rootDir$$` tag, and names,
+ * optionally followed by a field (e.g., `$$docName`, `$$meta.author`). A `$$$$` is an escaped (literal) `$$`, e.g.,
+ * `$$$$Word` renders as `$$Word`; any other `$$` not followed by a letter is plain text.
+ * @type {RegExp}
+ */
+const TAG_PATTERN = /\$\$(?:(\$\$)|(if|each|partial)\(([^)\n]*)\)|(else|endif|endeach)(?!\w)|(rootDir)\$\$|([A-Za-z]\w*)(?:\.([A-Za-z][\w\-]*))?)/g;
+const CONDITION_PATTERN = /^\s*(!?)\s*([A-Za-z]\w*)(?:\.([A-Za-z][\w\-]*))?\s*$/;
+const LOOP_PATTERN = /^\s*([A-Za-z]\w*)\s+in\s+([A-Za-z]\w*)(?:\.([A-Za-z][\w\-]*))?\s*$/;
+const RESERVED_NAMES = ['if', 'else', 'endif', 'each', 'endeach', 'partial'];
+
+/**
+ * Describes the `loop` name, available inside `$$each` blocks.
+ * @type {object}
+ */
+const LOOP_DESCRIPTOR = {fields: ['index', 'isFirst', 'isLast']};
+
+/**
+ * Throws an error that points to the offending line of a template.
+ * @private
+ */
+const _fail = function (problem, filePath, line) {
+    throw (new Error(problem + ' (in ' + (filePath ? '"' + filePath + '"' : 'the HTML template') +
+        ', line ' + line + ')'));
+}
+
+/**
+ * Returns the descriptor of given `name` (and `field`, if given), as found in given `scope` (see `compileTemplate()`).
+ * Fields of names whose fields are not known in advance (i.e., `fields: '*'`) are described as `{any: true}`.
+ * @private
+ */
+const _describe = function (scope, name, field, filePath, line) {
+    if (!(name in scope)) {
+        _fail('unknown name "' + name + '"', filePath, line);
+    }
+    const descriptor = scope[name];
+    if (!field) {
+        return descriptor;
+    }
+    if (!descriptor || !descriptor.fields) {
+        _fail('"' + name + '" has no fields', filePath, line);
+    }
+    if (descriptor.fields != '*' && !descriptor.fields.includes(field)) {
+        _fail('unknown field "' + field + '" of "' + name + '"', filePath, line);
+    }
+    return (descriptor.fields == '*') ? {any: true} : null;
+}
+
+/**
+ * Parses given template `source` into a tree of nodes: strings (plain text), and Objects with a `type` field (one of
+ * "value", "if" or "each"). Partials are parsed in place, within the current scope. All names are checked against
+ * given `scope` while parsing, so that errors surface even for blocks that would not be rendered.
+ *
+ * @param   source {string}
+ *          The template (or partial) to parse.
+ *
+ * @param   filePath {string|null}
+ *          The absolute path the template was read from; partials are resolved relative to it (or relative to the
+ *          current working directory, if `null`).
+ *
+ * @param   scope {object}
+ *          The names available, mapped to their descriptors.
+ *
+ * @param   context {object}
+ *          Parsing state shared with the parsed partials: `partialPaths` (all partials read so far) and `stack` (the
+ *          paths of the templates currently being parsed, to detect circular inclusions).
+ *
+ * @return  {Array}
+ * @private
+ */
+const _parse = function (source, filePath, scope, context) {
+    const root = {type: 'root', body: []};
+    const blocks = [{node: root, scope: scope, line: 0}];
+    const current = () => blocks[blocks.length - 1];
+    const pushNode = (node) => {
+        const block = current();
+        (block.isElse ? block.node.elseBody : block.node.body).push(node);
+    };
+    const tagPattern = new RegExp(TAG_PATTERN.source, 'g');
+    let cursor = 0;
+    let line = 1;
+    let lineCountedTo = 0;
+    let match;
+    while ((match = tagPattern.exec(source))) {
+        const [tag, escapedTag, argTagName, argument, bareTagName, rootDirName, name, field] = match;
+        const tagName = argTagName || bareTagName;
+        const tagStart = match.index;
+        const tagEnd = tagStart + tag.length;
+        line += (source.slice(lineCountedTo, tagStart).match(/\n/g) || []).length;
+        lineCountedTo = tagStart;
+
+        // Block tags alone on their line take the whole line with them, so they leave no blank lines behind.
+        let textEnd = tagStart;
+        let isStandalone = false;
+        if (tagName) {
+            const lineStart = source.lastIndexOf('\n', tagStart - 1) + 1;
+            const newLineIndex = source.indexOf('\n', tagEnd);
+            const lineEnd = (newLineIndex == -1) ? source.length : newLineIndex;
+            if (lineStart >= cursor && !source.slice(lineStart, tagStart).trim() &&
+                !source.slice(tagEnd, lineEnd).trim()) {
+                isStandalone = true;
+                textEnd = lineStart;
+                tagPattern.lastIndex = Math.min(source.length, lineEnd + 1);
+            }
+        }
+        if (textEnd > cursor) {
+            pushNode(source.slice(cursor, textEnd));
+        }
+        cursor = tagPattern.lastIndex;
+
+        const block = current();
+        switch (tagName) {
+            case 'if':
+                const condition = argument.match(CONDITION_PATTERN);
+                if (!condition) {
+                    _fail('invalid condition "' + argument + '", expected "$$if(<name>)" or "$$if(!<name>)"',
+                        filePath, line);
+                }
+                _describe(block.scope, condition[2], condition[3], filePath, line);
+                const ifNode = {type: 'if', isNegated: !!condition[1], name: condition[2], field: condition[3],
+                    body: [], elseBody: []};
+                pushNode(ifNode);
+                blocks.push({node: ifNode, scope: block.scope, line: line});
+                break;
+
+            case 'else':
+                if (block.node.type != 'if' || block.isElse) {
+                    _fail('unexpected "$$else"', filePath, line);
+                }
+                block.isElse = true;
+                break;
+
+            case 'endif':
+            case 'endeach':
+                const expectedType = (tagName == 'endif') ? 'if' : 'each';
+                if (block.node.type != expectedType) {
+                    _fail('unexpected "$$' + tagName + '"' + (block.node.type == 'root' ? '' :
+                        ', the "$$' + block.node.type + '" on line ' + block.line + ' is still open'), filePath, line);
+                }
+                blocks.pop();
+                break;
+
+            case 'each':
+                const loop = argument.match(LOOP_PATTERN);
+                if (!loop) {
+                    _fail('invalid loop "' + argument + '", expected "$$each(<item> in <list>)"', filePath, line);
+                }
+                if (RESERVED_NAMES.includes(loop[1]) || loop[1] == 'loop') {
+                    _fail('"' + loop[1] + '" cannot be used as a loop item name', filePath, line);
+                }
+                const listDescriptor = _describe(block.scope, loop[2], loop[3], filePath, line);
+                if (!listDescriptor || !(listDescriptor.isList || listDescriptor.any)) {
+                    _fail('"' + loop[2] + (loop[3] ? '.' + loop[3] : '') + '" is not a list', filePath, line);
+                }
+                const loopScope = Object.assign({}, block.scope);
+                loopScope[loop[1]] = listDescriptor.isList ? {fields: listDescriptor.fields} : null;
+                loopScope.loop = LOOP_DESCRIPTOR;
+                const eachNode = {type: 'each', itemName: loop[1], name: loop[2], field: loop[3], body: []};
+                pushNode(eachNode);
+                blocks.push({node: eachNode, scope: loopScope, line: line});
+                break;
+
+            case 'partial':
+                const partialName = argument.trim().replace(/^(['"])(.*)\1$/, '$2');
+                const partialPath = Path.resolve(filePath ? Path.dirname(filePath) : process.cwd(), partialName);
+                if (!partialName || !Fs.existsSync(partialPath) || !Fs.lstatSync(partialPath).isFile()) {
+                    _fail('partial not found: ' + (partialName ? partialPath : '(no path given)'), filePath, line);
+                }
+                if (context.stack.includes(partialPath)) {
+                    _fail('circular partial inclusion: ' + partialPath, filePath, line);
+                }
+                if (!context.partialPaths.includes(partialPath)) {
+                    context.partialPaths.push(partialPath);
+                }
+                let partialSource = Fs.readFileSync(partialPath, 'utf8').replace(/^\uFEFF/, '');
+                if (!isStandalone) {
+                    partialSource = partialSource.replace(/\r?\n$/, '');
+                }
+                context.stack.push(partialPath);
+                _parse(partialSource, partialPath, block.scope, context).forEach(pushNode);
+                context.stack.pop();
+                break;
+
+            default:
+                if (escapedTag) {
+                    pushNode(escapedTag);
+                    break;
+                }
+                if (rootDirName) {
+                    pushNode(tag);
+                    break;
+                }
+                if (RESERVED_NAMES.includes(name)) {
+                    _fail('"$$' + name + '" must be followed by its argument, in parentheses', filePath, line);
+                }
+                const descriptor = _describe(block.scope, name, null, filePath, line);
+                if (descriptor && descriptor.fields && !field) {
+                    _fail('"' + name + '" cannot be output as it is, only its fields can', filePath, line);
+                }
+
+                // Fields of plain values are just text, e.g., the ".html" in "$$docName.html".
+                if (field && !(descriptor && descriptor.fields)) {
+                    pushNode({type: 'value', name: name});
+                    pushNode('.' + field);
+                    break;
+                }
+                _describe(block.scope, name, field, filePath, line);
+                pushNode({type: 'value', name: name, field: field});
+                break;
+        }
+    }
+    if (cursor < source.length) {
+        pushNode(source.slice(cursor));
+    }
+    if (blocks.length > 1) {
+        const openBlock = current();
+        _fail('"$$' + openBlock.node.type + '" is never closed (missing "$$end' + openBlock.node.type + '")',
+            filePath, openBlock.line);
+    }
+    return root.body;
+}
+
+/**
+ * Tells whether given template `value` counts as "true" in `$$if` blocks: empty (or blank) strings, empty Arrays,
+ * `false`, `0`, `null` and `undefined` do not.
+ * @private
+ */
+const _isTruthy = function (value) {
+    if (typeof value == 'string') {
+        return !!value.trim();
+    }
+    if (Array.isArray(value)) {
+        return value.length > 0;
+    }
+    return !!value;
+}
+
+/**
+ * Renders given parsed template `nodes` into given `output` Array.
+ * @private
+ */
+const _render = function (nodes, values, lazyValues, output) {
+    const lookUp = function (node) {
+        let value = values[node.name];
+        if (typeof value == 'function') {
+            if (!lazyValues.has(node.name)) {
+                lazyValues.set(node.name, value());
+            }
+            value = lazyValues.get(node.name);
+        }
+        return (node.field && value !== null && value !== undefined) ? value[node.field] : value;
+    };
+    nodes.forEach(node => {
+        if (typeof node == 'string') {
+            output.push(node);
+            return;
+        }
+        const value = lookUp(node);
+        switch (node.type) {
+            case 'value':
+                output.push((value === null || value === undefined) ? '' :
+                    Array.isArray(value) ? value.join(', ') : String(value));
+                break;
+            case 'if':
+                _render((_isTruthy(value) != node.isNegated) ? node.body : node.elseBody, values, lazyValues, output);
+                break;
+            case 'each':
+                const items = Array.isArray(value) ? value : _isTruthy(value) ? [value] : [];
+                items.forEach((item, index) => {
+                    const itemValues = Object.create(values);
+                    itemValues[node.itemName] = item;
+                    itemValues.loop = {index: index, isFirst: index == 0, isLast: index == items.length - 1};
+                    _render(node.body, itemValues, lazyValues, output);
+                });
+                break;
+        }
+    });
+}
+
+/**
+ * Compiles given HTML template. Besides placeholders (e.g., `$$docName`, `$$meta.author`) templates can hold:
+ * - conditional blocks: `$$if(name)` ... `$$else` ... `$$endif` (`$$else` is optional, and `$$if(!name)` negates);
+ * - loops over lists: `$$each(item in list)` ... `$$endeach`; inside, `$$item.<field>` refers to the current item, and
+ *   `$$loop.index` (zero based), `$$loop.isFirst` and `$$loop.isLast` to its position;
+ * - partials: `$$partial(path/to/fragment.html)`, which is replaced by the content of the given file (itself a
+ *   template), resolved relative to the including file.
+ * Block tags placed alone on their line do not leave blank lines in the output. Unknown names and syntax errors are
+ * reported when compiling, along with the file and line they occur in; literal `$$` text followed by a letter must be
+ * written as `$$$$`.
+ *
+ * @param   source {string}
+ *          The template.
+ *
+ * @param   filePath {string|null}
+ *          The absolute path the template was read from, or `null` (e.g., for the built-in template).
+ *
+ * @param   names {object}
+ *          The names templates can use, each mapped to either `null` (for plain values) or an Object with the fields:
+ *          `fields` (an Array with the names of the fields, or "*" if any field is allowed) and `isList` (whether the
+ *          name holds an Array of such Objects).
+ *
+ * @return  {object}
+ *          Object with the fields: `render` (a function that receives an Object with the values of the names, and
+ *          returns the populated template; values can be given as functions, which are only called if needed, and
+ *          only once) and `partialPaths` (the absolute paths of all the partials used).
+ *
+ * @throws  {Error}
+ *          If the template (or any of its partials) is invalid.
+ */
+const compileTemplate = function (source, filePath, names) {
+    const context = {partialPaths: [], stack: filePath ? [filePath] : []};
+    const nodes = _parse(source, filePath, names, context);
+    return {
+        render: function (values) {
+            const output = [];
+            _render(nodes, values, new Map(), output);
+            return output.join('');
+        },
+        partialPaths: context.partialPaths
+    };
+}
+exports.compileTemplate = compileTemplate;
@@ -0,0 +1,122 @@
+'use strict';
+const Zlib = require('zlib');
+
+/**
+ * Lookup table for computing CRC-32 checksums (see `getCrc32()`).
+ */
+const CRC32_TABLE = (function () {
+    const table = new Int32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let value = i;
+        for (let bit = 0; bit < 8; bit++) {
+            value = (value & 1) ? (0xEDB88320 ^ (value >>> 1)) : (value >>> 1);
+        }
+        table[i] = value;
+    }
+    return table;
+})();
+
+/**
+ * Computes the CRC-32 checksum of given `data`, as required by the ZIP format.
+ *
+ * @param   data {Buffer}
+ *
+ * @return  {number}
+ *          The checksum, as an unsigned 32 bit integer.
+ */
+const getCrc32 = function (data) {
+    let crc = -1;
+    for (let i = 0; i < data.length; i++) {
+        crc = CRC32_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+exports.getCrc32 = getCrc32;
+
+/**
+ * Converts given `date` to the MS-DOS time and date format used by ZIP headers (local time, two seconds precision).
+ * Dates before 1980 (which the format cannot represent) are clamped.
+ *
+ * @param   date {Date}
+ *
+ * @return  {object}
+ *          Object with the fields `time` and `date`, both unsigned 16 bit integers.
+ */
+const toDosDateTime = function (date) {
+    if (date.getFullYear() < 1980) {
+        date = new Date(1980, 0, 1);
+    }
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Packs given entries into a ZIP archive, in memory, without resorting to external tools. Entries are written in the
+ * given order (which matters to some formats, e.g., EPUB requires its "mimetype" file to come first, uncompressed).
+ *
+ * @param   entries {object[]}
+ *          The files to pack, each an Object with the fields:
+ *          - name {string}: the path of the file inside the archive, with forward slashes;
+ *          - data {Buffer|string}: the content of the file (strings are encoded as UTF-8);
+ *          - isStored {boolean}: optional, `true` to store the file as it is, instead of compressing it;
+ *          - date {Date}: optional, the modification time of the file (defaults to the current time).
+ *
+ * @return  {Buffer}
+ *          The content of the ZIP archive.
+ */
+const createZip = function (entries) {
+    const chunks = [];
+    const centralChunks = [];
+    let offset = 0;
+    entries.forEach(entry => {
+        const name = Buffer.from(entry.name, 'utf8');
+        const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+        const content = entry.isStored ? data : Zlib.deflateRawSync(data);
+        const method = entry.isStored ? 0 : 8;
+        const crc = getCrc32(data);
+        const {time, date} = toDosDateTime(entry.date || new Date());
+
+        // Bit 11 of the general purpose flags marks the file name as UTF-8 encoded.
+        const localHeader = Buffer.alloc(30);
+        localHeader.writeUInt32LE(0x04034B50, 0);
+        localHeader.writeUInt16LE(20, 4);
+        localHeader.writeUInt16LE(0x0800, 6);
+        localHeader.writeUInt16LE(method, 8);
+        localHeader.writeUInt16LE(time, 10);
+        localHeader.writeUInt16LE(date, 12);
+        localHeader.writeUInt32LE(crc, 14);
+        localHeader.writeUInt32LE(content.length, 18);
+        localHeader.writeUInt32LE(data.length, 22);
+        localHeader.writeUInt16LE(name.length, 26);
+        localHeader.writeUInt16LE(0, 28);
+
+        const centralHeader = Buffer.alloc(46);
+        centralHeader.writeUInt32LE(0x02014B50, 0);
+        centralHeader.writeUInt16LE(20, 4);
+        centralHeader.writeUInt16LE(20, 6);
+        centralHeader.writeUInt16LE(0x0800, 8);
+        centralHeader.writeUInt16LE(method, 10);
+        centralHeader.writeUInt16LE(time, 12);
+        centralHeader.writeUInt16LE(date, 14);
+        centralHeader.writeUInt32LE(crc, 16);
+        centralHeader.writeUInt32LE(content.length, 20);
+        centralHeader.writeUInt32LE(data.length, 24);
+        centralHeader.writeUInt16LE(name.length, 28);
+        centralHeader.writeUInt32LE(offset, 42);
+
+        chunks.push(localHeader, name, content);
+        centralChunks.push(centralHeader, name);
+        offset += localHeader.length + name.length + content.length;
+    });
+    const centralDirectory = Buffer.concat(centralChunks);
+    const endRecord = Buffer.alloc(22);
+    endRecord.writeUInt32LE(0x06054B50, 0);
+    endRecord.writeUInt16LE(entries.length, 8);
+    endRecord.writeUInt16LE(entries.length, 10);
+    endRecord.writeUInt32LE(centralDirectory.length, 12);
+    endRecord.writeUInt32LE(offset, 16);
+    return Buffer.concat(chunks.concat(centralDirectory, endRecord));
+}
+exports.createZip = createZip;
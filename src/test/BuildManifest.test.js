@@ -0,0 +1,105 @@
+'use strict';
+const Test = require('node:test');
+const Assert = require('node:assert');
+const Fs = require('fs');
+const Os = require('os');
+const Path = require('path');
+const BuildManifest = require('../modules/BuildManifest');
+
+Test.describe('BuildManifest', () => {
+    let tempDir;
+    let srcPath;
+    let targetPath;
+    let docPath;
+    let outputPath;
+    let includedPath;
+
+    Test.beforeEach(() => {
+        tempDir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'auntie-manifest-'));
+        srcPath = Path.join(tempDir, 'docs');
+        targetPath = Path.join(tempDir, 'out');
+        Fs.mkdirSync(srcPath);
+        Fs.mkdirSync(targetPath);
+        docPath = Path.join(srcPath, 'doc.txt');
+        outputPath = Path.join(targetPath, 'doc.html');
+        includedPath = Path.join(srcPath, 'part.txt');
+        Fs.writeFileSync(docPath, '# Doc\n$$include(part.txt)');
+        Fs.writeFileSync(includedPath, 'Part.');
+        Fs.writeFileSync(outputPath, '<h1>Doc</h1>');
+    });
+
+    Test.afterEach(() => {
+        Fs.rmSync(tempDir, {recursive: true, force: true});
+    });
+
+    /**
+     * Writes given `content` to given `filePath`, making sure its modification time changes.
+     */
+    const rewrite = function (filePath, content) {
+        const later = new Date(Fs.statSync(filePath).mtimeMs + 5000);
+        Fs.writeFileSync(filePath, content);
+        Fs.utimesSync(filePath, later, later);
+    };
+
+    /**
+     * Simulates a compilation of the test document with given shared `inputs`, and returns the manifest of the next
+     * compilation, loaded and set up with `nextInputs`.
+     */
+    const compile = function (inputs = {'template': 'T'}, nextInputs = inputs) {
+        const manifest = new BuildManifest(srcPath, targetPath);
+        manifest.load();
+        manifest.setInputs(inputs);
+        manifest.addDocument(docPath, outputPath, [includedPath]);
+        manifest.write();
+        const nextManifest = new BuildManifest(srcPath, targetPath);
+        nextManifest.load();
+        nextManifest.setInputs(nextInputs);
+        return nextManifest;
+    };
+
+    Test.describe('isUpToDate()', () => {
+        Test.it('deems unchanged documents up to date, even if merely touched', () => {
+            const manifest = compile();
+            rewrite(docPath, Fs.readFileSync(docPath));
+            Assert.strictEqual(manifest.isUpToDate(docPath, outputPath), true);
+            Assert.deepStrictEqual(manifest.getPreviousInclusionsOf(docPath), [includedPath]);
+        });
+
+        Test.it('deems nothing up to date without a previous manifest', () => {
+            const manifest = new BuildManifest(srcPath, targetPath);
+            Assert.strictEqual(manifest.load(), false);
+            Assert.strictEqual(manifest.isUpToDate(docPath, outputPath), false);
+        });
+
+        Test.it('deems documents outdated when their content or the content of included files changed', () => {
+            let manifest = compile();
+            rewrite(docPath, '# Doc\nChanged.');
+            Assert.strictEqual(manifest.isUpToDate(docPath, outputPath), false);
+            manifest = compile();
+            rewrite(includedPath, 'Changed part.');
+            Assert.strictEqual(manifest.isUpToDate(docPath, outputPath), false);
+        });
+
+        Test.it('deems documents outdated when the shared inputs changed', () => {
+            Assert.strictEqual(compile({'template': 'T'}, {'template': 'U'}).isUpToDate(docPath, outputPath), false);
+            Assert.strictEqual(compile({'template': 'T'}, {'template': 'T', 'navigation': 'N'})
+                .isUpToDate(docPath, outputPath), false);
+        });
+
+        Test.it('deems documents outdated when their output is missing or moved', () => {
+            const manifest = compile();
+            Assert.strictEqual(manifest.isUpToDate(docPath, Path.join(targetPath, 'other.html')), false);
+            Fs.unlinkSync(outputPath);
+            Assert.strictEqual(manifest.isUpToDate(docPath, outputPath), false);
+        });
+    });
+
+    Test.describe('getStaleOutputs()', () => {
+        Test.it('lists the outputs of the previous compilation that the current one did not produce', () => {
+            const manifest = compile();
+            Assert.deepStrictEqual(manifest.getStaleOutputs(), [outputPath]);
+            manifest.addDocument(docPath, outputPath, []);
+            Assert.deepStrictEqual(manifest.getStaleOutputs(), []);
+        });
+    });
+});
@@ -0,0 +1,126 @@
+'use strict';
+const Test = require('node:test');
+const Assert = require('node:assert');
+const Fs = require('fs');
+const Os = require('os');
+const Path = require('path');
+const MetaTextEngine = require('../modules/MetaTextEngine');
+
+Test.describe('MetaTextEngine', () => {
+    let tempDir;
+
+    Test.beforeEach(() => {
+        tempDir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'auntie-engine-'));
+    });
+
+    Test.afterEach(() => {
+        Fs.rmSync(tempDir, {recursive: true, force: true});
+    });
+
+    const writeFile = function (relPath, content) {
+        const filePath = Path.join(tempDir, relPath);
+        Fs.mkdirSync(Path.dirname(filePath), {recursive: true});
+        Fs.writeFileSync(filePath, content);
+        return filePath;
+    };
+
+    Test.describe('resolveIncludes()', () => {
+        Test.it('transcludes files, recursively, relative to the including file', () => {
+            writeFile('shared/warning.txt', '$$nocompile\nBe careful.\n$$include(note.txt)\n');
+            writeFile('shared/note.txt', 'A note.');
+            const docPath = writeFile('doc.txt', '# Doc\n$$include(shared/warning.txt)\nThe end.');
+            const engine = new MetaTextEngine(tempDir, tempDir, {});
+            Assert.strictEqual(engine.resolveIncludes(docPath, Fs.readFileSync(docPath, 'utf8')),
+                '# Doc\nBe careful.\nA note.\nThe end.');
+        });
+
+        Test.it('only includes the section under the given heading, ignoring its numbering', () => {
+            writeFile('install.txt', '# Setup\n## 1. Windows Setup\nRun it.\n### Details\nMore.\n## 2. Linux\nNo.');
+            const docPath = writeFile('doc.txt', '$$include(install.txt#windows setup)');
+            const engine = new MetaTextEngine(tempDir, tempDir, {});
+            Assert.strictEqual(engine.resolveIncludes(docPath, Fs.readFileSync(docPath, 'utf8')),
+                '## 1. Windows Setup\nRun it.\n### Details\nMore.');
+        });
+
+        Test.it('rewrites the relative links of included fragments', () => {
+            writeFile('shared/links.txt', '[Guide](guide.txt) ![Logo](../img/logo.png) [Web](https://example.com)');
+            const docPath = writeFile('docs/doc.txt', '$$include(../shared/links.txt)');
+            const engine = new MetaTextEngine(tempDir, tempDir, {});
+            Assert.strictEqual(engine.resolveIncludes(docPath, Fs.readFileSync(docPath, 'utf8')),
+                '[Guide](../shared/guide.txt) ![Logo](../img/logo.png) [Web](https://example.com)');
+        });
+
+        Test.it('leaves directives inside fenced code blocks alone', () => {
+            const content = '```\n$$include(missing.txt)\n```';
+            const docPath = writeFile('doc.txt', content);
+            const engine = new MetaTextEngine(tempDir, tempDir, {});
+            Assert.strictEqual(engine.resolveIncludes(docPath, content), content);
+        });
+
+        Test.it('reports circular inclusions, along with the inclusion chain', () => {
+            const firstPath = writeFile('a.txt', '$$include(b.txt)');
+            const secondPath = writeFile('b.txt', '$$include(a.txt)');
+            const engine = new MetaTextEngine(tempDir, tempDir, {});
+            Assert.throws(() => engine.resolveIncludes(firstPath, Fs.readFileSync(firstPath, 'utf8')), {
+                message: 'circular inclusion detected: ' + [firstPath, secondPath, firstPath].join(' < ')
+            });
+        });
+
+        Test.it('reports missing files and sections', () => {
+            writeFile('part.txt', '# Part');
+            const docPath = writeFile('doc.txt', '');
+            const engine = new MetaTextEngine(tempDir, tempDir, {});
+            Assert.throws(() => engine.resolveIncludes(docPath, '$$include(missing.txt)'),
+                /^Error: included file not found: /);
+            Assert.throws(() => engine.resolveIncludes(docPath, '$$include(part.txt#Other)'),
+                /^Error: section "Other" not found in included file /);
+        });
+    });
+
+    Test.describe('resolveMTF()', () => {
+        Test.it('lowers admonitions and collapsible sections to HTML blocks', () => {
+            const engine = new MetaTextEngine(tempDir, tempDir, {});
+            Assert.strictEqual(engine.resolveMTF(':::warning Mind <this>\nText.\n:::'), [
+                '', '<div class="admonition admonition-warning">',
+                '<p class="admonition-title">Mind &lt;this&gt;</p>', '', 'Text.', '', '</div>', ''
+            ].join('\n'));
+            Assert.strictEqual(engine.resolveMTF(':::details\nHidden.'), [
+                '', '<details class="details">', '<summary>Details</summary>', '', 'Hidden.', '', '</details>', ''
+            ].join('\n'));
+        });
+
+        Test.it('nests blocks, and leaves stray closing fences alone', () => {
+            const engine = new MetaTextEngine(tempDir, tempDir, {});
+            const lines = engine.resolveMTF(':::note\n:::tip\nText.\n:::\n:::\n:::').split('\n');
+            Assert.deepStrictEqual(lines.filter(line => /^<\/?div/.test(line)), [
+                '<div class="admonition admonition-note">', '<div class="admonition admonition-tip">', '</div>',
+                '</div>'
+            ]);
+            Assert.strictEqual(lines[lines.length - 1], ':::');
+        });
+
+        Test.it('lowers inline markers, except in code spans', () => {
+            const engine = new MetaTextEngine(tempDir, tempDir, {});
+            Assert.strictEqual(engine.resolveMTF('Press {{kbd:Ctrl + Shift+P}}, not `{{kbd:Ctrl}}`.'),
+                'Press <kbd>Ctrl</kbd>+<kbd>Shift</kbd>+<kbd>P</kbd>, not `{{kbd:Ctrl}}`.');
+            Assert.strictEqual(engine.resolveMTF('Use {{ui:File > Save As}}.'),
+                'Use <span class="ui-label">File &gt; Save As</span>.');
+        });
+
+        Test.it('leaves fenced and indented code blocks alone', () => {
+            const engine = new MetaTextEngine(tempDir, tempDir, {});
+            const fenced = '```\n:::note\n{{kbd:X}}\n```';
+            Assert.strictEqual(engine.resolveMTF(fenced), fenced);
+            const indented = 'Text.\n\n    indented {{kbd:X}}\n\n    more {{ui:Y}}';
+            Assert.strictEqual(engine.resolveMTF(indented), indented);
+            Assert.strictEqual(engine.resolveMTF(':::tip\n    code {{kbd:X}}\n:::').split('\n')[4],
+                '    code {{kbd:X}}');
+        });
+
+        Test.it('lowers inline markers in indented paragraph and list item lines', () => {
+            const engine = new MetaTextEngine(tempDir, tempDir, {});
+            Assert.strictEqual(engine.resolveMTF('Text\n    {{kbd:X}}'), 'Text\n    <kbd>X</kbd>');
+            Assert.strictEqual(engine.resolveMTF('- Item\n\n    {{kbd:X}}'), '- Item\n\n    <kbd>X</kbd>');
+        });
+    });
+});
@@ -0,0 +1,55 @@
+'use strict';
+const Test = require('node:test');
+const Assert = require('node:assert');
+const ChildProcess = require('child_process');
+const Fs = require('fs');
+const Os = require('os');
+const Path = require('path');
+
+const AUNTIE_PATH = Path.resolve(__dirname, '../auntie.js');
+
+Test.describe('PDF output', () => {
+    let tempDir;
+
+    Test.beforeEach(() => {
+        tempDir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'auntie-pdf-'));
+        Fs.mkdirSync(Path.join(tempDir, 'docs'));
+        Fs.mkdirSync(Path.join(tempDir, 'out'));
+        Fs.writeFileSync(Path.join(tempDir, 'docs', '1. Intro.txt'), [
+            '# 1. Intro', 'Some *text*, a [link](https://example.com) and [the next page](2.%20Next.txt).', '',
+            '## Details', '- one', '  - nested', '', '> quote', '', '```', 'code', '```', '', '---'
+        ].join('\n'));
+        Fs.writeFileSync(Path.join(tempDir, 'docs', '2. Next.txt'), '# 2. Next\nThe end.');
+    });
+
+    Test.afterEach(() => {
+        Fs.rmSync(tempDir, {recursive: true, force: true});
+    });
+
+    const build = function (options) {
+        Fs.writeFileSync(Path.join(tempDir, 'options.json'), JSON.stringify(options));
+        ChildProcess.execFileSync(process.execPath, [AUNTIE_PATH, 'docs', 'out', 'options.json'],
+            {cwd: tempDir, stdio: 'pipe'});
+        return Fs.readdirSync(Path.join(tempDir, 'out')).sort();
+    };
+
+    const readPdf = fileName => Fs.readFileSync(Path.join(tempDir, 'out', fileName)).toString('latin1');
+
+    Test.it('lays out each document as a PDF file, with its headings as bookmarks', () => {
+        Assert.deepStrictEqual(build({outputType: 'pdf'}), ['1. Intro.pdf', '2. Next.pdf']);
+        const pdf = readPdf('1. Intro.pdf');
+        Assert.ok(pdf.startsWith('%PDF-'));
+        Assert.ok(pdf.includes('/Title (1. Intro)'));
+        Assert.ok(pdf.includes('/Title (Details)'));
+        Assert.ok(pdf.includes('/URI (https://example.com)'));
+    });
+
+    Test.it('combines documents in navigation order, linking between them internally', () => {
+        Assert.deepStrictEqual(build({outputType: 'pdf', pdfSettings: {combineDocuments: true, pageSize: 'A5'}}),
+            ['Docs.pdf']);
+        const pdf = readPdf('Docs.pdf');
+        Assert.ok(pdf.indexOf('/Title (1. Intro)') < pdf.indexOf('/Title (2. Next)'));
+        Assert.ok(/\/S \/GoTo\s+\/D \(doc:/.test(pdf));
+        Assert.strictEqual((pdf.match(/\/Type \/Page\b/g) || []).length, 2);
+    });
+});
@@ -0,0 +1,88 @@
+'use strict';
+const Test = require('node:test');
+const Assert = require('node:assert');
+const ChildProcess = require('child_process');
+const Fs = require('fs');
+const Http = require('http');
+const Net = require('net');
+const Os = require('os');
+const Path = require('path');
+
+const AUNTIE_PATH = Path.resolve(__dirname, '../auntie.js');
+const WAIT_TIMEOUT = 15000;
+
+Test.describe('preview server', () => {
+    let tempDir;
+    let child;
+    let port;
+
+    Test.beforeEach(async () => {
+        tempDir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'auntie-serve-'));
+        Fs.mkdirSync(Path.join(tempDir, 'docs', 'guide'), {recursive: true});
+        Fs.writeFileSync(Path.join(tempDir, 'docs', 'guide', '1. Setup.txt'), '# 1. Setup\nText.');
+        Fs.writeFileSync(Path.join(tempDir, 'secret.txt'), 'Secret.');
+
+        // Finds a free port, for the server to use.
+        port = await new Promise(resolve => {
+            const probe = Net.createServer().listen(0, '127.0.0.1', () => {
+                const freePort = probe.address().port;
+                probe.close(() => resolve(freePort));
+            });
+        });
+        child = ChildProcess.spawn(process.execPath, [AUNTIE_PATH, 'serve', 'docs', 'out', '--port', String(port)],
+            {cwd: tempDir});
+        await new Promise((resolve, reject) => {
+            let output = '';
+            const timer = setTimeout(() => reject(new Error('server did not start, got: ' + output)), WAIT_TIMEOUT);
+            const onData = function (data) {
+                output += data;
+                if (/Serving /.test(output)) {
+                    clearTimeout(timer);
+                    resolve();
+                }
+            };
+            child.stdout.on('data', onData);
+            child.stderr.on('data', onData);
+        });
+    });
+
+    Test.afterEach(() => {
+        child.kill();
+        Fs.rmSync(tempDir, {recursive: true, force: true});
+    });
+
+    /**
+     * Requests given (root-relative, already encoded) `urlPath`, and resolves with the status code, headers and body.
+     */
+    const get = function (urlPath) {
+        return new Promise((resolve, reject) => {
+            Http.get({host: '127.0.0.1', port: port, path: urlPath}, response => {
+                let body = '';
+                response.setEncoding('utf8');
+                response.on('data', data => body += data);
+                response.on('end', () => resolve({status: response.statusCode, headers: response.headers, body}));
+            }).on('error', reject);
+        });
+    };
+
+    Test.it('serves compiled pages from decoded paths, with the live reload script injected', async () => {
+        const response = await get('/guide/1.%20Setup.html?v=1');
+        Assert.strictEqual(response.status, 200);
+        Assert.strictEqual(response.headers['content-type'], 'text/html; charset=utf-8');
+        Assert.ok(response.body.includes('Text.'));
+        Assert.ok(/<script>[\s\S]*EventSource[\s\S]*<\/script>/.test(response.body));
+        Assert.strictEqual((await get('/guide/1.%20Setup')).status, 200);
+    });
+
+    Test.it('redirects the root to the first page, when there is no "index.html" file', async () => {
+        const response = await get('/');
+        Assert.strictEqual(response.status, 302);
+        Assert.strictEqual(response.headers['location'], '/guide/1.%20Setup.html');
+    });
+
+    Test.it('answers with "404" for missing files and paths outside the served folder', async () => {
+        Assert.strictEqual((await get('/missing.html')).status, 404);
+        Assert.strictEqual((await get('/%2e%2e/secret.txt')).status, 404);
+        Assert.strictEqual((await get('/guide/%E0%A4%A')).status, 404);
+    });
+});
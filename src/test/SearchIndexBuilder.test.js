@@ -0,0 +1,44 @@
+'use strict';
+const Test = require('node:test');
+const Assert = require('node:assert');
+const CommonMark = require('commonmark');
+const Fs = require('fs');
+const Os = require('os');
+const Path = require('path');
+const SearchIndexBuilder = require('../modules/SearchIndexBuilder');
+
+Test.describe('SearchIndexBuilder', () => {
+    let tempDir;
+
+    Test.beforeEach(() => {
+        tempDir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'auntie-search-'));
+    });
+
+    Test.afterEach(() => {
+        Fs.rmSync(tempDir, {recursive: true, force: true});
+    });
+
+    /**
+     * Evaluates the written search index, the way a browser would.
+     */
+    const readIndex = function () {
+        const window = {};
+        new Function('window', Fs.readFileSync(Path.join(tempDir, 'auntie-search-index.js'), 'utf8'))(window);
+        return window[Object.keys(window)[0]];
+    };
+
+    Test.it('indexes the title, URL, headings and text of each document', () => {
+        const engine = {getHeaderFor: filePath => (filePath == '/src/guide/setup.txt') ? '1. Setup' : null};
+        const builder = new SearchIndexBuilder(engine, tempDir);
+        builder.addDocument('/src/guide/setup.txt', Path.join(tempDir, 'guide', 'setup.html'),
+            new CommonMark.Parser().parse('# 1. Setup\nRun *this*:\n\n    npm install\n\n## Next Steps\nDone.'));
+        builder.write();
+        Assert.deepStrictEqual(readIndex(), [{
+            t: '1. Setup',
+            u: 'guide/setup.html',
+            h: [['1. Setup', 'setup'], ['Next Steps', 'next-steps']],
+            b: '1. Setup Run this: npm install Next Steps Done.'
+        }]);
+        Assert.ok(Fs.existsSync(Path.join(tempDir, 'auntie-search.js')));
+    });
+});
@@ -0,0 +1,69 @@
+'use strict';
+const Test = require('node:test');
+const Assert = require('node:assert');
+const Fs = require('fs');
+const Os = require('os');
+const Path = require('path');
+const {build} = require('../index');
+
+Test.describe('sitemap and page URLs', () => {
+    let tempDir;
+    let srcPath;
+    let targetPath;
+
+    Test.beforeEach(() => {
+        tempDir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'auntie-sitemap-'));
+        srcPath = Path.join(tempDir, 'docs');
+        targetPath = Path.join(tempDir, 'site');
+        Fs.mkdirSync(Path.join(srcPath, '2. Guides'), {recursive: true});
+        Fs.mkdirSync(targetPath);
+        Fs.writeFileSync(Path.join(srcPath, '1. Intro.txt'), '# 1. Intro\nHello.');
+        Fs.writeFileSync(Path.join(srcPath, '2. Guides', '1. Setup.txt'), '# 1. Setup\nRun it.');
+        Fs.writeFileSync(Path.join(srcPath, '2. Guides', '2. Old.txt'),
+            '---\ncanonical: 2.%20Guides/1.%20Setup.html\n---\n# 2. Old\nMoved.');
+    });
+
+    Test.afterEach(() => {
+        Fs.rmSync(tempDir, {recursive: true, force: true});
+    });
+
+    const compile = function (options, template = '$$pageUrl $$canonicalUrl') {
+        const result = build({source: srcPath, target: targetPath, options: options, template: template});
+        Assert.deepStrictEqual(result.errors, []);
+        return result;
+    };
+
+    const readOutput = relPath => Fs.readFileSync(Path.join(targetPath, relPath), 'utf8');
+
+    Test.it('lists the documents in reading order, leaving out the ones with another canonical URL', () => {
+        compile({htmlSettings: {siteUrl: 'https://example.com/docs/'}});
+        const locations = readOutput('sitemap.xml').match(/<loc>[^<]*<\/loc>/g);
+        Assert.deepStrictEqual(locations, [
+            '<loc>https://example.com/docs/1.%20Intro.html</loc>',
+            '<loc>https://example.com/docs/2.%20Guides/1.%20Setup.html</loc>'
+        ]);
+        Assert.match(readOutput('sitemap.xml'), /<lastmod>\d{4}-\d\d-\d\dT[\d:.]+Z<\/lastmod>/);
+        Assert.strictEqual(readOutput('robots.txt'),
+            'User-agent: *\nAllow: /\n\nSitemap: https://example.com/docs/sitemap.xml\n');
+    });
+
+    Test.it('resolves the page and canonical URL placeholders', () => {
+        compile({htmlSettings: {siteUrl: 'https://example.com/docs'}});
+        Assert.strictEqual(readOutput('1. Intro.html'),
+            'https://example.com/docs/1.%20Intro.html https://example.com/docs/1.%20Intro.html');
+        Assert.strictEqual(readOutput('2. Guides/2. Old.html'), 'https://example.com/docs/2.%20Guides/2.%20Old.html ' +
+            'https://example.com/docs/2.%20Guides/1.%20Setup.html');
+    });
+
+    Test.it('keeps the sitemap the <source> folder provides, and writes nothing without a site URL', () => {
+        Fs.writeFileSync(Path.join(srcPath, 'sitemap.xml'), '<urlset/>');
+        compile({htmlSettings: {siteUrl: 'https://example.com', passThroughAssets: true}});
+        Assert.strictEqual(readOutput('sitemap.xml'), '<urlset/>');
+        Assert.ok(Fs.existsSync(Path.join(targetPath, 'robots.txt')));
+        Fs.rmSync(targetPath, {recursive: true});
+        Fs.mkdirSync(targetPath);
+        compile({});
+        Assert.ok(!Fs.existsSync(Path.join(targetPath, 'sitemap.xml')));
+        Assert.ok(!Fs.existsSync(Path.join(targetPath, 'robots.txt')));
+    });
+});
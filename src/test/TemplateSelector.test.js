@@ -0,0 +1,63 @@
+'use strict';
+const Test = require('node:test');
+const Assert = require('node:assert');
+const Fs = require('fs');
+const Os = require('os');
+const Path = require('path');
+const TemplateSelector = require('../modules/TemplateSelector');
+
+Test.describe('TemplateSelector', () => {
+    let tempDir;
+    let srcPath;
+
+    Test.beforeEach(() => {
+        tempDir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'auntie-templates-'));
+        srcPath = Path.join(tempDir, 'docs');
+    });
+
+    Test.afterEach(() => {
+        Fs.rmSync(tempDir, {recursive: true, force: true});
+    });
+
+    const writeFile = function (relPath, content) {
+        const filePath = Path.join(tempDir, relPath);
+        Fs.mkdirSync(Path.dirname(filePath), {recursive: true});
+        Fs.writeFileSync(filePath, content);
+        return filePath;
+    };
+
+    const makeSelector = function (templateRules) {
+        return new TemplateSelector(srcPath, 'DEFAULT', null, {htmlSettings: {templateRules: templateRules}});
+    };
+
+    Test.it('prefers the front matter, then the first matching rule, then the nearest folder template', () => {
+        const apiTemplatePath = writeFile('templates/api.html', 'API');
+        const pageTemplatePath = writeFile('templates/page.html', 'PAGE');
+        const guideTemplatePath = writeFile('docs/guide/_template.html', 'GUIDE');
+        const selector = makeSelector({'api/**': apiTemplatePath, '*.txt': Path.join(tempDir, 'templates/none.html')});
+        const docPath = Path.join(srcPath, 'guide', 'deep', 'a.txt');
+        Assert.strictEqual(selector.getTemplatePathFor(docPath, {template: '../../../templates/page.html'}),
+            pageTemplatePath);
+        Assert.strictEqual(selector.getTemplatePathFor(Path.join(srcPath, 'api', 'v1', 'b.txt'), {}), apiTemplatePath);
+        Assert.strictEqual(selector.validate(), 'template of rule "*.txt" not found: ' +
+            Path.join(tempDir, 'templates/none.html'));
+        Assert.strictEqual(makeSelector({}).getTemplatePathFor(docPath, {}), guideTemplatePath);
+        Assert.strictEqual(makeSelector({}).getTemplatePathFor(Path.join(srcPath, 'c.txt'), {}), null);
+    });
+
+    Test.it('tells templates apart from content', () => {
+        const pagePath = writeFile('docs/page.html', 'PAGE');
+        const selector = makeSelector({});
+        Assert.strictEqual(selector.isTemplateFile(Path.join(srcPath, 'x', '_template.html')), true);
+        Assert.strictEqual(selector.isTemplateFile(pagePath), false);
+        selector.getTemplateFor(Path.join(srcPath, 'a.txt'), {template: 'page.html'});
+        Assert.strictEqual(selector.isTemplateFile(pagePath), true);
+        Assert.deepStrictEqual(selector.getSelectedPaths(), [pagePath]);
+    });
+
+    Test.it('rejects missing or empty templates', () => {
+        writeFile('docs/empty.html', '  \n');
+        Assert.throws(() => makeSelector({}).getTemplateFor(Path.join(srcPath, 'a.txt'), {template: 'empty.html'}),
+            {message: 'HTML template is missing or empty: ' + Path.join(srcPath, 'empty.html')});
+    });
+});
@@ -0,0 +1,88 @@
+'use strict';
+const Test = require('node:test');
+const Assert = require('node:assert');
+const {parseArgs} = require('../modules/args-parser');
+const {applyOptionOverrides} = require('../modules/args-validator');
+
+/**
+ * Parses given `args`, and returns either the parsed arguments or the first error reported.
+ */
+const parse = function (args) {
+    let error = null;
+    const parsedArgs = parseArgs(args, message => error = error || message);
+    return error ? {error: error} : parsedArgs;
+};
+
+Test.describe('parseArgs()', () => {
+    Test.it('collects positional arguments and flags, with values given either way', () => {
+        const parsedArgs = parse(['docs', '--force', 'site', '--output-type=pdf', '--options', 'opts.json',
+            '--quiet']);
+        Assert.strictEqual(parsedArgs.command, null);
+        Assert.strictEqual(parsedArgs.source, 'docs');
+        Assert.strictEqual(parsedArgs.target, 'site');
+        Assert.strictEqual(parsedArgs.options, 'opts.json');
+        Assert.strictEqual(parsedArgs.outputType, 'pdf');
+        Assert.strictEqual(parsedArgs.force, true);
+        Assert.strictEqual(parsedArgs.quiet, true);
+        Assert.strictEqual(parsedArgs.verbose, false);
+    });
+
+    Test.it('turns "--set" and shorthand flags into option overrides, in the order given', () => {
+        const parsedArgs = parse(['docs', 'site', '--set', 'htmlSettings.hideNavigationNumbering=true',
+            '--template', 'page.html', '--set=sourceFileTypes=["md", "txt"]', '--set', 'htmlSettings.title=My Docs',
+            '--batch-log']);
+        Assert.deepStrictEqual(parsedArgs.overrides, {
+            'htmlSettings.hideNavigationNumbering': true,
+            'htmlSettings.templateFile': 'page.html',
+            'sourceFileTypes': ['md', 'txt'],
+            'htmlSettings.title': 'My Docs',
+            'outputBatchLog': true
+        });
+    });
+
+    Test.it('parses the "serve" command and its port', () => {
+        const parsedArgs = parse(['serve', 'docs', '-', '--port', '8081']);
+        Assert.strictEqual(parsedArgs.command, 'serve');
+        Assert.strictEqual(parsedArgs.target, '-');
+        Assert.strictEqual(parsedArgs.port, 8081);
+        Assert.deepStrictEqual(parse(['docs', 'site', '--port=8081']),
+            {error: '--port can only be used with the "serve" command'});
+        Assert.deepStrictEqual(parse(['serve', 'docs', '--port', '99999']), {error: 'invalid port: 99999'});
+    });
+
+    Test.it('lets help and version requests override everything else', () => {
+        Assert.deepStrictEqual(parse(['docs', '--help', '--quiet', '--verbose']), {help: true, version: false});
+        Assert.deepStrictEqual(parse(['--version']), {help: false, version: true});
+    });
+
+    Test.it('reports unknown, repeated and malformed flags', () => {
+        Assert.deepStrictEqual(parse(['docs', 'site', '--verbos']),
+            {error: 'unknown flag: --verbos (did you mean --verbose?)'});
+        Assert.deepStrictEqual(parse(['docs', 'site', '--force', '--force']),
+            {error: 'flag given more than once: --force'});
+        Assert.deepStrictEqual(parse(['docs', 'site', '--force=yes']), {error: 'flag --force takes no value'});
+        Assert.deepStrictEqual(parse(['docs', 'site', '--template']), {error: 'missing value for flag: --template'});
+        Assert.match(parse(['docs', 'site', '--set', 'novalue']).error, /^invalid --set value: "novalue"/);
+        Assert.deepStrictEqual(parse(['docs', 'site', '--quiet', '--verbose']),
+            {error: '--quiet and --verbose cannot be used together'});
+        Assert.deepStrictEqual(parse(['docs', 'site', 'opts.json', 'extra']), {error: 'too many arguments: extra'});
+    });
+});
+
+Test.describe('applyOptionOverrides()', () => {
+    Test.it('sets nested options on a copy, creating objects along the way', () => {
+        const optionsData = {outputType: 'html', htmlSettings: {templateFile: 'a.html'}, pdfSettings: 'bogus'};
+        const result = applyOptionOverrides(optionsData, {
+            'htmlSettings.hideNavigationNumbering': true,
+            'pdfSettings.pageSize': 'A5',
+            'outputType': 'pdf'
+        }, () => {});
+        Assert.deepStrictEqual(result, {
+            outputType: 'pdf',
+            htmlSettings: {templateFile: 'a.html', hideNavigationNumbering: true},
+            pdfSettings: {pageSize: 'A5'}
+        });
+        Assert.deepStrictEqual(optionsData.htmlSettings, {templateFile: 'a.html'});
+        Assert.strictEqual(applyOptionOverrides(optionsData, {}, () => {}), optionsData);
+    });
+});
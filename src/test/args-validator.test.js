@@ -0,0 +1,93 @@
+'use strict';
+const Test = require('node:test');
+const Assert = require('node:assert');
+const Fs = require('fs');
+const Os = require('os');
+const Path = require('path');
+const {loadOptions} = require('../modules/args-validator');
+
+Test.describe('loadOptions()', () => {
+    let tempDir;
+
+    Test.beforeEach(() => {
+        tempDir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'auntie-load-options-'));
+    });
+
+    Test.afterEach(() => {
+        Fs.rmSync(tempDir, {recursive: true, force: true});
+    });
+
+    const writeFile = function (relPath, content) {
+        const filePath = Path.join(tempDir, relPath);
+        Fs.mkdirSync(Path.dirname(filePath), {recursive: true});
+        Fs.writeFileSync(filePath, typeof content == 'string' ? content : JSON.stringify(content));
+        return filePath;
+    };
+
+    /**
+     * Loads the options described by given `params`, and returns either the result or the first error reported.
+     */
+    const load = function (params, srcPath = null) {
+        let error = null;
+        const result = loadOptions(params, message => error = error || message, srcPath);
+        return error ? {error: error} : result;
+    };
+
+    Test.it('resolves paths relative to the options file that holds them, and merges extended files', () => {
+        const basePath = writeFile('shared/base.json', {
+            outputType: 'html',
+            htmlSettings: {
+                templateFile: 'page.html',
+                hideNavigationNumbering: true,
+                templateRules: {'api/**': 'a.html'}
+            }
+        });
+        const optionsPath = writeFile('project/options.json', '// Project options\n' + JSON.stringify({
+            extends: '../shared/base.json',
+            htmlSettings: {hideNavigationNumbering: false, templateRules: {'*.txt': 'templates/t.html'}}
+        }));
+        const result = load({options: optionsPath});
+        Assert.deepStrictEqual(result.optionsPaths, [optionsPath, basePath]);
+        Assert.deepStrictEqual(result.optionsData, {
+            htmlSettings: {
+                hideNavigationNumbering: false,
+                templateRules: {
+                    '*.txt': Path.join(tempDir, 'project', 'templates', 't.html'),
+                    'api/**': Path.join(tempDir, 'shared', 'a.html')
+                },
+                templateFile: Path.join(tempDir, 'shared', 'page.html')
+            },
+            outputType: 'html'
+        });
+    });
+
+    Test.it('applies overrides on top of the merged options', () => {
+        writeFile('base.json', {outputType: 'pdf'});
+        const optionsPath = writeFile('options.json', {extends: 'base.json'});
+        const result = load({options: optionsPath, overrides: {'htmlSettings.tocMaxLevel': 4}});
+        Assert.deepStrictEqual(result.optionsData, {outputType: 'pdf', htmlSettings: {tocMaxLevel: 4}});
+        Assert.match(load({options: optionsPath, overrides: {'outputType': 'doc'}}).error,
+            /^options are invalid:\n- "outputType" \(overridden\): invalid value "doc"/);
+    });
+
+    Test.it('reports missing and circular extended files', () => {
+        const firstPath = writeFile('a.json', {extends: 'b.json'});
+        const secondPath = writeFile('b.json', {extends: 'a.json'});
+        Assert.deepStrictEqual(load({options: firstPath}),
+            {error: '<options file> extends itself: ' + [firstPath, secondPath, firstPath].join(' -> ')});
+        const optionsPath = writeFile('c.json', {extends: 'missing.json'});
+        Assert.deepStrictEqual(load({options: optionsPath}), {error: 'base <options file> not found on disk: ' +
+            Path.join(tempDir, 'missing.json') + ' (extended by ' + optionsPath + ')'});
+    });
+
+    Test.it('discovers an "auntie.json" file in the <source> folder, when no options are given', () => {
+        const srcPath = Path.join(tempDir, 'docs');
+        const optionsPath = writeFile('docs/auntie.json', {htmlSettings: {templateFile: 'template.html'}});
+        const result = load({}, srcPath);
+        Assert.strictEqual(result.optionsPath, optionsPath);
+        Assert.strictEqual(result.isOptionsFileDiscovered, true);
+        Assert.strictEqual(result.optionsData.htmlSettings.templateFile, Path.join(srcPath, 'template.html'));
+        Assert.strictEqual(load({options: {outputType: 'pdf'}}, srcPath).optionsData.outputType, 'pdf');
+        Assert.strictEqual(load({}, tempDir).optionsData, null);
+    });
+});
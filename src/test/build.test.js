@@ -0,0 +1,74 @@
+'use strict';
+const Test = require('node:test');
+const Assert = require('node:assert');
+const Fs = require('fs');
+const Os = require('os');
+const Path = require('path');
+const {build} = require('../index');
+
+Test.describe('build()', () => {
+    let tempDir;
+    let srcPath;
+    let targetPath;
+
+    Test.beforeEach(() => {
+        tempDir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'auntie-build-'));
+        srcPath = Path.join(tempDir, 'docs');
+        targetPath = Path.join(tempDir, 'site');
+        Fs.mkdirSync(Path.join(srcPath, 'guide'), {recursive: true});
+        Fs.mkdirSync(targetPath);
+        Fs.writeFileSync(Path.join(srcPath, '1. Intro.txt'), '# 1. Intro\nHello.');
+        Fs.writeFileSync(Path.join(srcPath, 'guide', '1. Setup.txt'), '# 1. Setup\nRun it.');
+        Fs.writeFileSync(Path.join(srcPath, 'notes.txt'), '$$nocompile\nDraft.');
+    });
+
+    Test.afterEach(() => {
+        Fs.rmSync(tempDir, {recursive: true, force: true});
+    });
+
+    Test.it('compiles a folder with given template, reporting the outcome of each document', () => {
+        const progress = [];
+        const result = build({
+            source: srcPath,
+            target: targetPath,
+            template: '<main>$$document</main>',
+            onProgress: file => progress.push(Path.basename(file.srcFilePath) + ': ' + file.status)
+        });
+        Assert.strictEqual(result.success, true);
+        Assert.deepStrictEqual(result.errors, []);
+        Assert.deepStrictEqual(progress.sort(), ['1. Intro.txt: converted', '1. Setup.txt: converted',
+            'notes.txt: skipped']);
+        Assert.deepStrictEqual(result.files.find(file => file.status == 'skipped'), {
+            srcFilePath: Path.join(srcPath, 'notes.txt'),
+            targetFilePath: Path.join(targetPath, 'notes.html'),
+            status: 'skipped'
+        });
+        Assert.match(result.summary, /Successfully converted: 2, skipped: 1\.$/);
+        Assert.ok(result.outputPaths.includes(Path.join(targetPath, 'guide', '1. Setup.html')));
+        Assert.strictEqual(Fs.readFileSync(Path.join(targetPath, '1. Intro.html'), 'utf8'),
+            '<main><h1 id="intro">1. Intro</h1>\n<p>Hello.</p>\n</main>');
+    });
+
+    Test.it('only rebuilds the documents that changed, when building incrementally', () => {
+        const params = {source: srcPath, target: targetPath, template: '$$document', incremental: true};
+        Assert.strictEqual(build(params).success, true);
+        Fs.writeFileSync(Path.join(srcPath, '1. Intro.txt'), '# 1. Intro\nHello again.');
+        const statuses = {};
+        build(params).files.forEach(file => statuses[Path.basename(file.srcFilePath)] = file.status);
+        Assert.deepStrictEqual(statuses, {'1. Intro.txt': 'converted', '1. Setup.txt': 'upToDate',
+            'notes.txt': 'skipped'});
+    });
+
+    Test.it('reports problems through the result and the "onMessage" callback, rather than printing them', () => {
+        const messages = [];
+        const result = build({
+            source: Path.join(tempDir, 'missing'),
+            target: targetPath,
+            onMessage: message => messages.push(message)
+        });
+        Assert.strictEqual(result.success, false);
+        Assert.strictEqual(result.errors.length, 1);
+        Assert.strictEqual(messages[0].level, 'error');
+        Assert.strictEqual(messages[0].isUsageError, true);
+    });
+});
@@ -0,0 +1,38 @@
+'use strict';
+const Test = require('node:test');
+const Assert = require('node:assert');
+const {parseFrontMatter} = require('../modules/front-matter');
+
+Test.describe('parseFrontMatter()', () => {
+    Test.it('separates the metadata block from the body', () => {
+        const result = parseFrontMatter('---\ntitle: Getting Started\n\n# a comment\norder: 2\n---\n# Body\nText');
+        Assert.deepStrictEqual(result, {data: {title: 'Getting Started', order: 2}, body: '# Body\nText'});
+    });
+
+    Test.it('accepts a byte order mark and Windows line endings', () => {
+        const result = parseFrontMatter('\uFEFF---\r\ndraft: true\r\n---\r\nText');
+        Assert.deepStrictEqual(result, {data: {draft: true}, body: 'Text'});
+    });
+
+    Test.it('leaves content without a block untouched', () => {
+        Assert.deepStrictEqual(parseFrontMatter('# Title\n---\ntitle: x\n---'),
+            {data: {}, body: '# Title\n---\ntitle: x\n---'});
+        Assert.deepStrictEqual(parseFrontMatter('---\ntitle: Unclosed\n# Body'),
+            {data: {}, body: '---\ntitle: Unclosed\n# Body'});
+        Assert.deepStrictEqual(parseFrontMatter(''), {data: {}, body: ''});
+    });
+
+    Test.it('does not take a leading thematic break for front matter', () => {
+        const content = '---\nIntro paragraph under a rule.\n\nMore text here.\n---\n# Body';
+        Assert.deepStrictEqual(parseFrontMatter(content), {data: {}, body: content});
+        const mixedContent = '---\ntitle: Intro\nNot a pair\n---\n# Body';
+        Assert.deepStrictEqual(parseFrontMatter(mixedContent), {data: {}, body: mixedContent});
+    });
+
+    Test.it('converts numbers, booleans, quoted text and lists', () => {
+        const result = parseFrontMatter('---\norder: 1.5\ndraft: false\nversion: "2"\ntags: [a, "b", 3]\n' +
+            'aliases: [ ]\ndescription:  plain text  \n---\n');
+        Assert.deepStrictEqual(result.data, {order: 1.5, draft: false, version: '2', tags: ['a', 'b', 3],
+            aliases: [], description: 'plain text'});
+    });
+});
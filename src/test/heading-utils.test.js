@@ -0,0 +1,64 @@
+'use strict';
+const Test = require('node:test');
+const Assert = require('node:assert');
+const CommonMark = require('commonmark');
+const {slugify, getHeadingSlug, getPlainText, collectHeadings} = require('../modules/heading-utils');
+
+Test.describe('slugify()', () => {
+    Test.it('lowercases words and joins them with dashes', () => {
+        Assert.strictEqual(slugify('Getting Started!'), 'getting-started');
+        Assert.strictEqual(slugify('  --Step 2:  Configure--  '), 'step-2-configure');
+    });
+
+    Test.it('keeps letters and digits of any script, in composed form', () => {
+        Assert.strictEqual(slugify('Día Überblick'), 'día-überblick');
+        Assert.strictEqual(slugify('Dié'), 'dié');
+        Assert.strictEqual(slugify('한국어'), '한국어');
+        Assert.strictEqual(slugify('がっこう'), 'がっこう');
+        Assert.strictEqual(slugify('हिन्दी भाषा'), 'हिन्दी-भाषा');
+        Assert.strictEqual(slugify('Straße', 'unicode'), 'straße');
+    });
+
+    Test.it('transliterates to ASCII, and drops anything else, in "ascii" style', () => {
+        Assert.strictEqual(slugify('Día Überblick', 'ascii'), 'dia-uberblick');
+        Assert.strictEqual(slugify('Straße & Café', 'ascii'), 'strasse-cafe');
+        Assert.strictEqual(slugify('Œuvre Łódź', 'ascii'), 'oeuvre-lodz');
+        Assert.strictEqual(slugify('日本語 intro', 'ascii'), 'intro');
+    });
+
+    Test.it('falls back to "section" if there is nothing to keep', () => {
+        Assert.strictEqual(slugify(''), 'section');
+        Assert.strictEqual(slugify('!?'), 'section');
+        Assert.strictEqual(slugify('\u0301'), 'section');
+        Assert.strictEqual(slugify('日本語', 'ascii'), 'section');
+    });
+});
+
+Test.describe('getHeadingSlug()', () => {
+    Test.it('leaves the heading numbering out', () => {
+        Assert.strictEqual(getHeadingSlug('2.1. Installing'), getHeadingSlug('3.4. Installing'));
+        Assert.strictEqual(getHeadingSlug('2.1. Installing'), 'installing');
+        Assert.strictEqual(getHeadingSlug('4) Día', 'ascii'), 'dia');
+    });
+});
+
+Test.describe('getPlainText()', () => {
+    Test.it('drops formatting, and separates blocks with spaces', () => {
+        const syntaxTree = new CommonMark.Parser().parse('# *Big* `title`\nOne\ntwo.\n\n```\ncode\n```\n- item');
+        Assert.strictEqual(getPlainText(syntaxTree.firstChild), 'Big title');
+        Assert.strictEqual(getPlainText(syntaxTree), 'Big title One two. code item');
+    });
+});
+
+Test.describe('collectHeadings()', () => {
+    Test.it('lists the headings with unique ids, in document order', () => {
+        const syntaxTree = new CommonMark.Parser().parse('# Title\n## Usage\n### *Nested* `code`\n## Usage\n## Usage');
+        Assert.deepStrictEqual(collectHeadings(syntaxTree).map(heading => [heading.level, heading.text, heading.id]), [
+            [1, 'Title', 'title'],
+            [2, 'Usage', 'usage'],
+            [3, 'Nested code', 'nested-code'],
+            [2, 'Usage', 'usage-1'],
+            [2, 'Usage', 'usage-2']
+        ]);
+    });
+});
@@ -0,0 +1,118 @@
+'use strict';
+const Test = require('node:test');
+const Assert = require('node:assert');
+const ChildProcess = require('child_process');
+const Fs = require('fs');
+const Os = require('os');
+const Path = require('path');
+
+const AUNTIE_PATH = Path.resolve(__dirname, '../auntie.js');
+
+Test.describe('HTML output', () => {
+    let tempDir;
+
+    Test.beforeEach(() => {
+        tempDir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'auntie-html-'));
+    });
+
+    Test.afterEach(() => {
+        Fs.rmSync(tempDir, {recursive: true, force: true});
+    });
+
+    /**
+     * Compiles given source `files` (relative paths mapped to content) with given `template` and (HTML) `settings`,
+     * and returns the produced files (relative paths mapped to content).
+     */
+    const compile = function (files, template, settings = {}) {
+        Object.keys(files).forEach(relPath => {
+            const filePath = Path.join(tempDir, 'docs', relPath);
+            Fs.mkdirSync(Path.dirname(filePath), {recursive: true});
+            Fs.writeFileSync(filePath, files[relPath]);
+        });
+        Fs.mkdirSync(Path.join(tempDir, 'out'));
+        Fs.writeFileSync(Path.join(tempDir, 'template.html'), template);
+        Fs.writeFileSync(Path.join(tempDir, 'options.json'), JSON.stringify({
+            htmlSettings: Object.assign({templateFile: 'template.html'}, settings)
+        }));
+        ChildProcess.execFileSync(process.execPath, [AUNTIE_PATH, 'docs', 'out', 'options.json'],
+            {cwd: tempDir, stdio: 'pipe'});
+        const output = {};
+        const readFolder = function (relPath) {
+            Fs.readdirSync(Path.join(tempDir, 'out', relPath)).forEach(name => {
+                const childRelPath = relPath ? relPath + '/' + name : name;
+                if (Fs.statSync(Path.join(tempDir, 'out', childRelPath)).isDirectory()) {
+                    readFolder(childRelPath);
+                } else {
+                    output[childRelPath] = Fs.readFileSync(Path.join(tempDir, 'out', childRelPath), 'utf8');
+                }
+            });
+        };
+        readFolder('');
+        return output;
+    };
+
+    Test.describe('previous/next links and breadcrumbs', () => {
+        const FILES = {
+            '1. Intro.txt': '# 1. Intro\nA',
+            '2. Guide/1. Setup.txt': '# 1. Setup\nB',
+            '2. Guide/2. Use.txt': '# 2. Use\nC'
+        };
+
+        Test.it('link to the previous and next documents, in reading order, across folders', () => {
+            const output = compile(FILES, 'P[$$prevLink] N[$$nextLink]');
+            Assert.strictEqual(output['1. Intro.html'],
+                'P[] N[<a class="next-link" rel="next" href="2. Guide/1. Setup.html">1. Setup</a>]');
+            Assert.strictEqual(output['2. Guide/1. Setup.html'],
+                'P[<a class="prev-link" rel="prev" href="../1. Intro.html">1. Intro</a>] ' +
+                'N[<a class="next-link" rel="next" href="2. Use.html">2. Use</a>]');
+            Assert.strictEqual(output['2. Guide/2. Use.html'],
+                'P[<a class="prev-link" rel="prev" href="1. Setup.html">1. Setup</a>] N[]');
+        });
+
+        Test.it('list the ancestors of the document, from the root down', () => {
+            const output = compile(FILES, '$$breadcrumbs');
+            Assert.strictEqual(output['2. Guide/2. Use.html'], '<ol class="breadcrumbs">' +
+                '<li class="breadcrumb-item">Docs</li><li class="breadcrumb-item">2. Guide</li>' +
+                '<li class="breadcrumb-item current" aria-current="page">2. Use</li></ol>');
+        });
+    });
+
+    Test.describe('table of contents', () => {
+        Test.it('links to the headings within the configured levels, nested by level', () => {
+            const output = compile({'a.txt': '# Title\n## Usage\n### Día 1\n#### Deep\n## Usage\n'},
+                '$$toc\n$$document');
+            Assert.strictEqual(output['a.html'], [
+                '<nav class="toc"><ul class="toc-group"><li class="toc-item"><a href="#usage">Usage</a>' +
+                '<ul class="toc-group"><li class="toc-item"><a href="#día-1">Día 1</a></li></ul></li>' +
+                '<li class="toc-item"><a href="#usage-1">Usage</a></li></ul></nav>',
+                '<h1 id="title">Title</h1>',
+                '<h2 id="usage">Usage</h2>',
+                '<h3 id="día-1">Día 1</h3>',
+                '<h4 id="deep">Deep</h4>',
+                '<h2 id="usage-1">Usage</h2>',
+                ''
+            ].join('\n'));
+        });
+
+        Test.it('honors the "tocMinLevel" and "tocMaxLevel" settings', () => {
+            const output = compile({'a.txt': '# Title\n## Usage\n### Details\n'}, '$$toc',
+                {tocMinLevel: 1, tocMaxLevel: 1});
+            Assert.strictEqual(output['a.html'], '<nav class="toc"><ul class="toc-group">' +
+                '<li class="toc-item"><a href="#title">Title</a></li></ul></nav>');
+        });
+    });
+
+    Test.describe('wiki links', () => {
+        Test.it('resolve to documents by header or file name, ignoring numbering and case', () => {
+            const output = compile({
+                '1. Intro.txt': '# 1. Intro\nSee [[Concepts]], [[concepts#Some Heading|the heading]], ' +
+                    '[[#Usage]] and [[Nope]], but not `[[Concepts]]`.\n## Usage',
+                'guide/2. Concepts.txt': '# 2. Concepts\n## Some Heading'
+            }, '$$document');
+            Assert.strictEqual(output['1. Intro.html'].split('\n')[1], '<p>See ' +
+                '<a href="guide/2.%20Concepts.html">Concepts</a>, ' +
+                '<a href="guide/2.%20Concepts.html#some-heading">the heading</a>, <a href="#usage">Usage</a> and ' +
+                'Nope, but not <code>[[Concepts]]</code>.</p>');
+        });
+    });
+});
@@ -0,0 +1,29 @@
+'use strict';
+const Test = require('node:test');
+const Assert = require('node:assert');
+const {escapeHtml, unescapeHtml} = require('../modules/html-utils');
+
+Test.describe('escapeHtml()', () => {
+    Test.it('escapes the characters that are special in markup', () => {
+        Assert.strictEqual(escapeHtml('<a href="x">Tom & Jerry\'s</a>'),
+            '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+    });
+
+    Test.it('converts null and undefined to an empty string', () => {
+        Assert.strictEqual(escapeHtml(null), '');
+        Assert.strictEqual(escapeHtml(undefined), '');
+        Assert.strictEqual(escapeHtml(0), '0');
+    });
+});
+
+Test.describe('unescapeHtml()', () => {
+    Test.it('decodes named and numeric character references', () => {
+        Assert.strictEqual(unescapeHtml('Tom &amp; Jerry&#39;s &lt;b&gt; &#x263A; &#9731;'),
+            'Tom & Jerry\'s <b> \u263A \u2603');
+    });
+
+    Test.it('leaves unknown and unconvertible references unchanged', () => {
+        Assert.strictEqual(unescapeHtml('&bogus; &#x110000; &#xD800; &#99999999999;'),
+            '&bogus; &#x110000; &#xD800; &#99999999999;');
+    });
+});
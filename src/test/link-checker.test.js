@@ -0,0 +1,57 @@
+'use strict';
+const Test = require('node:test');
+const Assert = require('node:assert');
+const Fs = require('fs');
+const Os = require('os');
+const Path = require('path');
+const {checkLinks} = require('../modules/link-checker');
+
+Test.describe('checkLinks()', () => {
+    let tempDir;
+
+    Test.beforeEach(() => {
+        tempDir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'auntie-links-'));
+    });
+
+    Test.afterEach(() => {
+        Fs.rmSync(tempDir, {recursive: true, force: true});
+    });
+
+    const writeFile = function (relPath, content) {
+        const filePath = Path.join(tempDir, relPath);
+        Fs.mkdirSync(Path.dirname(filePath), {recursive: true});
+        Fs.writeFileSync(filePath, content);
+        return filePath;
+    };
+
+    Test.it('accepts links to produced files, folders with an index page and existing anchors', () => {
+        const pagePath = writeFile('out/a.html', '<a href="guide/b%20c.html#setup">B</a> <a href=\'guide/\'>G</a>' +
+            ' <img src="img/logo.png"> <a href="#top">Top</a> <a href="https://example.com/x">W</a>' +
+            ' <a href="/about">About</a> <a href="mailto:me@example.com">Me</a><h1 id="top">A</h1>');
+        const outputPaths = [
+            pagePath,
+            writeFile('out/guide/b c.html', '<h2 id="setup">Setup</h2>'),
+            writeFile('out/guide/index.html', ''),
+            writeFile('out/img/logo.png', '')
+        ];
+        Assert.deepStrictEqual(checkLinks([{srcFilePath: Path.join(tempDir, 'a.txt'), targetFilePath: pagePath}],
+            outputPaths), []);
+    });
+
+    Test.it('reports missing targets and anchors once per page, along with the line they were authored on', () => {
+        const srcPath = writeFile('docs/a.txt', '# A\nSee [B](b.txt#nowhere).');
+        const partPath = writeFile('docs/part.txt', 'And [C](c.html).');
+        const pagePath = writeFile('out/a.html', '<a href="b.html#nowhere">B</a> <a href="c.html">C</a>' +
+            ' <a href="c.html">C again</a> <a href="%E0%A4%A">Bad</a>');
+        const linkedPath = writeFile('out/b.html', '<h1 id="b">B</h1>');
+        const pages = [{srcFilePath: srcPath, targetFilePath: pagePath, includedFilePaths: [partPath]}];
+        const brokenLinks = checkLinks(pages, [pagePath, linkedPath]);
+        Assert.deepStrictEqual(brokenLinks.map(link => [link.url, link.problem, link.location]), [
+            ['b.html#nowhere', 'anchor "#nowhere" not found in "' + linkedPath + '"',
+                {filePath: srcPath, lineNumber: 2, line: 'See [B](b.txt#nowhere).'}],
+            ['c.html', 'target not found: "' + Path.join(tempDir, 'out', 'c.html') + '"',
+                {filePath: partPath, lineNumber: 1, line: 'And [C](c.html).'}],
+            ['%E0%A4%A', 'malformed URL', null]
+        ]);
+    });
+});
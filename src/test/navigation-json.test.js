@@ -0,0 +1,93 @@
+'use strict';
+const Test = require('node:test');
+const Assert = require('node:assert');
+const Fs = require('fs');
+const Os = require('os');
+const Path = require('path');
+const {build} = require('../index');
+
+Test.describe('navigation data', () => {
+    let tempDir;
+    let srcPath;
+    let targetPath;
+
+    Test.beforeEach(() => {
+        tempDir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'auntie-navigation-'));
+        srcPath = Path.join(tempDir, 'docs');
+        targetPath = Path.join(tempDir, 'site');
+        Fs.mkdirSync(Path.join(srcPath, '2. Guides'), {recursive: true});
+        Fs.mkdirSync(targetPath);
+        Fs.writeFileSync(Path.join(srcPath, '1. Intro.txt'), '# 1. Intro\nHello.');
+        Fs.writeFileSync(Path.join(srcPath, '2. Guides', '1. Setup.txt'), '# 1. Setup\nRun it.');
+    });
+
+    Test.afterEach(() => {
+        Fs.rmSync(tempDir, {recursive: true, force: true});
+    });
+
+    const compile = function (options, template = '$$document') {
+        const result = build({source: srcPath, target: targetPath, options: options, template: template,
+            allowExistingOutput: true});
+        Assert.deepStrictEqual(result.errors, []);
+        return result;
+    };
+
+    const readOutput = relPath => Fs.readFileSync(Path.join(targetPath, relPath), 'utf8');
+
+    /**
+     * Drops the modification times from given navigation `data`, recursively.
+     */
+    const withoutTimes = data => data.map(unit => {
+        Assert.strictEqual(typeof unit.mTime, 'number');
+        const {mTime, ...rest} = unit;
+        return Object.assign(rest, {children: withoutTimes(unit.children)});
+    });
+
+    Test.it('writes the navigation tree to "navigation.json", with URLs relative to the <target> folder', () => {
+        const result = compile({});
+        Assert.ok(result.outputPaths.includes(Path.join(targetPath, 'navigation.json')));
+        const data = JSON.parse(readOutput('navigation.json'));
+        Assert.strictEqual(data.length, 1);
+        Assert.strictEqual(data[0].kind, 'root');
+        Assert.strictEqual(data[0].url, '');
+        Assert.deepStrictEqual(withoutTimes(data[0].children), [{
+            header: '1. Intro',
+            navHeader: '1. Intro',
+            numbering: [1],
+            kind: 'document',
+            url: '1. Intro.html',
+            children: []
+        }, {
+            header: '2. Guides',
+            navHeader: '2. Guides',
+            numbering: [2],
+            kind: 'dir',
+            url: '',
+            children: [{
+                header: '1. Setup',
+                navHeader: '1. Setup',
+                numbering: [1],
+                kind: 'document',
+                url: '2. Guides/1. Setup.html',
+                children: []
+            }]
+        }]);
+    });
+
+    Test.it('resolves `$$navigationJson` with URLs relative to each page', () => {
+        compile({}, '<script>var navigation = $$navigationJson;</script>');
+        const script = readOutput('2. Guides/1. Setup.html');
+        const data = JSON.parse(script.slice(script.indexOf('=') + 1, script.lastIndexOf(';')));
+        Assert.deepStrictEqual(data[0].children.map(unit => unit.url), ['../1. Intro.html', '']);
+        Assert.strictEqual(data[0].children[1].children[0].url, '1. Setup.html');
+    });
+
+    Test.it('writes no file when disabled, and accepts links to the generated files', () => {
+        compile({htmlSettings: {generateNavigationJson: false}});
+        Assert.ok(!Fs.existsSync(Path.join(targetPath, 'navigation.json')));
+        Fs.writeFileSync(Path.join(srcPath, '1. Intro.txt'),
+            '# 1. Intro\n[Data](navigation.json), [map](sitemap.xml) and [robots](robots.txt).');
+        const result = compile({htmlSettings: {siteUrl: 'https://example.com'}});
+        Assert.deepStrictEqual(result.brokenLinks, []);
+    });
+});
@@ -0,0 +1,100 @@
+'use strict';
+const Test = require('node:test');
+const Assert = require('node:assert');
+const Fs = require('fs');
+const Os = require('os');
+const Path = require('path');
+const {getLineNumbers, validateOptions, getEffectiveOptions} = require('../modules/options-validator');
+const {validateBuildParams} = require('../modules/args-validator');
+
+Test.describe('getLineNumbers()', () => {
+    Test.it('finds the line of each setting, at any depth', () => {
+        const text = [
+            '{',
+            '  "outputType": "html",',
+            '  "htmlSettings": {',
+            '    "tocMinLevel": 2',
+            '  }',
+            '}'
+        ].join('\n');
+        Assert.deepStrictEqual(getLineNumbers(text), {
+            '': 1,
+            'outputType': 2,
+            'htmlSettings': 3,
+            'htmlSettings.tocMinLevel': 4
+        });
+    });
+
+    Test.it('finds the line of each array item', () => {
+        const text = '{"sourceFileTypes": [\n  "txt",\n  "md"\n], "extends": [{"x": true}]}';
+        Assert.deepStrictEqual(getLineNumbers(text), {
+            '': 1,
+            'sourceFileTypes': 1,
+            'sourceFileTypes[0]': 2,
+            'sourceFileTypes[1]': 3,
+            'extends': 4,
+            'extends[0]': 4,
+            'extends[0].x': 4
+        });
+    });
+
+    Test.it('counts leading blank lines, and skips escaped quotes and empty containers', () => {
+        const text = '\n\n{\n  "a\\"b": "c\\"}",\n  "list": [],\n  "map": {},\n  "last": null\n}';
+        Assert.deepStrictEqual(getLineNumbers(text), {
+            '': 3,
+            'a"b': 4,
+            'list': 5,
+            'map': 6,
+            'last': 7
+        });
+    });
+});
+
+Test.describe('validateOptions()', () => {
+    Test.it('reports unknown settings with suggestions, wrong types, invalid choices and out of range numbers', () => {
+        const sourceText = '{\n"outputTyp": "pdf",\n"htmlSettings": {"tocMinLevel": 9, "checkLinks": "yes"},\n' +
+            '"tocMaxLevel": 3\n}';
+        Assert.deepStrictEqual(validateOptions(JSON.parse(sourceText), sourceText), [
+            {path: 'outputTyp', message: 'unknown setting (did you mean "outputType"?)', lineNumber: 2},
+            {path: 'htmlSettings.tocMinLevel', message: 'value 9 out of range (expected between 1 and 6)',
+                lineNumber: 3},
+            {path: 'htmlSettings.checkLinks', message: 'expected a boolean, found a string ("yes")', lineNumber: 3},
+            {path: 'tocMaxLevel', message: 'unknown setting (did you mean "htmlSettings.tocMaxLevel"?)',
+                lineNumber: 4}
+        ]);
+        Assert.deepStrictEqual(validateOptions({outputType: 'doc'}), [
+            {path: 'outputType', message: 'invalid value "doc" (expected "html" or "pdf" or "epub")',
+                lineNumber: null}
+        ]);
+    });
+
+    Test.it('accepts valid options, and fills in the defaults of the missing ones', () => {
+        Assert.deepStrictEqual(validateOptions({outputType: 'pdf', htmlSettings: {tocMaxLevel: 4}}), []);
+        const effectiveOptions = getEffectiveOptions({htmlSettings: {tocMaxLevel: 4}});
+        Assert.strictEqual(effectiveOptions.outputType, 'html');
+        Assert.strictEqual(effectiveOptions.htmlSettings.tocMaxLevel, 4);
+        Assert.strictEqual(effectiveOptions.htmlSettings.tocMinLevel, 2);
+    });
+});
+
+Test.describe('validateBuildParams()', () => {
+    Test.it('reports the line of invalid settings as found in the options file', () => {
+        const tempDir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'auntie-options-'));
+        try {
+            Fs.mkdirSync(Path.join(tempDir, 'docs'));
+            Fs.writeFileSync(Path.join(tempDir, 'docs', 'a.txt'), '# A');
+            Fs.mkdirSync(Path.join(tempDir, 'out'));
+            Fs.writeFileSync(Path.join(tempDir, 'options.json'), '\uFEFF\n// Comment\n{\n  "outputTyp": "pdf"\n}\n');
+            const errors = [];
+            validateBuildParams({
+                source: Path.join(tempDir, 'docs'),
+                target: Path.join(tempDir, 'out'),
+                options: Path.join(tempDir, 'options.json')
+            }, error => errors.push(error), true);
+            Assert.deepStrictEqual(errors, ['<options file> is invalid (' + Path.join(tempDir, 'options.json') +
+                '):\n- "outputTyp" (line 4): unknown setting (did you mean "outputType"?)']);
+        } finally {
+            Fs.rmSync(tempDir, {recursive: true, force: true});
+        }
+    });
+});
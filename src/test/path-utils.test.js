@@ -0,0 +1,51 @@
+'use strict';
+const Test = require('node:test');
+const Assert = require('node:assert');
+const {globToRegExp, toSiteUrl} = require('../modules/path-utils');
+
+Test.describe('globToRegExp()', () => {
+    Test.it('matches file names in any folder, if the pattern has no slash', () => {
+        const regExp = globToRegExp('*.txt');
+        Assert.ok(regExp.test('intro.txt'));
+        Assert.ok(regExp.test('a/b/intro.txt'));
+        Assert.ok(!regExp.test('intro.txt.bak'));
+        Assert.ok(!regExp.test('intro.md'));
+    });
+
+    Test.it('anchors patterns with slashes to the root', () => {
+        const regExp = globToRegExp('tutorials/*.txt');
+        Assert.ok(regExp.test('tutorials/first.txt'));
+        Assert.ok(!regExp.test('tutorials/advanced/first.txt'));
+        Assert.ok(!regExp.test('old/tutorials/first.txt'));
+    });
+
+    Test.it('matches any number of path segments with "**"', () => {
+        const regExp = globToRegExp('api/**/index.txt');
+        Assert.ok(regExp.test('api/index.txt'));
+        Assert.ok(regExp.test('api/v1/index.txt'));
+        Assert.ok(regExp.test('api/v1/beta/index.txt'));
+        Assert.ok(!regExp.test('apis/index.txt'));
+        Assert.ok(globToRegExp('api/**').test('api/v1/beta/index.txt'));
+    });
+
+    Test.it('matches exactly one character, other than a slash, with "?"', () => {
+        const regExp = globToRegExp('ch?.txt');
+        Assert.ok(regExp.test('ch1.txt'));
+        Assert.ok(!regExp.test('ch10.txt'));
+        Assert.ok(!globToRegExp('a?b').test('a/b'));
+    });
+
+    Test.it('escapes RegExp characters, and normalizes backslashes and leading "./"', () => {
+        Assert.ok(globToRegExp('notes (old)+.txt').test('notes (old)+.txt'));
+        Assert.ok(!globToRegExp('a.txt').test('abtxt'));
+        Assert.ok(globToRegExp('.\\docs\\*.txt').test('docs/a.txt'));
+    });
+});
+
+Test.describe('toSiteUrl()', () => {
+    Test.it('appends the encoded path segments to the site URL, with or without a trailing slash', () => {
+        Assert.strictEqual(toSiteUrl('https://example.com/docs', '2. Guides/Set up?.html'),
+            'https://example.com/docs/2.%20Guides/Set%20up%3F.html');
+        Assert.strictEqual(toSiteUrl('https://example.com/', 'sitemap.xml'), 'https://example.com/sitemap.xml');
+    });
+});
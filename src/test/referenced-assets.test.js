@@ -0,0 +1,87 @@
+'use strict';
+const Test = require('node:test');
+const Assert = require('node:assert');
+const Fs = require('fs');
+const Os = require('os');
+const Path = require('path');
+const {build} = require('../index');
+
+Test.describe('referenced assets copying', () => {
+    let tempDir;
+    let srcPath;
+    let targetPath;
+
+    Test.beforeEach(() => {
+        tempDir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'auntie-assets-'));
+        srcPath = Path.join(tempDir, 'docs');
+        targetPath = Path.join(tempDir, 'site');
+        ['img', 'css', 'media', '2. Guide'].forEach(folder => Fs.mkdirSync(Path.join(srcPath, folder),
+            {recursive: true}));
+        Fs.mkdirSync(targetPath);
+        Fs.writeFileSync(Path.join(srcPath, '1. Intro.txt'),
+            '# Intro\n![logo](img/logo.png), [gone](img/gone.png) and [nope](nope.html).');
+        Fs.writeFileSync(Path.join(srcPath, '2. Guide', '1. Setup.txt'), '# Setup\n![shot](shot.png)');
+        Fs.writeFileSync(Path.join(srcPath, '2. Guide', 'shot.png'), 'png');
+        Fs.writeFileSync(Path.join(srcPath, 'img', 'logo.png'), 'png');
+        Fs.writeFileSync(Path.join(srcPath, 'img', 'bg.png'), 'png');
+        Fs.writeFileSync(Path.join(srcPath, 'img', 'draft.png'), 'png');
+        Fs.writeFileSync(Path.join(srcPath, 'css', 'site.css'),
+            '@import "extra.css";\nbody { background: url("../img/bg.png"); }');
+        Fs.writeFileSync(Path.join(srcPath, 'css', 'extra.css'), 'p {}');
+        Fs.writeFileSync(Path.join(srcPath, 'media', 'clip.mp4'), 'mp4');
+    });
+
+    Test.afterEach(() => {
+        Fs.rmSync(tempDir, {recursive: true, force: true});
+    });
+
+    const compile = function (passThroughAssets) {
+        const result = build({
+            source: srcPath,
+            target: targetPath,
+            options: {htmlSettings: {passThroughAssets: passThroughAssets}},
+            template: '<link rel="stylesheet" href="$$rootDir$$/css/site.css">$$navigation $$document'
+        });
+        Assert.deepStrictEqual(result.errors, []);
+        return result;
+    };
+
+    const listOutput = function (dirPath = targetPath) {
+        return Fs.readdirSync(dirPath, {withFileTypes: true}).flatMap(entry => entry.isDirectory() ?
+            listOutput(Path.join(dirPath, entry.name)) :
+            [Path.relative(targetPath, Path.join(dirPath, entry.name)).replace(/\\+/g, '/')]).sort();
+    };
+
+    Test.it('copies the assets the pages reference, directly or through stylesheets, keeping their paths', () => {
+        const result = compile('referenced');
+        Assert.deepStrictEqual(listOutput().filter(relPath => !/\.(html|js|json)$/.test(relPath)),
+            ['2. Guide/shot.png', 'css/extra.css', 'css/site.css', 'img/bg.png', 'img/logo.png']);
+        Assert.deepStrictEqual(result.unreferencedAssets.map(assetPath => Path.relative(srcPath, assetPath)).sort(),
+            [Path.join('img', 'draft.png'), Path.join('media', 'clip.mp4')]);
+        Assert.ok(result.warnings.includes('2 asset(s) in the <source> folder are not referenced by any document, ' +
+            'and were not copied'));
+    });
+
+    Test.it('reports missing assets with their authored line, leaving missing pages to the link checker', () => {
+        const result = compile('referenced');
+        Assert.deepStrictEqual(result.missingAssets.map(asset => [asset.url, asset.location.lineNumber]),
+            [['img/gone.png', 2]]);
+        Assert.ok(result.warnings.some(warning => warning.startsWith('referenced asset not found:') &&
+            warning.includes('img/gone.png')));
+        Assert.ok(!result.warnings.some(warning => warning.includes('linked as "nope.html"')));
+        Assert.deepStrictEqual(result.brokenLinks.map(link => link.url), ['img/gone.png', 'nope.html']);
+    });
+
+    Test.it('still copies every asset when passing through all of them', () => {
+        compile(true);
+        Assert.ok(listOutput().includes('img/draft.png'));
+        Assert.ok(listOutput().includes('media/clip.mp4'));
+    });
+
+    Test.it('leaves folders only holding assets out of the navigation', () => {
+        compile('referenced');
+        const page = Fs.readFileSync(Path.join(targetPath, '1. Intro.html'), 'utf8');
+        Assert.match(page, /<label class="item-content">2\. Guide<\/label>/);
+        Assert.doesNotMatch(page, /<label class="item-content">(img|css|media)<\/label>/);
+    });
+});
@@ -0,0 +1,71 @@
+'use strict';
+const Test = require('node:test');
+const Assert = require('node:assert');
+const Fs = require('fs');
+const Os = require('os');
+const Path = require('path');
+const {build} = require('../index');
+
+Test.describe('single page HTML output', () => {
+    let tempDir;
+    let srcPath;
+    let targetPath;
+
+    Test.beforeEach(() => {
+        tempDir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'auntie-single-page-'));
+        srcPath = Path.join(tempDir, 'docs');
+        targetPath = Path.join(tempDir, 'site');
+        Fs.mkdirSync(Path.join(srcPath, '2. Guide'), {recursive: true});
+        Fs.mkdirSync(Path.join(srcPath, 'img'));
+        Fs.mkdirSync(targetPath);
+        Fs.writeFileSync(Path.join(srcPath, '1. Intro.txt'), '# 1. Intro\n' +
+            'See [setup](2.%20Guide/1.%20Setup.html#details), [[Setup]] and ![logo](img/logo.png).');
+        Fs.writeFileSync(Path.join(srcPath, '2. Guide', '1. Setup.txt'), '# 1. Setup\n## Details\nText.');
+        Fs.writeFileSync(Path.join(srcPath, 'img', 'logo.png'), 'PNG');
+    });
+
+    Test.afterEach(() => {
+        Fs.rmSync(tempDir, {recursive: true, force: true});
+    });
+
+    const compile = function (template) {
+        const result = build({
+            source: srcPath,
+            target: targetPath,
+            options: {htmlSettings: {combineDocuments: true, passThroughAssets: true}},
+            template: template
+        });
+        Assert.deepStrictEqual(result.errors, []);
+        Assert.deepStrictEqual(result.brokenLinks, []);
+        return result;
+    };
+
+    Test.it('concatenates the documents in navigation order, shifting headings by depth', () => {
+        const result = compile('$$document');
+        Assert.deepStrictEqual(result.outputPaths.sort(),
+            [Path.join(targetPath, 'Docs.html'), Path.join(targetPath, 'img', 'logo.png')]);
+        Assert.deepStrictEqual(result.files.map(file => file.targetFilePath),
+            [Path.join(targetPath, 'Docs.html'), Path.join(targetPath, 'Docs.html')]);
+        Assert.strictEqual(Fs.readFileSync(Path.join(targetPath, 'Docs.html'), 'utf8'), [
+            '<section class="document" id="doc-1-intro">',
+            '<h1 id="doc-1-intro--intro">1. Intro</h1>',
+            '<p>See <a href="#doc-2-guide-1-setup--details">setup</a>, <a href="#doc-2-guide-1-setup">Setup</a> ' +
+                'and <img src="img/logo.png" alt="logo" />.</p>',
+            '</section>',
+            '<h1 class="folder-title" id="doc-2-guide">2. Guide</h1>',
+            '<section class="document" id="doc-2-guide-1-setup">',
+            '<h2 id="doc-2-guide-1-setup--setup">1. Setup</h2>',
+            '<h3 id="doc-2-guide-1-setup--details">Details</h3>',
+            '<p>Text.</p>',
+            '</section>',
+            ''
+        ].join('\n'));
+    });
+
+    Test.it('points the navigation to anchors inside the page', () => {
+        compile('<nav>$$navigation</nav>\n$$document');
+        const navigation = Fs.readFileSync(Path.join(targetPath, 'Docs.html'), 'utf8').split('</nav>')[0];
+        const hrefs = navigation.match(/href="[^"]*"/g);
+        Assert.deepStrictEqual(hrefs, ['href="#doc-1-intro"', 'href="#doc-2-guide-1-setup"']);
+    });
+});
@@ -0,0 +1,42 @@
+'use strict';
+const Test = require('node:test');
+const Assert = require('node:assert');
+const {parseCodeInfo, highlightCode} = require('../modules/syntax-highlighter');
+
+Test.describe('parseCodeInfo()', () => {
+    Test.it('reads the language, the highlighted lines and the line numbering', () => {
+        Assert.deepStrictEqual(parseCodeInfo('js {3-5,8} lineNumbers'),
+            {language: 'js', highlightedRanges: [[3, 5], [8, 8]], mustNumberLines: true});
+        Assert.deepStrictEqual(parseCodeInfo('  python   noLineNumbers {1} '),
+            {language: 'python', highlightedRanges: [[1, 1]], mustNumberLines: false});
+    });
+
+    Test.it('accepts info strings without a language', () => {
+        Assert.deepStrictEqual(parseCodeInfo('{2, 4 - 5}'),
+            {language: '', highlightedRanges: [[2, 2], [4, 5]], mustNumberLines: null});
+        Assert.deepStrictEqual(parseCodeInfo(null), {language: '', highlightedRanges: [], mustNumberLines: null});
+        Assert.deepStrictEqual(parseCodeInfo(''), {language: '', highlightedRanges: [], mustNumberLines: null});
+    });
+
+    Test.it('ignores invalid ranges and unknown words', () => {
+        Assert.deepStrictEqual(parseCodeInfo('css {x, 7, 3-a, 5-4} wrap'),
+            {language: 'css', highlightedRanges: [[7, 7]], mustNumberLines: null});
+    });
+
+    Test.it('does not expand huge ranges', () => {
+        Assert.deepStrictEqual(parseCodeInfo('{1-2000000000}').highlightedRanges, [[1, 2000000000]]);
+    });
+});
+
+Test.describe('highlightCode()', () => {
+    Test.it('emphasizes the lines within the given ranges', () => {
+        Assert.strictEqual(highlightCode('a\nb\nc\n', '', [[2, 2000000000]], true),
+            '<span class="code-line" data-line-number="1">a</span>\n' +
+            '<span class="code-line highlighted" data-line-number="2">b</span>\n' +
+            '<span class="code-line highlighted" data-line-number="3">c</span>\n');
+    });
+
+    Test.it('leaves the code unwrapped when no line is emphasized or numbered', () => {
+        Assert.strictEqual(highlightCode('a < b\n', ''), 'a &lt; b\n');
+    });
+});
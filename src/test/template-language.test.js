@@ -0,0 +1,138 @@
+'use strict';
+const Test = require('node:test');
+const Assert = require('node:assert');
+const Fs = require('fs');
+const Os = require('os');
+const Path = require('path');
+const {compileTemplate} = require('../modules/template-language');
+
+const NAMES = {
+    docName: null,
+    navigation: null,
+    childPages: {fields: ['url', 'label'], isList: true},
+    meta: {fields: '*'}
+};
+
+Test.describe('compileTemplate()', () => {
+    let tempDir;
+
+    Test.before(() => {
+        tempDir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'auntie-template-'));
+    });
+
+    Test.after(() => {
+        Fs.rmSync(tempDir, {recursive: true, force: true});
+    });
+
+    const writeTemplate = function (fileName, content) {
+        const filePath = Path.join(tempDir, fileName);
+        Fs.writeFileSync(filePath, content);
+        return filePath;
+    };
+
+    Test.it('populates placeholders and fields', () => {
+        const template = compileTemplate('<title>$$docName</title> by $$meta.author', null, NAMES);
+        Assert.strictEqual(template.render({docName: 'Intro', meta: {author: 'Jane'}}),
+            '<title>Intro</title> by Jane');
+    });
+
+    Test.it('renders nested $$if and $$each blocks, without leaving blank lines behind', () => {
+        const template = compileTemplate([
+            '$$if(childPages)',
+            '<ul>',
+            '  $$each(child in childPages)',
+            '  $$if(loop.isFirst)',
+            '  <li class="first"><a href="$$child.url">$$child.label</a></li>',
+            '  $$else',
+            '  <li><a href="$$child.url">$$child.label</a></li>',
+            '  $$endif',
+            '  $$endeach',
+            '</ul>',
+            '$$else',
+            '<p>No pages.</p>',
+            '$$endif',
+            ''
+        ].join('\n'), null, NAMES);
+        Assert.strictEqual(template.render({childPages: [{url: 'a.html', label: 'A'}, {url: 'b.html', label: 'B'}]}), [
+            '<ul>',
+            '  <li class="first"><a href="a.html">A</a></li>',
+            '  <li><a href="b.html">B</a></li>',
+            '</ul>',
+            ''
+        ].join('\n'));
+        Assert.strictEqual(template.render({childPages: []}), '<p>No pages.</p>\n');
+    });
+
+    Test.it('negates conditions, and treats blank values as false', () => {
+        const template = compileTemplate('$$if(!navigation)none$$else$$navigation$$endif', null, NAMES);
+        Assert.strictEqual(template.render({navigation: '  '}), 'none');
+        Assert.strictEqual(template.render({navigation: '<nav/>'}), '<nav/>');
+    });
+
+    Test.it('only calls lazy values if needed, and only once', () => {
+        let calls = 0;
+        const template = compileTemplate('$$if(docName)$$navigation $$navigation$$endif', null, NAMES);
+        const navigation = () => ++calls;
+        Assert.strictEqual(template.render({docName: '', navigation: navigation}), '');
+        Assert.strictEqual(calls, 0);
+        Assert.strictEqual(template.render({docName: 'Intro', navigation: navigation}), '1 1');
+        Assert.strictEqual(calls, 1);
+    });
+
+    Test.it('renders escaped and lone dollar signs as text', () => {
+        const template = compileTemplate('$$$$Word costs $$ 5', null, NAMES);
+        Assert.strictEqual(template.render({}), '$$Word costs $$ 5');
+    });
+
+    Test.it('includes partials, resolved relative to the including file', () => {
+        Fs.mkdirSync(Path.join(tempDir, 'parts'), {recursive: true});
+        const partialPath = writeTemplate(Path.join('parts', 'header.html'), '<h1>$$docName</h1>\n');
+        const templatePath = writeTemplate('page.html', '$$partial(parts/header.html)\n<main></main>');
+        const template = compileTemplate(Fs.readFileSync(templatePath, 'utf8'), templatePath, NAMES);
+        Assert.strictEqual(template.render({docName: 'Intro'}), '<h1>Intro</h1>\n<main></main>');
+        Assert.deepStrictEqual(template.partialPaths, [partialPath]);
+    });
+
+    Test.it('rejects circular partial inclusions', () => {
+        const firstPath = writeTemplate('first.html', '$$partial(second.html)');
+        const secondPath = writeTemplate('second.html', 'text\n$$partial(first.html)');
+        Assert.throws(() => compileTemplate(Fs.readFileSync(firstPath, 'utf8'), firstPath, NAMES), {
+            message: 'circular partial inclusion: ' + firstPath + ' (in "' + secondPath + '", line 2)'
+        });
+    });
+
+    Test.it('rejects partials that include themselves', () => {
+        const selfPath = writeTemplate('self.html', '$$partial(self.html)');
+        Assert.throws(() => compileTemplate('$$partial(self.html)', Path.join(tempDir, 'page.html'), NAMES),
+            {message: 'circular partial inclusion: ' + selfPath + ' (in "' + selfPath + '", line 1)'});
+    });
+
+    Test.it('reports unknown names along with their line', () => {
+        Assert.throws(() => compileTemplate('<html>\n<body>\n$$docName $$Word\n</body>', null, NAMES),
+            {message: 'unknown name "Word" (in the HTML template, line 3)'});
+        Assert.throws(() => compileTemplate('\n\n\n\n$$meta.x $$childPages.title', null, NAMES),
+            {message: 'unknown field "title" of "childPages" (in the HTML template, line 5)'});
+    });
+
+    Test.it('reports unclosed blocks on the line they open', () => {
+        Assert.throws(() => compileTemplate('a\n$$if(docName)\nb\n$$each(child in childPages)\n$$endeach\n', null,
+            NAMES), {message: '"$$if" is never closed (missing "$$endif") (in the HTML template, line 2)'});
+    });
+
+    Test.it('reports mismatched closing tags, pointing to the open block', () => {
+        Assert.throws(() => compileTemplate('$$each(child in childPages)\n\n$$endif', null, NAMES), {
+            message: 'unexpected "$$endif", the "$$each" on line 1 is still open (in the HTML template, line 3)'
+        });
+    });
+
+    Test.it('reports errors in partials against the partial file', () => {
+        const partialPath = writeTemplate('broken.html', 'ok\nok\n$$if(docName)\n$$else\n$$else\n$$endif');
+        Assert.throws(() => compileTemplate('$$partial(broken.html)', Path.join(tempDir, 'page.html'), NAMES),
+            {message: 'unexpected "$$else" (in "' + partialPath + '", line 5)'});
+    });
+
+    Test.it('rejects loops over values that are not lists', () => {
+        Assert.throws(() => compileTemplate('$$each(item in docName)$$endeach', null, NAMES),
+            {message: '"docName" is not a list (in the HTML template, line 1)'});
+    });
+});
@@ -0,0 +1,95 @@
+'use strict';
+const Test = require('node:test');
+const Assert = require('node:assert');
+const ChildProcess = require('child_process');
+const Fs = require('fs');
+const Os = require('os');
+const Path = require('path');
+
+const AUNTIE_PATH = Path.resolve(__dirname, '../auntie.js');
+const WAIT_TIMEOUT = 15000;
+
+Test.describe('watch mode', () => {
+    let tempDir;
+    let child;
+    let output;
+    let readFrom;
+
+    Test.beforeEach(() => {
+        tempDir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'auntie-watch-'));
+        Fs.mkdirSync(Path.join(tempDir, 'docs'));
+        Fs.mkdirSync(Path.join(tempDir, 'out'));
+        output = '';
+        readFrom = 0;
+    });
+
+    Test.afterEach(() => {
+        if (child) {
+            child.kill();
+            child = null;
+        }
+        Fs.rmSync(tempDir, {recursive: true, force: true});
+    });
+
+    const writeDoc = (name, content) => Fs.writeFileSync(Path.join(tempDir, 'docs', name), content);
+
+    /**
+     * Resolves with the output printed since the previous call, once it matches given `pattern`.
+     */
+    const waitFor = function (pattern) {
+        return new Promise((resolve, reject) => {
+            const startTime = Date.now();
+            const poll = function () {
+                const newOutput = output.slice(readFrom);
+                if (pattern.test(newOutput)) {
+                    readFrom = output.length;
+                    resolve(newOutput);
+                } else if (Date.now() - startTime > WAIT_TIMEOUT) {
+                    reject(new Error('timed out waiting for ' + pattern + ', got: ' + newOutput));
+                } else {
+                    setTimeout(poll, 50);
+                }
+            };
+            poll();
+        });
+    };
+
+    const startWatching = function () {
+        child = ChildProcess.spawn(process.execPath, [AUNTIE_PATH, 'docs', 'out', '--watch'], {cwd: tempDir});
+        child.stdout.on('data', data => output += data);
+        child.stderr.on('data', data => output += data);
+        return waitFor(/Watching for changes/);
+    };
+
+    Test.it('only rebuilds the edited document, and the documents including it', async () => {
+        writeDoc('a.txt', '# A\nFirst.');
+        writeDoc('b.txt', '# B\n$$include(shared.txt)');
+        writeDoc('shared.txt', '$$nocompile\n## Shared\nText.');
+        await startWatching();
+
+        writeDoc('a.txt', '# A\nEdited.');
+        let newOutput = await waitFor(/Rebuilt: .*a\.txt/);
+        Assert.ok(!/Rebuilding all/.test(newOutput));
+        Assert.ok(!/b\.txt/.test(newOutput));
+        Assert.ok(Fs.readFileSync(Path.join(tempDir, 'out', 'a.html'), 'utf8').includes('Edited.'));
+
+        writeDoc('shared.txt', '$$nocompile\n## Shared\nEdited text.');
+        newOutput = await waitFor(/Rebuilt: .*b\.txt/);
+        Assert.ok(!/Rebuilding all/.test(newOutput));
+        Assert.ok(Fs.readFileSync(Path.join(tempDir, 'out', 'b.html'), 'utf8').includes('Edited text.'));
+    });
+
+    Test.it('rebuilds all documents when the navigation changes', async () => {
+        writeDoc('a.txt', '# A\nFirst.');
+        writeDoc('b.txt', '# B\nSecond.');
+        await startWatching();
+
+        writeDoc('a.txt', '# Renamed\nFirst.');
+        await waitFor(/Rebuilding all documents[\s\S]*Rebuild done/);
+        Assert.ok(Fs.readFileSync(Path.join(tempDir, 'out', 'b.html'), 'utf8').includes('Renamed'));
+
+        Fs.unlinkSync(Path.join(tempDir, 'docs', 'b.txt'));
+        await waitFor(/Rebuilding all documents[\s\S]*Rebuild done/);
+        Assert.ok(!Fs.existsSync(Path.join(tempDir, 'out', 'b.html')));
+    });
+});
@@ -0,0 +1,64 @@
+'use strict';
+const Test = require('node:test');
+const Assert = require('node:assert');
+const Zlib = require('zlib');
+const {createZip, getCrc32} = require('../modules/zip-utils');
+
+/**
+ * Reads back the entries of given ZIP `archive`, by walking its central directory.
+ */
+const readZip = function (archive) {
+    const endOffset = archive.length - 22;
+    Assert.strictEqual(archive.readUInt32LE(endOffset), 0x06054B50);
+    const count = archive.readUInt16LE(endOffset + 10);
+    let offset = archive.readUInt32LE(endOffset + 16);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        Assert.strictEqual(archive.readUInt32LE(offset), 0x02014B50);
+        const method = archive.readUInt16LE(offset + 10);
+        const crc = archive.readUInt32LE(offset + 16);
+        const compressedSize = archive.readUInt32LE(offset + 20);
+        const nameLength = archive.readUInt16LE(offset + 28);
+        const localOffset = archive.readUInt32LE(offset + 42);
+        const name = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+        Assert.strictEqual(archive.readUInt32LE(localOffset), 0x04034B50);
+        const dataStart = localOffset + 30 + archive.readUInt16LE(localOffset + 26);
+        const content = archive.subarray(dataStart, dataStart + compressedSize);
+        const data = (method == 0) ? content : Zlib.inflateRawSync(content);
+        Assert.strictEqual(getCrc32(data), crc);
+        entries.push({name: name, method: method, data: data.toString('utf8')});
+        offset += 46 + nameLength;
+    }
+    return entries;
+};
+
+Test.describe('getCrc32()', () => {
+    Test.it('computes the standard CRC-32 checksum', () => {
+        Assert.strictEqual(getCrc32(Buffer.from('123456789')), 0xCBF43926);
+        Assert.strictEqual(getCrc32(Buffer.alloc(0)), 0);
+    });
+});
+
+Test.describe('createZip()', () => {
+    Test.it('packs entries in order, storing or compressing them as requested', () => {
+        const archive = createZip([
+            {name: 'mimetype', data: 'application/epub+zip', isStored: true},
+            {name: 'OEBPS/chapter ü.xhtml', data: Buffer.from('<p>' + 'text '.repeat(100) + '</p>')},
+            {name: 'empty.txt', data: '', date: new Date(1970, 0, 1)}
+        ]);
+        Assert.deepStrictEqual(readZip(archive), [
+            {name: 'mimetype', method: 0, data: 'application/epub+zip'},
+            {name: 'OEBPS/chapter ü.xhtml', method: 8, data: '<p>' + 'text '.repeat(100) + '</p>'},
+            {name: 'empty.txt', method: 8, data: ''}
+        ]);
+
+        // The first entry's content must be readable at a fixed offset, as EPUB readers expect.
+        Assert.strictEqual(archive.toString('utf8', 38, 58), 'application/epub+zip');
+    });
+
+    Test.it('writes an empty archive if there are no entries', () => {
+        const archive = createZip([]);
+        Assert.strictEqual(archive.length, 22);
+        Assert.deepStrictEqual(readZip(archive), []);
+    });
+});